@@ -0,0 +1,45 @@
+import 'dotenv/config';
+import { markAsNotRelevant } from './modules/data/storage.js';
+import { getRunningCrawler } from './modules/data/crawlerLock.js';
+
+/**
+ * Kommandozeilenwerkzeug, mit dem das Team Termine als nicht relevant markiert
+ *
+ *   node appointment-relevance.js <id>              Termin als nicht relevant markieren (keine Erinnerungen)
+ *   node appointment-relevance.js <id> --relevant   Markierung wieder aufheben
+ *
+ * Schreibt in den über STORAGE_BACKEND konfigurierten Speicher. Ein laufender Crawler
+ * hält NeDB- und JSON-Daten im Speicher und würde die Markierung überschreiben, daher
+ * vorher stoppen (--force überspringt die Prüfung).
+ */
+
+async function run() {
+    const args = process.argv.slice(2);
+    const id = args.find(arg => !arg.startsWith('--'));
+    const relevant = args.includes('--relevant');
+
+    if (!id) {
+        console.error('Verwendung: node appointment-relevance.js <id> [--relevant] [--force]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const runningCrawler = getRunningCrawler();
+    if (runningCrawler && !args.includes('--force')) {
+        console.error(`Der Crawler läuft (PID ${runningCrawler.pid} auf ${runningCrawler.hostname}), bitte vorher stoppen.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (!(await markAsNotRelevant(id, !relevant))) {
+        console.error(`Termin ${id} wurde nicht gefunden.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(relevant
+        ? `Termin ${id} ist wieder relevant und erhält Erinnerungen.`
+        : `Termin ${id} ist als nicht relevant markiert und erhält keine Erinnerungen mehr.`);
+}
+
+run();
@@ -0,0 +1,63 @@
+import 'dotenv/config';
+import { getAppointmentTimeline, APPOINTMENT_EVENTS } from './modules/data/storage.js';
+
+/**
+ * Kommandozeilenwerkzeug für den Ereignisverlauf eines Termins
+ *
+ *   node appointment-timeline.js <id>       z.B. node appointment-timeline.js sachsen-anhalt:101
+ *
+ * Liest aus dem über STORAGE_BACKEND konfigurierten Speicher.
+ */
+
+const EVENT_LABELS = {
+    [APPOINTMENT_EVENTS.DISCOVERED]: 'entdeckt',
+    [APPOINTMENT_EVENTS.NOTIFIED]: 'gemeldet',
+    [APPOINTMENT_EVENTS.CHANGED]: 'geändert',
+    [APPOINTMENT_EVENTS.CANCELLED]: 'abgesagt',
+    [APPOINTMENT_EVENTS.REINSTATED]: 'wieder gelistet',
+    [APPOINTMENT_EVENTS.ARCHIVED]: 'archiviert',
+    [APPOINTMENT_EVENTS.PRUNED]: 'gelöscht',
+    [APPOINTMENT_EVENTS.MARKED_NOT_RELEVANT]: 'als nicht relevant markiert',
+    [APPOINTMENT_EVENTS.MARKED_RELEVANT]: 'als relevant markiert',
+    [APPOINTMENT_EVENTS.REMINDED]: 'erinnert'
+};
+
+/**
+ * Format the details of an event for a single output line
+ */
+function describeDetails(event) {
+    if (event.type === APPOINTMENT_EVENTS.CHANGED) {
+        return (event.details?.changes || []).map(({ field }) => field).join(', ');
+    }
+    if (event.type === APPOINTMENT_EVENTS.PRUNED) {
+        return `älter als ${event.details?.daysToKeep} Tage`;
+    }
+    if (event.type === APPOINTMENT_EVENTS.REMINDED) {
+        return `${event.details?.days} Tage vor der Prüfung`;
+    }
+    return '';
+}
+
+async function run() {
+    const [id] = process.argv.slice(2);
+
+    if (!id) {
+        console.error('Verwendung: node appointment-timeline.js <id>');
+        process.exitCode = 1;
+        return;
+    }
+
+    const timeline = await getAppointmentTimeline(id);
+
+    if (timeline.length === 0) {
+        console.log(`Für Termin ${id} sind keine Ereignisse gespeichert.`);
+        return;
+    }
+
+    timeline.forEach(event => {
+        const label = EVENT_LABELS[event.type] || event.type;
+        console.log(`${new Date(event.at).toISOString()}  ${label}  ${describeDetails(event)}`.trimEnd());
+    });
+}
+
+run();
@@ -0,0 +1,132 @@
+import 'dotenv/config';
+import {
+    BACKUP_KINDS,
+    listBackups,
+    createBackup,
+    verifyBackup,
+    rotateBackups,
+    restoreBackup
+} from './modules/data/backupManager.js';
+
+/**
+ * Kommandozeilenwerkzeug für Sicherungen des Datenverzeichnisses
+ *
+ *   node backup.js list                      Alle Sicherungen auflisten
+ *   node backup.js create                    Sicherung jetzt anlegen
+ *   node backup.js verify <sicherung>        Sicherung prüfen
+ *   node backup.js rotate                    Alte tägliche und wöchentliche Sicherungen löschen
+ *   node backup.js restore <sicherung>       Sicherung zurückspielen (Crawler vorher stoppen, --force überspringt die Prüfung)
+ *
+ * Sicherungen können als Name, Pfad oder Index aus `list` angegeben werden.
+ */
+
+/**
+ * Resolve a backup argument (index from `list`, name or path)
+ */
+function resolveBackup(argument) {
+    const backups = listBackups();
+    if (/^\d+$/.test(argument) && backups[Number(argument)]) {
+        return backups[Number(argument)].path;
+    }
+    return argument;
+}
+
+function listCommand() {
+    const backups = listBackups();
+
+    if (backups.length === 0) {
+        console.log('Keine Sicherungen vorhanden.');
+        return;
+    }
+
+    backups.forEach((backup, index) => {
+        console.log(`[${index}] ${backup.createdAt}  ${backup.kind.padEnd(11)}  ${backup.files.length} Dateien  ${backup.name}`);
+    });
+}
+
+async function createCommand() {
+    const result = await createBackup(BACKUP_KINDS.MANUAL);
+
+    if (!result?.ok) {
+        console.error(`Sicherung fehlgeschlagen${result ? `: ${result.errors.join('; ')}` : ''}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Sicherung ${result.name} mit ${result.manifest.files.length} Dateien angelegt und geprüft.`);
+}
+
+async function verifyCommand(argument) {
+    if (!argument) {
+        console.error('Verwendung: node backup.js verify <sicherung>');
+        process.exitCode = 1;
+        return;
+    }
+
+    const { ok, errors } = await verifyBackup(resolveBackup(argument));
+
+    if (!ok) {
+        console.error('Sicherung fehlerhaft:');
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Sicherung in Ordnung.');
+}
+
+function rotateCommand() {
+    const deleted = rotateBackups();
+    console.log(`${deleted.length} alte Sicherungen gelöscht.`);
+    deleted.forEach(name => console.log(`  - ${name}`));
+}
+
+async function restoreCommand(argument, force) {
+    if (!argument) {
+        console.error('Verwendung: node backup.js restore <sicherung> [--force]');
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const { restored, removed, preRestoreBackup } = await restoreBackup(resolveBackup(argument), { force });
+        console.log(`${restored.length} Dateien wiederhergestellt, ${removed.length} neuere Dateien entfernt.`);
+        console.log(`Der vorherige Stand wurde als ${preRestoreBackup} gesichert.`);
+    } catch (error) {
+        console.error(`Wiederherstellung abgebrochen: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+async function run() {
+    const [command, ...args] = process.argv.slice(2);
+    const force = args.includes('--force');
+    const [argument] = args.filter(arg => arg !== '--force');
+
+    try {
+        switch (command) {
+            case 'list':
+                listCommand();
+                break;
+            case 'create':
+                await createCommand();
+                break;
+            case 'verify':
+                await verifyCommand(argument);
+                break;
+            case 'rotate':
+                rotateCommand();
+                break;
+            case 'restore':
+                await restoreCommand(argument, force);
+                break;
+            default:
+                console.log('Verwendung: node backup.js <list | create | verify <sicherung> | rotate | restore <sicherung> [--force]>');
+        }
+    } catch (error) {
+        console.error(`Fehler: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+run();
@@ -0,0 +1,99 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import fetch from 'node-fetch';
+import { SLASH_COMMANDS, signInteraction } from './modules/discord/interactions.js';
+
+/**
+ * Kommandozeilenwerkzeug für die Slash-Befehle des Crawlers
+ *
+ *   node discord-commands.js register        Befehle bei Discord registrieren (DISCORD_APPLICATION_ID,
+ *                                            DISCORD_BOT_TOKEN, optional DISCORD_GUILD_ID für einen Server)
+ *   node discord-commands.js keygen          Schlüsselpaar für lokale Tests erzeugen
+ *   node discord-commands.js send <datei>    Interaktion aus einer JSON-Datei signiert an den lokalen
+ *                                            Endpunkt senden (DISCORD_TEST_PRIVATE_KEY, INTERACTIONS_URL)
+ *
+ * Beispiele für Interaktionen liegen in tests/fixtures/discord-interactions.
+ */
+
+// Wandelt einen base64url-kodierten JWK-Wert in hex um
+const jwkToHex = value => Buffer.from(value, 'base64url').toString('hex');
+
+async function register() {
+    const { DISCORD_APPLICATION_ID, DISCORD_BOT_TOKEN, DISCORD_GUILD_ID } = process.env;
+    if (!DISCORD_APPLICATION_ID || !DISCORD_BOT_TOKEN) {
+        console.error('DISCORD_APPLICATION_ID und DISCORD_BOT_TOKEN müssen gesetzt sein.');
+        process.exitCode = 1;
+        return;
+    }
+
+    // Befehle eines Servers sind sofort verfügbar, globale Befehle erst nach einiger Zeit
+    const scope = DISCORD_GUILD_ID ? `/guilds/${DISCORD_GUILD_ID}` : '';
+    const response = await fetch(`https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}${scope}/commands`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bot ${DISCORD_BOT_TOKEN}` },
+        body: JSON.stringify(SLASH_COMMANDS)
+    });
+
+    if (!response.ok) {
+        console.error(`Registrierung fehlgeschlagen (${response.status}): ${await response.text()}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`${SLASH_COMMANDS.length} Befehle registriert: ${SLASH_COMMANDS.map(command => `/${command.name}`).join(', ')}`);
+}
+
+function keygen() {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const { d, x } = privateKey.export({ format: 'jwk' });
+
+    console.log('# Nur für lokale Tests, der echte Public Key steht im Discord Developer Portal');
+    console.log(`DISCORD_PUBLIC_KEY=${jwkToHex(x)}`);
+    console.log(`DISCORD_TEST_PRIVATE_KEY=${jwkToHex(d)}`);
+}
+
+async function send(file) {
+    const privateKey = process.env.DISCORD_TEST_PRIVATE_KEY;
+    if (!file || !privateKey) {
+        console.error('Verwendung: DISCORD_TEST_PRIVATE_KEY=... node discord-commands.js send <datei>');
+        process.exitCode = 1;
+        return;
+    }
+
+    const url = process.env.INTERACTIONS_URL
+        || `http://localhost:${parseInt(process.env.INTERACTIONS_PORT, 10) || 8080}${process.env.INTERACTIONS_PATH || '/interactions'}`;
+    const body = await fs.readFile(file, 'utf8');
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...signInteraction(body, privateKey) },
+        body
+    });
+
+    console.log(`HTTP ${response.status}`);
+    console.log(JSON.stringify(await response.json(), null, 2));
+}
+
+async function run() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'register':
+            await register();
+            break;
+        case 'keygen':
+            keygen();
+            break;
+        case 'send':
+            await send(args[0]);
+            break;
+        default:
+            console.error('Verwendung: node discord-commands.js register | keygen | send <datei>');
+            process.exitCode = 1;
+    }
+}
+
+run().catch(error => {
+    console.error(`Fehler: ${error.message}`);
+    process.exitCode = 1;
+});
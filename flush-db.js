@@ -3,6 +3,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { log } from './modules/logger/logger.js';
+import { createBackup, BACKUP_KINDS } from './modules/data/backupManager.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -33,12 +34,13 @@ async function flushDatabase() {
     const dbPath = getDataFilePath();
     console.log(`Database file path: ${dbPath}`);
     
-    // Create a backup if the file exists
-    if (fs.existsSync(dbPath)) {
-      const backupPath = `${dbPath}.backup-${Date.now()}`;
-      fs.copyFileSync(dbPath, backupPath);
-      console.log(`Created backup at: ${backupPath}`);
+    // Back up the data directory before anything is removed
+    const backup = await createBackup(BACKUP_KINDS.MANUAL);
+    if (!backup?.ok) {
+      console.error('Backup failed, database was not flushed');
+      return;
     }
+    console.log(`Created backup at: ${backup.path}`);
     
     // Initialize the database with the same file path
     const db = new Datastore({ filename: dbPath });
@@ -1,26 +1,416 @@
 import 'dotenv/config';
 import schedule from 'node-schedule';
-import { fetchExamData } from './modules/api/cachedApiClient.js';
-import { 
-    sendDiscordAlert, 
-    createAppointmentEmbed, 
-    createStatusEmbed, 
-    DISCORD_COLORS 
-} from './modules/discord/discordNotifier.js';
+import {
+    createNotification,
+    createAppointmentCard,
+    createChangedAppointmentCard,
+    createCancelledAppointmentCard,
+    createReminderCard,
+    createStatusCard,
+    formatDaysUntil
+} from './modules/notifications/notificationModel.js';
+import { sendNotification, getChannels } from './modules/notifications/notifier.js';
+import { queueNotification, deliverPendingNotifications } from './modules/notifications/notificationOutbox.js';
+import { routeToSubscribers, matchesSubscription, getPreviousVersion, getSubscriptionDistance } from './modules/notifications/subscriptionRouter.js';
+import { collectForDigest, flushDigests } from './modules/notifications/digest.js';
+import { scheduleReminders } from './modules/notifications/reminders.js';
+import { startInteractionServer } from './modules/discord/interactions.js';
 import {
     initializeAppointmentsCollection,
     loadKnownAppointments,
     saveAppointments,
     findNewAppointments,
-    markAsNotified,
-    getNotifiedAppointments,
-    getMostRecentAppointments,
-    pruneOldAppointments
-} from './modules/data/nedbAppointmentStorage.js';
+    findChangedAppointments,
+    saveAppointmentChanges,
+    findCancelledAppointments,
+    markAsCancelled,
+    queryAppointments,
+    pruneOldAppointments,
+    recordAppointmentEvent,
+    APPOINTMENT_EVENTS
+} from './modules/data/storage.js';
+import { loadExamTypes } from './modules/config/examTypes.js';
+import { loadSubscriptions, parseWeekdays } from './modules/config/subscriptions.js';
+import { DELIVERY_MODES, DIGEST_MODES, parseTimeOfDay, isQuietTime } from './modules/config/delivery.js';
+import { loadSources, getRejectedIds } from './modules/sources/index.js';
+import { validateRecords } from './modules/validation/schemaValidator.js';
+import { getDefaultQuarantineStore } from './modules/data/nedbQuarantineStorage.js';
+import { getCircuitStates, CIRCUIT_STATES } from './modules/api/circuitBreaker.js';
+import { acquireCrawlerLock } from './modules/data/crawlerLock.js';
+import { runScheduledBackup } from './modules/data/backupManager.js';
+import { runMigrations } from './modules/migrations/index.js';
 import { log } from './modules/logger/logger.js';
 
-const EXAM_TYPE_ID = 1; // Replace with the actual fishing exam ID
-const LINK_URL = process.env.LINK_URL;
+const SOURCES = loadSources();
+const EXAM_TYPES = loadExamTypes();
+const SUBSCRIPTIONS = loadSubscriptions();
+// Number of consecutive runs an appointment has to be missing before it counts as cancelled
+const CANCELLATION_GRACE_RUNS = parseInt(process.env.CANCELLATION_GRACE_RUNS, 10) || 2;
+// Days archived appointments are kept after their exam date before they are purged
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) || 90;
+
+// Outcome of the last finished run, reported by /status
+let lastRun = null;
+// Run in progress, shared so scheduled runs and /check never overlap
+let activeCheck = null;
+
+/**
+ * Get the schedule of a digest job
+ * Digests go out at DIGEST_TIME (HH:MM, default 18:00), the weekly one on DIGEST_WEEKDAY
+ * (default Sunday). Invalid values are logged and the defaults used.
+ * @param {String} mode - DELIVERY_MODES.DAILY or DELIVERY_MODES.WEEKLY
+ * @returns {Object} Recurrence rule for node-schedule
+ */
+function getDigestRule(mode) {
+    let minuteOfDay = parseTimeOfDay(process.env.DIGEST_TIME || '18:00');
+    if (minuteOfDay === null) {
+        log(`Ignoring DIGEST_TIME "${process.env.DIGEST_TIME}", digests go out at 18:00`);
+        minuteOfDay = 18 * 60;
+    }
+
+    const rule = { hour: Math.floor(minuteOfDay / 60), minute: minuteOfDay % 60 };
+
+    if (mode === DELIVERY_MODES.WEEKLY) {
+        try {
+            rule.dayOfWeek = parseWeekdays(process.env.DIGEST_WEEKDAY)?.[0] ?? 0;
+        } catch (error) {
+            log(`Ignoring DIGEST_WEEKDAY: ${error.message}, weekly digests go out on Sunday`);
+            rule.dayOfWeek = 0;
+        }
+    }
+
+    return rule;
+}
+
+/**
+ * Destination of an exam type's notifications when no subscriptions are configured
+ * @param {Object} examType - Exam type, its Discord webhook and delivery settings apply
+ * @returns {Object} Destination for queueForDestination
+ */
+function getExamTypeDestination(examType) {
+    return {
+        key: `examType:${examType.source}:${examType.id}`,
+        label: examType.label,
+        delivery: examType.delivery,
+        quietHours: examType.quietHours,
+        channels: null,
+        targets: { discord: examType.webhookUrl }
+    };
+}
+
+/**
+ * Destination of a subscription's notifications
+ * @param {Object} subscription - Subscription from loadSubscriptions()
+ * @returns {Object} Destination for queueForDestination
+ */
+function getSubscriptionDestination(subscription) {
+    return {
+        key: `subscription:${subscription.name}`,
+        label: subscription.name,
+        delivery: subscription.delivery,
+        quietHours: subscription.quietHours,
+        channels: [subscription.channel],
+        targets: { [subscription.channel]: subscription.target }
+    };
+}
+
+/**
+ * Whether a subscription's channel is among the configured channels
+ * @param {Object} subscription - Subscription from loadSubscriptions()
+ * @returns {Boolean} True if notifications can reach the subscription
+ */
+function hasSubscriptionChannel(subscription) {
+    return getChannels().some(channel => channel.name === subscription.channel);
+}
+
+/**
+ * Channels a destination is sent through
+ * @param {Object} destination - Destination, its channels are names or null for every channel
+ * @returns {Array} Configured channels of the destination
+ */
+function getDestinationChannels(destination) {
+    return destination.channels
+        ? getChannels().filter(channel => destination.channels.includes(channel.name))
+        : getChannels();
+}
+
+/**
+ * Send or collect a notification for one destination according to its delivery mode
+ * Destinations with a digest mode collect the items for the next digest, all others
+ * get the notification through the outbox, held back during their quiet hours.
+ * Reminders are due at a fixed time and never wait for a digest.
+ * @param {Object} destination - { key, label, delivery, quietHours, channels, targets },
+ *   channels are channel names or null for every channel
+ * @param {Array} items - Appointments, or { appointment, changes } for changed ones
+ * @param {Function} buildNotification - items => notification
+ * @param {Object} options - Queue options
+ * @param {String} options.kind - 'new', 'changed', 'cancelled' or 'reminder'
+ * @param {Boolean} options.trackNotified - Mark the appointments as notified once delivered
+ * @returns {Number} Number of outbox entries and digest items queued
+ */
+async function queueForDestination(destination, items, buildNotification, { kind, trackNotified }) {
+    if (kind !== 'reminder' && DIGEST_MODES.includes(destination.delivery)) {
+        let collected = 0;
+        for (const item of items) {
+            const { appointment, changes } = kind === 'changed' ? item : { appointment: item };
+            if (await collectForDigest(destination, kind, appointment, changes)) {
+                collected++;
+            }
+        }
+        return collected;
+    }
+
+    const entries = await queueNotification(buildNotification(items), {
+        appointmentIds: trackNotified ? items.map(item => item.id) : [],
+        targets: destination.targets,
+        channels: getDestinationChannels(destination),
+        quietHours: destination.quietHours
+    });
+    return entries.length;
+}
+
+/**
+ * Queue a notification about appointments for its recipients
+ * Without subscriptions the notification goes to every channel with the exam type's
+ * targets. Otherwise every subscriber whose rules match gets a notification with only
+ * the matching items on their own channel and target; items nobody subscribed to are
+ * not sent. Each destination is notified according to its delivery mode.
+ * @param {Array} items - Appointments, or { appointment, changes } for changed ones
+ * @param {Function} buildNotification - (items, subscription) => notification, subscription is undefined without subscriptions
+ * @param {Object} options - Queue options
+ * @param {Object} options.examType - Exam type of the items, its targets and delivery settings apply without subscriptions
+ * @param {String} options.kind - 'new', 'changed', 'cancelled' or 'reminder'
+ * @param {Function} options.getVersions - Appointments of an item checked against the rules
+ * @param {Boolean} options.trackNotified - Mark the appointments as notified once delivered
+ * @returns {Number} Number of outbox entries and digest items queued, 0 if nobody gets the items
+ */
+async function queueForRecipients(items, buildNotification, { examType, kind, getVersions, trackNotified = false }) {
+    if (SUBSCRIPTIONS.length === 0) {
+        return queueForDestination(getExamTypeDestination(examType), items, buildNotification, { kind, trackNotified });
+    }
+
+    const { routes, unmatched } = routeToSubscribers(items, SUBSCRIPTIONS, { getVersions });
+    let queued = 0;
+
+    for (const { subscription, items: subscriptionItems } of routes) {
+        if (!hasSubscriptionChannel(subscription)) {
+            log(`⚠️ Abo "${subscription.name}": Kanal ${subscription.channel} ist nicht konfiguriert, Nachricht übersprungen.`);
+            continue;
+        }
+
+        queued += await queueForDestination(getSubscriptionDestination(subscription), subscriptionItems,
+            destinationItems => buildNotification(destinationItems, subscription), { kind, trackNotified });
+    }
+
+    if (unmatched.length > 0) {
+        log(`${unmatched.length} Termine passen zu keinem Abo und werden nicht gemeldet.`);
+    }
+
+    return queued;
+}
+
+/**
+ * Queue a reminder of an upcoming exam for its recipients and deliver it right away
+ * @param {Object} appointment - Stored appointment
+ * @param {Number} days - Days until the exam
+ * @returns {Boolean} False if the appointment's exam type is no longer watched or nobody gets the reminder
+ */
+async function notifyReminder(appointment, days) {
+    const examType = EXAM_TYPES.find(type => type.source === appointment.source && type.id === appointment.examTypeId);
+    if (!examType) {
+        return false;
+    }
+
+    const describe = subscription => (subscription ? `${examType.label}, ${subscription.name}` : examType.label);
+
+    const queued = await queueForRecipients([appointment], (appointments, subscription) => createNotification(
+        `⏰ Erinnerung: Prüfung ${formatDaysUntil(days)} (${describe(subscription)})`,
+        [{ cards: appointments.map(reminded => createReminderCard(reminded, days, {
+            distance: getSubscriptionDistance(reminded, subscription)
+        })) }],
+        'reminder'
+    ), { examType, kind: 'reminder' });
+
+    // No matching subscription or channel, so the reminder isn't recorded as sent
+    if (queued === 0) {
+        return false;
+    }
+
+    await deliverPendingNotifications();
+    return true;
+}
+
+/**
+ * Rebuild the reminder jobs from storage
+ */
+async function rebuildReminders() {
+    try {
+        await scheduleReminders({ notify: notifyReminder });
+    } catch (error) {
+        log(`Error scheduling reminders: ${error.message}`);
+    }
+}
+
+/**
+ * Report a run without new appointments to the destinations that want every run reported
+ * The message is informational, so it is sent right away instead of through the outbox,
+ * and only to destinations with the instant delivery mode outside their quiet hours.
+ * Without subscriptions that is the exam type's destination, otherwise every subscription
+ * following the exam type, shown only the appointments that match its rules.
+ * @param {Object} examType - Checked exam type
+ * @param {Object} scope - { source, examTypeId } of the exam type's appointments
+ */
+async function notifyNoNewAppointments(examType, scope) {
+    const recipients = SUBSCRIPTIONS.length === 0
+        ? [{ destination: getExamTypeDestination(examType) }]
+        : SUBSCRIPTIONS
+            .filter(subscription => !subscription.examTypeIds || subscription.examTypeIds.includes(examType.id))
+            .filter(hasSubscriptionChannel)
+            .map(subscription => ({ destination: getSubscriptionDestination(subscription), subscription }));
+
+    for (const { destination, subscription } of recipients) {
+        if (destination.delivery !== DELIVERY_MODES.INSTANT || isQuietTime(destination.quietHours)) {
+            continue;
+        }
+
+        // The two latest appointments of a query, only those matching the subscription
+        const latest = async (criteria, sortBy) => {
+            const appointments = await queryAppointments(criteria, { sortBy, sortOrder: 'desc', limit: subscription ? undefined : 2 });
+            return (subscription ? appointments.filter(appointment => matchesSubscription(appointment, subscription)) : appointments).slice(0, 2);
+        };
+        const sections = [];
+
+        // Show the last two appointments when no new ones were found
+        const lastTwoAppointments = await latest({ ...scope, cancelled: false }, 'date');
+
+        if (lastTwoAppointments.length > 0) {
+            sections.push({
+                heading: 'Aktuelle Termine zur Information:',
+                cards: lastTwoAppointments.map(appointment => createAppointmentCard(appointment, { level: 'info' }))
+            });
+        }
+
+        // Only show the 2 most recently notified appointments
+        const lastNotifiedAppointments = await latest({ ...scope, notified: true, cancelled: false }, 'notifiedAt');
+
+        if (lastNotifiedAppointments.length > 0) {
+            sections.push({
+                heading: 'Letzte gemeldete Termine:',
+                cards: lastNotifiedAppointments.map(appointment => createAppointmentCard(appointment, { level: 'default' }))
+            });
+        }
+
+        const label = subscription ? `${examType.label}, ${subscription.name}` : examType.label;
+        await sendNotification(createNotification(`ℹ️ Keine neuen Termine gefunden (${label})`, sections), {
+            channels: getDestinationChannels(destination),
+            targets: destination.targets
+        });
+    }
+}
+
+/**
+ * Run new/changed/cancelled detection and notifications for one exam type
+ * @param {Object} examType - Watched exam type ({ id, source, label, webhookUrl, color })
+ * @param {Array} sourceAppointments - Normalized appointments of the exam type's source
+ * @param {Object} options - Check options
+ * @param {Array} options.listedIds - IDs of rejected records, still listed by the source
+ * @param {Boolean} options.detectCancellations - False when rejected records can't be identified
+ * @returns {Object} Number of new, changed and cancelled appointments
+ */
+async function checkExamType(examType, sourceAppointments, { listedIds = [], detectCancellations = true } = {}) {
+    const scope = { source: examType.source, examTypeId: examType.id };
+
+    // Select and tag the appointments of this exam type
+    const fetchedAppointments = sourceAppointments
+        .filter(appointment => appointment.examTypeId === examType.id)
+        .map(appointment => ({
+            ...appointment,
+            examTypeLabel: examType.label
+        }));
+
+    // Find new appointments
+    const newAppointments = await findNewAppointments(fetchedAppointments);
+
+    // Find known appointments whose details have changed
+    const changedAppointments = await findChangedAppointments(fetchedAppointments);
+
+    // Find future appointments that disappeared from the API response; appointments
+    // whose records were rejected are still listed and don't count as missing
+    const cancelledAppointments = detectCancellations
+        ? await findCancelledAppointments(fetchedAppointments, CANCELLATION_GRACE_RUNS, scope, listedIds)
+        : [];
+
+    // Save the new appointments to the database so their lifecycle can be tracked from now on
+    if (newAppointments.length > 0) {
+        await saveAppointments(newAppointments);
+
+        for (const newAppointment of newAppointments) {
+            await recordAppointmentEvent(newAppointment.id, APPOINTMENT_EVENTS.DISCOVERED, {
+                source: newAppointment.source,
+                examTypeId: examType.id
+            });
+        }
+    }
+
+    // Label of a notification, names the subscription when it only holds its matches
+    const describe = subscription => (subscription ? `${examType.label}, ${subscription.name}` : examType.label);
+
+    if (newAppointments.length > 0) {
+        // One card for each new appointment; they go through the outbox and count as
+        // notified once a channel confirmed them
+        await queueForRecipients(newAppointments, (appointments, subscription) => createNotification(
+            `🎣 ${appointments.length} neue Termine gefunden! (${describe(subscription)})`,
+            [{ cards: appointments.map(appointment => createAppointmentCard(appointment, {
+                isNew: true,
+                color: examType.color,
+                distance: getSubscriptionDistance(appointment, subscription)
+            })) }],
+            'success'
+        ), { examType, kind: 'new', trackNotified: true });
+    } else {
+        await notifyNoNewAppointments(examType, scope);
+    }
+
+    // Send a separate notification for changed appointments
+    if (changedAppointments.length > 0) {
+        // Subscribers also hear about appointments that moved out of their rules
+        await queueForRecipients(changedAppointments, (changed, subscription) => createNotification(
+            `✏️ ${changed.length} Termine geändert (${describe(subscription)})`,
+            [{ cards: changed.map(({ appointment, changes }) => createChangedAppointmentCard(appointment, changes)) }],
+            'warning'
+        ), {
+            examType,
+            kind: 'changed',
+            getVersions: ({ appointment, changes }) => [appointment, getPreviousVersion(appointment, changes)]
+        });
+
+        // Persist the new details together with the field-level diff
+        await saveAppointmentChanges(changedAppointments);
+    }
+
+    // Send a separate notification for cancelled appointments
+    if (cancelledAppointments.length > 0) {
+        await queueForRecipients(cancelledAppointments, (appointments, subscription) => createNotification(
+            `🚫 ${appointments.length} Termine abgesagt (${describe(subscription)})`,
+            [{ cards: appointments.map(appointment => createCancelledAppointmentCard(appointment, {
+                distance: getSubscriptionDistance(appointment, subscription)
+            })) }],
+            'error'
+        ), { examType, kind: 'cancelled' });
+
+        for (const cancelledAppointment of cancelledAppointments) {
+            await markAsCancelled(cancelledAppointment.id);
+        }
+    }
+    
+    log(`✅ ${examType.label}: ${newAppointments.length} neue, ${changedAppointments.length} geänderte und ${cancelledAppointments.length} abgesagte Termine gefunden und ggf. zur Meldung vorgemerkt.`);
+
+    return {
+        new: newAppointments.length,
+        changed: changedAppointments.length,
+        cancelled: cancelledAppointments.length
+    };
+}
 
 async function checkFischerpruefung() {
     try {
@@ -30,125 +420,210 @@ async function checkFischerpruefung() {
         // Load known appointments
         const knownAppointments = await loadKnownAppointments();
         
-        // Fetch exam data from API (with caching)
-        const fetchedRawData = await fetchExamData();
+        // Counts reported at the end of the run
+        const summary = { new: 0, changed: 0, cancelled: 0, rejected: 0 };
+        const rejectedBySource = [];
 
-        if (!fetchedRawData) {
-            log('Error retrieving exam data. Process terminated.');
-            return;
-        }
+        for (const source of SOURCES) {
+            // Fetch exam data from the source (with caching)
+            const fetchedRawData = await source.fetch();
 
-        // Process fetched data
-        const fetchedAppointments = fetchedRawData
-            .filter(item => item.examType.id === EXAM_TYPE_ID)
-            .map(item => ({
-                id: item.id,
-                date: item.date, // Keep the original date for processing
-                termin: new Date(item.date).toLocaleDateString('de-DE'),
-                pruefungsstelle: item.examinationOffice.name,
-                pruefungsort: item.contactInfo.area.name,
-                landkreis: item.contactInfo.area.districtName,
-                url: LINK_URL + `${item.id}`,
-                // Add original objects for enhanced storage
-                examType: item.examType,
-                examinationOffice: item.examinationOffice,
-                contactInfo: item.contactInfo,
-                additionalInformation: item.additionalInformation
-            }));
-
-        // Find new appointments
-        const newAppointments = await findNewAppointments(fetchedAppointments);
-        
-        // Get already notified appointments
-        const alreadyNotifiedAppointments = await getNotifiedAppointments();
-
-        // Discord message preparation
-        let discordContent = '';
-        let discordEmbeds = [];
-
-        if (newAppointments.length > 0) {
-            // Main message text
-            discordContent = `\n\n\n\n ### 🎣 ${newAppointments.length} neue Termine gefunden!`;
-            
-            // Create an embed for each new appointment
-            newAppointments.forEach(appointment => {
-                discordEmbeds.push(createAppointmentEmbed(appointment, true));
-            });
-            
-            // Mark the new appointments as notified
-            for (const newAppointment of newAppointments) {
-                await markAsNotified(newAppointment.id);
+            if (!Array.isArray(fetchedRawData)) {
+                log(`Error retrieving exam data from ${source.label}. Source skipped.`);
+                continue;
             }
-        } else {
-            // No new appointments found
-            discordContent = `\n\n\n\n ### ℹ️ Keine neuen Termine gefunden`;
-            
-            // Show the last two appointments when no new ones were found
-            const lastTwoAppointments = await getMostRecentAppointments(2);
-                
-            if (lastTwoAppointments.length > 0) {
-                discordContent += `\n\n ### Aktuelle Termine zur Information:`;
-                lastTwoAppointments.forEach(appointment => {
-                    discordEmbeds.push(createAppointmentEmbed(appointment, false, 'info'));
-                });
+
+            // Validate raw records and quarantine the ones that don't match the schema
+            const { valid, rejected } = validateRecords(fetchedRawData, source.schema);
+            if (rejected.length > 0) {
+                await getDefaultQuarantineStore().quarantineRecords(source.name, rejected);
+                rejectedBySource.push(`${source.label}: ${rejected.length}`);
+                summary.rejected += rejected.length;
             }
-            
-            // Only show last 2 most recent notified appointments
-            if (alreadyNotifiedAppointments.length > 0) {
-                // Sort by notifiedAt date, most recent first
-                const sortedNotifiedAppointments = [...alreadyNotifiedAppointments]
-                    .sort((a, b) => {
-                        const dateA = a.notifiedAt ? new Date(a.notifiedAt) : new Date(0);
-                        const dateB = b.notifiedAt ? new Date(b.notifiedAt) : new Date(0);
-                        return dateB - dateA;
-                    })
-                    .slice(0, 2); // Take only 2 most recent
-                
-                discordContent += `\n\n ### Letzte gemeldete Termine:`;
-                sortedNotifiedAppointments.forEach(appointment => {
-                    discordEmbeds.push(createAppointmentEmbed(appointment, false, 'default'));
-                });
+
+            const sourceAppointments = source.normalize(valid);
+
+            // A rejected record without a usable ID could be any known appointment, so
+            // cancellations are only detected again once every record can be identified
+            const rejectedIds = getRejectedIds(source, rejected);
+            const detectCancellations = rejectedIds !== null;
+            const listedIds = rejectedIds || [];
+            if (!detectCancellations) {
+                log(`${source.label}: rejected records without ID, skipping cancellation detection this run.`);
+            }
+
+            // Check every watched exam type of this source
+            const sourceExamTypes = EXAM_TYPES.filter(examType => examType.source === source.name);
+            for (const examType of sourceExamTypes) {
+                const result = await checkExamType(examType, sourceAppointments, { listedIds, detectCancellations });
+                summary.new += result.new;
+                summary.changed += result.changed;
+                summary.cancelled += result.cancelled;
             }
         }
 
-        // Send Discord notification
-        await sendDiscordAlert(discordContent, discordEmbeds);
+        // Deliver the queued notifications of this run together with earlier failed ones
+        const outbox = await deliverPendingNotifications();
 
-        // Save the new appointments to the database
-        if (newAppointments.length > 0) {
-            await saveAppointments(newAppointments);
+        // New, moved and cancelled appointments change the reminders
+        if (process.env.RUN_ONCE !== 'true') {
+            await rebuildReminders();
+        }
+
+        // Circuit breaker state of every fetched API
+        const circuits = Object.entries(getCircuitStates());
+        const circuitSummary = circuits.length > 0
+            ? circuits.map(([key, circuit]) => `${key}: ${circuit.state}`).join(', ')
+            : 'keine Abrufe';
+
+        lastRun = { finishedAt: new Date(), summary, pending: outbox.pending, error: null };
+
+        log(`📊 Zusammenfassung: ${summary.new} neue, ${summary.changed} geänderte, ${summary.cancelled} abgesagte Termine, ${summary.rejected} ungültige Datensätze in Quarantäne, ${outbox.pending} Nachrichten im Postausgang. Circuit-Breaker: ${circuitSummary}`);
+
+        // Report rejected records so broken API data doesn't go unnoticed
+        if (summary.rejected > 0) {
+            const rejectedCard = createStatusCard(
+                'Ungültige Datensätze',
+                `${summary.rejected} Datensätze entsprachen nicht dem erwarteten Schema und wurden in Quarantäne verschoben.\n${rejectedBySource.join('\n')}`,
+                'warning'
+            );
+            await sendNotification(createNotification('⚠️ Datensätze abgelehnt', [{ cards: [rejectedCard] }], 'warning'));
+        }
+
+        // Report paused APIs so stale cache data doesn't go unnoticed
+        const openCircuits = circuits.filter(([, circuit]) => circuit.state !== CIRCUIT_STATES.CLOSED);
+        if (openCircuits.length > 0) {
+            const circuitCard = createStatusCard(
+                'API nicht erreichbar',
+                openCircuits.map(([key, circuit]) =>
+                    `${key}: ${circuit.state} nach ${circuit.failures} Fehlschlägen (${circuit.lastError})`
+                ).join('\n') + '\nEs werden zwischengespeicherte Daten verwendet.',
+                'warning'
+            );
+            await sendNotification(createNotification('⚠️ Circuit-Breaker offen', [{ cards: [circuitCard] }], 'warning'));
         }
-        
-        log(`✅ ${newAppointments.length} neue Termine gefunden und ggf. gemeldet.`);
 
     } catch (error) {
         log(`❌ Fehler beim Überprüfen der Fischerprüfung: ${error.message}`);
-        // Send an error with red embed
-        const errorEmbed = createStatusEmbed(
+        lastRun = { finishedAt: new Date(), summary: null, pending: null, error: error.message };
+        // Send an error with a red card
+        const errorCard = createStatusCard(
             'Fehler im Fischerprüfungs-Crawler', 
             `\`\`\`${error.message}\`\`\``, 
             'error'
         );
-        await sendDiscordAlert(`🚨 Fehler aufgetreten`, [errorEmbed]);
+        await sendNotification(createNotification('🚨 Fehler aufgetreten', [{ cards: [errorCard] }], 'error'));
     }
 }
 
+/**
+ * Run the check unless one is already in progress
+ * @returns {Promise} The run in progress
+ */
+function runCheck() {
+    if (!activeCheck) {
+        activeCheck = checkFischerpruefung().finally(() => {
+            activeCheck = null;
+        });
+    }
+    return activeCheck;
+}
+
+// Mark the crawler as running so restores refuse to replace the data underneath it
+acquireCrawlerLock();
+
+// Upgrade documents stored by older versions before the first check
+try {
+    await initializeAppointmentsCollection();
+    await runMigrations();
+} catch (error) {
+    log(`Error running migrations: ${error.message}`);
+}
+
+// Single run without scheduled jobs, e.g. to step through recorded API responses
+if (process.env.RUN_ONCE === 'true') {
+    await checkFischerpruefung();
+    process.exit(0);
+}
+
+// Backup job: daily at 2:30am (weekly backup on Sundays), before the maintenance job
+schedule.scheduleJob('30 2 * * *', async () => {
+    try {
+        const backup = await runScheduledBackup();
+        if (!backup?.ok) {
+            log('Scheduled backup failed, see previous log entries.');
+        } else if (backup.rotationError) {
+            log(`Backup created, but old backups were not rotated: ${backup.rotationError}`);
+        }
+    } catch (error) {
+        log(`Error running scheduled backup: ${error.message}`);
+    }
+});
+
 // Database maintenance job: weekly on Sunday at 3:00am
 schedule.scheduleJob('0 3 * * 0', async () => {
     try {
         log('Running database maintenance...');
         
-        // Prune old appointments
-        await pruneOldAppointments(90); // Keep appointments for 90 days
+        // Archive past appointments and purge archived ones after ARCHIVE_RETENTION_DAYS
+        const pruneResult = await pruneOldAppointments(ARCHIVE_RETENTION_DAYS);
         
-        log('Database maintenance completed.');
+        if (pruneResult) {
+            log(`Database maintenance completed: ${pruneResult.archived} appointments archived, ${pruneResult.purged} purged.`);
+        } else {
+            log('Database maintenance failed, see previous log entries.');
+        }
     } catch (error) {
         log(`Error during database maintenance: ${error.message}`);
     }
 });
 
+// Outbox retry job: every 5 minutes, only sends notifications whose backoff has passed
+schedule.scheduleJob('*/5 * * * *', async () => {
+    try {
+        await deliverPendingNotifications();
+    } catch (error) {
+        log(`Error delivering queued notifications: ${error.message}`);
+    }
+});
+
+// Digest jobs: daily at DIGEST_TIME, weekly on DIGEST_WEEKDAY at DIGEST_TIME
+for (const mode of DIGEST_MODES) {
+    schedule.scheduleJob(getDigestRule(mode), async () => {
+        try {
+            await flushDigests(mode);
+            await deliverPendingNotifications();
+        } catch (error) {
+            log(`Error sending ${mode} digests: ${error.message}`);
+        }
+    });
+}
+
+// Reminder jobs live in memory only, rebuild them from storage on every start
+await rebuildReminders();
+
 // Cron Job: daily at 8:00am
-schedule.scheduleJob('0 8 * * *', checkFischerpruefung);
+const dailyCheck = schedule.scheduleJob('0 8 * * *', runCheck);
+
+// Slash commands from Discord, only when DISCORD_PUBLIC_KEY is set
+try {
+    await startInteractionServer({
+        startCheck: () => {
+            if (activeCheck) {
+                return false;
+            }
+            runCheck();
+            return true;
+        },
+        getStatus: () => ({
+            running: Boolean(activeCheck),
+            lastRun,
+            nextRun: dailyCheck.nextInvocation()?.toDate()
+        })
+    });
+} catch (error) {
+    log(`Error starting the Discord interactions endpoint: ${error.message}`);
+}
 
 // init
-checkFischerpruefung();
\ No newline at end of file
+runCheck();
\ No newline at end of file
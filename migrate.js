@@ -0,0 +1,61 @@
+import 'dotenv/config';
+import { initializeAppointmentsCollection, getStorageBackendName } from './modules/data/storage.js';
+import {
+    MIGRATIONS,
+    getSchemaVersion,
+    runMigrations
+} from './modules/migrations/index.js';
+
+/**
+ * Kommandozeilenwerkzeug für Schema-Migrationen des Terminspeichers
+ *
+ *   node migrate.js status        Gespeicherte Schema-Version und ausstehende Migrationen anzeigen
+ *   node migrate.js               Ausstehende Migrationen ausführen
+ *   node migrate.js --dry-run     Nur anzeigen, was sich ändern würde
+ *
+ * Der Crawler führt ausstehende Migrationen beim Start selbst aus.
+ */
+
+function statusCommand() {
+    const backend = getStorageBackendName();
+    const version = getSchemaVersion(backend);
+
+    console.log(`Backend: ${backend}, Schema-Version: ${version}\n`);
+    MIGRATIONS.forEach(migration => {
+        const state = migration.version <= version ? 'angewendet' : 'ausstehend';
+        console.log(`  ${String(migration.version).padStart(3)}  ${state.padEnd(10)}  ${migration.name} – ${migration.description}`);
+    });
+}
+
+async function migrateCommand(dryRun) {
+    await initializeAppointmentsCollection();
+    const result = await runMigrations({ dryRun });
+
+    if (result.steps.length === 0) {
+        console.log(`Schema-Version ${result.fromVersion} ist aktuell, nichts zu tun.`);
+        return;
+    }
+
+    console.log(`${dryRun ? 'Probelauf: ' : ''}Schema ${result.fromVersion} → ${result.toVersion} (${result.backend})\n`);
+    result.steps.forEach(step => {
+        console.log(`  ${step.version} ${step.name}: ${step.changedIds.length} Termine ${dryRun ? 'würden geändert' : 'geändert'}`);
+        step.changedIds.forEach(id => console.log(`      ${id}`));
+    });
+}
+
+async function run() {
+    const args = process.argv.slice(2);
+
+    try {
+        if (args[0] === 'status') {
+            statusCommand();
+        } else {
+            await migrateCommand(args.includes('--dry-run'));
+        }
+    } catch (error) {
+        console.error(`Fehler: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+run();
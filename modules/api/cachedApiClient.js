@@ -1,8 +1,11 @@
-import fetch from 'node-fetch';
+import fetch, { Response } from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { log } from '../logger/logger.js';
+import { getFixtureMode, recordResponse, replayNextResponse } from './fixtureRecorder.js';
+import { canRequest, recordSuccess, recordFailure } from './circuitBreaker.js';
+import { saveSnapshot } from './snapshotArchive.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -11,6 +14,8 @@ const __dirname = path.dirname(__filename);
 const API_URL = process.env.API_URL;
 const CACHE_DIR = process.env.CACHE_DIR || path.resolve(__dirname, '../../cache');
 const CACHE_TTL = process.env.CACHE_TTL || 3600000; // 1 hour in milliseconds
+const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT, 10) || 15000; // per attempt
+const FETCH_DEADLINE = parseInt(process.env.FETCH_DEADLINE, 10) || 120000; // whole call including retries
 
 // Ensure cache directory exists
 if (!fs.existsSync(CACHE_DIR)) {
@@ -33,8 +38,49 @@ function getCacheFilePath(url) {
   return path.join(CACHE_DIR, `${urlHash}.json`);
 }
 
+/**
+ * Get metadata file path for a cache file
+ * @param {string} cacheFilePath - Path to cache file
+ * @returns {string} - Metadata file path
+ */
+function getMetaFilePath(cacheFilePath) {
+  return cacheFilePath.replace(/\.json$/, '.meta.json');
+}
+
+/**
+ * Read cache metadata (ETag, Last-Modified and fetch time)
+ * @param {string} cacheFilePath - Path to cache file
+ * @returns {object|null} - Metadata or null if there is none
+ */
+function readCacheMeta(cacheFilePath) {
+  try {
+    const metaFilePath = getMetaFilePath(cacheFilePath);
+    if (!fs.existsSync(metaFilePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(metaFilePath, 'utf8'));
+  } catch (error) {
+    log(`Error reading cache metadata: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write cache metadata
+ * @param {string} cacheFilePath - Path to cache file
+ * @param {object} meta - Metadata to store
+ */
+function writeCacheMeta(cacheFilePath, meta) {
+  try {
+    fs.writeFileSync(getMetaFilePath(cacheFilePath), JSON.stringify(meta, null, 2));
+  } catch (error) {
+    log(`Error writing cache metadata: ${error.message}`);
+  }
+}
+
 /**
  * Check if cache is valid
+ * Uses the fetch time from the metadata file, falling back to the cache file's mtime.
  * @param {string} cacheFilePath - Path to cache file
  * @returns {boolean} - True if cache is valid, false otherwise
  */
@@ -44,8 +90,11 @@ function isCacheValid(cacheFilePath) {
       return false;
     }
 
-    const stats = fs.statSync(cacheFilePath);
-    const cacheAge = Date.now() - stats.mtime.getTime();
+    const meta = readCacheMeta(cacheFilePath);
+    const fetchedAt = meta?.fetchedAt
+      ? new Date(meta.fetchedAt).getTime()
+      : fs.statSync(cacheFilePath).mtime.getTime();
+    const cacheAge = Date.now() - fetchedAt;
     return cacheAge < CACHE_TTL;
   } catch (error) {
     log(`Error checking cache validity: ${error.message}`);
@@ -81,21 +130,78 @@ function writeToCache(cacheFilePath, data) {
   }
 }
 
+/**
+ * Fetch with a timeout, aborting the request when it takes too long
+ * The timeout covers reading the body as well, so a server that sends the headers
+ * and then stalls can't hang the run.
+ * @param {string} url - URL to fetch
+ * @param {object} requestOptions - Options passed to fetch
+ * @param {number} timeout - Timeout in ms
+ * @param {AbortSignal} [signal] - Caller's signal to abort the request
+ * @returns {Promise<Response>} - Fetch response with the body already read
+ */
+async function fetchWithTimeout(url, requestOptions, timeout, signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, timeout);
+  signal?.addEventListener('abort', abort);
+
+  try {
+    const response = await fetch(url, { ...requestOptions, signal: controller.signal });
+    const body = response.status === 304 ? null : await response.text();
+
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  } catch (error) {
+    if (error.name === 'AbortError' && !signal?.aborted) {
+      throw new Error(`Zeitüberschreitung nach ${timeout}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
 /**
  * Fetch with retry and exponential backoff
+ * A 304 Not Modified response counts as success. Every attempt is aborted after
+ * `timeout` ms and the whole call, including waits between retries, gives up
+ * after `deadline` ms.
  * @param {string} url - URL to fetch
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} initialDelay - Initial delay in ms
+ * @param {object} fetchOptions - Options passed to fetch (e.g. headers), plus
+ *   optional `timeout`, `deadline` (both in ms) and `signal` (AbortSignal)
  * @returns {Promise<Response>} - Fetch response
  */
-async function fetchWithRetry(url, maxRetries = 3, initialDelay = 1000) {
+async function fetchWithRetry(url, maxRetries = 3, initialDelay = 1000, fetchOptions = {}) {
+  const {
+    timeout = REQUEST_TIMEOUT,
+    deadline = FETCH_DEADLINE,
+    signal,
+    ...requestOptions
+  } = fetchOptions;
+  const deadlineAt = Date.now() + deadline;
   let retries = 0;
   let delay = initialDelay;
   
   while (true) {
     try {
-      const response = await fetch(url);
-      if (response.ok) {
+      if (signal?.aborted) {
+        throw new Error('API-Abruf abgebrochen');
+      }
+
+      const remaining = deadlineAt - Date.now();
+      if (remaining <= 0) {
+        throw new Error(`Zeitlimit von ${deadline}ms für den API-Abruf überschritten`);
+      }
+
+      const response = await fetchWithTimeout(url, requestOptions, Math.min(timeout, remaining), signal);
+      if (response.ok || response.status === 304) {
         return response;
       }
       
@@ -109,16 +215,27 @@ async function fetchWithRetry(url, maxRetries = 3, initialDelay = 1000) {
         throw new Error(`API-Fehler: ${response.status} ${response.statusText}`);
       }
     } catch (error) {
-      // If we've reached max retries, throw the error
-      if (retries >= maxRetries) {
+      // If we've reached max retries or the call was aborted, throw the error
+      if (retries >= maxRetries || signal?.aborted) {
         throw error;
       }
       
       log(`Retry ${retries + 1}/${maxRetries} after ${delay}ms: ${error.message}`);
     }
+
+    // Give up if waiting for the next attempt would pass the deadline
+    if (Date.now() + delay >= deadlineAt) {
+      throw new Error(`Zeitlimit von ${deadline}ms für den API-Abruf überschritten`);
+    }
     
-    // Wait before retrying
-    await new Promise(resolve => setTimeout(resolve, delay));
+    // Wait before retrying (cut short if the caller aborts)
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, delay);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
     
     // Exponential backoff
     retries++;
@@ -126,20 +243,71 @@ async function fetchWithRetry(url, maxRetries = 3, initialDelay = 1000) {
   }
 }
 
+/**
+ * Cache a full API response together with its metadata
+ * @param {Response} res - Fetch response
+ * @param {string} url - Fetched URL
+ * @param {string} cacheFilePath - Path to cache file
+ * @returns {Promise<Array>} - API response data
+ */
+async function storeResponse(res, url, cacheFilePath) {
+  const jsonResponse = await res.json();
+  const data = jsonResponse.data;
+  
+  // Cache the data and keep a snapshot of what was published
+  writeToCache(cacheFilePath, data);
+  saveSnapshot(url, data);
+  writeCacheMeta(cacheFilePath, {
+    url,
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+    fetchedAt: new Date().toISOString()
+  });
+
+  if (getFixtureMode() === 'record') {
+    recordResponse(url, data, res.status);
+  }
+  
+  return data;
+}
+
+/**
+ * Fetch the full payload without conditional headers and cache it
+ * @param {string} url - URL to fetch
+ * @param {string} cacheFilePath - Path to cache file
+ * @param {AbortSignal} [signal] - Signal to abort the request
+ * @returns {Promise<Array>} - API response data
+ */
+async function fetchAndCache(url, cacheFilePath, signal) {
+  const res = await fetchWithRetry(url, 3, 1000, { signal });
+  return storeResponse(res, url, cacheFilePath);
+}
+
 /**
  * Fetch data from API with caching and retry
+ * Live requests are skipped while the URL's circuit breaker is open; the
+ * (possibly expired) cache is used instead.
+ * @param {string} [url] - API URL, defaults to the API_URL environment variable
+ * @param {object} [options] - Optional { signal } to abort the request
  * @returns {Promise<Array|null>} - API response data or null on error
  */
-async function fetchExamData() {
+async function fetchExamData(url = API_URL, { signal } = {}) {
+  let liveRequest = false;
+
   try {
-    if (!API_URL) {
+    if (!url) {
       throw new Error('Die API-URL ist nicht in der Umgebungsvariable API_URL definiert.');
     }
 
-    const cacheFilePath = getCacheFilePath(API_URL);
+    // Replay recorded responses instead of touching the network or cache
+    if (getFixtureMode() === 'replay') {
+      return replayNextResponse(url);
+    }
 
-    // Check if we have a valid cache
-    if (isCacheValid(cacheFilePath)) {
+    const cacheFilePath = getCacheFilePath(url);
+
+    // Check if we have a valid cache (skipped while recording so every run is captured)
+    if (getFixtureMode() !== 'record' && isCacheValid(cacheFilePath)) {
       const cachedData = readFromCache(cacheFilePath);
       if (cachedData) {
         log('Returning data from cache');
@@ -147,21 +315,67 @@ async function fetchExamData() {
       }
     }
 
+    // Skip live requests while the portal keeps failing
+    if (!canRequest(url)) {
+      throw new Error('Circuit-Breaker ist offen, Live-Abruf übersprungen');
+    }
+    liveRequest = true;
+
+    // Ask the server to only send data that changed since the cached copy
+    const meta = fs.existsSync(cacheFilePath) ? readCacheMeta(cacheFilePath) : null;
+    const headers = {};
+    if (meta?.etag) {
+      headers['If-None-Match'] = meta.etag;
+    }
+    if (meta?.lastModified) {
+      headers['If-Modified-Since'] = meta.lastModified;
+    }
+
     // Fetch fresh data from API with retry
-    const res = await fetchWithRetry(API_URL);
-    const jsonResponse = await res.json();
-    const data = jsonResponse.data;
-    
-    // Cache the data
-    writeToCache(cacheFilePath, data);
-    
+    const res = await fetchWithRetry(url, 3, 1000, { headers, signal });
+
+    if (res.status === 304) {
+      const cachedData = readFromCache(cacheFilePath);
+      if (cachedData) {
+        log('API data not modified, refreshing cache');
+        writeCacheMeta(cacheFilePath, {
+          ...meta,
+          etag: res.headers.get('etag') || meta?.etag || null,
+          lastModified: res.headers.get('last-modified') || meta?.lastModified || null,
+          fetchedAt: new Date().toISOString()
+        });
+        if (getFixtureMode() === 'record') {
+          recordResponse(url, cachedData, res.status);
+        }
+        recordSuccess(url);
+        return cachedData;
+      }
+
+      // Cached copy is unusable, fetch the full payload again
+      log('API data not modified but cache is unreadable, fetching full data');
+      const data = await fetchAndCache(url, cacheFilePath, signal);
+      recordSuccess(url);
+      return data;
+    }
+
+    const data = await storeResponse(res, url, cacheFilePath);
+    recordSuccess(url);
     return data;
   } catch (error) {
     const errorMessage = `Fehler beim Abrufen der API-Daten: ${error.message}`;
     log(errorMessage);
+
+    // Aborts by the caller don't say anything about the portal's health
+    if (liveRequest && !signal?.aborted) {
+      recordFailure(url, error);
+    }
     
     // On error, try to use cached data even if expired
-    const cacheFilePath = getCacheFilePath(API_URL);
+    if (!url || getFixtureMode() === 'replay') {
+      return null;
+    }
+
+    const cacheFilePath = getCacheFilePath(url);
     if (fs.existsSync(cacheFilePath)) {
       log('Fetching from API failed, using expired cache as fallback');
       const cachedData = readFromCache(cacheFilePath);
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Consecutive failed calls before the circuit opens
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 3;
+// Time in ms an open circuit waits before a probe request is allowed
+const COOLDOWN = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN, 10) || 43200000; // 12 hours
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Get the file the circuit states are persisted in
+ * Lives in the data directory so the state survives restarts.
+ * @returns {string} - State file path
+ */
+function getStateFilePath() {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  return path.resolve(dataDir, 'circuit-breaker.json');
+}
+
+/**
+ * Read all persisted circuit states
+ * @returns {object} - Circuit states by key
+ */
+function readStates() {
+  try {
+    const stateFilePath = getStateFilePath();
+    return fs.existsSync(stateFilePath) ? JSON.parse(fs.readFileSync(stateFilePath, 'utf8')) : {};
+  } catch (error) {
+    log(`Error reading circuit breaker state: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Persist all circuit states
+ * @param {object} states - Circuit states by key
+ */
+function writeStates(states) {
+  try {
+    fs.writeFileSync(getStateFilePath(), JSON.stringify(states, null, 2));
+  } catch (error) {
+    log(`Error writing circuit breaker state: ${error.message}`);
+  }
+}
+
+/**
+ * Get the state of one circuit
+ * @param {string} key - Circuit key (e.g. the API URL)
+ * @returns {object} - { state, failures, openedAt, lastFailureAt, lastError }
+ */
+function getCircuitState(key) {
+  return readStates()[key] || { state: CIRCUIT_STATES.CLOSED, failures: 0 };
+}
+
+/**
+ * Check whether a live request may be made
+ * An open circuit switches to half-open once the cool-down has passed,
+ * which lets exactly one probe request through.
+ * @param {string} key - Circuit key
+ * @returns {boolean} - True if the request may be made
+ */
+function canRequest(key) {
+  const states = readStates();
+  const circuit = states[key];
+
+  if (!circuit || circuit.state !== CIRCUIT_STATES.OPEN) {
+    return true;
+  }
+
+  const openFor = Date.now() - new Date(circuit.openedAt).getTime();
+  if (openFor < COOLDOWN) {
+    return false;
+  }
+
+  states[key] = { ...circuit, state: CIRCUIT_STATES.HALF_OPEN };
+  writeStates(states);
+  log(`Circuit for ${key} is half-open, probing again`);
+  return true;
+}
+
+/**
+ * Record a successful call and close the circuit
+ * @param {string} key - Circuit key
+ */
+function recordSuccess(key) {
+  const states = readStates();
+  const circuit = states[key];
+
+  if (circuit && circuit.state !== CIRCUIT_STATES.CLOSED) {
+    log(`Circuit for ${key} closed again`);
+  }
+
+  states[key] = { state: CIRCUIT_STATES.CLOSED, failures: 0, lastSuccessAt: new Date().toISOString() };
+  writeStates(states);
+}
+
+/**
+ * Record a failed call
+ * Opens the circuit after FAILURE_THRESHOLD consecutive failures or when a probe fails.
+ * @param {string} key - Circuit key
+ * @param {Error} error - The failure
+ */
+function recordFailure(key, error) {
+  const states = readStates();
+  const circuit = states[key] || { state: CIRCUIT_STATES.CLOSED, failures: 0 };
+  const failures = (circuit.failures || 0) + 1;
+  const now = new Date().toISOString();
+
+  const shouldOpen = circuit.state === CIRCUIT_STATES.HALF_OPEN || failures >= FAILURE_THRESHOLD;
+
+  states[key] = {
+    ...circuit,
+    state: shouldOpen ? CIRCUIT_STATES.OPEN : circuit.state,
+    failures,
+    openedAt: shouldOpen ? now : circuit.openedAt,
+    lastFailureAt: now,
+    lastError: error?.message || String(error)
+  };
+  writeStates(states);
+
+  if (shouldOpen) {
+    log(`Circuit for ${key} opened after ${failures} failures, live requests paused for ${COOLDOWN}ms`);
+  }
+}
+
+/**
+ * Get all circuit states, e.g. for the run summary
+ * @returns {object} - Circuit states by key
+ */
+function getCircuitStates() {
+  return readStates();
+}
+
+export {
+  CIRCUIT_STATES,
+  getCircuitState,
+  canRequest,
+  recordSuccess,
+  recordFailure,
+  getCircuitStates
+};
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Stores the replay position per URL so consecutive runs continue where the last one stopped
+const CURSOR_FILE = '.replay-cursor.json';
+
+/**
+ * Get the fixture mode from FIXTURE_MODE ('record', 'replay' or off)
+ * Read on every call so tests and scripts can switch modes at runtime.
+ * @returns {string|null} - 'record', 'replay' or null
+ */
+function getFixtureMode() {
+  const mode = (process.env.FIXTURE_MODE || '').trim().toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : null;
+}
+
+/**
+ * Get the fixtures directory, creating it if necessary
+ * @returns {string} - Fixtures directory path
+ */
+function getFixturesDir() {
+  const fixturesDir = process.env.FIXTURES_DIR || path.resolve(__dirname, '../../fixtures');
+
+  if (!fs.existsSync(fixturesDir)) {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    log(`Created fixtures directory: ${fixturesDir}`);
+  }
+
+  return fixturesDir;
+}
+
+/**
+ * Get a short, file name safe key for a URL
+ * @param {string} url - API URL
+ * @returns {string} - URL key
+ */
+function getUrlKey(url) {
+  return crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+}
+
+/**
+ * List the recordings of a URL in recording order
+ * @param {string} url - API URL
+ * @returns {string[]} - Fixture file names
+ */
+function listFixtures(url) {
+  const urlKey = getUrlKey(url);
+  return fs.readdirSync(getFixturesDir())
+    .filter(fileName => fileName.endsWith(`-${urlKey}.json`))
+    .sort();
+}
+
+/**
+ * Save an API response as a timestamped fixture
+ * @param {string} url - Fetched URL
+ * @param {Array} data - API response data
+ * @param {number} status - HTTP status of the response
+ * @returns {string|null} - Path of the written fixture or null on error
+ */
+function recordResponse(url, data, status = 200) {
+  try {
+    const recordedAt = new Date().toISOString();
+    // Timestamps sort chronologically; ':' and '.' are not allowed in every file system
+    const fileName = `${recordedAt.replace(/[:.]/g, '-')}-${getUrlKey(url)}.json`;
+    const fixturePath = path.join(getFixturesDir(), fileName);
+
+    fs.writeFileSync(fixturePath, JSON.stringify({ url, recordedAt, status, data }, null, 2));
+    log(`Recorded API response to ${fixturePath}`);
+    return fixturePath;
+  } catch (error) {
+    log(`Error recording API response: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the replay cursor file
+ * @returns {object} - Replay position per URL key
+ */
+function readCursor() {
+  const cursorPath = path.join(getFixturesDir(), CURSOR_FILE);
+  try {
+    return fs.existsSync(cursorPath) ? JSON.parse(fs.readFileSync(cursorPath, 'utf8')) : {};
+  } catch (error) {
+    log(`Error reading replay cursor, starting from the first recording: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Return the next recorded response of a URL
+ * @param {string} url - API URL
+ * @returns {Array|null} - Recorded data or null when no recording is left
+ */
+function replayNextResponse(url) {
+  try {
+    const fixtures = listFixtures(url);
+    const cursor = readCursor();
+    const urlKey = getUrlKey(url);
+    const position = cursor[urlKey] || 0;
+
+    if (position >= fixtures.length) {
+      log(`No recorded API response left to replay (${fixtures.length} recordings for ${url})`);
+      return null;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(path.join(getFixturesDir(), fixtures[position]), 'utf8'));
+
+    cursor[urlKey] = position + 1;
+    fs.writeFileSync(path.join(getFixturesDir(), CURSOR_FILE), JSON.stringify(cursor, null, 2));
+
+    log(`Replaying API response ${position + 1}/${fixtures.length} recorded at ${fixture.recordedAt}`);
+    return fixture.data;
+  } catch (error) {
+    log(`Error replaying API response: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Start replaying from the first recording again
+ */
+function resetReplay() {
+  const cursorPath = path.join(getFixturesDir(), CURSOR_FILE);
+  if (fs.existsSync(cursorPath)) {
+    fs.unlinkSync(cursorPath);
+  }
+}
+
+export { getFixtureMode, getUrlKey, recordResponse, replayNextResponse, resetReplay };
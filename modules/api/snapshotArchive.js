@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+import { getUrlKey } from './fixtureRecorder.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SNAPSHOT_SUFFIX = '.json.gz';
+
+/**
+ * Get the snapshot directory, creating it if necessary
+ * Defaults to a folder inside the data directory so snapshots are persisted with the database.
+ * @returns {string} - Snapshot directory path
+ */
+function getSnapshotDir() {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+  const snapshotDir = process.env.SNAPSHOT_DIR || path.resolve(dataDir, 'snapshots');
+
+  if (!fs.existsSync(snapshotDir)) {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+    log(`Created snapshot directory: ${snapshotDir}`);
+  }
+
+  return snapshotDir;
+}
+
+/**
+ * Get the retention policy from the environment
+ * @returns {{ maxAgeDays: number, maxCount: number }} - 0 disables a limit
+ */
+function getRetentionPolicy() {
+  return {
+    maxAgeDays: parseInt(process.env.SNAPSHOT_RETENTION_DAYS ?? '365', 10) || 0,
+    maxCount: parseInt(process.env.SNAPSHOT_MAX_COUNT ?? '0', 10) || 0
+  };
+}
+
+/**
+ * Save a fetched payload as a compressed, timestamped snapshot
+ * @param {string} url - Fetched URL
+ * @param {Array} data - API response data
+ * @returns {string|null} - Path of the written snapshot or null on error
+ */
+function saveSnapshot(url, data) {
+  try {
+    const fetchedAt = new Date().toISOString();
+    // Timestamps sort chronologically; ':' and '.' are not allowed in every file system
+    const fileName = `${fetchedAt.replace(/[:.]/g, '-')}-${getUrlKey(url)}${SNAPSHOT_SUFFIX}`;
+    const snapshotPath = path.join(getSnapshotDir(), fileName);
+
+    fs.writeFileSync(snapshotPath, zlib.gzipSync(JSON.stringify({ url, fetchedAt, data })));
+    log(`Saved API snapshot ${fileName}`);
+
+    pruneSnapshots(url);
+    return snapshotPath;
+  } catch (error) {
+    log(`Error saving API snapshot: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List snapshots in chronological order
+ * @param {string} [url] - Only list snapshots of this URL
+ * @returns {string[]} - Snapshot file paths
+ */
+function listSnapshots(url) {
+  const snapshotDir = getSnapshotDir();
+  const urlSuffix = url ? `-${getUrlKey(url)}${SNAPSHOT_SUFFIX}` : SNAPSHOT_SUFFIX;
+
+  return fs.readdirSync(snapshotDir)
+    .filter(fileName => fileName.endsWith(urlSuffix))
+    .sort()
+    .map(fileName => path.join(snapshotDir, fileName));
+}
+
+/**
+ * Get the time a snapshot was taken from its file name
+ * @param {string} snapshotPath - Snapshot file path
+ * @returns {Date} - Fetch time of the snapshot
+ */
+function getSnapshotTime(snapshotPath) {
+  const match = path.basename(snapshotPath).match(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  return match
+    ? new Date(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`)
+    : fs.statSync(snapshotPath).mtime;
+}
+
+/**
+ * Load a snapshot
+ * @param {string} snapshotPath - Snapshot file path or file name inside the snapshot directory
+ * @returns {{ url: string, fetchedAt: string, data: Array }} - Snapshot content
+ */
+function loadSnapshot(snapshotPath) {
+  const resolvedPath = fs.existsSync(snapshotPath)
+    ? snapshotPath
+    : path.join(getSnapshotDir(), snapshotPath);
+
+  return JSON.parse(zlib.gunzipSync(fs.readFileSync(resolvedPath)).toString('utf8'));
+}
+
+/**
+ * Delete snapshots of a URL that fall outside the retention policy
+ * The newest snapshot is always kept.
+ * @param {string} url - URL whose snapshots are pruned
+ * @returns {number} - Number of deleted snapshots
+ */
+function pruneSnapshots(url) {
+  const { maxAgeDays, maxCount } = getRetentionPolicy();
+  const snapshots = listSnapshots(url);
+  const cutoff = Date.now() - maxAgeDays * 86400000;
+  let deleted = 0;
+
+  snapshots.slice(0, -1).forEach((snapshotPath, index) => {
+    const tooMany = maxCount > 0 && snapshots.length - index > maxCount;
+    const tooOld = maxAgeDays > 0 && getSnapshotTime(snapshotPath).getTime() < cutoff;
+
+    if (tooMany || tooOld) {
+      fs.unlinkSync(snapshotPath);
+      deleted++;
+    }
+  });
+
+  if (deleted > 0) {
+    log(`Pruned ${deleted} API snapshots`);
+  }
+
+  return deleted;
+}
+
+/**
+ * Compare the records of two snapshots by id
+ * @param {Array} oldData - Records of the older snapshot
+ * @param {Array} newData - Records of the newer snapshot
+ * @returns {{ added: Array, removed: Array, modified: Array }} - Modified entries
+ *   are { id, before, after, changes: [{ field, oldValue, newValue }] }
+ */
+function diffSnapshots(oldData, newData) {
+  const oldById = new Map(oldData.map(record => [record.id, record]));
+  const newById = new Map(newData.map(record => [record.id, record]));
+
+  const added = newData.filter(record => !oldById.has(record.id));
+  const removed = oldData.filter(record => !newById.has(record.id));
+  const modified = [];
+
+  for (const after of newData) {
+    const before = oldById.get(after.id);
+    if (!before) {
+      continue;
+    }
+
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [...fields]
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, oldValue: before[field], newValue: after[field] }));
+
+    if (changes.length > 0) {
+      modified.push({ id: after.id, before, after, changes });
+    }
+  }
+
+  return { added, removed, modified };
+}
+
+export {
+  saveSnapshot,
+  listSnapshots,
+  getSnapshotTime,
+  loadSnapshot,
+  pruneSnapshots,
+  diffSnapshots
+};
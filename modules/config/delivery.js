@@ -0,0 +1,191 @@
+import { log } from '../logger/logger.js';
+
+/**
+ * Delivery modes and quiet hours of notification destinations
+ * Every destination (an exam type's channels or a subscription) has a delivery mode:
+ * - instant: every run sends its findings, including "no new appointments"
+ * - only-when-new: like instant, but runs without new appointments stay silent
+ * - daily / weekly: findings are collected and sent as one digest per day or week
+ * Quiet hours hold a destination's messages in the outbox until they are over.
+ * Reminders go out a number of days before every exam (REMINDER_DAYS).
+ */
+
+const DELIVERY_MODES = {
+  INSTANT: 'instant',
+  ONLY_WHEN_NEW: 'only-when-new',
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+// Modes that collect findings for a digest instead of sending them right away
+const DIGEST_MODES = [DELIVERY_MODES.DAILY, DELIVERY_MODES.WEEKLY];
+
+// Days before an exam on which reminders go out when REMINDER_DAYS is not set
+const DEFAULT_REMINDER_DAYS = [14, 3];
+
+/**
+ * Check a configured delivery mode
+ * @param {string|undefined} value - Configured mode
+ * @param {string} fallback - Mode used when none is configured
+ * @returns {string} One of DELIVERY_MODES
+ * @throws {Error} If the mode is unknown
+ */
+function parseDeliveryMode(value, fallback = DELIVERY_MODES.INSTANT) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const mode = String(value).trim().toLowerCase();
+  if (!Object.values(DELIVERY_MODES).includes(mode)) {
+    throw new Error(`Unknown delivery mode "${value}", expected one of: ${Object.values(DELIVERY_MODES).join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Parse a time of day
+ * @param {string} value - Time as HH:MM
+ * @returns {number|null} Minutes after midnight, null if the value is no valid time
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [hours, minutes] = [Number(match[1]), Number(match[2])];
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Parse configured quiet hours
+ * The range may span midnight, e.g. "22:00-07:00". Times are local times of the crawler (TZ).
+ * @param {string|undefined} value - Quiet hours as "HH:MM-HH:MM"
+ * @returns {Object|null} { start, end, label } in minutes after midnight, null if not configured
+ * @throws {Error} If the range cannot be parsed
+ */
+function parseQuietHours(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const [start, end] = String(value).split('-').map(parseTimeOfDay);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start === end) {
+    throw new Error(`Invalid quiet hours "${value}", expected e.g. "22:00-07:00"`);
+  }
+
+  return { start, end, label: String(value).replace(/\s/g, '') };
+}
+
+/**
+ * Get the delivery settings of destinations without their own
+ * NOTIFICATION_DELIVERY and QUIET_HOURS; invalid values are logged and ignored.
+ * @returns {Object} { delivery, quietHours }
+ */
+function getDefaultDelivery() {
+  const defaults = { delivery: DELIVERY_MODES.INSTANT, quietHours: null };
+
+  try {
+    defaults.delivery = parseDeliveryMode(process.env.NOTIFICATION_DELIVERY);
+  } catch (error) {
+    log(`Ignoring NOTIFICATION_DELIVERY: ${error.message}`);
+  }
+
+  try {
+    defaults.quietHours = parseQuietHours(process.env.QUIET_HOURS);
+  } catch (error) {
+    log(`Ignoring QUIET_HOURS: ${error.message}`);
+  }
+
+  return defaults;
+}
+
+/**
+ * Parse the days before an exam on which reminders go out
+ * @param {string} value - Comma separated days, e.g. "14,3"; "off" or "" disables reminders
+ * @returns {number[]} Distinct days, furthest first
+ * @throws {Error} If a day is no positive whole number
+ */
+function parseReminderDays(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (text === '' || text === 'off') {
+    return [];
+  }
+
+  const days = text.split(',').map(day => {
+    const number = Number(day.trim());
+    if (!Number.isInteger(number) || number <= 0) {
+      throw new Error(`Invalid reminder day "${day.trim()}", expected e.g. "14,3"`);
+    }
+    return number;
+  });
+
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+/**
+ * Get the days before an exam on which reminders go out
+ * From REMINDER_DAYS, defaulting to 14 and 3 days; invalid values are logged and ignored.
+ * @returns {number[]} Days, furthest first
+ */
+function getReminderDays() {
+  if (process.env.REMINDER_DAYS === undefined) {
+    return [...DEFAULT_REMINDER_DAYS];
+  }
+
+  try {
+    return parseReminderDays(process.env.REMINDER_DAYS);
+  } catch (error) {
+    log(`Ignoring REMINDER_DAYS: ${error.message}`);
+    return [...DEFAULT_REMINDER_DAYS];
+  }
+}
+
+// Minutes after local midnight of a date
+const getMinuteOfDay = date => date.getHours() * 60 + date.getMinutes();
+
+/**
+ * Check whether a time falls into quiet hours
+ * @param {Object|null} quietHours - Result of parseQuietHours
+ * @param {Date} date - Time to check
+ * @returns {boolean} True during quiet hours
+ */
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours) {
+    return false;
+  }
+
+  const minute = getMinuteOfDay(date);
+  return quietHours.start < quietHours.end
+    ? minute >= quietHours.start && minute < quietHours.end
+    : minute >= quietHours.start || minute < quietHours.end;
+}
+
+/**
+ * Get the end of the quiet hours a time falls into
+ * @param {Object} quietHours - Result of parseQuietHours
+ * @param {Date} date - Time during the quiet hours
+ * @returns {Date} First minute after the quiet hours
+ */
+function getQuietHoursEnd(quietHours, date = new Date()) {
+  const end = new Date(date);
+  end.setHours(Math.floor(quietHours.end / 60), quietHours.end % 60, 0, 0);
+
+  if (end <= date) {
+    end.setDate(end.getDate() + 1);
+  }
+  return end;
+}
+
+export {
+  DELIVERY_MODES,
+  DIGEST_MODES,
+  parseDeliveryMode,
+  parseTimeOfDay,
+  parseQuietHours,
+  getDefaultDelivery,
+  parseReminderDays,
+  getReminderDays,
+  isQuietTime,
+  getQuietHoursEnd
+};
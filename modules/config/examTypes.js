@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import { log } from '../logger/logger.js';
+import { DISCORD_COLORS } from '../discord/discordNotifier.js';
+import { DEFAULT_SOURCE } from '../sources/index.js';
+import { getDefaultDelivery, parseDeliveryMode, parseQuietHours } from './delivery.js';
+
+// Watched when no exam types are configured
+const DEFAULT_EXAM_TYPES = [
+  { id: 1, label: 'Fischerprüfung' }
+];
+
+/**
+ * Convert a configured colour into a Discord colour value
+ * Accepts numbers, hex strings ("#57F287" or "0x57F287") and DISCORD_COLORS names ("success")
+ * @param {number|string|undefined} color - Configured colour
+ * @returns {number|undefined} Discord colour value
+ */
+function parseColor(color) {
+  if (typeof color === 'number') {
+    return color;
+  }
+
+  if (typeof color !== 'string' || color.trim() === '') {
+    return undefined;
+  }
+
+  const namedColor = DISCORD_COLORS[color.trim().toUpperCase()];
+  if (namedColor !== undefined) {
+    return namedColor;
+  }
+
+  const hexColor = parseInt(color.trim().replace(/^(#|0x)/i, ''), 16);
+  return Number.isNaN(hexColor) ? undefined : hexColor;
+}
+
+/**
+ * Get the delivery settings of an exam type, invalid values fall back to the defaults
+ * @param {Object} examType - Configured exam type
+ * @param {Object} defaults - Result of getDefaultDelivery
+ * @returns {Object} { delivery, quietHours }
+ */
+function parseExamTypeDelivery(examType, defaults) {
+  const settings = { ...defaults };
+
+  try {
+    settings.delivery = parseDeliveryMode(examType.delivery, defaults.delivery);
+    if (examType.quietHours !== undefined) {
+      settings.quietHours = parseQuietHours(examType.quietHours);
+    }
+  } catch (error) {
+    log(`Exam type ${examType.id}: ${error.message}, using the default delivery`);
+    return { ...defaults };
+  }
+
+  return settings;
+}
+
+/**
+ * Read the raw exam type configuration
+ * EXAM_TYPES_FILE points to a JSON file, EXAM_TYPES may hold the JSON inline.
+ * @returns {Array|null} Configured exam types or null if none are configured
+ */
+function readExamTypeConfig() {
+  if (process.env.EXAM_TYPES_FILE) {
+    const configPath = path.resolve(process.env.EXAM_TYPES_FILE);
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  if (process.env.EXAM_TYPES) {
+    return JSON.parse(process.env.EXAM_TYPES);
+  }
+
+  return null;
+}
+
+/**
+ * Load the list of watched exam types
+ * Each exam type has an API id, a label, an optional source (defaults to
+ * DEFAULT_SOURCE), an optional Discord webhook (falls back to DISCORD_WEBHOOK_URL),
+ * an optional embed colour and an optional delivery mode and quiet hours (fall back to
+ * NOTIFICATION_DELIVERY and QUIET_HOURS, see delivery.js).
+ * @returns {Array} Array of { id, source, label, webhookUrl, color, delivery, quietHours } objects
+ */
+function loadExamTypes() {
+  let configuredTypes;
+
+  try {
+    configuredTypes = readExamTypeConfig();
+  } catch (error) {
+    log(`Error reading exam type configuration, using defaults: ${error.message}`);
+    configuredTypes = null;
+  }
+
+  if (!Array.isArray(configuredTypes) || configuredTypes.length === 0) {
+    configuredTypes = DEFAULT_EXAM_TYPES;
+  }
+
+  const defaultDelivery = getDefaultDelivery();
+
+  return configuredTypes
+    .filter(examType => {
+      if (examType?.id === undefined || examType?.id === null) {
+        log(`Ignoring exam type without id: ${JSON.stringify(examType)}`);
+        return false;
+      }
+      return true;
+    })
+    .map(examType => ({
+      id: examType.id,
+      source: examType.source || DEFAULT_SOURCE,
+      label: examType.label || `Prüfungstyp ${examType.id}`,
+      webhookUrl: examType.webhookUrl || process.env.DISCORD_WEBHOOK_URL,
+      color: parseColor(examType.color),
+      ...parseExamTypeDelivery(examType, defaultDelivery)
+    }));
+}
+
+export { loadExamTypes, parseColor };
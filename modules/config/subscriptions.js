@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import { log } from '../logger/logger.js';
+import { resolveLocation } from '../geo/geocoder.js';
+import { getDefaultDelivery, parseDeliveryMode, parseQuietHours } from './delivery.js';
+
+// Weekdays as numbered by Date.getDay(), keyed by the first two letters of the German name
+const WEEKDAYS = {
+  so: 0,
+  mo: 1,
+  di: 2,
+  mi: 3,
+  do: 4,
+  fr: 5,
+  sa: 6
+};
+
+// Channel used by subscriptions that only name a webhookUrl
+const DEFAULT_SUBSCRIPTION_CHANNEL = 'discord';
+
+/**
+ * Turn a single value or a list of values into a list of lowercase texts
+ * @param {*} value - Configured value
+ * @returns {string[]|undefined} Accepted values, undefined if the criterion is not set
+ */
+function toTextList(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return [].concat(value).map(entry => String(entry).trim().toLowerCase());
+}
+
+/**
+ * Convert configured weekdays into Date.getDay() numbers
+ * Accepts numbers (0 = Sunday) and German names or abbreviations ("Sa", "Samstag")
+ * @param {*} value - Configured weekdays
+ * @returns {number[]|undefined} Weekday numbers, undefined if the criterion is not set
+ */
+function parseWeekdays(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  return [].concat(value).map(weekday => {
+    const day = typeof weekday === 'number'
+      ? weekday
+      : WEEKDAYS[String(weekday).trim().toLowerCase().slice(0, 2)];
+
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw new Error(`Unknown weekday "${weekday}"`);
+    }
+    return day;
+  });
+}
+
+/**
+ * Convert a configured date bound
+ * A plain date (yyyy-mm-dd) as upper bound includes the whole day.
+ * @param {string|undefined} value - Configured date
+ * @param {boolean} endOfDay - Whether a plain date means the end of that day
+ * @returns {Date|undefined} Date bound
+ */
+function parseDateBound(value, endOfDay = false) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+  const date = new Date(isPlainDate ? `${value}T00:00:00` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+
+  if (isPlainDate && endOfDay) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Convert a configured radius around a place
+ * @param {Object|undefined} within - { km, of }, of is a place or landkreis of the
+ *   gazetteer, "lat, lon" or { lat, lon }
+ * @returns {Object|undefined} { km, point }, undefined if the criterion is not set
+ */
+function parseWithin(within) {
+  if (within === undefined || within === null) {
+    return undefined;
+  }
+
+  const km = Number(within.km);
+  if (!Number.isFinite(km) || km <= 0) {
+    throw new Error(`within.km must be a positive distance, got "${within.km}"`);
+  }
+
+  const point = resolveLocation(within.of);
+  if (!point) {
+    throw new Error(`Unknown place "${typeof within.of === 'object' ? JSON.stringify(within.of) : within.of}"`);
+  }
+
+  return { km, point };
+}
+
+/**
+ * Read the raw subscription configuration
+ * SUBSCRIPTIONS_FILE points to a JSON file, SUBSCRIPTIONS may hold the JSON inline.
+ * @returns {Array|null} Configured subscriptions or null if none are configured
+ */
+function readSubscriptionConfig() {
+  if (process.env.SUBSCRIPTIONS_FILE) {
+    const configPath = path.resolve(process.env.SUBSCRIPTIONS_FILE);
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  if (process.env.SUBSCRIPTIONS) {
+    return JSON.parse(process.env.SUBSCRIPTIONS);
+  }
+
+  return null;
+}
+
+/**
+ * Normalize one configured subscription
+ * @param {Object} subscription - Configured subscription
+ * @param {number} index - Position in the configuration, used for the default name
+ * @param {Object} defaults - Delivery settings used when the subscription has none (getDefaultDelivery)
+ * @returns {Object} Normalized subscription
+ * @throws {Error} If a criterion or the delivery settings cannot be parsed
+ */
+function normalizeSubscription(subscription, index, defaults = getDefaultDelivery()) {
+  const withinDays = subscription.withinDays ?? undefined;
+  if (withinDays !== undefined && !(Number.isInteger(withinDays) && withinDays > 0)) {
+    throw new Error(`withinDays must be a positive number of days, got "${withinDays}"`);
+  }
+
+  return {
+    name: subscription.name || `Abo ${index + 1}`,
+    channel: subscription.channel || DEFAULT_SUBSCRIPTION_CHANNEL,
+    target: subscription.target || subscription.webhookUrl || undefined,
+    delivery: parseDeliveryMode(subscription.delivery, defaults.delivery),
+    quietHours: subscription.quietHours === undefined ? defaults.quietHours : parseQuietHours(subscription.quietHours),
+    examTypeIds: subscription.examTypes === undefined ? undefined : [].concat(subscription.examTypes),
+    landkreise: toTextList(subscription.landkreis),
+    locations: toTextList(subscription.pruefungsort),
+    offices: toTextList(subscription.office ?? subscription.pruefungsstelle),
+    weekdays: parseWeekdays(subscription.weekdays),
+    from: parseDateBound(subscription.from),
+    to: parseDateBound(subscription.to, true),
+    withinDays,
+    within: parseWithin(subscription.within)
+  };
+}
+
+/**
+ * Load the subscriptions that route appointments to their subscribers
+ * Each subscription has a destination (a channel from NOTIFICATION_CHANNELS, defaulting
+ * to discord, and a target such as a webhookUrl) and optional criteria: exam types,
+ * landkreis, pruefungsort, office, weekdays, an exam-date window (from/to and
+ * withinDays from now) and a radius around a place (within: { km, of }). List criteria
+ * accept a single value or an array and match case-insensitively. delivery and
+ * quietHours fall back to NOTIFICATION_DELIVERY and QUIET_HOURS. Invalid subscriptions,
+ * e.g. with a place missing from the gazetteer, are logged and skipped.
+ * @returns {Array} Normalized subscriptions, empty if none are configured
+ */
+function loadSubscriptions() {
+  let configuredSubscriptions;
+
+  try {
+    configuredSubscriptions = readSubscriptionConfig();
+  } catch (error) {
+    log(`Error reading subscription configuration, notifying everyone: ${error.message}`);
+    return [];
+  }
+
+  if (!Array.isArray(configuredSubscriptions)) {
+    return [];
+  }
+
+  const defaultDelivery = getDefaultDelivery();
+
+  return configuredSubscriptions.flatMap((subscription, index) => {
+    try {
+      return [normalizeSubscription(subscription || {}, index, defaultDelivery)];
+    } catch (error) {
+      log(`Ignoring subscription ${subscription?.name || index + 1}: ${error.message}`);
+      return [];
+    }
+  });
+}
+
+export { loadSubscriptions, normalizeSubscription, parseWeekdays };
@@ -0,0 +1,65 @@
+/**
+ * Fields that are compared between a stored and a freshly fetched appointment.
+ * Each entry names the document field and the label used in notifications.
+ */
+const TRACKED_FIELDS = [
+  { field: 'date', label: '📅 Termin' },
+  { field: 'pruefungsstelle', label: '🏢 Prüfungsstelle' },
+  { field: 'pruefungsort', label: '📍 Ort' },
+  { field: 'landkreis', label: '🗺️ Landkreis' },
+  { field: 'address', label: '🏠 Adresse' },
+  { field: 'additionalInfo', label: 'ℹ️ Hinweise' }
+];
+
+/**
+ * Normalize a field value so equivalent representations compare equal
+ * @param {string} field - Name of the tracked field
+ * @param {*} value - Raw field value
+ * @returns {string} Comparable value
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  if (field === 'date') {
+    const timestamp = new Date(value).getTime();
+    return Number.isNaN(timestamp) ? String(value) : new Date(timestamp).toISOString();
+  }
+
+  return String(value).trim();
+}
+
+/**
+ * Compare a stored appointment with a fetched one
+ * Fields that were never stored (e.g. on records from older versions) are skipped
+ * so they don't show up as changes.
+ * @param {Object} stored - Appointment as stored in the database
+ * @param {Object} fetched - Appointment as fetched from the API
+ * @returns {Array} Field-level changes ({ field, label, oldValue, newValue })
+ */
+function diffAppointments(stored, fetched) {
+  const changes = [];
+
+  for (const { field, label } of TRACKED_FIELDS) {
+    if (stored[field] === undefined) {
+      continue;
+    }
+
+    const oldValue = normalizeValue(field, stored[field]);
+    const newValue = normalizeValue(field, fetched[field]);
+
+    if (oldValue !== newValue) {
+      changes.push({
+        field,
+        label,
+        oldValue: stored[field] ?? null,
+        newValue: fetched[field] ?? null
+      });
+    }
+  }
+
+  return changes;
+}
+
+export { TRACKED_FIELDS, diffAppointments };
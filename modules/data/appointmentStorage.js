@@ -1,11 +1,31 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { log } from '../logger/logger.js';
+import { diffAppointments } from './appointmentDiff.js';
+import {
+    LEGACY_SOURCE,
+    APPOINTMENT_EVENTS,
+    getLegacyTags,
+    matchesScope,
+    normalizeQueryCriteria,
+    normalizeQueryOptions,
+    matchesQuery,
+    compareForQuery,
+    paginate,
+    isPastAppointment,
+    isPurgeableArchive
+} from './storageHelpers.js';
 
 // Use environment variable or default to './known-appointments.json'
 // This allows for testing with different file paths
 const getDataFilePath = () => path.resolve(process.env.DATA_FILE_PATH || './known-appointments.json');
 
+// The event log lives next to the data file, one JSON event per line
+const getEventsFilePath = () => getDataFilePath().replace(/(\.json)?$/, '-events.jsonl');
+
+// Appointments whose exam has taken place are moved into an archive file next to the data file
+const getArchiveFilePath = () => getDataFilePath().replace(/(\.json)?$/, '-archive.json');
+
 /**
  * Ensures the data file exists, creating it if necessary
  */
@@ -19,17 +39,107 @@ async function ensureDataFile() {
     }
 }
 
+/**
+ * Reads all appointments from the data file without filtering
+ * @returns {Array} Array of appointment objects
+ */
+async function readAppointments() {
+    const data = await fs.readFile(getDataFilePath(), 'utf-8');
+    const parsedData = JSON.parse(data);
+    return Array.isArray(parsedData) ? parsedData : [];
+}
+
+/**
+ * Writes all appointments to the data file
+ * @param {Array} appointments - The complete set of appointments
+ */
+async function writeAppointments(appointments) {
+    await fs.writeFile(getDataFilePath(), JSON.stringify(appointments, null, 2), 'utf-8');
+}
+
+/**
+ * Appends a lifecycle event to the event log
+ * Failures are logged but never interrupt the storage operation that caused the event.
+ * @param {Number|String} appointmentId - The ID of the appointment
+ * @param {String} type - One of APPOINTMENT_EVENTS
+ * @param {Object} details - Optional event details
+ * @returns {Boolean} Success status
+ */
+async function recordAppointmentEvent(appointmentId, type, details = {}) {
+    try {
+        const event = { appointmentId, type, at: new Date(), details };
+        await fs.appendFile(getEventsFilePath(), `${JSON.stringify(event)}\n`, 'utf-8');
+        return true;
+    } catch (error) {
+        log(`Fehler beim Schreiben des Ereignisses ${type} für Termin ${appointmentId}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Gets all lifecycle events of one appointment, oldest first
+ * @param {Number|String} appointmentId - The ID of the appointment
+ * @returns {Array} Array of { appointmentId, type, at, details } objects
+ */
+async function getAppointmentTimeline(appointmentId) {
+    try {
+        const data = await fs.readFile(getEventsFilePath(), 'utf-8');
+        return data
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map(line => JSON.parse(line))
+            .filter(event => event.appointmentId === appointmentId)
+            .sort((a, b) => new Date(a.at) - new Date(b.at));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log(`Fehler beim Laden des Verlaufs von Termin ${appointmentId}: ${error.message}`);
+        }
+        return [];
+    }
+}
+
+/**
+ * Ensures the data file exists and tags appointments stored before source adapters existed
+ * @returns {Boolean} Success status
+ */
+async function initializeAppointmentsCollection() {
+    try {
+        await ensureDataFile();
+
+        const appointments = await readAppointments();
+        let taggedCount = 0;
+
+        const taggedAppointments = appointments.map(appointment => {
+            const tags = getLegacyTags(appointment);
+            if (!tags) {
+                return appointment;
+            }
+            taggedCount++;
+            return { ...appointment, ...tags };
+        });
+
+        if (taggedCount > 0) {
+            await writeAppointments(taggedAppointments);
+            log(`${taggedCount} alte Termine mit Quelle ${LEGACY_SOURCE} versehen`);
+        }
+
+        return true;
+    } catch (error) {
+        log(`Fehler beim Initialisieren der Termindatei: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Loads all known appointments from the data file
+ * @param {Object} scope - Optional { source, examTypeId } filter
  * @returns {Array} Array of appointment objects
  */
-async function loadKnownAppointments() {
-    const dataFile = getDataFilePath();
+async function loadKnownAppointments(scope = {}) {
     try {
-        const data = await fs.readFile(dataFile, 'utf-8');
-        const parsedData = JSON.parse(data);
+        const appointments = await readAppointments();
         log('Daten wurden geladen');
-        return Array.isArray(parsedData) ? parsedData : [];
+        return appointments.filter(appointment => matchesScope(appointment, scope));
     } catch (error) {
         log(`Daten wurden nicht geladen: ${error.message}`);
         return [];
@@ -42,13 +152,12 @@ async function loadKnownAppointments() {
  * @returns {Boolean} Success status
  */
 async function saveKnownAppointments(newAppointments) {
-    const dataFile = getDataFilePath();
     try {
         if (!Array.isArray(newAppointments)) {
             log('Warnung: Keine gültigen Termineinträge zum Speichern erhalten');
             return false;
         }
-        
+
         const existingAppointments = await loadKnownAppointments();
         const uniqueAppointments = [];
 
@@ -62,7 +171,7 @@ async function saveKnownAppointments(newAppointments) {
         // Add all new appointments
         uniqueAppointments.push(...newAppointments);
 
-        await fs.writeFile(dataFile, JSON.stringify(uniqueAppointments, null, 2), 'utf-8');
+        await writeAppointments(uniqueAppointments);
         return true;
     } catch (error) {
         log(`Fehler beim Speichern der Termine: ${error.message}`);
@@ -73,65 +182,418 @@ async function saveKnownAppointments(newAppointments) {
 /**
  * Finds appointments in fetched data that aren't in known appointments
  * @param {Array} fetchedAppointments - The appointments fetched from API
- * @param {Array} knownAppointments - The known appointments
+ * @param {Array} [knownAppointments] - The known appointments, loaded from the data file if omitted
  * @returns {Array} Array of new appointments
  */
 async function findNewAppointments(fetchedAppointments, knownAppointments) {
-    if (!Array.isArray(fetchedAppointments) || !Array.isArray(knownAppointments)) {
+    const known = knownAppointments ?? await loadKnownAppointments();
+
+    if (!Array.isArray(fetchedAppointments) || !Array.isArray(known)) {
         log('Warnung: Ungültige Eingabedaten beim Vergleich der Termine');
         return [];
     }
-    
+
     const newAppointments = [];
     for (const fetched of fetchedAppointments) {
-        const isKnown = knownAppointments.some(k => k.id === fetched.id);
+        const isKnown = known.some(k => k.id === fetched.id);
         if (!isKnown) {
-            newAppointments.push({ ...fetched, notified: false });
+            newAppointments.push({
+                ...fetched,
+                notified: false,
+                dateAdded: new Date()
+            });
         }
     }
     return newAppointments;
 }
 
 /**
- * Marks an appointment as notified
- * @param {Number|String} appointmentId - The ID of the appointment to mark
- * @param {Array} knownAppointments - The set of appointments being updated
+ * Finds known appointments whose details differ from the fetched data
+ * @param {Array} fetchedAppointments - The appointments fetched from API
+ * @returns {Array} Array of { appointment, previous, changes } objects
+ */
+async function findChangedAppointments(fetchedAppointments) {
+    if (!Array.isArray(fetchedAppointments) || fetchedAppointments.length === 0) {
+        return [];
+    }
+
+    const knownAppointments = await loadKnownAppointments();
+    const changedAppointments = [];
+
+    for (const fetched of fetchedAppointments) {
+        const stored = knownAppointments.find(known => known.id === fetched.id);
+        if (!stored) {
+            continue;
+        }
+
+        const changes = diffAppointments(stored, fetched);
+
+        if (changes.length > 0) {
+            changedAppointments.push({
+                appointment: { ...stored, ...fetched },
+                previous: stored,
+                changes
+            });
+        }
+    }
+
+    log(`${changedAppointments.length} geänderte Termine gefunden`);
+    return changedAppointments;
+}
+
+/**
+ * Persists changed appointment details together with their field-level diff
+ * @param {Array} changedAppointments - Result of findChangedAppointments
  * @returns {Boolean} Success status
  */
-async function markAsNotified(appointmentId, knownAppointments) {
+async function saveAppointmentChanges(changedAppointments) {
+    try {
+        if (!Array.isArray(changedAppointments) || changedAppointments.length === 0) {
+            return false;
+        }
+
+        const appointments = await readAppointments();
+        const changedAt = new Date();
+
+        for (const { appointment, changes } of changedAppointments) {
+            const index = appointments.findIndex(stored => stored.id === appointment.id);
+            if (index === -1) {
+                continue;
+            }
+
+            // Keep notification state, creation date and history of the stored appointment
+            const {
+                notified, notifiedAt, dateAdded,
+                changeHistory, lastChanges, lastChangedAt,
+                ...details
+            } = appointment;
+            const stored = appointments[index];
+
+            appointments[index] = {
+                ...stored,
+                ...details,
+                lastChanges: changes,
+                lastChangedAt: changedAt,
+                changeHistory: [...(stored.changeHistory || []), { changedAt, changes }]
+            };
+        }
+
+        await writeAppointments(appointments);
+
+        for (const { appointment, changes } of changedAppointments) {
+            await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.CHANGED, { changes });
+        }
+
+        return true;
+    } catch (error) {
+        log(`Fehler beim Speichern der Terminänderungen: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Tracks future appointments that are missing from the fetched data
+ * Each run an appointment is missing increments its missingCount; once it has
+ * been missing for graceRuns consecutive runs it is returned as cancelled.
+ * Appointments that show up again are reset (and reinstated if cancelled).
+ * @param {Array} fetchedAppointments - The appointments fetched from API
+ * @param {Number} graceRuns - Consecutive missing runs before an appointment counts as cancelled
+ * @param {Object} scope - Optional { source, examTypeId } filter restricting the checked appointments
+ * @param {Array} listedIds - IDs the source still lists but whose records were rejected this run;
+ *   they don't count as missing
+ * @returns {Array} Array of appointments that should be marked as cancelled
+ */
+async function findCancelledAppointments(fetchedAppointments, graceRuns = 2, scope = {}, listedIds = []) {
     try {
-        // Get the complete set of appointments to avoid data loss
-        const allAppointments = await loadKnownAppointments();
-        
-        // Find the appointment that needs to be updated
-        let appointmentUpdated = false;
-        
-        // Create the updated appointments list
-        const updatedAppointments = allAppointments.map(appointment => {
-            if (appointment.id === appointmentId) {
-                appointmentUpdated = true;
-                return { ...appointment, notified: true };
+        if (!Array.isArray(fetchedAppointments)) {
+            log('Warnung: Ungültige Eingabedaten bei der Suche nach abgesagten Terminen');
+            return [];
+        }
+
+        const fetchedIds = new Set(fetchedAppointments.map(appointment => appointment.id));
+        const stillListedIds = new Set(listedIds);
+        const now = new Date();
+        const appointments = await readAppointments();
+        const cancelledAppointments = [];
+        const reinstatedIds = [];
+
+        const updatedAppointments = appointments.map(appointment => {
+            if (fetchedIds.has(appointment.id)) {
+                // Reset appointments that are listed again
+                if (appointment.missingCount > 0 || appointment.cancelled) {
+                    if (appointment.cancelled) {
+                        reinstatedIds.push(appointment.id);
+                    }
+                    const { missingSince, cancelledAt, ...listed } = appointment;
+                    return { ...listed, missingCount: 0, cancelled: false };
+                }
+                return appointment;
+            }
+
+            // Only appointments that still lie in the future are expected in the feed
+            if (appointment.cancelled || stillListedIds.has(appointment.id)
+                || !matchesScope(appointment, scope) || !(new Date(appointment.date) > now)) {
+                return appointment;
             }
-            return appointment;
+
+            const missingCount = (appointment.missingCount || 0) + 1;
+            const missingSince = appointment.missingSince || now;
+
+            if (missingCount >= graceRuns) {
+                cancelledAppointments.push({ ...appointment, missingCount, missingSince });
+            }
+
+            return { ...appointment, missingCount, missingSince };
         });
-        
-        if (!appointmentUpdated) {
+
+        await writeAppointments(updatedAppointments);
+
+        for (const appointmentId of reinstatedIds) {
+            log(`Termin ${appointmentId} ist wieder gelistet`);
+            await recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.REINSTATED);
+        }
+
+        log(`${cancelledAppointments.length} abgesagte Termine gefunden`);
+        return cancelledAppointments;
+    } catch (error) {
+        log(`Fehler bei der Suche nach abgesagten Terminen: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Applies an update to a single appointment
+ * @param {Number|String} appointmentId - The ID of the appointment to update
+ * @param {Object} fields - Fields to set
+ * @returns {Boolean} True if the appointment was found
+ */
+async function updateAppointment(appointmentId, fields) {
+    // Get the complete set of appointments to avoid data loss
+    const allAppointments = await readAppointments();
+    let appointmentUpdated = false;
+
+    const updatedAppointments = allAppointments.map(appointment => {
+        if (appointment.id === appointmentId) {
+            appointmentUpdated = true;
+            return { ...appointment, ...fields };
+        }
+        return appointment;
+    });
+
+    if (appointmentUpdated) {
+        await writeAppointments(updatedAppointments);
+    }
+
+    return appointmentUpdated;
+}
+
+/**
+ * Marks an appointment as notified
+ * @param {Number|String} appointmentId - The ID of the appointment to mark
+ * @returns {Boolean} Success status
+ */
+async function markAsNotified(appointmentId) {
+    try {
+        const updated = await updateAppointment(appointmentId, { notified: true, notifiedAt: new Date() });
+
+        if (!updated) {
             log(`Warnung: Termin mit ID ${appointmentId} wurde nicht gefunden`);
+        } else {
+            await recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.NOTIFIED);
         }
-        
-        // Save all appointments with the updated one
-        await saveKnownAppointments(updatedAppointments);
-        return true;
+        return updated;
     } catch (error) {
         log(`Fehler beim Markieren des Termins als benachrichtigt: ${error.message}`);
         return false;
     }
 }
 
+/**
+ * Marks an appointment as not relevant for the team, or as relevant again
+ * Not relevant appointments are still tracked but get no reminders.
+ * @param {Number|String} appointmentId - The ID of the appointment to mark
+ * @param {Boolean} notRelevant - False to mark the appointment as relevant again
+ * @returns {Boolean} Success status
+ */
+async function markAsNotRelevant(appointmentId, notRelevant = true) {
+    try {
+        const updated = await updateAppointment(appointmentId, { notRelevant, notRelevantAt: notRelevant ? new Date() : null });
+
+        if (!updated) {
+            log(`Warnung: Termin mit ID ${appointmentId} wurde nicht gefunden`);
+        } else {
+            await recordAppointmentEvent(appointmentId, notRelevant ? APPOINTMENT_EVENTS.MARKED_NOT_RELEVANT : APPOINTMENT_EVENTS.MARKED_RELEVANT);
+        }
+        return updated;
+    } catch (error) {
+        log(`Fehler beim Markieren der Relevanz des Termins: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Marks an appointment as cancelled
+ * @param {Number|String} appointmentId - The ID of the appointment to mark
+ * @returns {Boolean} Success status
+ */
+async function markAsCancelled(appointmentId) {
+    try {
+        const updated = await updateAppointment(appointmentId, { cancelled: true, cancelledAt: new Date() });
+
+        if (!updated) {
+            log(`Warnung: Termin mit ID ${appointmentId} wurde nicht gefunden`);
+        } else {
+            await recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.CANCELLED);
+        }
+        return updated;
+    } catch (error) {
+        log(`Fehler beim Markieren des Termins als abgesagt: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Finds appointments by criteria, sorted and paginated
+ * The JSON file has no indexes, so the whole file is filtered in memory.
+ * @param {Object} criteria - See normalizeQueryCriteria in storageHelpers.js
+ * @param {Object} options - { sortBy, sortOrder, limit, offset }, see normalizeQueryOptions
+ * @returns {Array} Array of appointment objects
+ */
+async function queryAppointments(criteria = {}, options = {}) {
+    try {
+        const normalizedCriteria = normalizeQueryCriteria(criteria);
+        const normalizedOptions = normalizeQueryOptions(options);
+
+        const appointments = (await readAppointments())
+            .filter(appointment => matchesQuery(appointment, normalizedCriteria))
+            .sort(compareForQuery(normalizedOptions));
+
+        return paginate(appointments, normalizedOptions);
+    } catch (error) {
+        log(`Fehler bei der Terminabfrage: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Gets all appointments that have been notified and are not cancelled
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Array} Array of notified appointment objects
+ */
+async function getNotifiedAppointments(scope = {}) {
+    return queryAppointments({ ...scope, notified: true, cancelled: false });
+}
+
+/**
+ * Gets the appointments with the latest exam dates that are not cancelled
+ * @param {Number} limit - Number of appointments to return
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Array} Array of appointment objects
+ */
+async function getMostRecentAppointments(limit = 2, scope = {}) {
+    return queryAppointments({ ...scope, cancelled: false }, { sortBy: 'date', sortOrder: 'desc', limit });
+}
+
+/**
+ * Reads all archived appointments
+ * @returns {Array} Array of archived appointment objects
+ */
+async function readArchive() {
+    try {
+        const parsedData = JSON.parse(await fs.readFile(getArchiveFilePath(), 'utf-8'));
+        return Array.isArray(parsedData) ? parsedData : [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Loads archived appointments
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Array} Array of archived appointment objects
+ */
+async function loadArchivedAppointments(scope = {}) {
+    try {
+        const archive = await readArchive();
+        return archive.filter(appointment => matchesScope(appointment, scope));
+    } catch (error) {
+        log(`Archiv wurde nicht geladen: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Moves past appointments into the archive and purges old archived ones
+ * An appointment is archived once its exam date has passed; archived appointments
+ * are deleted for good daysToKeep days after their exam.
+ * @param {Number} daysToKeep - Number of days archived appointments are kept after their exam
+ * @returns {Object|null} { archived, purged } counts or null on error
+ */
+async function pruneOldAppointments(daysToKeep = 90) {
+    try {
+        const now = new Date();
+        const cutoffDate = new Date(now);
+        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+        const appointments = await readAppointments();
+        const pastAppointments = appointments.filter(appointment => isPastAppointment(appointment, now, cutoffDate));
+        const keptAppointments = appointments.filter(appointment => !pastAppointments.includes(appointment));
+
+        const archive = await readArchive();
+        const pastIds = new Set(pastAppointments.map(appointment => appointment.id));
+        const updatedArchive = [
+            ...archive.filter(appointment => !pastIds.has(appointment.id)),
+            ...pastAppointments.map(appointment => ({ ...appointment, archivedAt: now }))
+        ];
+        const expiredAppointments = updatedArchive.filter(appointment => isPurgeableArchive(appointment, cutoffDate));
+        const keptArchive = updatedArchive.filter(appointment => !expiredAppointments.includes(appointment));
+
+        if (pastAppointments.length > 0 || expiredAppointments.length > 0) {
+            // Write the archive first so a failure never loses appointments
+            await fs.writeFile(getArchiveFilePath(), JSON.stringify(keptArchive, null, 2), 'utf-8');
+            await writeAppointments(keptAppointments);
+        }
+
+        for (const appointment of pastAppointments) {
+            await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.ARCHIVED);
+        }
+
+        for (const appointment of expiredAppointments) {
+            await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.PRUNED, { daysToKeep });
+        }
+
+        log(`${pastAppointments.length} vergangene Termine archiviert, ${expiredAppointments.length} archivierte Termine endgültig entfernt`);
+        return { archived: pastAppointments.length, purged: expiredAppointments.length };
+    } catch (error) {
+        log(`Fehler beim Archivieren alter Termine: ${error.message}`);
+        return null;
+    }
+}
+
+// Common storage contract names
+const saveAppointments = saveKnownAppointments;
+
 export {
+    initializeAppointmentsCollection,
     ensureDataFile,
     loadKnownAppointments,
+    saveAppointments,
     saveKnownAppointments,
     findNewAppointments,
-    markAsNotified
-};
\ No newline at end of file
+    findChangedAppointments,
+    saveAppointmentChanges,
+    findCancelledAppointments,
+    markAsCancelled,
+    markAsNotified,
+    markAsNotRelevant,
+    queryAppointments,
+    getNotifiedAppointments,
+    getMostRecentAppointments,
+    pruneOldAppointments,
+    loadArchivedAppointments,
+    recordAppointmentEvent,
+    getAppointmentTimeline
+};
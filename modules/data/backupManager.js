@@ -0,0 +1,377 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import Datastore from 'nedb';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+import { getRunningCrawler } from './crawlerLock.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Format of manifest.json, raised when the backup layout changes
+const BACKUP_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// Files of the data directory that hold data (NeDB, SQLite, JSON state and event logs)
+const DATA_FILE_PATTERN = /\.(db|sqlite|json|jsonl)$/;
+
+const BACKUP_KINDS = {
+  MANUAL: 'manual',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  PRE_RESTORE: 'pre-restore'
+};
+
+// Number of daily and weekly backups kept by rotateBackups
+const KEEP_DAILY = parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 7;
+const KEEP_WEEKLY = parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || 4;
+
+/**
+ * Get the data directory that is backed up
+ * @returns {string} - Data directory path
+ */
+function getDataDir() {
+  return process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+}
+
+/**
+ * Get the backup directory, creating it if necessary
+ * @returns {string} - Backup directory path
+ */
+function getBackupDir() {
+  const backupDir = process.env.BACKUP_DIR || path.join(getDataDir(), 'backups');
+
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    log(`Created backup directory: ${backupDir}`);
+  }
+
+  return backupDir;
+}
+
+/**
+ * List the data files of a directory
+ * Subdirectories (snapshots, backups) and lock or journal files are skipped.
+ * @param {string} directory - Directory to scan
+ * @returns {string[]} - File names
+ */
+function listDataFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isFile() && DATA_FILE_PATTERN.test(entry.name) && entry.name !== MANIFEST_FILE)
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Calculate the SHA-256 checksum of a file
+ * @param {string} filePath - File path
+ * @returns {string} - Hex checksum
+ */
+function checksumFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Resolve a backup argument (name from listBackups or path)
+ * @param {string} backup - Backup name or path
+ * @returns {string} - Backup directory path
+ */
+function resolveBackupPath(backup) {
+  return path.isAbsolute(backup) || backup.includes(path.sep) ? path.resolve(backup) : path.join(getBackupDir(), backup);
+}
+
+/**
+ * Read the manifest of a backup
+ * @param {string} backupPath - Backup directory path
+ * @returns {object} - Manifest
+ */
+function readManifest(backupPath) {
+  return JSON.parse(fs.readFileSync(path.join(backupPath, MANIFEST_FILE), 'utf8'));
+}
+
+/**
+ * List all backups, oldest first
+ * @returns {Array} - Array of { name, path, kind, createdAt, files } objects
+ */
+function listBackups() {
+  const backupDir = getBackupDir();
+
+  return fs.readdirSync(backupDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(backupDir, entry.name, MANIFEST_FILE)))
+    .map(entry => {
+      const backupPath = path.join(backupDir, entry.name);
+      const manifest = readManifest(backupPath);
+      return { name: entry.name, path: backupPath, kind: manifest.kind, createdAt: manifest.createdAt, files: manifest.files };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Load a NeDB file from a scratch copy
+ * NeDB rewrites its file when loading, so the backup itself is never opened.
+ * @param {string} filePath - NeDB file
+ * @returns {Promise<number>} - Number of documents
+ */
+async function loadNedbFile(filePath) {
+  const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lav-backup-'));
+
+  try {
+    const scratchPath = path.join(scratchDir, path.basename(filePath));
+    fs.copyFileSync(filePath, scratchPath);
+
+    const datastore = new Datastore({ filename: scratchPath });
+    await new Promise((resolve, reject) => {
+      datastore.loadDatabase(err => (err ? reject(err) : resolve()));
+    });
+
+    return datastore.getAllData().length;
+  } finally {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check that a SQLite file opens and passes the integrity check
+ * @param {string} filePath - SQLite file
+ * @returns {Promise<string|null>} - Error message or null if the file is fine
+ */
+async function checkSqliteFile(filePath) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    log(`node:sqlite is not available, only the checksum of ${path.basename(filePath)} was verified`);
+    return null;
+  }
+
+  const db = new DatabaseSync(filePath, { readOnly: true });
+  try {
+    const { integrity_check: result } = db.prepare('PRAGMA integrity_check').get();
+    return result === 'ok' ? null : `integrity check failed: ${result}`;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load one backed up file the way its backend would
+ * @param {string} filePath - File in the backup
+ * @returns {Promise<string|null>} - Error message or null if the file loads
+ */
+async function loadBackupFile(filePath) {
+  try {
+    if (filePath.endsWith('.db')) {
+      await loadNedbFile(filePath);
+      return null;
+    }
+
+    if (filePath.endsWith('.sqlite')) {
+      return await checkSqliteFile(filePath);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (filePath.endsWith('.jsonl')) {
+      content.split('\n').filter(line => line.trim() !== '').forEach(line => JSON.parse(line));
+    } else {
+      JSON.parse(content);
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Verify a backup
+ * Every file has to match the checksum in the manifest and load with its backend.
+ * @param {string} backup - Backup name or path
+ * @returns {Promise<object>} - { ok, errors }
+ */
+async function verifyBackup(backup) {
+  const backupPath = resolveBackupPath(backup);
+  const errors = [];
+
+  let manifest;
+  try {
+    manifest = readManifest(backupPath);
+  } catch (error) {
+    return { ok: false, errors: [`manifest: ${error.message}`] };
+  }
+
+  if (manifest.version > BACKUP_FORMAT_VERSION) {
+    return { ok: false, errors: [`manifest: unsupported backup format ${manifest.version}`] };
+  }
+
+  for (const file of manifest.files) {
+    const filePath = path.join(backupPath, file.name);
+
+    if (!fs.existsSync(filePath)) {
+      errors.push(`${file.name}: missing`);
+      continue;
+    }
+
+    if (checksumFile(filePath) !== file.sha256) {
+      errors.push(`${file.name}: checksum mismatch`);
+      continue;
+    }
+
+    const loadError = await loadBackupFile(filePath);
+    if (loadError) {
+      errors.push(`${file.name}: ${loadError}`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Copy the data files of the data directory into a new backup and verify it
+ * @param {string} kind - One of BACKUP_KINDS
+ * @returns {Promise<object|null>} - { name, path, manifest, ok, errors } or null on error
+ */
+async function createBackup(kind = BACKUP_KINDS.MANUAL) {
+  try {
+    const createdAt = new Date().toISOString();
+    // Timestamps sort chronologically; ':' and '.' are not allowed in every file system
+    const name = `${createdAt.replace(/[:.]/g, '-')}-${kind}`;
+    const backupPath = path.join(getBackupDir(), name);
+    const dataDir = getDataDir();
+
+    fs.mkdirSync(backupPath, { recursive: true });
+
+    const files = listDataFiles(dataDir).map(fileName => {
+      const target = path.join(backupPath, fileName);
+      fs.copyFileSync(path.join(dataDir, fileName), target);
+      return { name: fileName, size: fs.statSync(target).size, sha256: checksumFile(target) };
+    });
+
+    const manifest = { version: BACKUP_FORMAT_VERSION, kind, createdAt, dataDir, files };
+    fs.writeFileSync(path.join(backupPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    const { ok, errors } = await verifyBackup(backupPath);
+    if (ok) {
+      log(`Created ${kind} backup ${name} with ${files.length} files`);
+    } else {
+      log(`Backup ${name} failed verification: ${errors.join('; ')}`);
+    }
+
+    return { name, path: backupPath, manifest, ok, errors };
+  } catch (error) {
+    log(`Error creating ${kind} backup: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Delete all but the newest daily and weekly backups
+ * Manual and pre-restore backups are never rotated.
+ * @param {object} options - { keepDaily, keepWeekly }
+ * @returns {string[]} - Names of the deleted backups
+ */
+function rotateBackups({ keepDaily = KEEP_DAILY, keepWeekly = KEEP_WEEKLY } = {}) {
+  const backups = listBackups();
+  const deleted = [];
+
+  for (const [kind, keep] of [[BACKUP_KINDS.DAILY, keepDaily], [BACKUP_KINDS.WEEKLY, keepWeekly]]) {
+    const ofKind = backups.filter(backup => backup.kind === kind);
+
+    for (const backup of ofKind.slice(0, Math.max(ofKind.length - keep, 0))) {
+      fs.rmSync(backup.path, { recursive: true, force: true });
+      deleted.push(backup.name);
+    }
+  }
+
+  if (deleted.length > 0) {
+    log(`Rotated ${deleted.length} old backups`);
+  }
+
+  return deleted;
+}
+
+/**
+ * Replace the live data files with the files of a backup
+ * Refuses while a crawler is running (unless forced) and when the backup does not
+ * verify. The current state is saved as a pre-restore backup first; files are
+ * copied next to their target and renamed into place.
+ * @param {string} backup - Backup name or path
+ * @param {object} options - { force } to restore although a crawler lock exists
+ * @returns {Promise<object>} - { restored, removed, preRestoreBackup }
+ */
+async function restoreBackup(backup, { force = false } = {}) {
+  const runningCrawler = getRunningCrawler();
+  if (runningCrawler && !force) {
+    throw new Error(`Crawler is running (pid ${runningCrawler.pid} on ${runningCrawler.hostname}), stop it before restoring`);
+  }
+
+  const backupPath = resolveBackupPath(backup);
+  const { ok, errors } = await verifyBackup(backupPath);
+  if (!ok) {
+    throw new Error(`Backup failed verification: ${errors.join('; ')}`);
+  }
+
+  const preRestoreBackup = await createBackup(BACKUP_KINDS.PRE_RESTORE);
+  if (!preRestoreBackup?.ok) {
+    throw new Error('Could not back up the current data, nothing was restored');
+  }
+
+  const dataDir = getDataDir();
+  const manifest = readManifest(backupPath);
+  const restored = [];
+
+  for (const file of manifest.files) {
+    const target = path.join(dataDir, file.name);
+    const staging = `${target}.restoring`;
+    fs.copyFileSync(path.join(backupPath, file.name), staging);
+    fs.renameSync(staging, target);
+    restored.push(file.name);
+  }
+
+  // Files created after the backup would not match the restored state
+  const removed = listDataFiles(dataDir).filter(fileName => !restored.includes(fileName));
+  for (const fileName of removed) {
+    fs.unlinkSync(path.join(dataDir, fileName));
+  }
+
+  log(`Restored backup ${path.basename(backupPath)} (${restored.length} files, ${removed.length} removed), previous state saved as ${preRestoreBackup.name}`);
+  return { restored, removed, preRestoreBackup: preRestoreBackup.name };
+}
+
+/**
+ * Create the scheduled backup (weekly on Sundays, daily otherwise) and rotate old ones
+ * A failed rotation only leaves old backups behind, so it is reported instead of thrown.
+ * @returns {Promise<object|null>} - Result of createBackup plus { rotated, rotationError },
+ *   null if the backup could not be created
+ */
+async function runScheduledBackup() {
+  const kind = new Date().getDay() === 0 ? BACKUP_KINDS.WEEKLY : BACKUP_KINDS.DAILY;
+  const result = await createBackup(kind);
+  let rotated = [];
+  let rotationError = null;
+
+  try {
+    rotated = rotateBackups();
+  } catch (error) {
+    rotationError = error.message;
+    log(`Error rotating backups: ${error.message}`);
+  }
+
+  return result && { ...result, rotated, rotationError };
+}
+
+export {
+  BACKUP_KINDS,
+  getBackupDir,
+  listBackups,
+  createBackup,
+  verifyBackup,
+  rotateBackups,
+  restoreBackup,
+  runScheduledBackup
+};
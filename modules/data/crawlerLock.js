@@ -0,0 +1,104 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Get the lock file that marks a running crawler
+ * Lives in the data directory so every process working on the same data sees it.
+ * @returns {string} - Lock file path
+ */
+function getLockFilePath() {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  return path.resolve(dataDir, 'crawler.lock');
+}
+
+/**
+ * Check whether a process is alive on this host
+ * @param {number} pid - Process id
+ * @returns {boolean} - True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get the crawler that currently holds the lock
+ * Locks of processes that no longer exist on this host are ignored. Locks written
+ * on another host (e.g. a different container) cannot be checked and count as held.
+ * @returns {object|null} - { pid, hostname, startedAt } or null if no crawler is running
+ */
+function getRunningCrawler() {
+  const lockFilePath = getLockFilePath();
+
+  if (!fs.existsSync(lockFilePath)) {
+    return null;
+  }
+
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockFilePath, 'utf8'));
+
+    if (lock.hostname === os.hostname() && !isProcessAlive(lock.pid)) {
+      return null;
+    }
+
+    return lock;
+  } catch (error) {
+    log(`Error reading crawler lock: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Mark this process as the running crawler
+ * The lock is removed again when the process exits.
+ */
+function acquireCrawlerLock() {
+  const lockFilePath = getLockFilePath();
+  const lock = { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() };
+
+  fs.writeFileSync(lockFilePath, JSON.stringify(lock, null, 2));
+
+  process.on('exit', releaseCrawlerLock);
+  // Exit explicitly on signals so the exit handler runs
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => process.exit(0));
+  }
+}
+
+/**
+ * Remove the lock if it belongs to this process
+ */
+function releaseCrawlerLock() {
+  try {
+    const lockFilePath = getLockFilePath();
+    if (!fs.existsSync(lockFilePath)) {
+      return;
+    }
+
+    const lock = JSON.parse(fs.readFileSync(lockFilePath, 'utf8'));
+    if (lock.pid === process.pid && lock.hostname === os.hostname()) {
+      fs.unlinkSync(lockFilePath);
+    }
+  } catch (error) {
+    log(`Error releasing crawler lock: ${error.message}`);
+  }
+}
+
+export { getLockFilePath, getRunningCrawler, acquireCrawlerLock, releaseCrawlerLock };
@@ -3,13 +3,26 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { log } from '../logger/logger.js';
+import { diffAppointments } from './appointmentDiff.js';
+import {
+  LEGACY_SOURCE,
+  APPOINTMENT_EVENTS,
+  getLegacyTags,
+  normalizeQueryCriteria,
+  normalizeQueryOptions,
+  isInDateRange,
+  compareForQuery,
+  paginate,
+  isPastAppointment,
+  isPurgeableArchive
+} from './storageHelpers.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Get data file path
-const getDataFilePath = () => {
+// Get default data file path
+const getDataFilePath = (fileName = 'appointments.db') => {
   const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
   
   // Ensure data directory exists
@@ -22,18 +35,9 @@ const getDataFilePath = () => {
     }
   }
   
-  return path.resolve(dataDir, 'appointments.db');
+  return path.resolve(dataDir, fileName);
 };
 
-// Collection for appointment data
-const appointmentsDb = new Datastore({ 
-  filename: getDataFilePath(),
-  autoload: true,
-  // Auto-compact the database every 24 hours
-  timestampData: true,
-  autocompactionInterval: 86400000 // 24 hours in milliseconds
-});
-
 // Promisify NeDB functions
 const promisify = (fn, context) => (...args) => {
   return new Promise((resolve, reject) => {
@@ -44,271 +48,768 @@ const promisify = (fn, context) => (...args) => {
   });
 };
 
-// Promisified NeDB methods
-const findAsync = promisify(appointmentsDb.find, appointmentsDb);
-const insertAsync = promisify(appointmentsDb.insert, appointmentsDb);
-const updateAsync = promisify(appointmentsDb.update, appointmentsDb);
-const countAsync = promisify(appointmentsDb.count, appointmentsDb);
-const removeAsync = promisify(appointmentsDb.remove, appointmentsDb);
-
 /**
- * Initialize the appointments collection
- * Creates indexes for efficient querying
+ * Build a query that restricts results to one source and/or exam type
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Object} NeDB query fragment
  */
-async function initializeAppointmentsCollection() {
-  try {
-    // Create unique index on id field
-    appointmentsDb.ensureIndex({ fieldName: 'id', unique: true }, (err) => {
-      if (err) log(`Error creating id index: ${err.message}`);
-    });
+const scopeQuery = ({ source, examTypeId } = {}) => {
+  const query = {};
 
-    // Create index on notified field
-    appointmentsDb.ensureIndex({ fieldName: 'notified' }, (err) => {
-      if (err) log(`Error creating notified index: ${err.message}`);
-    });
-
-    // Create index on termin field
-    appointmentsDb.ensureIndex({ fieldName: 'termin' }, (err) => {
-      if (err) log(`Error creating termin index: ${err.message}`);
-    });
+  if (source !== undefined && source !== null) {
+    query.source = source;
+  }
 
-    log('Appointments collection initialized');
-    return true;
-  } catch (error) {
-    log(`Error initializing appointments collection: ${error.message}`);
-    return false;
+  if (examTypeId !== undefined && examTypeId !== null) {
+    query.examTypeId = examTypeId;
   }
-}
+
+  return query;
+};
 
 /**
- * Load all known appointments from the database
- * @returns {Array} Array of appointment objects
+ * Escape a text for use in a regular expression
+ * @param {String} text - Literal text
+ * @returns {String} Escaped text
  */
-async function loadKnownAppointments() {
-  try {
-    const appointments = await findAsync({});
-    log(`Loaded ${appointments.length} appointments from database`);
-    return appointments;
-  } catch (error) {
-    log(`Error loading appointments: ${error.message}`);
-    return [];
-  }
-}
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
- * Save new appointments to the database
- * @param {Array} newAppointments - Array of appointment objects to save
- * @returns {Boolean} Success status
+ * Translate normalized query criteria into a NeDB query
+ * The exam date range is checked afterwards, see queryAppointments.
+ * @param {Object} criteria - Result of normalizeQueryCriteria
+ * @returns {Object} NeDB query
  */
-async function saveAppointments(newAppointments) {
-  try {
-    if (!Array.isArray(newAppointments) || newAppointments.length === 0) {
-      log('No valid appointments to save');
+const criteriaQuery = ({ source, examTypeIds, landkreise, locations, offices, notified, cancelled, text }) => {
+  const query = scopeQuery({ source });
+
+  if (examTypeIds) query.examTypeId = { $in: examTypeIds };
+  if (landkreise) query.landkreis = { $in: landkreise };
+  if (locations) query.pruefungsort = { $in: locations };
+  if (offices) query.pruefungsstelle = { $in: offices };
+
+  // Appointments without the flag count as not notified / not cancelled
+  if (notified !== undefined) query.notified = notified ? true : { $ne: true };
+  if (cancelled !== undefined) query.cancelled = cancelled ? true : { $ne: true };
+
+  if (text !== undefined) query.additionalInfo = { $regex: new RegExp(escapeRegExp(text), 'i') };
+
+  return query;
+};
+
+/**
+ * Create an appointment store backed by its own NeDB datastore
+ * Every store exposes the storage contract (see storage.js); the module's named
+ * exports use a default store in DATA_DIR that is created on first use.
+ * @param {Object} options - Store options
+ * @param {String} options.filename - Datastore file, defaults to appointments.db in DATA_DIR;
+ *   the event log and the archive are stored next to it with -events and -archive suffixes
+ * @param {Boolean} options.inMemory - Keep the datastore in memory only (e.g. for tests)
+ * @returns {Object} Appointment store
+ */
+function createAppointmentStore({ filename, inMemory = false } = {}) {
+  // Collection for appointment data
+  const appointmentsDb = inMemory
+    ? new Datastore({ inMemoryOnly: true, timestampData: true })
+    : new Datastore({
+      filename: filename || getDataFilePath(),
+      autoload: true,
+      // Auto-compact the database every 24 hours
+      timestampData: true,
+      autocompactionInterval: 86400000 // 24 hours in milliseconds
+    });
+
+  // Append-only lifecycle events of the appointments
+  const eventsDb = inMemory
+    ? new Datastore({ inMemoryOnly: true })
+    : new Datastore({
+      filename: filename
+        ? filename.replace(/(\.db)?$/, '-events.db')
+        : getDataFilePath('appointment-events.db'),
+      autoload: true
+    });
+
+  // Appointments whose exam has taken place
+  const archiveDb = inMemory
+    ? new Datastore({ inMemoryOnly: true })
+    : new Datastore({
+      filename: filename
+        ? filename.replace(/(\.db)?$/, '-archive.db')
+        : getDataFilePath('appointments-archive.db'),
+      autoload: true
+    });
+
+  // Promisified NeDB methods
+  const findAsync = promisify(appointmentsDb.find, appointmentsDb);
+  const updateAsync = promisify(appointmentsDb.update, appointmentsDb);
+  const removeAsync = promisify(appointmentsDb.remove, appointmentsDb);
+  const insertEventAsync = promisify(eventsDb.insert, eventsDb);
+  const findEventsAsync = promisify(eventsDb.find, eventsDb);
+  const findArchiveAsync = promisify(archiveDb.find, archiveDb);
+  const updateArchiveAsync = promisify(archiveDb.update, archiveDb);
+  const removeArchiveAsync = promisify(archiveDb.remove, archiveDb);
+
+  /**
+   * Append a lifecycle event to the event log
+   * Failures are logged but never interrupt the storage operation that caused the event.
+   * @param {Number|String} appointmentId - ID of the appointment
+   * @param {String} type - One of APPOINTMENT_EVENTS
+   * @param {Object} details - Optional event details
+   * @returns {Boolean} Success status
+   */
+  async function recordAppointmentEvent(appointmentId, type, details = {}) {
+    try {
+      await insertEventAsync({ appointmentId, type, at: new Date(), details });
+      return true;
+    } catch (error) {
+      log(`Error recording ${type} event for appointment ${appointmentId}: ${error.message}`);
       return false;
     }
+  }
+
+  /**
+   * Get all lifecycle events of one appointment, oldest first
+   * @param {Number|String} appointmentId - ID of the appointment
+   * @returns {Array} Array of { appointmentId, type, at, details } objects
+   */
+  async function getAppointmentTimeline(appointmentId) {
+    try {
+      const events = await findEventsAsync({ appointmentId });
+      return events
+        .map(({ _id, ...event }) => event)
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+    } catch (error) {
+      log(`Error loading timeline of appointment ${appointmentId}: ${error.message}`);
+      return [];
+    }
+  }
 
-    let successCount = 0;
+  /**
+   * Tag appointments stored before source adapters existed
+   * @returns {Number} Number of updated appointments
+   */
+  async function tagLegacyAppointments() {
+    const legacyAppointments = await findAsync({ source: { $exists: false } });
 
-    // Process each appointment (NeDB doesn't have bulkWrite)
-    for (const appointment of newAppointments) {
+    for (const appointment of legacyAppointments) {
       await updateAsync(
-        { id: appointment.id },
-        appointment,
-        { upsert: true }
+        { _id: appointment._id },
+        { $set: getLegacyTags(appointment) }
       );
-      successCount++;
     }
 
-    log(`Saved ${successCount} appointments to database`);
-    return true;
-  } catch (error) {
-    log(`Error saving appointments: ${error.message}`);
-    return false;
+    if (legacyAppointments.length > 0) {
+      log(`Tagged ${legacyAppointments.length} legacy appointments with source ${LEGACY_SOURCE}`);
+    }
+
+    return legacyAppointments.length;
   }
-}
 
-/**
- * Find new appointments that aren't already in the database
- * @param {Array} fetchedAppointments - Appointments fetched from API
- * @returns {Array} Array of new appointments
- */
-async function findNewAppointments(fetchedAppointments) {
-  try {
-    if (!Array.isArray(fetchedAppointments) || fetchedAppointments.length === 0) {
-      log('No valid appointments to check');
+  /**
+   * Initialize the appointments collection
+   * Creates indexes for efficient querying
+   */
+  async function initializeAppointmentsCollection() {
+    try {
+      // Create unique index on id field
+      appointmentsDb.ensureIndex({ fieldName: 'id', unique: true }, (err) => {
+        if (err) log(`Error creating id index: ${err.message}`);
+      });
+
+      // Create index on notified field
+      appointmentsDb.ensureIndex({ fieldName: 'notified' }, (err) => {
+        if (err) log(`Error creating notified index: ${err.message}`);
+      });
+
+      // Create index on cancelled field
+      appointmentsDb.ensureIndex({ fieldName: 'cancelled' }, (err) => {
+        if (err) log(`Error creating cancelled index: ${err.message}`);
+      });
+
+      // Create index on examTypeId field
+      appointmentsDb.ensureIndex({ fieldName: 'examTypeId' }, (err) => {
+        if (err) log(`Error creating examTypeId index: ${err.message}`);
+      });
+
+      // Create index on source field
+      appointmentsDb.ensureIndex({ fieldName: 'source' }, (err) => {
+        if (err) log(`Error creating source index: ${err.message}`);
+      });
+
+      // Create index on the exam date
+      appointmentsDb.ensureIndex({ fieldName: 'date' }, (err) => {
+        if (err) log(`Error creating date index: ${err.message}`);
+      });
+
+      // Create indexes on the fields queryAppointments filters by
+      for (const fieldName of ['landkreis', 'pruefungsort', 'pruefungsstelle']) {
+        appointmentsDb.ensureIndex({ fieldName }, (err) => {
+          if (err) log(`Error creating ${fieldName} index: ${err.message}`);
+        });
+      }
+
+      // Create index on appointmentId field of the event log
+      eventsDb.ensureIndex({ fieldName: 'appointmentId' }, (err) => {
+        if (err) log(`Error creating appointmentId index: ${err.message}`);
+      });
+
+      // Create unique index on id field of the archive
+      archiveDb.ensureIndex({ fieldName: 'id', unique: true }, (err) => {
+        if (err) log(`Error creating archive id index: ${err.message}`);
+      });
+
+      await tagLegacyAppointments();
+
+      log('Appointments collection initialized');
+      return true;
+    } catch (error) {
+      log(`Error initializing appointments collection: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Load all known appointments from the database
+   * @param {Object} scope - Optional { source, examTypeId } filter
+   * @returns {Array} Array of appointment objects
+   */
+  async function loadKnownAppointments(scope = {}) {
+    try {
+      const appointments = await findAsync(scopeQuery(scope));
+      log(`Loaded ${appointments.length} appointments from database`);
+      return appointments;
+    } catch (error) {
+      log(`Error loading appointments: ${error.message}`);
       return [];
     }
+  }
 
-    // Get all IDs of fetched appointments
-    const fetchedIds = fetchedAppointments.map(appointment => appointment.id);
-    
-    // Find existing appointments with these IDs
-    const existingAppointments = await findAsync({ 
-      id: { $in: fetchedIds } 
-    });
-    
-    // Get IDs of existing appointments
-    const existingIds = existingAppointments.map(app => app.id);
-    
-    // Filter out appointments that already exist
-    const newAppointments = fetchedAppointments.filter(
-      appointment => !existingIds.includes(appointment.id)
-    ).map(appointment => {
-      // Format date in a user-friendly way
-      const appointmentDate = new Date(appointment.date);
-      const formattedDate = appointmentDate.toLocaleDateString('de-DE');
-      const formattedTime = appointmentDate.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-      
-      return {
+  /**
+   * Save new appointments to the database
+   * @param {Array} newAppointments - Array of appointment objects to save
+   * @returns {Boolean} Success status
+   */
+  async function saveAppointments(newAppointments) {
+    try {
+      if (!Array.isArray(newAppointments) || newAppointments.length === 0) {
+        log('No valid appointments to save');
+        return false;
+      }
+
+      let successCount = 0;
+
+      // Process each appointment (NeDB doesn't have bulkWrite)
+      for (const appointment of newAppointments) {
+        await updateAsync(
+          { id: appointment.id },
+          appointment,
+          { upsert: true }
+        );
+        successCount++;
+      }
+
+      log(`Saved ${successCount} appointments to database`);
+      return true;
+    } catch (error) {
+      log(`Error saving appointments: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Find new appointments that aren't already in the database
+   * @param {Array} fetchedAppointments - Appointments fetched from API
+   * @returns {Array} Array of new appointments
+   */
+  async function findNewAppointments(fetchedAppointments) {
+    try {
+      if (!Array.isArray(fetchedAppointments) || fetchedAppointments.length === 0) {
+        log('No valid appointments to check');
+        return [];
+      }
+
+      // Get all IDs of fetched appointments
+      const fetchedIds = fetchedAppointments.map(appointment => appointment.id);
+
+      // Find existing appointments with these IDs
+      const existingAppointments = await findAsync({ 
+        id: { $in: fetchedIds } 
+      });
+
+      // Get IDs of existing appointments
+      const existingIds = existingAppointments.map(app => app.id);
+
+      // Filter out appointments that already exist
+      const newAppointments = fetchedAppointments.filter(
+        appointment => !existingIds.includes(appointment.id)
+      ).map(appointment => ({
         ...appointment,
         notified: false,
-        dateAdded: new Date(),
-        // Add enhanced date information
-        formattedDate,
-        formattedTime,
-        isoDate: appointmentDate.toISOString(),
-        // Extract important nested information to top level
-        examTypeName: appointment.examType?.name || 'Unbekannt',
-        officeName: appointment.examinationOffice?.name || 'Unbekannt',
-        address: appointment.contactInfo?.address || '',
-        contactInfo: appointment.contactInfo?.contact || {},
-        additionalInfo: appointment.additionalInformation || ''
-      };
-    });
+        dateAdded: new Date()
+      }));
 
-    log(`Found ${newAppointments.length} new appointments`);
-    return newAppointments;
-  } catch (error) {
-    log(`Error finding new appointments: ${error.message}`);
-    return [];
+      log(`Found ${newAppointments.length} new appointments`);
+      return newAppointments;
+    } catch (error) {
+      log(`Error finding new appointments: ${error.message}`);
+      return [];
+    }
   }
-}
 
-/**
- * Mark an appointment as notified
- * @param {Number|String} appointmentId - ID of the appointment to mark
- * @returns {Boolean} Success status
- */
-async function markAsNotified(appointmentId) {
-  try {
-    const result = await updateAsync(
-      { id: appointmentId },
-      { 
-        $set: { 
-          notified: true,
-          notifiedAt: new Date()
-        } 
+  /**
+   * Find known appointments whose details differ from the fetched data
+   * @param {Array} fetchedAppointments - Appointments fetched from API
+   * @returns {Array} Array of { appointment, previous, changes } objects
+   */
+  async function findChangedAppointments(fetchedAppointments) {
+    try {
+      if (!Array.isArray(fetchedAppointments) || fetchedAppointments.length === 0) {
+        return [];
+      }
+
+      const fetchedIds = fetchedAppointments.map(appointment => appointment.id);
+      const existingAppointments = await findAsync({
+        id: { $in: fetchedIds }
+      });
+
+      const changedAppointments = [];
+
+      for (const stored of existingAppointments) {
+        const fetched = fetchedAppointments.find(appointment => appointment.id === stored.id);
+        const changes = diffAppointments(stored, fetched);
+
+        if (changes.length > 0) {
+          changedAppointments.push({
+            appointment: { ...stored, ...fetched },
+            previous: stored,
+            changes
+          });
+        }
+      }
+
+      log(`Found ${changedAppointments.length} changed appointments`);
+      return changedAppointments;
+    } catch (error) {
+      log(`Error finding changed appointments: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Persist changed appointment details together with their field-level diff
+   * @param {Array} changedAppointments - Result of findChangedAppointments
+   * @returns {Boolean} Success status
+   */
+  async function saveAppointmentChanges(changedAppointments) {
+    try {
+      if (!Array.isArray(changedAppointments) || changedAppointments.length === 0) {
+        return false;
       }
-    );
 
-    if (result === 0) {
-      log(`Warning: Appointment with ID ${appointmentId} not found`);
+      for (const { appointment, changes } of changedAppointments) {
+        const changedAt = new Date();
+        // Keep notification state, creation date and history of the stored document
+        const {
+          _id, notified, notifiedAt, dateAdded, createdAt, updatedAt,
+          changeHistory, lastChanges, lastChangedAt,
+          ...details
+        } = appointment;
+
+        await updateAsync(
+          { id: appointment.id },
+          {
+            $set: {
+              ...details,
+              lastChanges: changes,
+              lastChangedAt: changedAt
+            },
+            $push: {
+              changeHistory: { changedAt, changes }
+            }
+          }
+        );
+
+        await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.CHANGED, { changes });
+      }
+
+      log(`Saved changes for ${changedAppointments.length} appointments`);
+      return true;
+    } catch (error) {
+      log(`Error saving appointment changes: ${error.message}`);
       return false;
     }
+  }
+
+  /**
+   * Track future appointments that are missing from the fetched data
+   * Each run an appointment is missing increments its missingCount; once it has
+   * been missing for graceRuns consecutive runs it is returned as cancelled.
+   * Appointments that show up again are reset (and reinstated if cancelled).
+   * @param {Array} fetchedAppointments - Appointments fetched from API
+   * @param {Number} graceRuns - Consecutive missing runs before an appointment counts as cancelled
+   * @param {Object} scope - Optional { source, examTypeId } filter restricting the checked appointments
+   * @param {Array} listedIds - IDs the source still lists but whose records were rejected this run;
+   *   they don't count as missing
+   * @returns {Array} Array of appointments that should be marked as cancelled
+   */
+  async function findCancelledAppointments(fetchedAppointments, graceRuns = 2, scope = {}, listedIds = []) {
+    try {
+      if (!Array.isArray(fetchedAppointments)) {
+        log('No valid appointments to check for cancellations');
+        return [];
+      }
+
+      const fetchedIds = fetchedAppointments.map(appointment => appointment.id);
+      const now = new Date();
+
+      // Reset appointments that are listed again
+      const reappeared = await findAsync({
+        id: { $in: fetchedIds },
+        $or: [{ missingCount: { $gt: 0 } }, { cancelled: true }]
+      });
+
+      for (const appointment of reappeared) {
+        await updateAsync(
+          { id: appointment.id },
+          {
+            $set: { missingCount: 0, cancelled: false },
+            $unset: { missingSince: true, cancelledAt: true }
+          }
+        );
+
+        if (appointment.cancelled) {
+          log(`Appointment ${appointment.id} is listed again, reinstating it`);
+          await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.REINSTATED);
+        }
+      }
+
+      // Only appointments that still lie in the future are expected in the feed
+      const storedAppointments = await findAsync({
+        id: { $nin: [...fetchedIds, ...listedIds] },
+        cancelled: { $ne: true },
+        ...scopeQuery(scope)
+      });
+      const missingAppointments = storedAppointments.filter(
+        appointment => new Date(appointment.date) > now
+      );
+
+      const cancelledAppointments = [];
+
+      for (const appointment of missingAppointments) {
+        const missingCount = (appointment.missingCount || 0) + 1;
+        const missingSince = appointment.missingSince || now;
+
+        await updateAsync(
+          { id: appointment.id },
+          { $set: { missingCount, missingSince } }
+        );
 
-    log(`Marked appointment ${appointmentId} as notified`);
-    return true;
-  } catch (error) {
-    log(`Error marking appointment as notified: ${error.message}`);
-    return false;
+        if (missingCount >= graceRuns) {
+          cancelledAppointments.push({ ...appointment, missingCount, missingSince });
+        } else {
+          log(`Appointment ${appointment.id} missing from feed (${missingCount}/${graceRuns})`);
+        }
+      }
+
+      log(`Found ${cancelledAppointments.length} cancelled appointments`);
+      return cancelledAppointments;
+    } catch (error) {
+      log(`Error finding cancelled appointments: ${error.message}`);
+      return [];
+    }
   }
-}
 
-/**
- * Get all appointments that have been notified
- * @returns {Array} Array of notified appointment objects
- */
-async function getNotifiedAppointments() {
-  try {
-    const appointments = await findAsync({ notified: true });
-    return appointments;
-  } catch (error) {
-    log(`Error getting notified appointments: ${error.message}`);
-    return [];
+  /**
+   * Mark an appointment as cancelled
+   * @param {Number|String} appointmentId - ID of the appointment to mark
+   * @returns {Boolean} Success status
+   */
+  async function markAsCancelled(appointmentId) {
+    try {
+      const result = await updateAsync(
+        { id: appointmentId },
+        {
+          $set: {
+            cancelled: true,
+            cancelledAt: new Date()
+          }
+        }
+      );
+
+      if (result === 0) {
+        log(`Warning: Appointment with ID ${appointmentId} not found`);
+        return false;
+      }
+
+      await recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.CANCELLED);
+
+      log(`Marked appointment ${appointmentId} as cancelled`);
+      return true;
+    } catch (error) {
+      log(`Error marking appointment as cancelled: ${error.message}`);
+      return false;
+    }
   }
-}
 
-/**
- * Get the most recent appointments
- * @param {Number} limit - Number of appointments to return
- * @returns {Array} Array of appointment objects
- */
-async function getMostRecentAppointments(limit = 2) {
-  try {
-    // Sort by date field (note: NeDB doesn't have the same sort and limit API)
-    const allAppointments = await findAsync({});
-    
-    // Sort manually by termin field
-    allAppointments.sort((a, b) => {
-      // Assuming termin is in format dd.mm.yyyy
-      const [dayA, monthA, yearA] = a.termin.split('.');
-      const [dayB, monthB, yearB] = b.termin.split('.');
-      
-      const dateA = new Date(`${yearA}-${monthA}-${dayA}`);
-      const dateB = new Date(`${yearB}-${monthB}-${dayB}`);
-      
-      return dateB - dateA; // Descending order (most recent first)
-    });
-    
-    // Return limited results
-    return allAppointments.slice(0, limit);
-  } catch (error) {
-    log(`Error getting recent appointments: ${error.message}`);
-    return [];
+  /**
+   * Mark an appointment as notified
+   * @param {Number|String} appointmentId - ID of the appointment to mark
+   * @returns {Boolean} Success status
+   */
+  async function markAsNotified(appointmentId) {
+    try {
+      const result = await updateAsync(
+        { id: appointmentId },
+        { 
+          $set: { 
+            notified: true,
+            notifiedAt: new Date()
+          } 
+        }
+      );
+
+      if (result === 0) {
+        log(`Warning: Appointment with ID ${appointmentId} not found`);
+        return false;
+      }
+
+      await recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.NOTIFIED);
+
+      log(`Marked appointment ${appointmentId} as notified`);
+      return true;
+    } catch (error) {
+      log(`Error marking appointment as notified: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Mark an appointment as not relevant for the team, or as relevant again
+   * Not relevant appointments are still tracked but get no reminders.
+   * @param {Number|String} appointmentId - ID of the appointment to mark
+   * @param {Boolean} notRelevant - False to mark the appointment as relevant again
+   * @returns {Boolean} Success status
+   */
+  async function markAsNotRelevant(appointmentId, notRelevant = true) {
+    try {
+      const result = await updateAsync(
+        { id: appointmentId },
+        {
+          $set: {
+            notRelevant,
+            notRelevantAt: notRelevant ? new Date() : null
+          }
+        }
+      );
+
+      if (result === 0) {
+        log(`Warning: Appointment with ID ${appointmentId} not found`);
+        return false;
+      }
+
+      await recordAppointmentEvent(appointmentId, notRelevant ? APPOINTMENT_EVENTS.MARKED_NOT_RELEVANT : APPOINTMENT_EVENTS.MARKED_RELEVANT);
+
+      log(`Marked appointment ${appointmentId} as ${notRelevant ? 'not relevant' : 'relevant'}`);
+      return true;
+    } catch (error) {
+      log(`Error marking appointment relevance: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Find appointments by criteria, sorted and paginated
+   * @param {Object} criteria - See normalizeQueryCriteria in storageHelpers.js
+   * @param {Object} options - { sortBy, sortOrder, limit, offset }, see normalizeQueryOptions
+   * @returns {Array} Array of appointment objects
+   */
+  async function queryAppointments(criteria = {}, options = {}) {
+    try {
+      const normalizedCriteria = normalizeQueryCriteria(criteria);
+      const normalizedOptions = normalizeQueryOptions(options);
+
+      // The indexed fields narrow the candidates down; NeDB sorts cursors in memory anyway,
+      // sorting here lets appointments of older versions without date use their termin
+      const appointments = (await findAsync(criteriaQuery(normalizedCriteria)))
+        .filter(appointment => isInDateRange(appointment, normalizedCriteria))
+        .sort(compareForQuery(normalizedOptions));
+
+      return paginate(appointments, normalizedOptions);
+    } catch (error) {
+      log(`Error querying appointments: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get all appointments that have been notified and are not cancelled
+   * @param {Object} scope - Optional { source, examTypeId } filter
+   * @returns {Array} Array of notified appointment objects
+   */
+  async function getNotifiedAppointments(scope = {}) {
+    return queryAppointments({ ...scope, notified: true, cancelled: false });
+  }
+
+  /**
+   * Get the appointments with the latest exam dates that are not cancelled
+   * @param {Number} limit - Number of appointments to return
+   * @param {Object} scope - Optional { source, examTypeId } filter
+   * @returns {Array} Array of appointment objects
+   */
+  async function getMostRecentAppointments(limit = 2, scope = {}) {
+    return queryAppointments({ ...scope, cancelled: false }, { sortBy: 'date', sortOrder: 'desc', limit });
+  }
+
+  /**
+   * Load archived appointments
+   * @param {Object} scope - Optional { source, examTypeId } filter
+   * @returns {Array} Array of archived appointment objects
+   */
+  async function loadArchivedAppointments(scope = {}) {
+    try {
+      const appointments = await findArchiveAsync(scopeQuery(scope));
+      return appointments.map(({ _id, ...appointment }) => appointment);
+    } catch (error) {
+      log(`Error loading archived appointments: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Move past appointments into the archive and purge old archived ones
+   * An appointment is archived once its exam date has passed; archived appointments
+   * are deleted for good daysToKeep days after their exam.
+   * @param {Number} daysToKeep - Number of days archived appointments are kept after their exam
+   * @returns {Object|null} { archived, purged } counts or null on error
+   */
+  async function pruneOldAppointments(daysToKeep = 90) {
+    try {
+      // Calculate cutoff date
+      const now = new Date();
+      const cutoffDate = new Date(now);
+      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+      // Dates are stored as strings, so past appointments are selected in JavaScript
+      const storedAppointments = await findAsync({});
+      const pastAppointments = storedAppointments.filter(
+        appointment => isPastAppointment(appointment, now, cutoffDate)
+      );
+
+      for (const { _id, ...appointment } of pastAppointments) {
+        await updateArchiveAsync(
+          { id: appointment.id },
+          { ...appointment, archivedAt: now },
+          { upsert: true }
+        );
+        await removeAsync({ _id });
+        await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.ARCHIVED);
+      }
+
+      // Purge archived appointments whose exam is longer ago than daysToKeep
+      const archivedAppointments = await findArchiveAsync({});
+      const expiredAppointments = archivedAppointments.filter(
+        appointment => isPurgeableArchive(appointment, cutoffDate)
+      );
+
+      for (const appointment of expiredAppointments) {
+        await removeArchiveAsync({ _id: appointment._id });
+        await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.PRUNED, { daysToKeep });
+      }
+
+      log(`Archived ${pastAppointments.length} past appointments, purged ${expiredAppointments.length} archived appointments older than ${daysToKeep} days`);
+
+      if (pastAppointments.length > 0 || expiredAppointments.length > 0) {
+        // Force compaction after pruning
+        appointmentsDb.persistence.compactDatafile();
+        archiveDb.persistence.compactDatafile();
+      }
+
+      return { archived: pastAppointments.length, purged: expiredAppointments.length };
+    } catch (error) {
+      log(`Error pruning old appointments: ${error.message}`);
+      return null;
+    }
   }
+
+  return {
+    initializeAppointmentsCollection,
+    loadKnownAppointments,
+    saveAppointments,
+    findNewAppointments,
+    findChangedAppointments,
+    saveAppointmentChanges,
+    findCancelledAppointments,
+    markAsCancelled,
+    markAsNotified,
+    markAsNotRelevant,
+    queryAppointments,
+    getNotifiedAppointments,
+    getMostRecentAppointments,
+    pruneOldAppointments,
+    loadArchivedAppointments,
+    recordAppointmentEvent,
+    getAppointmentTimeline,
+    // Backward compatibility aliases
+    ensureDataFile: initializeAppointmentsCollection,
+    saveKnownAppointments: saveAppointments
+  };
 }
 
+let defaultStore = null;
+
 /**
- * Remove old appointments from the database
- * @param {Number} daysToKeep - Number of days to keep appointments for
- * @returns {Boolean} Success status
+ * Get the default store in DATA_DIR, creating it on first use
+ * @returns {Object} Appointment store
  */
-async function pruneOldAppointments(daysToKeep = 90) {
-  try {
-    // Calculate cutoff date
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-    
-    // Find appointments to prune
-    const oldAppointments = await findAsync({
-      dateAdded: { $lt: cutoffDate }
-    });
-    
-    if (oldAppointments.length === 0) {
-      log(`No old appointments to prune`);
-      return true;
-    }
-    
-    // Remove old appointments
-    const result = await removeAsync({ 
-      dateAdded: { $lt: cutoffDate }
-    }, { multi: true });
-    
-    log(`Pruned ${result} old appointments older than ${daysToKeep} days`);
-    
-    // Force compaction after pruning
-    appointmentsDb.persistence.compactDatafile();
-    
-    return true;
-  } catch (error) {
-    log(`Error pruning old appointments: ${error.message}`);
-    return false;
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore = createAppointmentStore();
   }
+  return defaultStore;
 }
 
+// Named exports forward to the default store
+const initializeAppointmentsCollection = (...args) => getDefaultStore().initializeAppointmentsCollection(...args);
+const loadKnownAppointments = (...args) => getDefaultStore().loadKnownAppointments(...args);
+const saveAppointments = (...args) => getDefaultStore().saveAppointments(...args);
+const findNewAppointments = (...args) => getDefaultStore().findNewAppointments(...args);
+const findChangedAppointments = (...args) => getDefaultStore().findChangedAppointments(...args);
+const saveAppointmentChanges = (...args) => getDefaultStore().saveAppointmentChanges(...args);
+const findCancelledAppointments = (...args) => getDefaultStore().findCancelledAppointments(...args);
+const markAsCancelled = (...args) => getDefaultStore().markAsCancelled(...args);
+const markAsNotified = (...args) => getDefaultStore().markAsNotified(...args);
+const markAsNotRelevant = (...args) => getDefaultStore().markAsNotRelevant(...args);
+const queryAppointments = (...args) => getDefaultStore().queryAppointments(...args);
+const getNotifiedAppointments = (...args) => getDefaultStore().getNotifiedAppointments(...args);
+const getMostRecentAppointments = (...args) => getDefaultStore().getMostRecentAppointments(...args);
+const pruneOldAppointments = (...args) => getDefaultStore().pruneOldAppointments(...args);
+const loadArchivedAppointments = (...args) => getDefaultStore().loadArchivedAppointments(...args);
+const recordAppointmentEvent = (...args) => getDefaultStore().recordAppointmentEvent(...args);
+const getAppointmentTimeline = (...args) => getDefaultStore().getAppointmentTimeline(...args);
+
 // For backward compatibility
 const ensureDataFile = initializeAppointmentsCollection;
 const saveKnownAppointments = saveAppointments;
 
 export {
+  createAppointmentStore,
   initializeAppointmentsCollection,
   loadKnownAppointments,
   saveAppointments,
   findNewAppointments,
+  findChangedAppointments,
+  saveAppointmentChanges,
+  findCancelledAppointments,
+  markAsCancelled,
   markAsNotified,
+  markAsNotRelevant,
+  queryAppointments,
   getNotifiedAppointments,
   getMostRecentAppointments,
   pruneOldAppointments,
+  loadArchivedAppointments,
+  recordAppointmentEvent,
+  getAppointmentTimeline,
   // Backward compatibility exports
   ensureDataFile,
   saveKnownAppointments
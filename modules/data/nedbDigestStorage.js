@@ -0,0 +1,135 @@
+import Datastore from 'nedb';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Get default data file path
+const getDataFilePath = () => {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+  // Ensure data directory exists
+  if (!fs.existsSync(dataDir)) {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      log(`Created data directory: ${dataDir}`);
+    } catch (err) {
+      log(`Error creating data directory: ${err.message}`);
+    }
+  }
+
+  return path.resolve(dataDir, 'notification-digest.db');
+};
+
+// Promisify NeDB functions
+const promisify = (fn, context) => (...args) => {
+  return new Promise((resolve, reject) => {
+    fn.call(context, ...args, (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+};
+
+// Keeps items collected in the same millisecond in the order they were collected
+let collectSequence = 0;
+
+/**
+ * Create a store for findings collected for daily or weekly digests
+ * Destinations with a digest delivery mode get their new, changed and cancelled
+ * appointments collected here until the digest job sends and removes them.
+ * @param {Object} options - Store options
+ * @param {String} options.filename - Datastore file, defaults to notification-digest.db in DATA_DIR
+ * @param {Boolean} options.inMemory - Keep the datastore in memory only (e.g. for tests)
+ * @returns {Object} Digest store
+ */
+function createDigestStore({ filename, inMemory = false } = {}) {
+  // Collection for collected digest items
+  const digestDb = inMemory
+    ? new Datastore({ inMemoryOnly: true, timestampData: true })
+    : new Datastore({ filename: filename || getDataFilePath(), autoload: true, timestampData: true });
+
+  // Promisified NeDB methods
+  const findAsync = promisify(digestDb.find, digestDb);
+  const insertAsync = promisify(digestDb.insert, digestDb);
+  const removeAsync = promisify(digestDb.remove, digestDb);
+
+  /**
+   * Collect a finding for the next digest of a destination
+   * @param {Object} item - { mode, destination, kind, appointment, changes }
+   *   mode is the digest mode (daily or weekly); destination describes where the digest
+   *   goes ({ key, label, channels, targets, quietHours }, items with the same key end
+   *   up in the same digest); kind is 'new', 'changed' or 'cancelled'; changes lists
+   *   the field changes of a changed appointment
+   * @returns {Object|null} Stored item, null on error
+   */
+  async function addDigestItem({ mode, destination, kind, appointment, changes = [] }) {
+    try {
+      return await insertAsync({
+        mode,
+        destination,
+        kind,
+        appointment,
+        changes,
+        sequence: collectSequence++
+      });
+    } catch (error) {
+      log(`Error collecting digest item: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the collected items of a digest mode, oldest first
+   * @param {String} mode - Digest mode
+   * @returns {Array} Collected items
+   */
+  async function getDigestItems(mode) {
+    try {
+      const items = await findAsync({ mode });
+      return items.sort((a, b) => (a.createdAt - b.createdAt) || (a.sequence - b.sequence));
+    } catch (error) {
+      log(`Error getting digest items: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Remove items that went out with a digest
+   * @param {Array} ids - Item ids
+   * @returns {Number} Number of removed items
+   */
+  async function removeDigestItems(ids) {
+    try {
+      return await removeAsync({ _id: { $in: ids } }, { multi: true });
+    } catch (error) {
+      log(`Error removing digest items: ${error.message}`);
+      return 0;
+    }
+  }
+
+  return {
+    addDigestItem,
+    getDigestItems,
+    removeDigestItems
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the default digest store in DATA_DIR, creating it on first use
+ * @returns {Object} Digest store
+ */
+function getDefaultDigestStore() {
+  if (!defaultStore) {
+    defaultStore = createDigestStore();
+  }
+  return defaultStore;
+}
+
+export { createDigestStore, getDefaultDigestStore };
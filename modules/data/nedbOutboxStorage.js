@@ -0,0 +1,220 @@
+import Datastore from 'nedb';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Get default data file path
+const getDataFilePath = () => {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+  // Ensure data directory exists
+  if (!fs.existsSync(dataDir)) {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      log(`Created data directory: ${dataDir}`);
+    } catch (err) {
+      log(`Error creating data directory: ${err.message}`);
+    }
+  }
+
+  return path.resolve(dataDir, 'notification-outbox.db');
+};
+
+// Promisify NeDB functions
+const promisify = (fn, context) => (...args) => {
+  return new Promise((resolve, reject) => {
+    fn.call(context, ...args, (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+};
+
+// Keeps notifications queued in the same millisecond in the order they were queued
+let enqueueSequence = 0;
+
+/**
+ * Create an outbox for notifications that have not been delivered yet
+ * A notification stays in the outbox until a delivery succeeded, failed attempts
+ * only move its next attempt further out.
+ * @param {Object} options - Outbox options
+ * @param {String} options.filename - Datastore file, defaults to notification-outbox.db in DATA_DIR
+ * @param {Boolean} options.inMemory - Keep the datastore in memory only (e.g. for tests)
+ * @returns {Object} Outbox store
+ */
+function createOutboxStore({ filename, inMemory = false } = {}) {
+  // Collection for pending notifications
+  const outboxDb = inMemory
+    ? new Datastore({ inMemoryOnly: true, timestampData: true })
+    : new Datastore({ filename: filename || getDataFilePath(), autoload: true, timestampData: true });
+
+  // Promisified NeDB methods
+  const findAsync = promisify(outboxDb.find, outboxDb);
+  const insertAsync = promisify(outboxDb.insert, outboxDb);
+  const updateAsync = promisify(outboxDb.update, outboxDb);
+  const removeAsync = promisify(outboxDb.remove, outboxDb);
+  const countAsync = promisify(outboxDb.count, outboxDb);
+
+  /**
+   * Queue a notification for delivery on one channel
+   * @param {Object} entry - { channel, target, notification, appointmentIds, quietHours }
+   *   channel is the name of the notification channel, target an optional destination
+   *   overriding the channel's own (e.g. a webhook URL); appointmentIds are marked as
+   *   notified once the notification was delivered; quietHours (see delivery.js) hold
+   *   the notification back while they last
+   * @returns {Object|null} Stored outbox entry, null on error
+   */
+  async function enqueueNotification({ channel, target, notification, appointmentIds = [], quietHours = null }) {
+    try {
+      const now = new Date();
+      const entry = await insertAsync({
+        channel,
+        target: target || null,
+        notification,
+        appointmentIds,
+        quietHours,
+        attempts: 0,
+        deliveredParts: 0,
+        lastError: null,
+        lastAttemptAt: null,
+        nextAttemptAt: now,
+        sequence: enqueueSequence++
+      });
+
+      log(`Queued notification ${entry._id} for ${channel} (${appointmentIds.length} appointments)`);
+      return entry;
+    } catch (error) {
+      log(`Error queueing notification: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get notifications whose next attempt is due, oldest first
+   * @param {Date} now - Reference time
+   * @returns {Array} Due outbox entries
+   */
+  async function getDueNotifications(now = new Date()) {
+    try {
+      const entries = await findAsync({ nextAttemptAt: { $lte: now } });
+      return entries.sort((a, b) => (a.createdAt - b.createdAt) || (a.sequence - b.sequence));
+    } catch (error) {
+      log(`Error getting due notifications: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get every notification that has not been delivered yet
+   * @returns {Array} Pending outbox entries, oldest first
+   */
+  async function getPendingNotifications() {
+    try {
+      const entries = await findAsync({});
+      return entries.sort((a, b) => (a.createdAt - b.createdAt) || (a.sequence - b.sequence));
+    } catch (error) {
+      log(`Error getting pending notifications: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Count the notifications that have not been delivered yet
+   * @returns {Number} Number of pending notifications
+   */
+  async function countPendingNotifications() {
+    try {
+      return await countAsync({});
+    } catch (error) {
+      log(`Error counting pending notifications: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Remove a delivered notification from the outbox
+   * @param {String} id - Outbox entry id
+   * @returns {Boolean} Whether the entry was removed
+   */
+  async function markDelivered(id) {
+    try {
+      const numRemoved = await removeAsync({ _id: id }, {});
+      return numRemoved > 0;
+    } catch (error) {
+      log(`Error removing delivered notification: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Record a failed delivery and schedule the next attempt
+   * @param {String} id - Outbox entry id
+   * @param {String} errorMessage - Reason the delivery failed
+   * @param {Date} nextAttemptAt - Time of the next attempt
+   * @param {Number} deliveredParts - Parts of the notification that did reach the channel,
+   *   the next attempt continues after them (e.g. a Discord alert split into several messages)
+   * @returns {Boolean} Success status
+   */
+  async function markFailed(id, errorMessage, nextAttemptAt, deliveredParts = 0) {
+    try {
+      const numUpdated = await updateAsync(
+        { _id: id },
+        {
+          $set: { lastError: errorMessage, lastAttemptAt: new Date(), nextAttemptAt, deliveredParts },
+          $inc: { attempts: 1 }
+        },
+        {}
+      );
+      return numUpdated > 0;
+    } catch (error) {
+      log(`Error recording failed notification: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Hold a notification back until a later time without counting a failed attempt
+   * @param {String} id - Outbox entry id
+   * @param {Date} nextAttemptAt - Time the notification becomes due again
+   * @returns {Boolean} Success status
+   */
+  async function postponeNotification(id, nextAttemptAt) {
+    try {
+      const numUpdated = await updateAsync({ _id: id }, { $set: { nextAttemptAt } }, {});
+      return numUpdated > 0;
+    } catch (error) {
+      log(`Error postponing notification: ${error.message}`);
+      return false;
+    }
+  }
+
+  return {
+    enqueueNotification,
+    getDueNotifications,
+    getPendingNotifications,
+    countPendingNotifications,
+    markDelivered,
+    markFailed,
+    postponeNotification
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the default outbox in DATA_DIR, creating it on first use
+ * @returns {Object} Outbox store
+ */
+function getDefaultOutbox() {
+  if (!defaultStore) {
+    defaultStore = createOutboxStore();
+  }
+  return defaultStore;
+}
+
+export { createOutboxStore, getDefaultOutbox };
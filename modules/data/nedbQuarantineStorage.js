@@ -0,0 +1,139 @@
+import Datastore from 'nedb';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Get default data file path
+const getDataFilePath = () => {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+  
+  // Ensure data directory exists
+  if (!fs.existsSync(dataDir)) {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      log(`Created data directory: ${dataDir}`);
+    } catch (err) {
+      log(`Error creating data directory: ${err.message}`);
+    }
+  }
+  
+  return path.resolve(dataDir, 'quarantine.db');
+};
+
+// Promisify NeDB functions
+const promisify = (fn, context) => (...args) => {
+  return new Promise((resolve, reject) => {
+    fn.call(context, ...args, (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+};
+
+/**
+ * Build the key identifying a quarantined record
+ * Records without a usable id are keyed by their content.
+ * @param {string} source - Source the record came from
+ * @param {Object} record - Raw record
+ * @returns {string} Quarantine key
+ */
+function getQuarantineKey(source, record) {
+  const recordId = record?.id ?? JSON.stringify(record);
+  return `${source}:${recordId}`;
+}
+
+/**
+ * Create a quarantine for raw records that failed schema validation
+ * @param {Object} options - Quarantine options
+ * @param {String} options.filename - Datastore file, defaults to quarantine.db in DATA_DIR
+ * @param {Boolean} options.inMemory - Keep the datastore in memory only (e.g. for tests)
+ * @returns {Object} Quarantine store
+ */
+function createQuarantineStore({ filename, inMemory = false } = {}) {
+  // Collection for raw records that failed schema validation
+  const quarantineDb = inMemory
+    ? new Datastore({ inMemoryOnly: true, timestampData: true })
+    : new Datastore({ filename: filename || getDataFilePath(), autoload: true, timestampData: true });
+
+  // Promisified NeDB methods
+  const findAsync = promisify(quarantineDb.find, quarantineDb);
+  const updateAsync = promisify(quarantineDb.update, quarantineDb);
+
+  /**
+   * Store rejected records together with the reasons they failed validation
+   * A record rejected again on a later run updates its existing entry.
+   * @param {string} source - Source the records came from
+   * @param {Array} rejectedRecords - Array of { record, errors } objects
+   * @returns {Boolean} Success status
+   */
+  async function quarantineRecords(source, rejectedRecords) {
+    try {
+      if (!Array.isArray(rejectedRecords) || rejectedRecords.length === 0) {
+        return true;
+      }
+
+      const now = new Date();
+
+      for (const { record, errors } of rejectedRecords) {
+        await updateAsync(
+          { key: getQuarantineKey(source, record) },
+          {
+            $set: {
+              source,
+              record,
+              errors,
+              lastSeenAt: now
+            },
+            $inc: { occurrences: 1 }
+          },
+          { upsert: true }
+        );
+      }
+
+      log(`Quarantined ${rejectedRecords.length} invalid records from ${source}`);
+      return true;
+    } catch (error) {
+      log(`Error quarantining records: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get quarantined records
+   * @param {string} [source] - Only return records of this source
+   * @returns {Array} Array of quarantine entries
+   */
+  async function getQuarantinedRecords(source) {
+    try {
+      return await findAsync(source ? { source } : {});
+    } catch (error) {
+      log(`Error getting quarantined records: ${error.message}`);
+      return [];
+    }
+  }
+
+  return {
+    quarantineRecords,
+    getQuarantinedRecords
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the default quarantine in DATA_DIR, creating it on first use
+ * @returns {Object} Quarantine store
+ */
+function getDefaultQuarantineStore() {
+  if (!defaultStore) {
+    defaultStore = createQuarantineStore();
+  }
+  return defaultStore;
+}
+
+export { createQuarantineStore, getDefaultQuarantineStore };
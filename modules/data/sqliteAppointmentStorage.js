@@ -0,0 +1,786 @@
+import { DatabaseSync } from 'node:sqlite';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+import { diffAppointments } from './appointmentDiff.js';
+import {
+  LEGACY_SOURCE,
+  APPOINTMENT_EVENTS,
+  getLegacyTags,
+  normalizeQueryCriteria,
+  normalizeQueryOptions,
+  getExamDateKey,
+  isPastAppointment,
+  isPurgeableArchive
+} from './storageHelpers.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Get data file path
+const getDataFilePath = () => {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+  // Ensure data directory exists
+  if (!fs.existsSync(dataDir)) {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      log(`Created data directory: ${dataDir}`);
+    } catch (err) {
+      log(`Error creating data directory: ${err.message}`);
+    }
+  }
+
+  return path.resolve(dataDir, 'appointments.sqlite');
+};
+
+// Database for appointment data
+// The complete appointment is stored as JSON in doc; the other columns are
+// copies of the fields the backend filters on so they can be indexed.
+const db = new DatabaseSync(getDataFilePath());
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS appointments (
+    id TEXT PRIMARY KEY,
+    source TEXT,
+    exam_type_id,
+    notified INTEGER NOT NULL DEFAULT 0,
+    cancelled INTEGER NOT NULL DEFAULT 0,
+    date_added TEXT,
+    landkreis TEXT,
+    location TEXT,
+    office_name TEXT,
+    exam_date TEXT,
+    notified_at TEXT,
+    search_text TEXT,
+    doc TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS archived_appointments (
+    id TEXT PRIMARY KEY,
+    source TEXT,
+    exam_type_id,
+    archived_at TEXT NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS appointment_events (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    appointment_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    at TEXT NOT NULL,
+    details TEXT NOT NULL
+  );
+`);
+
+// Column queryAppointments sorts by for each sortable appointment field
+const SORT_COLUMNS = {
+  date: 'exam_date',
+  dateAdded: 'date_added',
+  notifiedAt: 'notified_at',
+  landkreis: 'landkreis',
+  pruefungsort: 'location',
+  pruefungsstelle: 'office_name'
+};
+
+/**
+ * Convert a stored row back into an appointment object
+ * @param {Object} row - Row with a doc column
+ * @returns {Object} Appointment object
+ */
+const fromRow = row => JSON.parse(row.doc);
+
+/**
+ * Convert a date value into an ISO string for the date_added column
+ * @param {Date|String|undefined} value - Date value
+ * @returns {String|null} ISO string or null
+ */
+const toIsoString = value => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Insert or replace a complete appointment
+ * @param {Object} appointment - Appointment object with an id
+ */
+function writeAppointment(appointment) {
+  db.prepare(`
+    INSERT INTO appointments (
+      id, source, exam_type_id, notified, cancelled, date_added,
+      landkreis, location, office_name, exam_date, notified_at, search_text, doc
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      source = excluded.source,
+      exam_type_id = excluded.exam_type_id,
+      notified = excluded.notified,
+      cancelled = excluded.cancelled,
+      date_added = excluded.date_added,
+      landkreis = excluded.landkreis,
+      location = excluded.location,
+      office_name = excluded.office_name,
+      exam_date = excluded.exam_date,
+      notified_at = excluded.notified_at,
+      search_text = excluded.search_text,
+      doc = excluded.doc
+  `).run(
+    String(appointment.id),
+    appointment.source ?? null,
+    appointment.examTypeId ?? null,
+    appointment.notified ? 1 : 0,
+    appointment.cancelled ? 1 : 0,
+    toIsoString(appointment.dateAdded),
+    appointment.landkreis || null,
+    appointment.pruefungsort || null,
+    appointment.pruefungsstelle || null,
+    getExamDateKey(appointment),
+    toIsoString(appointment.notifiedAt),
+    // Lower-cased here so the free text search does not depend on SQLite's ASCII-only LIKE
+    appointment.additionalInfo ? String(appointment.additionalInfo).toLowerCase() : null,
+    JSON.stringify(appointment)
+  );
+}
+
+/**
+ * Read a single appointment by id
+ * @param {Number|String} appointmentId - ID of the appointment
+ * @returns {Object|null} Appointment object or null if not found
+ */
+function readAppointment(appointmentId) {
+  const row = db.prepare('SELECT doc FROM appointments WHERE id = ?').get(String(appointmentId));
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * Read appointments matching a WHERE clause
+ * @param {String} where - SQL condition, '1' for all appointments
+ * @param {Array} params - Values bound to the condition
+ * @returns {Array} Array of appointment objects
+ */
+function readAppointments(where = '1', params = []) {
+  return db.prepare(`SELECT doc FROM appointments WHERE ${where}`).all(...params).map(fromRow);
+}
+
+/**
+ * Build a WHERE clause that restricts results to one source and/or exam type
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Object} { where, params }
+ */
+const scopeQuery = ({ source, examTypeId } = {}) => {
+  const conditions = ['1'];
+  const params = [];
+
+  if (source !== undefined && source !== null) {
+    conditions.push('source = ?');
+    params.push(source);
+  }
+
+  if (examTypeId !== undefined && examTypeId !== null) {
+    conditions.push('exam_type_id = ?');
+    params.push(examTypeId);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * Translate normalized query criteria into a WHERE clause
+ * @param {Object} criteria - Result of normalizeQueryCriteria
+ * @returns {Object} { where, params }
+ */
+const criteriaQuery = ({ source, examTypeIds, landkreise, locations, offices, from, to, notified, cancelled, text }) => {
+  const scope = scopeQuery({ source });
+  const conditions = [scope.where];
+  const params = [...scope.params];
+
+  const addList = (column, values) => {
+    if (values) {
+      conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+  };
+
+  addList('exam_type_id', examTypeIds);
+  addList('landkreis', landkreise);
+  addList('location', locations);
+  addList('office_name', offices);
+
+  if (from !== undefined) {
+    conditions.push('exam_date >= ?');
+    params.push(from);
+  }
+
+  if (to !== undefined) {
+    conditions.push('exam_date <= ?');
+    params.push(to);
+  }
+
+  if (notified !== undefined) {
+    conditions.push(`notified = ${notified ? 1 : 0}`);
+  }
+
+  if (cancelled !== undefined) {
+    conditions.push(`cancelled = ${cancelled ? 1 : 0}`);
+  }
+
+  if (text !== undefined) {
+    conditions.push('instr(search_text, ?) > 0');
+    params.push(text);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * Apply an update to a single appointment
+ * @param {Number|String} appointmentId - ID of the appointment to update
+ * @param {Object} fields - Fields to set
+ * @returns {Boolean} True if the appointment was found
+ */
+function updateAppointment(appointmentId, fields) {
+  const appointment = readAppointment(appointmentId);
+  if (!appointment) {
+    return false;
+  }
+
+  writeAppointment({ ...appointment, ...fields });
+  return true;
+}
+
+/**
+ * Append a lifecycle event to the event log
+ * Failures are logged but never interrupt the storage operation that caused the event.
+ * @param {Number|String} appointmentId - ID of the appointment
+ * @param {String} type - One of APPOINTMENT_EVENTS
+ * @param {Object} details - Optional event details
+ * @returns {Boolean} Success status
+ */
+async function recordAppointmentEvent(appointmentId, type, details = {}) {
+  try {
+    db.prepare('INSERT INTO appointment_events (appointment_id, type, at, details) VALUES (?, ?, ?, ?)')
+      .run(String(appointmentId), type, new Date().toISOString(), JSON.stringify(details));
+    return true;
+  } catch (error) {
+    log(`Error recording ${type} event for appointment ${appointmentId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get all lifecycle events of one appointment, oldest first
+ * @param {Number|String} appointmentId - ID of the appointment
+ * @returns {Array} Array of { appointmentId, type, at, details } objects
+ */
+async function getAppointmentTimeline(appointmentId) {
+  try {
+    return db.prepare('SELECT type, at, details FROM appointment_events WHERE appointment_id = ? ORDER BY seq')
+      .all(String(appointmentId))
+      .map(row => ({ appointmentId, type: row.type, at: row.at, details: JSON.parse(row.details) }));
+  } catch (error) {
+    log(`Error loading timeline of appointment ${appointmentId}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Tag appointments stored before source adapters existed
+ * @returns {Number} Number of updated appointments
+ */
+function tagLegacyAppointments() {
+  const legacyAppointments = readAppointments('source IS NULL');
+
+  for (const appointment of legacyAppointments) {
+    // The namespaced id replaces the old primary key
+    db.prepare('DELETE FROM appointments WHERE id = ?').run(String(appointment.id));
+    writeAppointment({ ...appointment, ...getLegacyTags(appointment) });
+  }
+
+  if (legacyAppointments.length > 0) {
+    log(`Tagged ${legacyAppointments.length} legacy appointments with source ${LEGACY_SOURCE}`);
+  }
+
+  return legacyAppointments.length;
+}
+
+/**
+ * Initialize the appointments table
+ * Creates indexes for efficient querying
+ */
+async function initializeAppointmentsCollection() {
+  try {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_appointments_notified ON appointments (notified);
+      CREATE INDEX IF NOT EXISTS idx_appointments_cancelled ON appointments (cancelled);
+      CREATE INDEX IF NOT EXISTS idx_appointments_exam_type_id ON appointments (exam_type_id);
+      CREATE INDEX IF NOT EXISTS idx_appointments_source ON appointments (source);
+      CREATE INDEX IF NOT EXISTS idx_appointments_landkreis ON appointments (landkreis);
+      CREATE INDEX IF NOT EXISTS idx_appointments_location ON appointments (location);
+      CREATE INDEX IF NOT EXISTS idx_appointments_office_name ON appointments (office_name);
+      CREATE INDEX IF NOT EXISTS idx_appointments_exam_date ON appointments (exam_date);
+      CREATE INDEX IF NOT EXISTS idx_appointment_events_appointment_id ON appointment_events (appointment_id);
+    `);
+
+    tagLegacyAppointments();
+
+    log('Appointments collection initialized');
+    return true;
+  } catch (error) {
+    log(`Error initializing appointments collection: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Load all known appointments from the database
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Array} Array of appointment objects
+ */
+async function loadKnownAppointments(scope = {}) {
+  try {
+    const { where, params } = scopeQuery(scope);
+    const appointments = readAppointments(where, params);
+    log(`Loaded ${appointments.length} appointments from database`);
+    return appointments;
+  } catch (error) {
+    log(`Error loading appointments: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Save new appointments to the database
+ * @param {Array} newAppointments - Array of appointment objects to save
+ * @returns {Boolean} Success status
+ */
+async function saveAppointments(newAppointments) {
+  try {
+    if (!Array.isArray(newAppointments) || newAppointments.length === 0) {
+      log('No valid appointments to save');
+      return false;
+    }
+
+    db.exec('BEGIN');
+    try {
+      for (const appointment of newAppointments) {
+        writeAppointment(appointment);
+      }
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    log(`Saved ${newAppointments.length} appointments to database`);
+    return true;
+  } catch (error) {
+    log(`Error saving appointments: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Find new appointments that aren't already in the database
+ * @param {Array} fetchedAppointments - Appointments fetched from API
+ * @returns {Array} Array of new appointments
+ */
+async function findNewAppointments(fetchedAppointments) {
+  try {
+    if (!Array.isArray(fetchedAppointments) || fetchedAppointments.length === 0) {
+      log('No valid appointments to check');
+      return [];
+    }
+
+    const existsStatement = db.prepare('SELECT 1 FROM appointments WHERE id = ?');
+
+    const newAppointments = fetchedAppointments.filter(
+      appointment => !existsStatement.get(String(appointment.id))
+    ).map(appointment => ({
+      ...appointment,
+      notified: false,
+      dateAdded: new Date()
+    }));
+
+    log(`Found ${newAppointments.length} new appointments`);
+    return newAppointments;
+  } catch (error) {
+    log(`Error finding new appointments: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Find known appointments whose details differ from the fetched data
+ * @param {Array} fetchedAppointments - Appointments fetched from API
+ * @returns {Array} Array of { appointment, previous, changes } objects
+ */
+async function findChangedAppointments(fetchedAppointments) {
+  try {
+    if (!Array.isArray(fetchedAppointments) || fetchedAppointments.length === 0) {
+      return [];
+    }
+
+    const changedAppointments = [];
+
+    for (const fetched of fetchedAppointments) {
+      const stored = readAppointment(fetched.id);
+      if (!stored) {
+        continue;
+      }
+
+      const changes = diffAppointments(stored, fetched);
+
+      if (changes.length > 0) {
+        changedAppointments.push({
+          appointment: { ...stored, ...fetched },
+          previous: stored,
+          changes
+        });
+      }
+    }
+
+    log(`Found ${changedAppointments.length} changed appointments`);
+    return changedAppointments;
+  } catch (error) {
+    log(`Error finding changed appointments: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Persist changed appointment details together with their field-level diff
+ * @param {Array} changedAppointments - Result of findChangedAppointments
+ * @returns {Boolean} Success status
+ */
+async function saveAppointmentChanges(changedAppointments) {
+  try {
+    if (!Array.isArray(changedAppointments) || changedAppointments.length === 0) {
+      return false;
+    }
+
+    for (const { appointment, changes } of changedAppointments) {
+      const stored = readAppointment(appointment.id);
+      if (!stored) {
+        continue;
+      }
+
+      const changedAt = new Date();
+      // Keep notification state, creation date and history of the stored appointment
+      const {
+        notified, notifiedAt, dateAdded,
+        changeHistory, lastChanges, lastChangedAt,
+        ...details
+      } = appointment;
+
+      writeAppointment({
+        ...stored,
+        ...details,
+        lastChanges: changes,
+        lastChangedAt: changedAt,
+        changeHistory: [...(stored.changeHistory || []), { changedAt, changes }]
+      });
+
+      await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.CHANGED, { changes });
+    }
+
+    log(`Saved changes for ${changedAppointments.length} appointments`);
+    return true;
+  } catch (error) {
+    log(`Error saving appointment changes: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Track future appointments that are missing from the fetched data
+ * Each run an appointment is missing increments its missingCount; once it has
+ * been missing for graceRuns consecutive runs it is returned as cancelled.
+ * Appointments that show up again are reset (and reinstated if cancelled).
+ * @param {Array} fetchedAppointments - Appointments fetched from API
+ * @param {Number} graceRuns - Consecutive missing runs before an appointment counts as cancelled
+ * @param {Object} scope - Optional { source, examTypeId } filter restricting the checked appointments
+ * @param {Array} listedIds - IDs the source still lists but whose records were rejected this run;
+ *   they don't count as missing
+ * @returns {Array} Array of appointments that should be marked as cancelled
+ */
+async function findCancelledAppointments(fetchedAppointments, graceRuns = 2, scope = {}, listedIds = []) {
+  try {
+    if (!Array.isArray(fetchedAppointments)) {
+      log('No valid appointments to check for cancellations');
+      return [];
+    }
+
+    const fetchedIds = new Set(fetchedAppointments.map(appointment => String(appointment.id)));
+    const stillListedIds = new Set(listedIds.map(String));
+    const now = new Date();
+
+    // Reset appointments that are listed again
+    for (const id of fetchedIds) {
+      const appointment = readAppointment(id);
+      if (!appointment || !(appointment.missingCount > 0 || appointment.cancelled)) {
+        continue;
+      }
+
+      const { missingSince, cancelledAt, ...listed } = appointment;
+      writeAppointment({ ...listed, missingCount: 0, cancelled: false });
+
+      if (appointment.cancelled) {
+        log(`Appointment ${appointment.id} is listed again, reinstating it`);
+        await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.REINSTATED);
+      }
+    }
+
+    // Only appointments that still lie in the future are expected in the feed
+    const { where, params } = scopeQuery(scope);
+    const missingAppointments = readAppointments(`cancelled = 0 AND ${where}`, params).filter(
+      appointment => !fetchedIds.has(String(appointment.id))
+        && !stillListedIds.has(String(appointment.id))
+        && new Date(appointment.date) > now
+    );
+
+    const cancelledAppointments = [];
+
+    for (const appointment of missingAppointments) {
+      const missingCount = (appointment.missingCount || 0) + 1;
+      const missingSince = appointment.missingSince || now;
+
+      updateAppointment(appointment.id, { missingCount, missingSince });
+
+      if (missingCount >= graceRuns) {
+        cancelledAppointments.push({ ...appointment, missingCount, missingSince });
+      } else {
+        log(`Appointment ${appointment.id} missing from feed (${missingCount}/${graceRuns})`);
+      }
+    }
+
+    log(`Found ${cancelledAppointments.length} cancelled appointments`);
+    return cancelledAppointments;
+  } catch (error) {
+    log(`Error finding cancelled appointments: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Mark an appointment as cancelled
+ * @param {Number|String} appointmentId - ID of the appointment to mark
+ * @returns {Boolean} Success status
+ */
+async function markAsCancelled(appointmentId) {
+  try {
+    if (!updateAppointment(appointmentId, { cancelled: true, cancelledAt: new Date() })) {
+      log(`Warning: Appointment with ID ${appointmentId} not found`);
+      return false;
+    }
+
+    await recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.CANCELLED);
+
+    log(`Marked appointment ${appointmentId} as cancelled`);
+    return true;
+  } catch (error) {
+    log(`Error marking appointment as cancelled: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Mark an appointment as notified
+ * @param {Number|String} appointmentId - ID of the appointment to mark
+ * @returns {Boolean} Success status
+ */
+async function markAsNotified(appointmentId) {
+  try {
+    if (!updateAppointment(appointmentId, { notified: true, notifiedAt: new Date() })) {
+      log(`Warning: Appointment with ID ${appointmentId} not found`);
+      return false;
+    }
+
+    await recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.NOTIFIED);
+
+    log(`Marked appointment ${appointmentId} as notified`);
+    return true;
+  } catch (error) {
+    log(`Error marking appointment as notified: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Mark an appointment as not relevant for the team, or as relevant again
+ * Not relevant appointments are still tracked but get no reminders.
+ * @param {Number|String} appointmentId - ID of the appointment to mark
+ * @param {Boolean} notRelevant - False to mark the appointment as relevant again
+ * @returns {Boolean} Success status
+ */
+async function markAsNotRelevant(appointmentId, notRelevant = true) {
+  try {
+    if (!updateAppointment(appointmentId, { notRelevant, notRelevantAt: notRelevant ? new Date() : null })) {
+      log(`Warning: Appointment with ID ${appointmentId} not found`);
+      return false;
+    }
+
+    await recordAppointmentEvent(appointmentId, notRelevant ? APPOINTMENT_EVENTS.MARKED_NOT_RELEVANT : APPOINTMENT_EVENTS.MARKED_RELEVANT);
+
+    log(`Marked appointment ${appointmentId} as ${notRelevant ? 'not relevant' : 'relevant'}`);
+    return true;
+  } catch (error) {
+    log(`Error marking appointment relevance: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Find appointments by criteria, sorted and paginated
+ * @param {Object} criteria - See normalizeQueryCriteria in storageHelpers.js
+ * @param {Object} options - { sortBy, sortOrder, limit, offset }, see normalizeQueryOptions
+ * @returns {Array} Array of appointment objects
+ */
+async function queryAppointments(criteria = {}, options = {}) {
+  try {
+    const { sortField, direction, limit, offset } = normalizeQueryOptions(options);
+    const { where, params } = criteriaQuery(normalizeQueryCriteria(criteria));
+    const order = direction === 1 ? 'ASC' : 'DESC';
+
+    return db.prepare(`
+      SELECT doc FROM appointments WHERE ${where}
+      ORDER BY ${SORT_COLUMNS[sortField]} ${order}, id ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit === null ? -1 : limit, offset).map(fromRow);
+  } catch (error) {
+    log(`Error querying appointments: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get all appointments that have been notified and are not cancelled
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Array} Array of notified appointment objects
+ */
+async function getNotifiedAppointments(scope = {}) {
+  return queryAppointments({ ...scope, notified: true, cancelled: false });
+}
+
+/**
+ * Get the appointments with the latest exam dates that are not cancelled
+ * @param {Number} limit - Number of appointments to return
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Array} Array of appointment objects
+ */
+async function getMostRecentAppointments(limit = 2, scope = {}) {
+  return queryAppointments({ ...scope, cancelled: false }, { sortBy: 'date', sortOrder: 'desc', limit });
+}
+
+/**
+ * Load archived appointments
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Array} Array of archived appointment objects
+ */
+async function loadArchivedAppointments(scope = {}) {
+  try {
+    const { where, params } = scopeQuery(scope);
+    return db.prepare(`SELECT doc FROM archived_appointments WHERE ${where}`).all(...params).map(fromRow);
+  } catch (error) {
+    log(`Error loading archived appointments: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Move past appointments into the archive and purge old archived ones
+ * An appointment is archived once its exam date has passed; archived appointments
+ * are deleted for good daysToKeep days after their exam.
+ * @param {Number} daysToKeep - Number of days archived appointments are kept after their exam
+ * @returns {Object|null} { archived, purged } counts or null on error
+ */
+async function pruneOldAppointments(daysToKeep = 90) {
+  try {
+    // Calculate cutoff date
+    const now = new Date();
+    const cutoffDate = new Date(now);
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+    // Dates are stored as strings inside doc, so past appointments are selected in JavaScript
+    const pastAppointments = readAppointments().filter(
+      appointment => isPastAppointment(appointment, now, cutoffDate)
+    );
+
+    const archiveStatement = db.prepare(`
+      INSERT OR REPLACE INTO archived_appointments (id, source, exam_type_id, archived_at, doc)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const deleteStatement = db.prepare('DELETE FROM appointments WHERE id = ?');
+
+    db.exec('BEGIN');
+    try {
+      for (const appointment of pastAppointments) {
+        const archivedAppointment = { ...appointment, archivedAt: now };
+        archiveStatement.run(
+          String(appointment.id),
+          appointment.source ?? null,
+          appointment.examTypeId ?? null,
+          now.toISOString(),
+          JSON.stringify(archivedAppointment)
+        );
+        deleteStatement.run(String(appointment.id));
+      }
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    for (const appointment of pastAppointments) {
+      await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.ARCHIVED);
+    }
+
+    // Purge archived appointments whose exam is longer ago than daysToKeep
+    const expiredAppointments = (await loadArchivedAppointments()).filter(
+      appointment => isPurgeableArchive(appointment, cutoffDate)
+    );
+    const purgeStatement = db.prepare('DELETE FROM archived_appointments WHERE id = ?');
+
+    for (const appointment of expiredAppointments) {
+      purgeStatement.run(String(appointment.id));
+      await recordAppointmentEvent(appointment.id, APPOINTMENT_EVENTS.PRUNED, { daysToKeep });
+    }
+
+    log(`Archived ${pastAppointments.length} past appointments, purged ${expiredAppointments.length} archived appointments older than ${daysToKeep} days`);
+    return { archived: pastAppointments.length, purged: expiredAppointments.length };
+  } catch (error) {
+    log(`Error pruning old appointments: ${error.message}`);
+    return null;
+  }
+}
+
+// For backward compatibility
+const ensureDataFile = initializeAppointmentsCollection;
+const saveKnownAppointments = saveAppointments;
+
+export {
+  initializeAppointmentsCollection,
+  loadKnownAppointments,
+  saveAppointments,
+  findNewAppointments,
+  findChangedAppointments,
+  saveAppointmentChanges,
+  findCancelledAppointments,
+  markAsCancelled,
+  markAsNotified,
+  markAsNotRelevant,
+  queryAppointments,
+  getNotifiedAppointments,
+  getMostRecentAppointments,
+  pruneOldAppointments,
+  loadArchivedAppointments,
+  recordAppointmentEvent,
+  getAppointmentTimeline,
+  // Backward compatibility exports
+  ensureDataFile,
+  saveKnownAppointments
+};
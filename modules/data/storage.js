@@ -0,0 +1,157 @@
+import { log } from '../logger/logger.js';
+import { APPOINTMENT_EVENTS } from './storageHelpers.js';
+
+/**
+ * Storage backends by STORAGE_BACKEND name
+ * Backends are imported on first use so only the configured one is loaded
+ * (the SQLite backend needs node:sqlite, the NeDB backend opens its file on import).
+ */
+const STORAGE_BACKENDS = {
+  nedb: () => import('./nedbAppointmentStorage.js'),
+  json: () => import('./appointmentStorage.js'),
+  sqlite: () => import('./sqliteAppointmentStorage.js')
+};
+
+const DEFAULT_STORAGE_BACKEND = 'nedb';
+
+/**
+ * Stores that do not go through STORAGE_BACKEND
+ * The backend choice covers the appointments and their event log. The stores below
+ * always use NeDB in DATA_DIR: they hold the crawler's own working state rather than
+ * appointment data, nothing queries them alongside the appointments, and NeDB works
+ * on every supported Node.js version. Switching STORAGE_BACKEND therefore leaves them
+ * untouched; the backup still covers them like every other file in DATA_DIR.
+ * - nedbQuarantineStorage.js (quarantine.db): raw records that failed schema validation
+ * - nedbOutboxStorage.js (notification-outbox.db): notifications not yet delivered per channel
+ * - nedbDigestStorage.js (notification-digest.db): findings collected for the next digest
+ */
+
+/**
+ * Functions every storage backend has to export
+ * All of them are async; see nedbAppointmentStorage.js for the reference behaviour.
+ */
+const STORAGE_CONTRACT = [
+  'initializeAppointmentsCollection',
+  'loadKnownAppointments',
+  'saveAppointments',
+  'findNewAppointments',
+  'findChangedAppointments',
+  'saveAppointmentChanges',
+  'findCancelledAppointments',
+  'markAsCancelled',
+  'markAsNotified',
+  'markAsNotRelevant',
+  'queryAppointments',
+  'getNotifiedAppointments',
+  'getMostRecentAppointments',
+  'pruneOldAppointments',
+  'loadArchivedAppointments',
+  'recordAppointmentEvent',
+  'getAppointmentTimeline'
+];
+
+let backendPromise = null;
+
+/**
+ * Get the configured backend name from STORAGE_BACKEND
+ * @returns {string} - 'nedb', 'json' or 'sqlite'
+ */
+function getStorageBackendName() {
+  const name = (process.env.STORAGE_BACKEND || DEFAULT_STORAGE_BACKEND).trim().toLowerCase();
+
+  if (!STORAGE_BACKENDS[name]) {
+    throw new Error(`Unknown storage backend "${name}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+
+  return name;
+}
+
+/**
+ * Check that a backend module implements the storage contract
+ * @param {string} name - Backend name
+ * @param {object} backend - Imported backend module
+ * @returns {object} - The backend module
+ */
+function assertStorageContract(name, backend) {
+  const missing = STORAGE_CONTRACT.filter(functionName => typeof backend[functionName] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  return backend;
+}
+
+/**
+ * Load the configured storage backend once
+ * @returns {Promise<object>} - Backend module
+ */
+function getStorageBackend() {
+  if (!backendPromise) {
+    const name = getStorageBackendName();
+    backendPromise = STORAGE_BACKENDS[name]()
+      .then(backend => {
+        log(`Using ${name} storage backend`);
+        return assertStorageContract(name, backend);
+      })
+      .catch(error => {
+        backendPromise = null;
+        throw error;
+      });
+  }
+
+  return backendPromise;
+}
+
+/**
+ * Create a function that forwards its call to the configured backend
+ * @param {string} functionName - Contract function name
+ * @returns {Function} - Async delegating function
+ */
+const delegate = functionName => async (...args) => {
+  const backend = await getStorageBackend();
+  return backend[functionName](...args);
+};
+
+const initializeAppointmentsCollection = delegate('initializeAppointmentsCollection');
+const loadKnownAppointments = delegate('loadKnownAppointments');
+const saveAppointments = delegate('saveAppointments');
+const findNewAppointments = delegate('findNewAppointments');
+const findChangedAppointments = delegate('findChangedAppointments');
+const saveAppointmentChanges = delegate('saveAppointmentChanges');
+const findCancelledAppointments = delegate('findCancelledAppointments');
+const markAsCancelled = delegate('markAsCancelled');
+const markAsNotified = delegate('markAsNotified');
+const markAsNotRelevant = delegate('markAsNotRelevant');
+const queryAppointments = delegate('queryAppointments');
+const getNotifiedAppointments = delegate('getNotifiedAppointments');
+const getMostRecentAppointments = delegate('getMostRecentAppointments');
+const pruneOldAppointments = delegate('pruneOldAppointments');
+const loadArchivedAppointments = delegate('loadArchivedAppointments');
+const recordAppointmentEvent = delegate('recordAppointmentEvent');
+const getAppointmentTimeline = delegate('getAppointmentTimeline');
+
+export {
+  APPOINTMENT_EVENTS,
+  STORAGE_BACKENDS,
+  STORAGE_CONTRACT,
+  getStorageBackendName,
+  getStorageBackend,
+  initializeAppointmentsCollection,
+  loadKnownAppointments,
+  saveAppointments,
+  findNewAppointments,
+  findChangedAppointments,
+  saveAppointmentChanges,
+  findCancelledAppointments,
+  markAsCancelled,
+  markAsNotified,
+  markAsNotRelevant,
+  queryAppointments,
+  getNotifiedAppointments,
+  getMostRecentAppointments,
+  pruneOldAppointments,
+  loadArchivedAppointments,
+  recordAppointmentEvent,
+  getAppointmentTimeline
+};
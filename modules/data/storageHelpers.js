@@ -0,0 +1,305 @@
+import { parseTermin } from '../model/appointment.js';
+
+/**
+ * Backend independent helpers shared by the appointment storage backends
+ */
+
+// Source of appointments stored before source adapters were introduced
+const LEGACY_SOURCE = 'sachsen-anhalt';
+
+// Types of the lifecycle events written to the appointment event log
+const APPOINTMENT_EVENTS = {
+  DISCOVERED: 'discovered',
+  NOTIFIED: 'notified',
+  CHANGED: 'changed',
+  CANCELLED: 'cancelled',
+  REINSTATED: 'reinstated',
+  ARCHIVED: 'archived',
+  PRUNED: 'pruned',
+  MARKED_NOT_RELEVANT: 'not-relevant',
+  MARKED_RELEVANT: 'relevant',
+  REMINDED: 'reminded'
+};
+
+/**
+ * Get the fields that tag an appointment stored before source adapters existed
+ * They all come from the Sachsen-Anhalt portal and get its namespaced id.
+ * @param {Object} appointment - Stored appointment
+ * @returns {Object|null} Fields to set, or null if the appointment is already tagged
+ */
+function getLegacyTags(appointment) {
+  if (appointment.source !== undefined) {
+    return null;
+  }
+
+  return {
+    id: `${LEGACY_SOURCE}:${appointment.id}`,
+    source: LEGACY_SOURCE,
+    sourceId: appointment.id,
+    examTypeId: appointment.examTypeId ?? appointment.examType?.id
+  };
+}
+
+/**
+ * Check whether an appointment matches a { source, examTypeId } scope
+ * @param {Object} appointment - Stored appointment
+ * @param {Object} scope - Optional { source, examTypeId } filter
+ * @returns {Boolean} True if the appointment is in scope
+ */
+function matchesScope(appointment, { source, examTypeId } = {}) {
+  if (source !== undefined && source !== null && appointment.source !== source) {
+    return false;
+  }
+
+  if (examTypeId !== undefined && examTypeId !== null && appointment.examTypeId !== examTypeId) {
+    return false;
+  }
+
+  return true;
+}
+
+// Sort keys accepted by queryAppointments and the appointment field each one sorts by
+const QUERY_SORT_FIELDS = {
+  date: 'date',
+  dateAdded: 'dateAdded',
+  notifiedAt: 'notifiedAt',
+  landkreis: 'landkreis',
+  location: 'pruefungsort',
+  office: 'pruefungsstelle'
+};
+
+/**
+ * Turn a single value or a list of values into a list, undefined stays undefined
+ * @param {*} value - Criterion value
+ * @returns {Array|undefined} List of accepted values
+ */
+const toList = value => (value === undefined || value === null ? undefined : [].concat(value));
+
+/**
+ * Convert a date criterion into an ISO string comparable with the exam date
+ * @param {Date|String|undefined} value - Date value
+ * @returns {String|undefined} ISO string
+ */
+function toIsoBound(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}" in appointment query`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Normalize the criteria of queryAppointments
+ * Every criterion is optional; list criteria accept a single value or an array of values.
+ * @param {Object} criteria - Query criteria
+ * @param {String} criteria.source - Source name
+ * @param {Number|Number[]} criteria.examTypeId - Exam type id(s)
+ * @param {String|String[]} criteria.landkreis - District(s)
+ * @param {String|String[]} criteria.location - Exam location(s) (pruefungsort)
+ * @param {String|String[]} criteria.office - Examination office name(s) (pruefungsstelle)
+ * @param {Date|String} criteria.from - Earliest exam date (inclusive)
+ * @param {Date|String} criteria.to - Latest exam date (inclusive)
+ * @param {Boolean} criteria.notified - Only notified (true) or not yet notified (false) appointments
+ * @param {Boolean} criteria.cancelled - Only cancelled (true) or not cancelled (false) appointments
+ * @param {String} criteria.text - Case-insensitive text contained in additionalInfo
+ * @returns {Object} Normalized criteria
+ */
+function normalizeQueryCriteria({
+  source, examTypeId, landkreis, location, office, from, to, notified, cancelled, text
+} = {}) {
+  return {
+    source: source ?? undefined,
+    examTypeIds: toList(examTypeId),
+    landkreise: toList(landkreis),
+    locations: toList(location),
+    offices: toList(office),
+    from: toIsoBound(from),
+    to: toIsoBound(to),
+    notified: typeof notified === 'boolean' ? notified : undefined,
+    cancelled: typeof cancelled === 'boolean' ? cancelled : undefined,
+    text: text ? String(text).toLowerCase() : undefined
+  };
+}
+
+/**
+ * Normalize the sort and pagination options of queryAppointments
+ * @param {Object} options - Query options
+ * @param {String} options.sortBy - One of the QUERY_SORT_FIELDS keys, defaults to 'date'
+ * @param {String} options.sortOrder - 'asc' (default) or 'desc'
+ * @param {Number} options.limit - Maximum number of appointments, all if omitted
+ * @param {Number} options.offset - Number of appointments to skip
+ * @returns {Object} { sortBy, sortField, direction, limit, offset }
+ */
+function normalizeQueryOptions({ sortBy = 'date', sortOrder = 'asc', limit, offset = 0 } = {}) {
+  const sortField = QUERY_SORT_FIELDS[sortBy];
+  if (!sortField) {
+    throw new Error(`Unknown sort key "${sortBy}", expected one of: ${Object.keys(QUERY_SORT_FIELDS).join(', ')}`);
+  }
+
+  return {
+    sortBy,
+    sortField,
+    direction: sortOrder === 'desc' ? -1 : 1,
+    limit: Number.isInteger(limit) && limit >= 0 ? limit : null,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+  };
+}
+
+/**
+ * Get the exam date of an appointment as a sortable ISO string
+ * Records from older versions that only carry termin (d.m.yyyy) fall back to
+ * midnight UTC of that day.
+ * @param {Object} appointment - Stored appointment
+ * @returns {String|null} ISO string or null if the appointment has no exam date
+ */
+function getExamDateKey(appointment) {
+  const examDate = getExamDate(appointment);
+  return examDate ? examDate.toISOString() : parseTermin(appointment.termin);
+}
+
+/**
+ * Check whether the exam date of an appointment lies within a from/to range
+ * @param {Object} appointment - Stored appointment
+ * @param {Object} criteria - Result of normalizeQueryCriteria
+ * @returns {Boolean} True if the appointment is in range or no range is given
+ */
+function isInDateRange(appointment, { from, to }) {
+  if (from === undefined && to === undefined) {
+    return true;
+  }
+
+  const examDateKey = getExamDateKey(appointment);
+  return examDateKey !== null
+    && (from === undefined || examDateKey >= from)
+    && (to === undefined || examDateKey <= to);
+}
+
+/**
+ * Check whether an appointment matches normalized query criteria
+ * Backends without a query engine filter with this; the others translate the
+ * criteria into their own queries with the same semantics.
+ * @param {Object} appointment - Stored appointment
+ * @param {Object} criteria - Result of normalizeQueryCriteria
+ * @returns {Boolean} True if the appointment matches
+ */
+function matchesQuery(appointment, criteria) {
+  const { source, examTypeIds, landkreise, locations, offices, notified, cancelled, text } = criteria;
+
+  return (source === undefined || appointment.source === source)
+    && (!examTypeIds || examTypeIds.includes(appointment.examTypeId))
+    && (!landkreise || landkreise.includes(appointment.landkreis))
+    && (!locations || locations.includes(appointment.pruefungsort))
+    && (!offices || offices.includes(appointment.pruefungsstelle))
+    && isInDateRange(appointment, criteria)
+    && (notified === undefined || (appointment.notified === true) === notified)
+    && (cancelled === undefined || (appointment.cancelled === true) === cancelled)
+    && (text === undefined || String(appointment.additionalInfo || '').toLowerCase().includes(text));
+}
+
+/**
+ * Get the value an appointment is sorted by
+ * Dates are compared as ISO strings, missing values as null.
+ * @param {Object} appointment - Stored appointment
+ * @param {String} field - Appointment field
+ * @returns {String|Number|null} Sort value
+ */
+function getSortValue(appointment, field) {
+  const value = field === 'date' ? getExamDateKey(appointment) : appointment[field];
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Build a sort comparator for normalized query options
+ * Appointments without a value come first in ascending order; ties are ordered by id
+ * so pages do not overlap.
+ * @param {Object} options - Result of normalizeQueryOptions
+ * @returns {Function} Sort comparator
+ */
+function compareForQuery({ sortField, direction }) {
+  return (a, b) => {
+    const valueA = getSortValue(a, sortField);
+    const valueB = getSortValue(b, sortField);
+
+    if (valueA !== valueB) {
+      if (valueA === null) return -direction;
+      if (valueB === null) return direction;
+      return (valueA < valueB ? -1 : 1) * direction;
+    }
+
+    return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+  };
+}
+
+/**
+ * Apply the limit and offset of normalized query options
+ * @param {Array} appointments - Sorted appointments
+ * @param {Object} options - Result of normalizeQueryOptions
+ * @returns {Array} Requested page
+ */
+function paginate(appointments, { limit, offset }) {
+  return appointments.slice(offset, limit === null ? undefined : offset + limit);
+}
+
+/**
+ * Get the exam date of an appointment
+ * @param {Object} appointment - Stored appointment
+ * @returns {Date|null} Exam date or null if the appointment has no valid date
+ */
+function getExamDate(appointment) {
+  const examDate = new Date(appointment.date);
+  return Number.isNaN(examDate.getTime()) ? null : examDate;
+}
+
+/**
+ * Check whether an appointment belongs in the archive
+ * Appointments are archived once their exam has taken place. Records without a
+ * valid exam date (e.g. from older versions) fall back to dateAdded and the cutoff.
+ * @param {Object} appointment - Stored appointment
+ * @param {Date} now - Current time
+ * @param {Date} cutoff - Oldest dateAdded kept for appointments without exam date
+ * @returns {Boolean} True if the appointment should be archived
+ */
+function isPastAppointment(appointment, now, cutoff) {
+  const examDate = getExamDate(appointment);
+  if (examDate) {
+    return examDate < now;
+  }
+  return Boolean(appointment.dateAdded) && new Date(appointment.dateAdded) < cutoff;
+}
+
+/**
+ * Check whether an archived appointment is old enough to be purged
+ * @param {Object} appointment - Archived appointment
+ * @param {Date} cutoff - Exams (or dateAdded without exam date) before this are purged
+ * @returns {Boolean} True if the appointment should be deleted for good
+ */
+function isPurgeableArchive(appointment, cutoff) {
+  const referenceDate = getExamDate(appointment) || new Date(appointment.dateAdded || appointment.archivedAt);
+  return referenceDate < cutoff;
+}
+
+export {
+  LEGACY_SOURCE,
+  APPOINTMENT_EVENTS,
+  getLegacyTags,
+  matchesScope,
+  QUERY_SORT_FIELDS,
+  normalizeQueryCriteria,
+  normalizeQueryOptions,
+  getExamDateKey,
+  isInDateRange,
+  matchesQuery,
+  compareForQuery,
+  paginate,
+  getExamDate,
+  isPastAppointment,
+  isPurgeableArchive
+};
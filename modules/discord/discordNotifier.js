@@ -1,6 +1,16 @@
 import { createRequire } from 'module';
 import { log } from '../logger/logger.js';
 import fetch from 'node-fetch';
+import { getNotificationTimeout } from '../notifications/channels/postJson.js';
+import {
+    LEVEL_COLORS,
+    createAppointmentCard,
+    createChangedAppointmentCard,
+    createCancelledAppointmentCard,
+    createReminderCard,
+    createStatusCard,
+    getCardColor
+} from '../notifications/notificationModel.js';
 
 // Create a require function for ES modules
 const require = createRequire(import.meta.url);
@@ -13,191 +23,486 @@ const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
 
 // Standard Discord message colors
 const DISCORD_COLORS = {
-    SUCCESS: 0x57F287, // Green
-    ERROR: 0xED4245,   // Red
-    WARNING: 0xFEE75C, // Yellow
-    INFO: 0x5865F2,    // Blue
-    DEFAULT: 0x808080  // Gray
+    SUCCESS: LEVEL_COLORS.success, // Green
+    ERROR: LEVEL_COLORS.error,     // Red
+    WARNING: LEVEL_COLORS.warning, // Yellow
+    INFO: LEVEL_COLORS.info,       // Blue
+    REMINDER: LEVEL_COLORS.reminder, // Purple
+    DEFAULT: LEVEL_COLORS.default  // Gray
+};
+
+// Kopfzeile, an der Erinnerungen auf einen Blick von Fundmeldungen zu unterscheiden sind
+const REMINDER_AUTHOR = '⏰ Erinnerung an deine Fischerprüfung';
+
+// Grenzen von Discord für Webhook-Nachrichten, längere Nachrichten werden abgelehnt
+const DISCORD_LIMITS = {
+    content: 2000,
+    embedsPerMessage: 10,
+    charactersPerMessage: 6000,
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footer: 2048
 };
 
 /**
- * Sendet eine Benachrichtigung über Discord mit verbesserten Formatierungsmöglichkeiten
- * 
- * @param {string} content Der zu sendende Textinhalt (für einfache Nachrichten oder Fallback)
- * @param {Object[]} [embeds] Array von Discord Embeds für reichhaltigere Nachrichten
- * @returns {Promise<boolean>} Erfolgsstatus der Benachrichtigung
+ * Längste Wartezeit auf Rate-Limits für eine Nachricht (DISCORD_MAX_RATE_LIMIT_WAIT_SECONDS),
+ * darüber übernimmt der Postausgang die Wiederholung
+ *
+ * @returns {number} Wartezeit in Millisekunden, standardmäßig 30 Sekunden
  */
-async function sendDiscordAlert(content, embeds = []) {
-    if (!DISCORD_WEBHOOK_URL) {
-        log('🚨 Warnung: Discord Webhook URL ist nicht in der Umgebungsvariable DISCORD_WEBHOOK_URL definiert. Benachrichtigungen werden nicht gesendet.');
-        return false;
+function getMaxRateLimitWait() {
+    return (parseInt(process.env.DISCORD_MAX_RATE_LIMIT_WAIT_SECONDS, 10) || 30) * 1000;
+}
+// Wie oft dieselbe Nachricht nach einer 429-Antwort erneut gesendet wird
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Zeitpunkt je Webhook, ab dem der Rate-Limit-Bucket wieder Anfragen annimmt
+const rateLimitResets = new Map();
+
+/**
+ * Ergebnis einer Zustellung an Discord
+ *
+ * @typedef {Object} DiscordDeliveryReport
+ * @property {boolean} success Alle Teilnachrichten wurden zugestellt
+ * @property {boolean} partial Nur ein Teil der Teilnachrichten wurde zugestellt
+ * @property {number} deliveredMessages Zugestellte Teilnachrichten (einschließlich übersprungener)
+ * @property {number} totalMessages Anzahl der Teilnachrichten
+ * @property {number} deliveredEmbeds Zugestellte Embeds
+ * @property {number} totalEmbeds Anzahl der Embeds
+ * @property {string|null} error Grund des Fehlschlags
+ */
+
+// Kürzt Text auf maxLength Zeichen und markiert die Kürzung
+function truncateText(text, maxLength) {
+    const value = String(text ?? '');
+    if (value.length <= maxLength) {
+        return value;
     }
+    return maxLength > 0 ? `${value.substring(0, maxLength - 1)}…` : '';
+}
 
-    try {
-        // Bereite Payload vor
-        const payload = {
-            content: content
-        };
-
-        // Füge Embeds hinzu, wenn vorhanden
-        if (embeds && embeds.length > 0) {
-            payload.embeds = embeds;
+/**
+ * Zählt die Zeichen eines Embeds, die auf die Grenze von 6000 Zeichen je Nachricht angerechnet werden
+ *
+ * @param {Object} embed Discord Embed Objekt
+ * @returns {number} Anzahl der Zeichen
+ */
+function getEmbedLength(embed) {
+    const fieldLength = (embed.fields || [])
+        .reduce((sum, field) => sum + String(field.name).length + String(field.value).length, 0);
+
+    return (embed.title || '').length
+        + (embed.description || '').length
+        + (embed.footer?.text || '').length
+        + (embed.author?.name || '').length
+        + fieldLength;
+}
+
+/**
+ * Kürzt ein Embed auf die Grenzen von Discord
+ * Titel, Beschreibung, Felder und Fußzeile werden einzeln gekürzt. Ist das Embed danach
+ * immer noch länger als eine ganze Nachricht, wird erst die Beschreibung gekürzt und
+ * dann werden die letzten Felder weggelassen.
+ *
+ * @param {Object} embed Discord Embed Objekt
+ * @returns {Object} Gekürzte Kopie des Embeds
+ */
+function fitEmbedToLimits(embed) {
+    const fitted = { ...embed };
+
+    if (fitted.title) {
+        fitted.title = truncateText(fitted.title, DISCORD_LIMITS.title);
+    }
+
+    if (fitted.description) {
+        fitted.description = truncateText(fitted.description, DISCORD_LIMITS.description);
+    }
+
+    if (fitted.footer?.text) {
+        fitted.footer = { ...fitted.footer, text: truncateText(fitted.footer.text, DISCORD_LIMITS.footer) };
+    }
+
+    if (fitted.fields) {
+        // Discord lehnt leere Feldwerte ab
+        fitted.fields = fitted.fields.slice(0, DISCORD_LIMITS.fields).map(field => ({
+            ...field,
+            name: truncateText(field.name || '\u200b', DISCORD_LIMITS.fieldName),
+            value: truncateText(field.value || '\u200b', DISCORD_LIMITS.fieldValue)
+        }));
+    }
+
+    const excess = getEmbedLength(fitted) - DISCORD_LIMITS.charactersPerMessage;
+    if (excess > 0 && fitted.description) {
+        fitted.description = truncateText(fitted.description, Math.max(fitted.description.length - excess, 0));
+    }
+
+    while (getEmbedLength(fitted) > DISCORD_LIMITS.charactersPerMessage && fitted.fields?.length) {
+        fitted.fields = fitted.fields.slice(0, -1);
+    }
+
+    return fitted;
+}
+
+/**
+ * Teilt Textinhalt und Embeds auf Nachrichten innerhalb der Grenzen von Discord auf
+ * Jede Nachricht enthält höchstens 10 Embeds mit zusammen höchstens 6000 Zeichen,
+ * der Textinhalt steht nur in der ersten. Die Aufteilung hängt nur vom Inhalt ab,
+ * bei einer Wiederholung entstehen also dieselben Nachrichten.
+ *
+ * @param {string} content Textinhalt
+ * @param {Object[]} [embeds] Discord Embeds
+ * @returns {Object[]} Payloads der einzelnen Nachrichten
+ */
+function splitDiscordMessage(content, embeds = []) {
+    const messages = [];
+    let current = { embeds: [], length: 0 };
+
+    for (const embed of (embeds || []).map(fitEmbedToLimits)) {
+        const length = getEmbedLength(embed);
+        const isFull = current.embeds.length >= DISCORD_LIMITS.embedsPerMessage
+            || current.length + length > DISCORD_LIMITS.charactersPerMessage;
+
+        if (current.embeds.length > 0 && isFull) {
+            messages.push(current.embeds);
+            current = { embeds: [], length: 0 };
+        }
+
+        current.embeds.push(embed);
+        current.length += length;
+    }
+
+    if (current.embeds.length > 0 || messages.length === 0) {
+        messages.push(current.embeds);
+    }
+
+    return messages.map((messageEmbeds, index) => {
+        const payload = {};
+
+        if (index === 0 && content) {
+            payload.content = truncateText(content, DISCORD_LIMITS.content);
+        }
+
+        if (messageEmbeds.length > 0) {
+            payload.embeds = messageEmbeds;
+        }
+
+        return payload;
+    });
+}
+
+// Wartet die angegebene Zeit
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Merkt sich aus den Bucket-Headern, wann ein erschöpfter Rate-Limit-Bucket wieder frei ist
+ *
+ * @param {string} webhookUrl Webhook der Anfrage
+ * @param {Object} headers Antwort-Header
+ */
+function updateRateLimit(webhookUrl, headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    const resetAfter = parseFloat(headers.get('x-ratelimit-reset-after'));
+
+    if (remaining === '0' && !Number.isNaN(resetAfter)) {
+        rateLimitResets.set(webhookUrl, Date.now() + resetAfter * 1000);
+    }
+}
+
+/**
+ * Wartet, bis der Rate-Limit-Bucket eines Webhooks wieder Anfragen annimmt
+ *
+ * @param {string} webhookUrl Webhook der nächsten Anfrage
+ * @param {number} maxWaitMs Längste Wartezeit
+ * @returns {Promise<number>} Gewartete Zeit in Millisekunden
+ */
+async function waitForRateLimit(webhookUrl, maxWaitMs) {
+    const resetAt = rateLimitResets.get(webhookUrl);
+    if (resetAt === undefined) {
+        return 0;
+    }
+
+    rateLimitResets.delete(webhookUrl);
+    const waitMs = Math.min(resetAt - Date.now(), maxWaitMs);
+    if (waitMs <= 0) {
+        return 0;
+    }
+
+    await sleep(waitMs);
+    return waitMs;
+}
+
+/**
+ * Liest die Wartezeit einer 429-Antwort aus retry_after im Body oder den Headern
+ *
+ * @param {Object} response Antwort von Discord
+ * @returns {Promise<number>} Wartezeit in Millisekunden
+ */
+async function getRetryAfter(response) {
+    const body = await response.json().catch(() => ({}));
+    const retryAfter = [
+        body?.retry_after,
+        response.headers.get('retry-after'),
+        response.headers.get('x-ratelimit-reset-after')
+    ].map(value => parseFloat(value)).find(value => !Number.isNaN(value));
+
+    return retryAfter === undefined ? 1000 : Math.ceil(retryAfter * 1000);
+}
+
+/**
+ * Sendet eine einzelne Nachricht an einen Webhook
+ * Nach einer 429-Antwort wird retry_after abgewartet und erneut gesendet, solange alle
+ * Wartezeiten der Nachricht zusammen getMaxRateLimitWait() nicht übersteigen. Jede Anfrage
+ * bricht nach NOTIFICATION_TIMEOUT ohne Antwort ab.
+ *
+ * @param {string} webhookUrl Ziel-Webhook
+ * @param {Object} payload Nachricht innerhalb der Grenzen von Discord
+ * @throws {Error} Wenn Discord die Nachricht nicht annimmt oder nicht rechtzeitig antwortet
+ */
+async function postWebhookMessage(webhookUrl, payload) {
+    const maxWaitMs = getMaxRateLimitWait();
+    const timeout = getNotificationTimeout();
+    let waitedMs = 0;
+
+    for (let attempt = 0; ; attempt++) {
+        waitedMs += await waitForRateLimit(webhookUrl, maxWaitMs - waitedMs);
+
+        let response;
+        try {
+            response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(timeout)
+            });
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error(`Discord hat nicht innerhalb von ${timeout} ms geantwortet`) : error;
         }
 
-        // Log the payload for debugging (sensitive data sanitized)
-        log(`Sending payload to Discord: ${JSON.stringify({
-            ...payload,
-            content: payload.content ? 'Content is present' : 'No content',
-            embeds: payload.embeds ? `${payload.embeds.length} embeds` : 'No embeds'
-        })}`);
-
-        // Sende direkt an Discord-Webhook
-        const response = await fetch(DISCORD_WEBHOOK_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(payload),
-        });
+        updateRateLimit(webhookUrl, response.headers);
+
+        if (response.status === 429) {
+            const retryAfterMs = await getRetryAfter(response);
+
+            if (attempt >= MAX_RATE_LIMIT_RETRIES || waitedMs + retryAfterMs > maxWaitMs) {
+                throw new Error(`Discord rate limit exceeded, retry after ${retryAfterMs} ms`);
+            }
+
+            log(`⏳ Discord Rate-Limit erreicht, neuer Versuch in ${(retryAfterMs / 1000).toFixed(1)} s.`);
+            rateLimitResets.set(webhookUrl, Date.now() + retryAfterMs);
+            continue;
+        }
 
         if (!response.ok) {
             const errorDetails = await response.text().catch(() => 'Could not read error details');
             throw new Error(`Discord API responded with status: ${response.status}, details: ${errorDetails}`);
         }
-        
-        log('✅ Discord-Benachrichtigung erfolgreich gesendet.');
-        return true;
+
+        return;
+    }
+}
+
+/**
+ * Sendet Textinhalt und Embeds über Discord und meldet, wie viel davon zugestellt wurde
+ * Die Embeds werden auf Nachrichten innerhalb der Grenzen von Discord aufgeteilt und der
+ * Reihe nach gesendet. Schlägt eine Nachricht fehl, werden die folgenden nicht mehr
+ * gesendet; mit skipMessages setzt ein späterer Versuch nach den bereits zugestellten fort.
+ *
+ * @param {string} content Der zu sendende Textinhalt
+ * @param {Object[]} [embeds] Array von Discord Embeds
+ * @param {string} [webhookUrl] Ziel-Webhook, standardmäßig DISCORD_WEBHOOK_URL
+ * @param {Object} [options]
+ * @param {number} [options.skipMessages=0] Bereits zugestellte Teilnachrichten
+ * @returns {Promise<DiscordDeliveryReport>} Ergebnis der Zustellung
+ */
+async function sendDiscordMessage(content, embeds = [], webhookUrl = DISCORD_WEBHOOK_URL, { skipMessages = 0 } = {}) {
+    const messages = splitDiscordMessage(content, embeds);
+    const countEmbeds = list => list.reduce((sum, message) => sum + (message.embeds?.length || 0), 0);
+    const report = {
+        success: false,
+        partial: false,
+        deliveredMessages: Math.min(skipMessages, messages.length),
+        totalMessages: messages.length,
+        deliveredEmbeds: countEmbeds(messages.slice(0, skipMessages)),
+        totalEmbeds: countEmbeds(messages),
+        error: null
+    };
+
+    if (!webhookUrl) {
+        log('🚨 Warnung: Discord Webhook URL ist nicht in der Umgebungsvariable DISCORD_WEBHOOK_URL definiert. Benachrichtigungen werden nicht gesendet.');
+        report.error = 'Keine Discord Webhook URL konfiguriert';
+        return report;
+    }
+
+    try {
+        for (const payload of messages.slice(report.deliveredMessages)) {
+            // Log the payload for debugging (sensitive data sanitized)
+            log(`Sending payload to Discord: ${JSON.stringify({
+                ...payload,
+                content: payload.content ? 'Content is present' : 'No content',
+                embeds: payload.embeds ? `${payload.embeds.length} embeds` : 'No embeds'
+            })}`);
+
+            await postWebhookMessage(webhookUrl, payload);
+            report.deliveredMessages++;
+            report.deliveredEmbeds += payload.embeds?.length || 0;
+        }
+
+        report.success = true;
+        log(messages.length > 1
+            ? `✅ Discord-Benachrichtigung erfolgreich gesendet (${messages.length} Nachrichten).`
+            : '✅ Discord-Benachrichtigung erfolgreich gesendet.');
     } catch (error) {
+        report.error = error.message;
+        report.partial = report.deliveredMessages > 0;
         log(`❌ Fehler beim Senden der Discord-Nachricht: ${error.message}`);
-        return false;
+
+        if (report.partial) {
+            log(`⚠️ Discord-Benachrichtigung nur teilweise zugestellt: ${report.deliveredMessages} von ${report.totalMessages} Nachrichten (${report.deliveredEmbeds} von ${report.totalEmbeds} Embeds).`);
+        }
     }
+
+    return report;
 }
 
 /**
- * Erstellt ein Discord Embed Objekt für einen Fischerprüfungstermin
+ * Sendet eine Benachrichtigung über Discord mit verbesserten Formatierungsmöglichkeiten
+ * Kurzform von sendDiscordMessage für Aufrufer, die nur wissen wollen, ob alles ankam.
  * 
- * @param {Object} appointment Der Termin
- * @param {boolean} isNew Ob es sich um einen neuen Termin handelt
- * @param {string} [messageType='info'] Der Typ der Nachricht: 'success', 'error', 'warning', 'info', oder ein benutzerdefinierter Farbwert
+ * @param {string} content Der zu sendende Textinhalt (für einfache Nachrichten oder Fallback)
+ * @param {Object[]} [embeds] Array von Discord Embeds für reichhaltigere Nachrichten
+ * @param {string} [webhookUrl] Ziel-Webhook, standardmäßig DISCORD_WEBHOOK_URL
+ * @returns {Promise<boolean>} Erfolgsstatus der Benachrichtigung
+ */
+async function sendDiscordAlert(content, embeds = [], webhookUrl = DISCORD_WEBHOOK_URL) {
+    const report = await sendDiscordMessage(content, embeds, webhookUrl);
+    return report.success;
+}
+
+/**
+ * Setzt eine Karte des Nachrichtenmodells in ein Discord Embed um
+ *
+ * @param {import('../notifications/notificationModel.js').NotificationCard} card Die Karte
+ * @param {string} [footer='Fischerprüfungs-Crawler'] Text in der Fußzeile
  * @returns {Object} Discord Embed Objekt
  */
-function createAppointmentEmbed(appointment, isNew = false, messageType = 'info') {
-    const emoji = isNew ? '🆕' : '🎣';
-    const title = `${emoji} Fischerprüfungstermin ${isNew ? '(NEU)' : ''}`;
-    
-    // Farbe basierend auf Nachrichtentyp oder benutzerdefiniertem Wert festlegen
-    let embedColor;
-    
-    if (typeof messageType === 'number') {
-        // Wenn eine Zahl übergeben wurde, verwende sie direkt als Farbwert
-        embedColor = messageType;
-    } else if (typeof messageType === 'string') {
-        // Konvertiere String zu Großbuchstaben für Vergleich mit DISCORD_COLORS
-        const colorType = messageType.toUpperCase();
-        
-        // Wähle Farbe basierend auf Nachrichtentyp oder Fallback auf INFO
-        if (isNew) {
-            // Neue Termine verwenden immer SUCCESS (grün)
-            embedColor = DISCORD_COLORS.SUCCESS;
-        } else if (DISCORD_COLORS[colorType]) {
-            embedColor = DISCORD_COLORS[colorType];
-        } else {
-            embedColor = DISCORD_COLORS.INFO;
-        }
-    } else {
-        // Fallback
-        embedColor = isNew ? DISCORD_COLORS.SUCCESS : DISCORD_COLORS.INFO;
-    }
-    
-    // Get additional information fields from the enhanced appointment object
-    const fields = [
-        {
-            name: '📅 Termin',
-            value: `${appointment.termin || 'Kein Datum'} ${appointment.formattedTime ? `um ${appointment.formattedTime} Uhr` : ''}`,
-            inline: true
-        },
-        {
-            name: '🧾 Prüfungstyp',
-            value: appointment.examTypeName || appointment.examType?.name || 'Keine Angabe',
-            inline: true
-        },
-        {
-            name: '🏢 Prüfungsstelle',
-            value: appointment.pruefungsstelle || appointment.officeName || 'Keine Angabe',
-            inline: true
-        },
-        {
-            name: '📍 Ort',
-            value: appointment.pruefungsort ? 
-                   `${appointment.pruefungsort}${appointment.landkreis ? ` (${appointment.landkreis})` : ''}` :
-                   'Keine Ortsangabe',
-            inline: true
+function renderDiscordEmbed(card, footer = 'Fischerprüfungs-Crawler') {
+    const fields = [];
+
+    card.fields.forEach((field, index) => {
+        fields.push({ name: field.label, value: field.value, inline: field.inline });
+
+        // Leeres Feld, damit zusammengehörende Felder eine eigene Zeile erhalten
+        if (card.columns && (index + 1) % card.columns === 0) {
+            fields.push({ name: '\u200b', value: '\u200b', inline: true });
         }
-    ];
-    
-    // Add detailed address if available (compact, single line)
-    if (appointment.address || appointment.contactInfo?.address) {
-        const address = appointment.address || appointment.contactInfo?.address || '';
-        // Convert multi-line address to single line with commas
-        const compactAddress = address.replace(/\n/g, ', ').replace(/,\s*,/g, ',');
-        
-        fields.push({
-            name: '🗺️ Adresse',
-            value: compactAddress || 'Keine Angabe',
-            inline: true
-        });
-    }
-    
-    // Add contact information if available (more compact)
-    const contact = appointment.contactInfo?.contact || {};
-    const contactFields = [];
-    
-    if (contact.phone) {
-        contactFields.push(`📞 ${contact.phone}`);
-    }
-    
-    if (contact.email) {
-        contactFields.push(`📧 ${contact.email}`);
-    }
-    
-    if (contact.website) {
-        contactFields.push(`🌐 [Website](${contact.website})`);
-    }
-    
-    if (contactFields.length > 0) {
-        fields.push({
-            name: '📬 Kontakt',
-            value: contactFields.join(' | '), // Use horizontal separator for compact display
-            inline: true
-        });
-    }
-    
-    // Add additional information if available (more compact)
-    if (appointment.additionalInfo || appointment.additionalInformation) {
-        const additionalInfo = appointment.additionalInfo || appointment.additionalInformation;
-        
-        // Limit additional info to a more compact size (250 characters)
-        const limitedInfo = additionalInfo.length > 250
-            ? additionalInfo.substring(0, 250) + '...' 
-            : additionalInfo;
-            
-        fields.push({
-            name: 'ℹ️ Hinweise',
-            value: limitedInfo || 'Keine weiteren Informationen',
-            inline: false
-        });
-    }
-
-    return {
-        title: title,
-        url: appointment.url,
-        color: embedColor,
-        fields: fields,
+    });
+
+    const embed = {
+        title: card.title,
+        url: card.url,
+        color: getCardColor(card),
         footer: {
-            text: 'Fischerprüfungs-Crawler'
+            text: footer
         },
         timestamp: new Date().toISOString()
     };
+
+    if (card.description) {
+        embed.description = card.description;
+    }
+
+    // Erinnerungen erhalten eine eigene Kopfzeile über dem Titel
+    if (card.level === 'reminder') {
+        embed.author = { name: REMINDER_AUTHOR };
+    }
+
+    if (fields.length > 0) {
+        embed.fields = fields;
+    }
+
+    return embed;
+}
+
+/**
+ * Setzt eine Benachrichtigung in Textinhalt und Embeds einer Discord-Nachricht um
+ * Überschrift und Zwischenüberschriften stehen im Textinhalt, jede Karte wird ein Embed.
+ *
+ * @param {import('../notifications/notificationModel.js').Notification} notification Die Benachrichtigung
+ * @returns {{content: string, embeds: Object[]}} Discord-Nachricht
+ */
+function renderDiscordMessage(notification) {
+    let content = `\n\n ### ${notification.title}`;
+    const embeds = [];
+
+    for (const section of notification.sections) {
+        if (section.heading) {
+            content += `\n\n ### ${section.heading}`;
+        }
+        embeds.push(...section.cards.map(card => renderDiscordEmbed(card)));
+    }
+
+    return { content, embeds };
+}
+
+/**
+ * Erstellt ein Discord Embed Objekt für einen Fischerprüfungstermin
+ * 
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {boolean} isNew Ob es sich um einen neuen Termin handelt
+ * @param {string|number} [messageType='info'] Der Typ der Nachricht: 'success', 'error', 'warning', 'info', oder ein benutzerdefinierter Farbwert
+ * @param {Object} [extras]
+ * @param {Object} [extras.distance] Entfernung vom Bezugsort eines Abos ({ km, from, approximate })
+ * @returns {Object} Discord Embed Objekt
+ */
+function createAppointmentEmbed(appointment, isNew = false, messageType = 'info', { distance } = {}) {
+    const options = typeof messageType === 'number'
+        ? { isNew, color: messageType, distance }
+        : { isNew, level: String(messageType).toLowerCase(), distance };
+
+    return renderDiscordEmbed(createAppointmentCard(appointment, options));
+}
+
+/**
+ * Erstellt ein Discord Embed Objekt für einen geänderten Fischerprüfungstermin
+ * Alte und neue Werte werden nebeneinander dargestellt.
+ * 
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin mit den aktuellen Daten
+ * @param {Object[]} changes Liste der Änderungen ({ field, label, oldValue, newValue })
+ * @returns {Object} Discord Embed Objekt
+ */
+function createChangedAppointmentEmbed(appointment, changes = []) {
+    return renderDiscordEmbed(createChangedAppointmentCard(appointment, changes));
+}
+
+/**
+ * Erstellt ein rotes Discord Embed Objekt für einen abgesagten Fischerprüfungstermin
+ * 
+ * @param {import('../model/appointment.js').Appointment} appointment Der abgesagte Termin
+ * @returns {Object} Discord Embed Objekt
+ */
+function createCancelledAppointmentEmbed(appointment) {
+    return renderDiscordEmbed(createCancelledAppointmentCard(appointment));
+}
+
+/**
+ * Erstellt ein violettes Discord Embed Objekt, das an einen bevorstehenden Termin erinnert
+ * Die Kopfzeile unterscheidet Erinnerungen von Meldungen über neue Termine.
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {number} daysUntil Tage bis zur Prüfung
+ * @param {Object} [extras]
+ * @param {Object} [extras.distance] Entfernung vom Bezugsort eines Abos ({ km, from, approximate })
+ * @returns {Object} Discord Embed Objekt
+ */
+function createReminderEmbed(appointment, daysUntil, { distance } = {}) {
+    return renderDiscordEmbed(createReminderCard(appointment, daysUntil, { distance }));
 }
 
 /**
@@ -210,35 +515,22 @@ function createAppointmentEmbed(appointment, isNew = false, messageType = 'info'
  * @returns {Object} Discord Embed Objekt
  */
 function createStatusEmbed(title, message, type = 'info', footer = 'Fischerprüfungs-Crawler') {
-    // Setze das passende Emoji je nach Nachrichtentyp
-    let emoji;
-    switch(type.toLowerCase()) {
-        case 'success':
-            emoji = '✅';
-            break;
-        case 'error':
-            emoji = '❌';
-            break;
-        case 'warning':
-            emoji = '⚠️';
-            break;
-        default:
-            emoji = 'ℹ️';
-    }
-    
-    // Konvertiere Typ zu Großbuchstaben für DISCORD_COLORS
-    const colorType = type.toUpperCase();
-    const color = DISCORD_COLORS[colorType] || DISCORD_COLORS.INFO;
-    
-    return {
-        title: `${emoji} ${title}`,
-        description: message,
-        color: color,
-        footer: {
-            text: footer
-        },
-        timestamp: new Date().toISOString()
-    };
+    return renderDiscordEmbed(createStatusCard(title, message, type), footer);
 }
 
-export { sendDiscordAlert, createAppointmentEmbed, createStatusEmbed, DISCORD_COLORS };
\ No newline at end of file
+export {
+    sendDiscordAlert,
+    sendDiscordMessage,
+    splitDiscordMessage,
+    fitEmbedToLimits,
+    getEmbedLength,
+    renderDiscordEmbed,
+    renderDiscordMessage,
+    createAppointmentEmbed,
+    createChangedAppointmentEmbed,
+    createCancelledAppointmentEmbed,
+    createReminderEmbed,
+    createStatusEmbed,
+    DISCORD_COLORS,
+    DISCORD_LIMITS
+};
\ No newline at end of file
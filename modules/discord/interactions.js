@@ -0,0 +1,376 @@
+import http from 'http';
+import crypto from 'crypto';
+import { log } from '../logger/logger.js';
+import { queryAppointments } from '../data/storage.js';
+import { createAppointmentEmbed, createStatusEmbed, DISCORD_LIMITS } from './discordNotifier.js';
+
+// Arten eingehender Interaktionen laut Discord API
+const INTERACTION_TYPES = {
+    PING: 1,
+    APPLICATION_COMMAND: 2
+};
+
+// Arten der Antworten auf Interaktionen
+const RESPONSE_TYPES = {
+    PONG: 1,
+    CHANNEL_MESSAGE: 4
+};
+
+// Nachricht nur für den aufrufenden Nutzer sichtbar
+const EPHEMERAL_FLAG = 64;
+
+// Größe, ab der eine Anfrage ohne Prüfung abgelehnt wird
+const MAX_BODY_BYTES = 64 * 1024;
+
+// DER-Präfixe von Ed25519-Schlüsseln (SPKI bzw. PKCS#8), dahinter folgt der 32 Byte lange Schlüssel
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Standardanzahl der Termine bei /naechste
+const DEFAULT_NEXT_COUNT = 3;
+
+/**
+ * Slash-Befehle des Crawlers, wie sie bei Discord registriert werden
+ * /check ist standardmäßig nur für Mitglieder mit dem Recht „Server verwalten“ sichtbar.
+ */
+const SLASH_COMMANDS = [
+    {
+        name: 'termine',
+        description: 'Kommende Prüfungstermine in einem Landkreis',
+        options: [{
+            type: 3,
+            name: 'landkreis',
+            description: 'Landkreis, z. B. Harz',
+            required: true
+        }]
+    },
+    {
+        name: 'naechste',
+        description: 'Die nächsten Prüfungstermine',
+        options: [{
+            type: 4,
+            name: 'anzahl',
+            description: `Anzahl der Termine (Standard ${DEFAULT_NEXT_COUNT})`,
+            min_value: 1,
+            max_value: DISCORD_LIMITS.embedsPerMessage
+        }]
+    },
+    {
+        name: 'status',
+        description: 'Stand des letzten Laufs des Crawlers'
+    },
+    {
+        name: 'check',
+        description: 'Jetzt nach neuen Terminen suchen',
+        default_member_permissions: '32'
+    }
+];
+
+/**
+ * Prüft die Ed25519-Signatur einer Anfrage von Discord
+ * Signiert sind Zeitstempel und unveränderter Inhalt der Anfrage.
+ *
+ * @param {string|Buffer} body Unveränderter Inhalt der Anfrage
+ * @param {string} signature Header X-Signature-Ed25519 (hex)
+ * @param {string} timestamp Header X-Signature-Timestamp
+ * @param {string} publicKey Public Key der Discord-Anwendung (hex)
+ * @returns {boolean} true, wenn die Signatur gültig ist
+ */
+function verifyDiscordSignature(body, signature, timestamp, publicKey) {
+    if (!signature || !timestamp || !publicKey) {
+        return false;
+    }
+
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+            format: 'der',
+            type: 'spki'
+        });
+
+        return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), Buffer.from(body)]), key, Buffer.from(signature, 'hex'));
+    } catch {
+        // Ungültige Schlüssel oder Signaturen gelten als nicht verifiziert
+        return false;
+    }
+}
+
+/**
+ * Signiert eine Anfrage wie Discord, um den Endpunkt lokal mit eigenem Schlüssel zu testen
+ *
+ * @param {string} body Inhalt der Anfrage
+ * @param {string} privateKey Privater Ed25519-Schlüssel (32 Byte, hex)
+ * @param {string} [timestamp] Zeitstempel in Sekunden, standardmäßig jetzt
+ * @returns {{'X-Signature-Ed25519': string, 'X-Signature-Timestamp': string}} Signatur-Header
+ */
+function signInteraction(body, privateKey, timestamp = String(Math.floor(Date.now() / 1000))) {
+    const key = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(privateKey, 'hex')]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+
+    return {
+        'X-Signature-Ed25519': crypto.sign(null, Buffer.from(timestamp + body), key).toString('hex'),
+        'X-Signature-Timestamp': timestamp
+    };
+}
+
+// Antwort mit einer Nachricht im Kanal
+function reply(content, embeds = [], { ephemeral = false } = {}) {
+    const data = { content, embeds };
+    if (ephemeral) {
+        data.flags = EPHEMERAL_FLAG;
+    }
+    return { type: RESPONSE_TYPES.CHANNEL_MESSAGE, data };
+}
+
+// Liest eine Option eines Slash-Befehls
+function getOption(interaction, name) {
+    return interaction.data?.options?.find(option => option.name === name)?.value;
+}
+
+// Formatiert einen Zeitpunkt für Statusmeldungen
+function formatTime(value) {
+    return new Date(value).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Antwortet mit einem Embed je Termin, höchstens so viele, wie eine Nachricht fasst
+function replyWithAppointments(heading, appointments, total = appointments.length) {
+    const shown = appointments.slice(0, DISCORD_LIMITS.embedsPerMessage);
+    const more = total > shown.length ? `\n…und ${total - shown.length} weitere.` : '';
+
+    return reply(`### ${heading}${more}`, shown.map(appointment => createAppointmentEmbed(appointment, false, 'info')));
+}
+
+/**
+ * /termine landkreis: – kommende Termine eines Landkreises, ohne Beachtung der Groß-/Kleinschreibung
+ */
+async function handleAppointmentsCommand(interaction, { storage, now }) {
+    const landkreis = String(getOption(interaction, 'landkreis') || '').trim();
+    if (!landkreis) {
+        return reply('Bitte einen Landkreis angeben, z. B. `/termine landkreis:Harz`.', [], { ephemeral: true });
+    }
+
+    const appointments = (await storage.queryAppointments({ from: now, cancelled: false }, { sortBy: 'date' }))
+        .filter(appointment => String(appointment.landkreis ?? '').trim().toLowerCase() === landkreis.toLowerCase());
+
+    if (appointments.length === 0) {
+        return reply(`Keine kommenden Termine im Landkreis ${landkreis} gefunden.`);
+    }
+
+    return replyWithAppointments(`📅 ${appointments.length} kommende Termine im Landkreis ${appointments[0].landkreis}`, appointments);
+}
+
+/**
+ * /naechste anzahl: – die nächsten Termine über alle Landkreise
+ */
+async function handleNextCommand(interaction, { storage, now }) {
+    const count = Math.min(Math.max(parseInt(getOption(interaction, 'anzahl'), 10) || DEFAULT_NEXT_COUNT, 1), DISCORD_LIMITS.embedsPerMessage);
+    const appointments = await storage.queryAppointments({ from: now, cancelled: false }, { sortBy: 'date', limit: count });
+
+    if (appointments.length === 0) {
+        return reply('Es sind keine kommenden Termine bekannt.');
+    }
+
+    return replyWithAppointments(appointments.length === 1 ? '📅 Nächster Termin' : `📅 Die nächsten ${appointments.length} Termine`, appointments);
+}
+
+/**
+ * /status – Ergebnis des letzten Laufs, Postausgang und nächster geplanter Lauf
+ */
+async function handleStatusCommand(interaction, { storage, getStatus, now }) {
+    const { running = false, lastRun = null, nextRun = null } = getStatus ? await getStatus() : {};
+    const upcoming = await storage.queryAppointments({ from: now, cancelled: false });
+    const lines = [];
+
+    if (!lastRun) {
+        lines.push('Letzter Lauf: noch keiner seit dem Start');
+    } else if (lastRun.error) {
+        lines.push(`Letzter Lauf: ${formatTime(lastRun.finishedAt)}, fehlgeschlagen: ${lastRun.error}`);
+    } else {
+        const { summary } = lastRun;
+        lines.push(`Letzter Lauf: ${formatTime(lastRun.finishedAt)}, ${summary.new} neue, ${summary.changed} geänderte, ${summary.cancelled} abgesagte Termine`);
+        lines.push(`Postausgang: ${lastRun.pending} Nachrichten offen`);
+    }
+
+    if (running) {
+        lines.push('Ein Lauf ist gerade aktiv.');
+    }
+    if (nextRun) {
+        lines.push(`Nächster Lauf: ${formatTime(nextRun)}`);
+    }
+    lines.push(`Kommende Termine: ${upcoming.length}`);
+
+    return reply('', [createStatusEmbed('Status des Crawlers', lines.join('\n'), lastRun?.error ? 'error' : 'info')]);
+}
+
+/**
+ * /check – startet einen Lauf, die Funde werden wie gewohnt gemeldet
+ * Die Antwort muss innerhalb von 3 Sekunden bei Discord sein, daher wird nicht auf den Lauf gewartet.
+ */
+async function handleCheckCommand(interaction, { startCheck }) {
+    if (!startCheck) {
+        return reply('Ein Lauf kann hier nicht gestartet werden.', [], { ephemeral: true });
+    }
+
+    if (!startCheck()) {
+        return reply('⏳ Es läuft bereits eine Suche, die Funde werden wie gewohnt gemeldet.', [], { ephemeral: true });
+    }
+
+    const user = interaction.member?.user?.username || interaction.user?.username || 'unbekannt';
+    log(`🔎 Lauf über /check von ${user} gestartet.`);
+    return reply('🔎 Suche nach neuen Terminen gestartet, die Funde werden wie gewohnt gemeldet.');
+}
+
+// Befehle je Name
+const COMMAND_HANDLERS = {
+    termine: handleAppointmentsCommand,
+    naechste: handleNextCommand,
+    status: handleStatusCommand,
+    check: handleCheckCommand
+};
+
+/**
+ * Beantwortet eine bereits verifizierte Interaktion
+ *
+ * @param {Object} interaction Interaktion von Discord
+ * @param {Object} [options]
+ * @param {Object} [options.storage] Speicherfunktionen, standardmäßig die des konfigurierten Backends
+ * @param {function(): boolean} [options.startCheck] Startet einen Lauf, false, wenn schon einer läuft
+ * @param {function(): Object|Promise<Object>} [options.getStatus] Stand des Crawlers
+ *   ({ running, lastRun: { finishedAt, summary, pending, error }, nextRun })
+ * @param {Date} [options.now] Bezugszeitpunkt
+ * @returns {Promise<Object>} Antwort an Discord
+ */
+async function handleInteraction(interaction, { storage = { queryAppointments }, startCheck, getStatus, now = new Date() } = {}) {
+    if (interaction?.type === INTERACTION_TYPES.PING) {
+        return { type: RESPONSE_TYPES.PONG };
+    }
+
+    const handler = interaction?.type === INTERACTION_TYPES.APPLICATION_COMMAND && COMMAND_HANDLERS[interaction.data?.name];
+    if (!handler) {
+        return reply('Unbekannter Befehl.', [], { ephemeral: true });
+    }
+
+    try {
+        return await handler(interaction, { storage, startCheck, getStatus, now });
+    } catch (error) {
+        log(`Fehler beim Beantworten von /${interaction.data.name}: ${error.message}`);
+        return reply('❌ Der Befehl konnte nicht ausgeführt werden.', [], { ephemeral: true });
+    }
+}
+
+// Liest den unveränderten Inhalt einer Anfrage, null, wenn er zu groß ist
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) {
+                chunks.push(chunk);
+            }
+        });
+        request.on('end', () => resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+// Sendet eine JSON-Antwort
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Erstellt den HTTP-Endpunkt für Interaktionen
+ * Anfragen ohne gültige Signatur werden mit 401 abgelehnt, wie Discord es verlangt.
+ *
+ * @param {Object} options
+ * @param {string} options.publicKey Public Key der Discord-Anwendung (hex)
+ * @param {string} [options.path='/interactions'] Pfad des Endpunkts
+ * @param {Object} [options.handlers] Optionen für handleInteraction (storage, startCheck, getStatus)
+ * @returns {http.Server} Noch nicht gestarteter Server
+ */
+function createInteractionServer({ publicKey, path = '/interactions', handlers = {} }) {
+    return http.createServer(async (request, response) => {
+        try {
+            if (request.url.split('?')[0] !== path) {
+                sendJson(response, 404, { error: 'not found' });
+                return;
+            }
+
+            if (request.method !== 'POST') {
+                sendJson(response, 405, { error: 'method not allowed' });
+                return;
+            }
+
+            const body = await readBody(request);
+            if (!body) {
+                sendJson(response, 413, { error: 'payload too large' });
+                return;
+            }
+
+            const signature = request.headers['x-signature-ed25519'];
+            const timestamp = request.headers['x-signature-timestamp'];
+            if (!verifyDiscordSignature(body, signature, timestamp, publicKey)) {
+                sendJson(response, 401, { error: 'invalid request signature' });
+                return;
+            }
+
+            let interaction;
+            try {
+                interaction = JSON.parse(body.toString('utf8'));
+            } catch {
+                sendJson(response, 400, { error: 'invalid json' });
+                return;
+            }
+
+            sendJson(response, 200, await handleInteraction(interaction, handlers));
+        } catch (error) {
+            log(`Fehler im Interaktions-Endpunkt: ${error.message}`);
+            if (!response.headersSent) {
+                sendJson(response, 500, { error: 'internal error' });
+            }
+        }
+    });
+}
+
+/**
+ * Startet den Interaktions-Endpunkt, wenn DISCORD_PUBLIC_KEY gesetzt ist
+ * Port und Pfad kommen aus INTERACTIONS_PORT (Standardmäßig 8080) und INTERACTIONS_PATH.
+ *
+ * @param {Object} handlers Optionen für handleInteraction (startCheck, getStatus)
+ * @returns {Promise<http.Server|null>} Laufender Server, null ohne DISCORD_PUBLIC_KEY
+ */
+async function startInteractionServer(handlers) {
+    const publicKey = process.env.DISCORD_PUBLIC_KEY;
+    if (!publicKey) {
+        return null;
+    }
+
+    const port = parseInt(process.env.INTERACTIONS_PORT, 10) || 8080;
+    const path = process.env.INTERACTIONS_PATH || '/interactions';
+    const server = createInteractionServer({ publicKey, path, handlers });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+    });
+
+    log(`🤖 Discord-Interaktionen werden auf Port ${port} unter ${path} angenommen.`);
+    return server;
+}
+
+export {
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    SLASH_COMMANDS,
+    verifyDiscordSignature,
+    signInteraction,
+    handleInteraction,
+    createInteractionServer,
+    startInteractionServer
+};
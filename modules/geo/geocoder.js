@@ -0,0 +1,198 @@
+import { PLACES, LANDKREIS_CENTRES } from './sachsenAnhaltGazetteer.js';
+
+/**
+ * Offline geocoding against the bundled gazetteer
+ * Turns place names, addresses and coordinates into points and measures distances,
+ * so subscriptions can ask for appointments within a radius without calling any
+ * external service.
+ */
+
+/**
+ * @typedef {Object} GeoPoint
+ * @property {number} lat - Latitude
+ * @property {number} lon - Longitude
+ * @property {string} name - Place the point stands for
+ * @property {string} precision - 'coordinates', 'place' or 'landkreis' (rough centre of the district)
+ */
+
+// Mean earth radius in km
+const EARTH_RADIUS_KM = 6371;
+
+// Words in front of a place name that the gazetteer leaves out
+const NAME_PREFIXES = ['lutherstadt', 'hansestadt', 'stadt', 'gemeinde', 'landkreis', 'kreis'];
+
+/**
+ * Normalize a place name for lookups
+ * Lowercase, umlauts and ß spelled out, punctuation turned into spaces.
+ * @param {string} name - Place name
+ * @returns {string} Normalized name
+ */
+function normalizePlaceName(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the lookup keys of a name: as is, without parentheses and without prefixes
+ * "Lutherstadt Eisleben" gives "lutherstadt eisleben" and "eisleben",
+ * "Halle (Saale)" gives "halle saale" and "halle".
+ * @param {string} name - Place name
+ * @returns {string[]} Normalized keys, most specific first
+ */
+function getNameKeys(name) {
+  const keys = [];
+
+  for (const variant of [name, String(name ?? '').replace(/\([^)]*\)/g, ' ')]) {
+    let key = normalizePlaceName(variant);
+    keys.push(key);
+
+    let prefix;
+    while ((prefix = NAME_PREFIXES.find(word => key.startsWith(`${word} `)))) {
+      key = key.slice(prefix.length + 1);
+      keys.push(key);
+    }
+  }
+
+  return [...new Set(keys.filter(Boolean))];
+}
+
+/**
+ * Build a lookup table from names to points, the first entry of a key wins
+ * @param {Array} entries - [name, lat, lon] entries
+ * @param {string} precision - Precision of the points
+ * @returns {Map} Normalized name to GeoPoint
+ */
+function buildIndex(entries, precision) {
+  const index = new Map();
+
+  for (const [name, lat, lon] of entries) {
+    for (const key of getNameKeys(name)) {
+      if (!index.has(key)) {
+        index.set(key, { lat, lon, name, precision });
+      }
+    }
+  }
+
+  return index;
+}
+
+const placeIndex = buildIndex(PLACES.map(([name, , lat, lon]) => [name, lat, lon]), 'place');
+const landkreisIndex = buildIndex(Object.entries(LANDKREIS_CENTRES).map(([name, [lat, lon]]) => [name, lat, lon]), 'landkreis');
+
+/**
+ * Find a place of the gazetteer by name
+ * Tries the whole text first and then its parts, so "Magdeburg-Rothensee",
+ * "Sangerhausen OT Oberröblingen" or "Stadt Halle, Neustadt" still find the town.
+ * @param {string} text - Place name as written by a source or a user
+ * @returns {GeoPoint|null} Point of the place, null if it is not in the gazetteer
+ */
+function findPlace(text) {
+  if (!text) {
+    return null;
+  }
+
+  const parts = String(text).split(/,|\/|\s+-\s+|\s+OT\s+|\s+Ortsteil\s+|-/i);
+  for (const candidate of [text, ...parts]) {
+    for (const key of getNameKeys(candidate)) {
+      if (placeIndex.has(key)) {
+        return placeIndex.get(key);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the rough centre of a landkreis
+ * @param {string} landkreis - District name, e.g. "Harz" or "Landkreis Harz"
+ * @returns {GeoPoint|null} Centre of the district, null if unknown
+ */
+function findLandkreis(landkreis) {
+  for (const key of getNameKeys(landkreis)) {
+    if (landkreisIndex.has(key)) {
+      return landkreisIndex.get(key);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the towns named in a postal address ("12345 Town" lines)
+ * @param {string} address - Address with one line per address line
+ * @returns {string[]} Town names
+ */
+function getAddressTowns(address) {
+  return String(address || '')
+    .split(/\n|,/)
+    .map(line => /\b\d{5}\s+(.+)/.exec(line.trim())?.[1])
+    .filter(Boolean);
+}
+
+/**
+ * Locate an appointment
+ * Uses the pruefungsort, then the town of the address and finally the centre of the
+ * landkreis, so appointments with an unknown location still get a rough point.
+ * @param {import('../model/appointment.js').Appointment} appointment - The appointment
+ * @returns {GeoPoint|null} Point of the exam location, null if nothing is known
+ */
+function locateAppointment(appointment) {
+  for (const text of [appointment.pruefungsort, ...getAddressTowns(appointment.address)]) {
+    const place = findPlace(text);
+    if (place) {
+      return place;
+    }
+  }
+
+  return findLandkreis(appointment.landkreis);
+}
+
+/**
+ * Resolve a configured location: coordinates or a place or landkreis of the gazetteer
+ * @param {string|Object} value - "51.48, 11.97", { lat, lon } or a place name
+ * @returns {GeoPoint|null} Point, null if the location is unknown
+ */
+function resolveLocation(value) {
+  if (value && typeof value === 'object') {
+    const lat = Number(value.lat);
+    const lon = Number(value.lon);
+    return Number.isFinite(lat) && Number.isFinite(lon)
+      ? { lat, lon, name: value.name || `${lat}, ${lon}`, precision: 'coordinates' }
+      : null;
+  }
+
+  const coordinates = /^\s*(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value ?? ''));
+  if (coordinates) {
+    return resolveLocation({ lat: coordinates[1], lon: coordinates[2], name: String(value).trim() });
+  }
+
+  return findPlace(value) || findLandkreis(value);
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {GeoPoint} from - First point
+ * @param {GeoPoint} to - Second point
+ * @returns {number} Distance in km
+ */
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const deltaLat = toRadians(to.lat - from.lat);
+  const deltaLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(deltaLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+export {
+  normalizePlaceName,
+  findPlace,
+  findLandkreis,
+  locateAppointment,
+  resolveLocation,
+  distanceKm
+};
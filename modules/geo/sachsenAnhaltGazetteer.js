@@ -0,0 +1,192 @@
+/**
+ * Offline gazetteer of Sachsen-Anhalt
+ * Town centres of the municipalities (and of larger districts of merged towns such as
+ * Bitterfeld or Roßlau) as [name, landkreis, latitude, longitude]. The coordinates are
+ * rounded to two decimals, i.e. about one kilometre, which is plenty for "within X km"
+ * rules. Add missing places here; names are matched without case, umlauts and
+ * prefixes like "Lutherstadt" or "Hansestadt" (see geocoder.js).
+ */
+
+const PLACES = [
+  // Kreisfreie Städte
+  ['Magdeburg', 'Magdeburg', 52.13, 11.63],
+  ['Halle (Saale)', 'Halle (Saale)', 51.48, 11.97],
+  ['Dessau-Roßlau', 'Dessau-Roßlau', 51.84, 12.24],
+  ['Dessau', 'Dessau-Roßlau', 51.83, 12.24],
+  ['Roßlau', 'Dessau-Roßlau', 51.89, 12.24],
+
+  // Altmarkkreis Salzwedel
+  ['Hansestadt Salzwedel', 'Altmarkkreis Salzwedel', 52.85, 11.15],
+  ['Hansestadt Gardelegen', 'Altmarkkreis Salzwedel', 52.53, 11.40],
+  ['Klötze', 'Altmarkkreis Salzwedel', 52.63, 11.17],
+  ['Arendsee (Altmark)', 'Altmarkkreis Salzwedel', 52.88, 11.49],
+  ['Kalbe (Milde)', 'Altmarkkreis Salzwedel', 52.65, 11.38],
+  ['Beetzendorf', 'Altmarkkreis Salzwedel', 52.70, 11.09],
+  ['Diesdorf', 'Altmarkkreis Salzwedel', 52.75, 10.87],
+  ['Dähre', 'Altmarkkreis Salzwedel', 52.79, 10.90],
+  ['Apenburg-Winterfeld', 'Altmarkkreis Salzwedel', 52.71, 11.20],
+
+  // Anhalt-Bitterfeld
+  ['Köthen (Anhalt)', 'Anhalt-Bitterfeld', 51.75, 11.97],
+  ['Bitterfeld-Wolfen', 'Anhalt-Bitterfeld', 51.62, 12.32],
+  ['Bitterfeld', 'Anhalt-Bitterfeld', 51.62, 12.32],
+  ['Wolfen', 'Anhalt-Bitterfeld', 51.66, 12.27],
+  ['Sandersdorf-Brehna', 'Anhalt-Bitterfeld', 51.63, 12.23],
+  ['Brehna', 'Anhalt-Bitterfeld', 51.56, 12.22],
+  ['Zerbst/Anhalt', 'Anhalt-Bitterfeld', 51.97, 12.08],
+  ['Raguhn-Jeßnitz', 'Anhalt-Bitterfeld', 51.71, 12.27],
+  ['Zörbig', 'Anhalt-Bitterfeld', 51.63, 12.12],
+  ['Aken (Elbe)', 'Anhalt-Bitterfeld', 51.85, 12.05],
+  ['Südliches Anhalt', 'Anhalt-Bitterfeld', 51.67, 12.07],
+  ['Muldestausee', 'Anhalt-Bitterfeld', 51.63, 12.40],
+  ['Osternienburger Land', 'Anhalt-Bitterfeld', 51.79, 12.03],
+
+  // Börde
+  ['Haldensleben', 'Börde', 52.29, 11.41],
+  ['Oschersleben (Bode)', 'Börde', 52.03, 11.23],
+  ['Wanzleben-Börde', 'Börde', 52.06, 11.44],
+  ['Wolmirstedt', 'Börde', 52.25, 11.63],
+  ['Barleben', 'Börde', 52.20, 11.62],
+  ['Niedere Börde', 'Börde', 52.23, 11.52],
+  ['Hohe Börde', 'Börde', 52.17, 11.48],
+  ['Oebisfelde-Weferlingen', 'Börde', 52.43, 10.99],
+  ['Weferlingen', 'Börde', 52.31, 11.06],
+  ['Sülzetal', 'Börde', 52.05, 11.59],
+  ['Gröningen', 'Börde', 52.00, 11.21],
+  ['Calvörde', 'Börde', 52.40, 11.30],
+  ['Flechtingen', 'Börde', 52.33, 11.24],
+  ['Erxleben', 'Börde', 52.22, 11.24],
+  ['Colbitz', 'Börde', 52.32, 11.60],
+  ['Eilsleben', 'Börde', 52.15, 11.21],
+  ['Hötensleben', 'Börde', 52.12, 11.02],
+
+  // Burgenlandkreis
+  ['Naumburg (Saale)', 'Burgenlandkreis', 51.15, 11.81],
+  ['Weißenfels', 'Burgenlandkreis', 51.20, 11.97],
+  ['Zeitz', 'Burgenlandkreis', 51.05, 12.14],
+  ['Hohenmölsen', 'Burgenlandkreis', 51.16, 12.10],
+  ['Lützen', 'Burgenlandkreis', 51.26, 12.14],
+  ['Teuchern', 'Burgenlandkreis', 51.12, 12.03],
+  ['Nebra (Unstrut)', 'Burgenlandkreis', 51.29, 11.58],
+  ['Freyburg (Unstrut)', 'Burgenlandkreis', 51.21, 11.77],
+  ['Bad Kösen', 'Burgenlandkreis', 51.13, 11.72],
+  ['Laucha an der Unstrut', 'Burgenlandkreis', 51.22, 11.68],
+  ['Osterfeld', 'Burgenlandkreis', 51.08, 11.93],
+  ['Elsteraue', 'Burgenlandkreis', 51.12, 12.20],
+  ['Kaiserpfalz', 'Burgenlandkreis', 51.27, 11.48],
+
+  // Harz
+  ['Halberstadt', 'Harz', 51.90, 11.05],
+  ['Wernigerode', 'Harz', 51.83, 10.79],
+  ['Quedlinburg', 'Harz', 51.79, 11.15],
+  ['Blankenburg (Harz)', 'Harz', 51.79, 10.96],
+  ['Thale', 'Harz', 51.75, 11.04],
+  ['Ilsenburg (Harz)', 'Harz', 51.87, 10.68],
+  ['Osterwieck', 'Harz', 51.97, 10.71],
+  ['Oberharz am Brocken', 'Harz', 51.77, 10.80],
+  ['Elbingerode (Harz)', 'Harz', 51.77, 10.80],
+  ['Harzgerode', 'Harz', 51.64, 11.14],
+  ['Ballenstedt', 'Harz', 51.72, 11.24],
+  ['Falkenstein/Harz', 'Harz', 51.73, 11.33],
+  ['Wegeleben', 'Harz', 51.88, 11.17],
+  ['Schwanebeck', 'Harz', 51.97, 11.12],
+
+  // Jerichower Land
+  ['Burg', 'Jerichower Land', 52.27, 11.86],
+  ['Genthin', 'Jerichower Land', 52.41, 12.16],
+  ['Gommern', 'Jerichower Land', 52.07, 11.83],
+  ['Möckern', 'Jerichower Land', 52.14, 11.95],
+  ['Biederitz', 'Jerichower Land', 52.16, 11.72],
+  ['Jerichow', 'Jerichower Land', 52.50, 12.03],
+  ['Elbe-Parey', 'Jerichower Land', 52.35, 11.99],
+  ['Möser', 'Jerichower Land', 52.22, 11.80],
+
+  // Mansfeld-Südharz
+  ['Sangerhausen', 'Mansfeld-Südharz', 51.47, 11.30],
+  ['Lutherstadt Eisleben', 'Mansfeld-Südharz', 51.53, 11.55],
+  ['Hettstedt', 'Mansfeld-Südharz', 51.65, 11.51],
+  ['Mansfeld', 'Mansfeld-Südharz', 51.59, 11.45],
+  ['Allstedt', 'Mansfeld-Südharz', 51.40, 11.38],
+  ['Südharz', 'Mansfeld-Südharz', 51.46, 11.07],
+  ['Kelbra (Kyffhäuser)', 'Mansfeld-Südharz', 51.43, 11.04],
+  ['Gerbstedt', 'Mansfeld-Südharz', 51.63, 11.62],
+  ['Seegebiet Mansfelder Land', 'Mansfeld-Südharz', 51.46, 11.68],
+  ['Helbra', 'Mansfeld-Südharz', 51.55, 11.50],
+  ['Klostermansfeld', 'Mansfeld-Südharz', 51.57, 11.49],
+
+  // Saalekreis
+  ['Merseburg', 'Saalekreis', 51.36, 12.00],
+  ['Leuna', 'Saalekreis', 51.32, 12.02],
+  ['Bad Dürrenberg', 'Saalekreis', 51.30, 12.07],
+  ['Schkopau', 'Saalekreis', 51.39, 11.96],
+  ['Querfurt', 'Saalekreis', 51.38, 11.60],
+  ['Bad Lauchstädt', 'Saalekreis', 51.39, 11.87],
+  ['Mücheln (Geiseltal)', 'Saalekreis', 51.30, 11.81],
+  ['Braunsbedra', 'Saalekreis', 51.29, 11.89],
+  ['Landsberg', 'Saalekreis', 51.53, 12.16],
+  ['Wettin-Löbejün', 'Saalekreis', 51.62, 11.83],
+  ['Petersberg', 'Saalekreis', 51.59, 11.96],
+  ['Teutschenthal', 'Saalekreis', 51.45, 11.80],
+  ['Salzatal', 'Saalekreis', 51.52, 11.83],
+  ['Kabelsketal', 'Saalekreis', 51.43, 12.11],
+
+  // Salzlandkreis
+  ['Bernburg (Saale)', 'Salzlandkreis', 51.79, 11.74],
+  ['Aschersleben', 'Salzlandkreis', 51.75, 11.46],
+  ['Schönebeck (Elbe)', 'Salzlandkreis', 52.02, 11.74],
+  ['Staßfurt', 'Salzlandkreis', 51.85, 11.58],
+  ['Calbe (Saale)', 'Salzlandkreis', 51.91, 11.78],
+  ['Könnern', 'Salzlandkreis', 51.67, 11.77],
+  ['Nienburg (Saale)', 'Salzlandkreis', 51.84, 11.77],
+  ['Hecklingen', 'Salzlandkreis', 51.85, 11.53],
+  ['Egeln', 'Salzlandkreis', 51.94, 11.43],
+  ['Seeland', 'Salzlandkreis', 51.80, 11.33],
+  ['Barby', 'Salzlandkreis', 51.97, 11.88],
+  ['Alsleben (Saale)', 'Salzlandkreis', 51.70, 11.68],
+  ['Güsten', 'Salzlandkreis', 51.80, 11.61],
+
+  // Stendal
+  ['Hansestadt Stendal', 'Stendal', 52.60, 11.86],
+  ['Tangermünde', 'Stendal', 52.54, 11.97],
+  ['Hansestadt Osterburg (Altmark)', 'Stendal', 52.79, 11.75],
+  ['Hansestadt Havelberg', 'Stendal', 52.83, 12.08],
+  ['Hansestadt Seehausen (Altmark)', 'Stendal', 52.89, 11.75],
+  ['Bismark (Altmark)', 'Stendal', 52.66, 11.56],
+  ['Tangerhütte', 'Stendal', 52.43, 11.81],
+  ['Arneburg', 'Stendal', 52.67, 11.97],
+  ['Hansestadt Werben (Elbe)', 'Stendal', 52.86, 11.98],
+  ['Schönhausen (Elbe)', 'Stendal', 52.58, 12.04],
+  ['Klietz', 'Stendal', 52.67, 12.07],
+
+  // Wittenberg
+  ['Lutherstadt Wittenberg', 'Wittenberg', 51.87, 12.65],
+  ['Jessen (Elster)', 'Wittenberg', 51.79, 12.96],
+  ['Gräfenhainichen', 'Wittenberg', 51.73, 12.46],
+  ['Oranienbaum-Wörlitz', 'Wittenberg', 51.80, 12.41],
+  ['Wörlitz', 'Wittenberg', 51.84, 12.42],
+  ['Kemberg', 'Wittenberg', 51.77, 12.63],
+  ['Coswig (Anhalt)', 'Wittenberg', 51.89, 12.45],
+  ['Zahna-Elster', 'Wittenberg', 51.91, 12.78],
+  ['Annaburg', 'Wittenberg', 51.73, 13.04],
+  ['Bad Schmiedeberg', 'Wittenberg', 51.69, 12.74]
+];
+
+// Rough centre of each landkreis, used when an appointment names no known place
+const LANDKREIS_CENTRES = {
+  'Altmarkkreis Salzwedel': [52.73, 11.20],
+  'Anhalt-Bitterfeld': [51.72, 12.17],
+  'Börde': [52.20, 11.35],
+  'Burgenlandkreis': [51.16, 11.95],
+  'Dessau-Roßlau': [51.84, 12.24],
+  'Halle (Saale)': [51.48, 11.97],
+  'Harz': [51.80, 10.98],
+  'Jerichower Land': [52.25, 12.00],
+  'Magdeburg': [52.13, 11.63],
+  'Mansfeld-Südharz': [51.52, 11.35],
+  'Saalekreis': [51.45, 11.90],
+  'Salzlandkreis': [51.86, 11.65],
+  'Stendal': [52.68, 11.85],
+  'Wittenberg': [51.82, 12.72]
+};
+
+export { PLACES, LANDKREIS_CENTRES };
@@ -0,0 +1,47 @@
+import { upgradeAppointment } from '../model/appointment.js';
+
+/**
+ * Convert the stored appointments to the canonical appointment model
+ * Every appointment is upgraded, including ones already carrying the current
+ * schemaVersion, so fields an earlier step added to them (isoDate, officeName, ...)
+ * are dropped again. Only appointments that actually change are reported, so
+ * running the step again changes nothing.
+ * @type {import('./index.js').Migration}
+ */
+export default {
+  version: 3,
+  name: 'canonical-appointment-model',
+  description: 'Termine in das kanonische Terminmodell überführen (termin, officeName, contactInfo & Co. entfallen)',
+  up(appointments) {
+    const upgraded = [];
+
+    for (const [id, appointment] of appointments) {
+      const canonical = upgradeAppointment(withAddressText(appointment));
+
+      if (JSON.stringify(canonical) !== JSON.stringify(appointment)) {
+        appointments.set(id, canonical);
+        upgraded.push(id);
+      }
+    }
+
+    return upgraded;
+  }
+};
+
+/**
+ * Turn an address stored as an object into the text form of the canonical model
+ * Some old records hold the address as an object (e.g. { city }), the model only
+ * knows one line per address part.
+ * @param {Object} appointment - Stored appointment
+ * @returns {Object} Appointment with a text address
+ */
+function withAddressText(appointment) {
+  const { address } = appointment;
+
+  if (!address || typeof address !== 'object') {
+    return appointment;
+  }
+
+  const lines = Object.values(address).filter(value => typeof value === 'string' && value.trim() !== '');
+  return { ...appointment, address: lines.join('\n') };
+}
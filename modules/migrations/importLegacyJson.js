@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { getLegacyTags } from '../data/storageHelpers.js';
+
+/**
+ * Get the JSON file the crawler used before NeDB
+ * @returns {string} - JSON file path
+ */
+function getLegacyJsonFilePath() {
+  return path.resolve(process.env.DATA_FILE_PATH || './known-appointments.json');
+}
+
+/**
+ * Import appointments from the JSON file used before NeDB
+ * Only appointments that are not stored yet are imported, the JSON file is left
+ * untouched. Skipped when the JSON file is the configured backend itself.
+ * @type {import('./index.js').Migration}
+ */
+export default {
+  version: 1,
+  name: 'import-legacy-json',
+  description: 'Termine aus known-appointments.json übernehmen',
+  up(appointments, { backend }) {
+    const jsonFilePath = getLegacyJsonFilePath();
+
+    if (backend === 'json' || !fs.existsSync(jsonFilePath)) {
+      return [];
+    }
+
+    const legacyAppointments = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
+    if (!Array.isArray(legacyAppointments)) {
+      throw new Error(`${jsonFilePath} does not contain an array of appointments`);
+    }
+
+    const imported = [];
+
+    for (const legacyAppointment of legacyAppointments) {
+      const appointment = { ...legacyAppointment, ...getLegacyTags(legacyAppointment) };
+
+      if (!appointments.has(appointment.id)) {
+        appointments.set(appointment.id, appointment);
+        imported.push(appointment.id);
+      }
+    }
+
+    return imported;
+  }
+};
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../logger/logger.js';
+import {
+  getStorageBackendName,
+  loadKnownAppointments,
+  saveAppointments
+} from '../data/storage.js';
+import importLegacyJson from './importLegacyJson.js';
+import normalizeLegacyFields from './normalizeLegacyFields.js';
+import canonicalAppointmentModel from './canonicalAppointmentModel.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * A migration upgrades the stored appointments by one schema version.
+ *
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version reached after the step, steps run in ascending order
+ * @property {string} name - Unique step name
+ * @property {string} description - Short description shown by `migrate.js status`
+ * @property {function(Map, Object): Array} up - Upgrade the appointments (a Map by id) in place
+ *   and return the ids of added or changed appointments. Receives { backend }.
+ *   Must be idempotent: running it on already upgraded appointments changes nothing.
+ */
+
+// Registered migrations in the order they are applied
+const MIGRATIONS = [
+  importLegacyJson,
+  normalizeLegacyFields,
+  canonicalAppointmentModel
+].sort((a, b) => a.version - b.version);
+
+/**
+ * Get the file the schema versions are stored in
+ * Versions are kept per backend because every backend has its own documents.
+ * @returns {string} - Schema version file path
+ */
+function getSchemaVersionFilePath() {
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  return path.resolve(dataDir, 'schema-version.json');
+}
+
+/**
+ * Get the stored schema version of a backend
+ * @param {string} backend - Storage backend name
+ * @returns {number} - Schema version, 0 if nothing has been migrated yet
+ */
+function getSchemaVersion(backend = getStorageBackendName()) {
+  const versionFilePath = getSchemaVersionFilePath();
+
+  if (!fs.existsSync(versionFilePath)) {
+    return 0;
+  }
+
+  return JSON.parse(fs.readFileSync(versionFilePath, 'utf8'))[backend]?.version || 0;
+}
+
+/**
+ * Store the schema version of a backend
+ * @param {string} backend - Storage backend name
+ * @param {number} version - Reached schema version
+ */
+function setSchemaVersion(backend, version) {
+  const versionFilePath = getSchemaVersionFilePath();
+  const versions = fs.existsSync(versionFilePath) ? JSON.parse(fs.readFileSync(versionFilePath, 'utf8')) : {};
+
+  versions[backend] = { version, migratedAt: new Date().toISOString() };
+  fs.writeFileSync(versionFilePath, JSON.stringify(versions, null, 2));
+}
+
+/**
+ * Get the migrations that have not been applied to a backend yet
+ * @param {string} backend - Storage backend name
+ * @returns {Migration[]} - Pending migrations in order
+ */
+function getPendingMigrations(backend = getStorageBackendName()) {
+  const currentVersion = getSchemaVersion(backend);
+  return MIGRATIONS.filter(migration => migration.version > currentVersion);
+}
+
+/**
+ * Apply all pending migrations to the configured storage backend
+ * The steps run on an in-memory copy of the appointments; only changed appointments
+ * are written, after all steps succeeded. With dryRun nothing is written and the
+ * result reports what would change.
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} - { backend, fromVersion, toVersion, dryRun, steps: [{ version, name, description, changedIds }] }
+ */
+async function runMigrations({ dryRun = false } = {}) {
+  const backend = getStorageBackendName();
+  const fromVersion = getSchemaVersion(backend);
+  const pending = getPendingMigrations(backend);
+  const result = { backend, fromVersion, toVersion: fromVersion, dryRun, steps: [] };
+
+  if (pending.length === 0) {
+    return result;
+  }
+
+  const storedAppointments = await loadKnownAppointments();
+  const appointments = new Map(storedAppointments.map(appointment => [appointment.id, appointment]));
+  const changedIds = new Set();
+
+  for (const migration of pending) {
+    const stepChangedIds = migration.up(appointments, { backend });
+    stepChangedIds.forEach(id => changedIds.add(id));
+
+    result.steps.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      changedIds: stepChangedIds
+    });
+    result.toVersion = migration.version;
+  }
+
+  if (dryRun) {
+    log(`Dry run: ${pending.length} migrations would change ${changedIds.size} appointments (schema ${fromVersion} → ${result.toVersion})`);
+    return result;
+  }
+
+  if (changedIds.size > 0) {
+    const saved = await saveAppointments([...changedIds].map(id => appointments.get(id)));
+    if (!saved) {
+      throw new Error('Saving migrated appointments failed, schema version was not updated');
+    }
+  }
+
+  setSchemaVersion(backend, result.toVersion);
+  log(`Migrated ${backend} storage from schema ${fromVersion} to ${result.toVersion} (${changedIds.size} appointments changed)`);
+  return result;
+}
+
+export {
+  MIGRATIONS,
+  getSchemaVersion,
+  getPendingMigrations,
+  runMigrations
+};
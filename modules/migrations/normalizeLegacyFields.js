@@ -0,0 +1,77 @@
+/**
+ * Bring appointments stored by older versions to the current document shape
+ * Older records only carry termin/pruefungsstelle and the nested API contactInfo;
+ * current ones have the fields added by enrichAppointment (isoDate, officeName,
+ * flattened contactInfo, address, additionalInfo). Existing values are never
+ * overwritten, so running the step again changes nothing.
+ * @type {import('./index.js').Migration}
+ */
+export default {
+  version: 2,
+  name: 'normalize-legacy-fields',
+  description: 'Alte Termine um isoDate, officeName und flaches contactInfo ergänzen',
+  up(appointments) {
+    const upgraded = [];
+
+    for (const [id, appointment] of appointments) {
+      const normalized = normalizeAppointment(appointment);
+
+      if (JSON.stringify(normalized) !== JSON.stringify(appointment)) {
+        appointments.set(id, normalized);
+        upgraded.push(id);
+      }
+    }
+
+    return upgraded;
+  }
+};
+
+/**
+ * Add the missing fields of the current document shape
+ * @param {Object} appointment - Stored appointment
+ * @returns {Object} Normalized appointment
+ */
+function normalizeAppointment(appointment) {
+  const normalized = { ...appointment };
+  const appointmentDate = new Date(appointment.date);
+  const hasDate = !Number.isNaN(appointmentDate.getTime());
+
+  // The raw API shape nests contact details and address in contactInfo
+  const contactInfo = appointment.contactInfo;
+  if (contactInfo && typeof contactInfo === 'object' && 'contact' in contactInfo) {
+    if (appointment.address === undefined && contactInfo.address !== undefined) {
+      normalized.address = contactInfo.address;
+    }
+    normalized.contactInfo = contactInfo.contact || {};
+  }
+
+  if (normalized.isoDate === undefined) {
+    normalized.isoDate = hasDate ? appointmentDate.toISOString() : null;
+  }
+
+  if (normalized.formattedDate === undefined) {
+    normalized.formattedDate = hasDate ? appointmentDate.toLocaleDateString('de-DE') : (appointment.termin || '');
+  }
+
+  if (normalized.formattedTime === undefined) {
+    normalized.formattedTime = hasDate
+      ? appointmentDate.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })
+      : '';
+  }
+
+  if (normalized.officeName === undefined) {
+    normalized.officeName = appointment.examinationOffice?.name || appointment.pruefungsstelle || 'Unbekannt';
+  }
+
+  if (normalized.examTypeName === undefined) {
+    normalized.examTypeName = appointment.examType?.name || 'Unbekannt';
+  }
+
+  // Like address above, additionalInfo is tracked by the change detection and is only
+  // added when the record holds it; a made-up empty value would be reported as a change
+  if (normalized.additionalInfo === undefined && appointment.additionalInformation !== undefined) {
+    normalized.additionalInfo = appointment.additionalInformation || '';
+  }
+
+  return normalized;
+}
@@ -0,0 +1,238 @@
+/**
+ * Canonical appointment model
+ * Source adapters turn their raw records into this shape with createAppointment;
+ * storage, notifiers and exports only read the fields documented below. Changing
+ * the shape means bumping APPOINTMENT_SCHEMA_VERSION and adding a migration step
+ * (modules/migrations) that upgrades the stored appointments.
+ */
+
+const APPOINTMENT_SCHEMA_VERSION = 1;
+
+// Shown where a source does not name the exam type or the examination office
+const UNKNOWN = 'Unbekannt';
+
+/**
+ * @typedef {Object} AppointmentContact
+ * @property {string|null} phone - Phone number of the examination office
+ * @property {string|null} email - Email address of the examination office
+ * @property {string|null} website - Website of the examination office
+ */
+
+/**
+ * @typedef {Object} Appointment
+ * @property {number} schemaVersion - APPOINTMENT_SCHEMA_VERSION the appointment was built with
+ * @property {string} id - `<source>:<sourceId>`, unique across sources
+ * @property {string} source - Name of the source adapter
+ * @property {string|number} sourceId - Id of the appointment in the source
+ * @property {string|null} url - Detail page of the appointment
+ * @property {string|number|null} examTypeId - Exam type id in the source
+ * @property {string} examTypeName - Exam type name, 'Unbekannt' if the source has none
+ * @property {string|null} date - Start of the exam as ISO string, null if unknown
+ * @property {string} pruefungsstelle - Examination office, 'Unbekannt' if the source has none
+ * @property {string} pruefungsort - Exam location, '' if unknown
+ * @property {string|null} landkreis - District of the exam location, null if unknown
+ * @property {string} address - Postal address with one line per address line, '' if unknown
+ * @property {AppointmentContact} contact - Contact details of the examination office
+ * @property {string} additionalInfo - Notes of the examination office, '' if none
+ *
+ * Fields set by the crawler and the storage backends, never by source adapters:
+ * @property {string} [examTypeLabel] - Label of the watched exam type (EXAM_TYPES)
+ * @property {boolean} [notified] - Whether the appointment has been announced
+ * @property {Date} [notifiedAt] - When the announcement was confirmed
+ * @property {Date} [dateAdded] - When the appointment was first found
+ * @property {boolean} [cancelled] - Whether the appointment counts as cancelled
+ * @property {Date} [cancelledAt] - When the appointment was marked as cancelled
+ * @property {number} [missingCount] - Consecutive runs the appointment was not listed
+ * @property {Date} [missingSince] - First run the appointment was not listed
+ * @property {Array} [lastChanges] - Field-level diff of the last detected change
+ * @property {Date} [lastChangedAt] - When the last change was detected
+ * @property {Array} [changeHistory] - All detected changes
+ * @property {Date} [archivedAt] - When the appointment was archived
+ */
+
+/**
+ * Convert a text value, empty values become the fallback
+ * @param {*} value - Raw value
+ * @param {*} fallback - Value used for missing or empty values
+ * @returns {string|*} Trimmed text or the fallback
+ */
+function toText(value, fallback = '') {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  const text = String(value).trim();
+  return text === '' ? fallback : text;
+}
+
+/**
+ * Convert a date value into an ISO string
+ * @param {Date|string|number} value - Raw date value
+ * @returns {string|null} ISO string or null if the value is no valid date
+ */
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Convert the d.m.yyyy termin of appointments stored by older versions
+ * The termin carries no time, so the result is midnight UTC of that day.
+ * @param {string} termin - Date as formatted for de-DE
+ * @returns {string|null} ISO string or null if termin is no d.m.yyyy date
+ */
+function parseTermin(termin) {
+  const match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(termin || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, day, month, year] = match;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T00:00:00.000Z`;
+}
+
+/**
+ * Build a canonical appointment from the fields a source adapter extracted
+ * Missing values get the documented defaults, so consumers never need fallbacks.
+ * @param {Object} fields - Appointment fields named as in the Appointment typedef
+ * @returns {Appointment} Canonical appointment
+ */
+function createAppointment({
+  source, sourceId, url, examTypeId, examTypeName, date,
+  pruefungsstelle, pruefungsort, landkreis, address, contact, additionalInfo
+}) {
+  if (!source || sourceId === undefined || sourceId === null || sourceId === '') {
+    throw new Error('An appointment needs a source and a sourceId');
+  }
+
+  return {
+    schemaVersion: APPOINTMENT_SCHEMA_VERSION,
+    id: getAppointmentId(source, sourceId),
+    source,
+    sourceId,
+    url: toText(url, null),
+    examTypeId: examTypeId ?? null,
+    examTypeName: toText(examTypeName, UNKNOWN),
+    date: toIsoDate(date),
+    pruefungsstelle: toText(pruefungsstelle, UNKNOWN),
+    pruefungsort: toText(pruefungsort),
+    landkreis: toText(landkreis, null),
+    address: toText(address),
+    contact: {
+      phone: toText(contact?.phone, null),
+      email: toText(contact?.email, null),
+      website: toText(contact?.website, null)
+    },
+    additionalInfo: toText(additionalInfo)
+  };
+}
+
+/**
+ * Get the contact details of a stored appointment of an older version
+ * Older records hold them nested in the raw API contactInfo or flattened into contactInfo.
+ * @param {Object} stored - Stored appointment
+ * @returns {Object|undefined} Contact details
+ */
+function getLegacyContact(stored) {
+  if (stored.contact) {
+    return stored.contact;
+  }
+
+  const contactInfo = stored.contactInfo;
+  if (!contactInfo || typeof contactInfo !== 'object') {
+    return undefined;
+  }
+
+  return 'contact' in contactInfo || 'area' in contactInfo ? contactInfo.contact : contactInfo;
+}
+
+/**
+ * Bring a stored appointment of any older version to the canonical shape
+ * State fields (notified, cancelled, change history, ...) are kept, the redundant
+ * fields of older versions (termin, formattedDate, officeName, raw API objects, ...)
+ * are dropped. address and additionalInfo stay unset when the stored record never
+ * had them, because the change detection would report a made-up value as a change.
+ * @param {Object} stored - Stored appointment, already tagged with source and sourceId
+ * @returns {Appointment} Canonical appointment
+ */
+function upgradeAppointment(stored) {
+  const {
+    termin, formattedDate, formattedTime, isoDate, officeName,
+    examType, examinationOffice, contactInfo, additionalInformation,
+    ...state
+  } = stored;
+
+  const rawAddress = [stored.address, contactInfo?.address].find(value => typeof value === 'string');
+  const rawAdditionalInfo = stored.additionalInfo ?? additionalInformation;
+  const knownOrUndefined = value => (value === UNKNOWN ? undefined : value);
+
+  const appointment = {
+    ...state,
+    ...createAppointment({
+      source: stored.source,
+      sourceId: stored.sourceId,
+      url: stored.url,
+      examTypeId: stored.examTypeId ?? examType?.id,
+      examTypeName: knownOrUndefined(stored.examTypeName) ?? examType?.name,
+      date: toIsoDate(stored.date) ?? isoDate ?? parseTermin(termin),
+      pruefungsstelle: stored.pruefungsstelle ?? knownOrUndefined(officeName) ?? examinationOffice?.name,
+      pruefungsort: stored.pruefungsort ?? contactInfo?.area?.name,
+      landkreis: stored.landkreis ?? contactInfo?.area?.districtName,
+      address: rawAddress,
+      contact: getLegacyContact(stored),
+      additionalInfo: rawAdditionalInfo
+    }),
+    // Keep the stored id, documents are looked up by it
+    id: stored.id
+  };
+
+  if (rawAddress === undefined) {
+    delete appointment.address;
+  }
+  if (rawAdditionalInfo === undefined) {
+    delete appointment.additionalInfo;
+  }
+
+  return appointment;
+}
+
+/**
+ * Build the namespaced ID of an appointment
+ * @param {string} source - Source adapter name
+ * @param {number|string} sourceId - ID of the record within its source
+ * @returns {string} Appointment ID, e.g. 'sachsen-anhalt:101'
+ */
+function getAppointmentId(source, sourceId) {
+  return `${source}:${sourceId}`;
+}
+
+/**
+ * Format the exam date of an appointment for messages
+ * @param {string|Date|null} value - Exam date, usually appointment.date
+ * @returns {Object|null} { date, time } formatted for de-DE, null if there is no valid date
+ */
+function formatExamDate(value) {
+  const isoDate = toIsoDate(value);
+  if (!isoDate) {
+    return null;
+  }
+
+  const date = new Date(isoDate);
+  return {
+    date: date.toLocaleDateString('de-DE'),
+    time: date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })
+  };
+}
+
+export {
+  APPOINTMENT_SCHEMA_VERSION,
+  createAppointment,
+  getAppointmentId,
+  upgradeAppointment,
+  parseTermin,
+  formatExamDate
+};
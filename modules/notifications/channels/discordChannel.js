@@ -0,0 +1,34 @@
+import { sendDiscordMessage, renderDiscordMessage } from '../../discord/discordNotifier.js';
+
+/**
+ * Kanal für Discord-Webhooks
+ * Große Benachrichtigungen werden auf mehrere Discord-Nachrichten aufgeteilt, send
+ * meldet daher, wie viele davon zugestellt wurden.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name='discord'] Name des Kanals
+ * @param {string} [options.webhookUrl] Webhook, standardmäßig DISCORD_WEBHOOK_URL
+ * @returns {import('../notifier.js').NotificationChannel} Kanal
+ */
+function createDiscordChannel({ name = 'discord', webhookUrl } = {}) {
+    return {
+        name,
+        type: 'discord',
+        render: renderDiscordMessage,
+        async send(notification, target, { resumeFrom = 0 } = {}) {
+            const { content, embeds } = renderDiscordMessage(notification);
+            const report = await sendDiscordMessage(content, embeds, target || webhookUrl || undefined, {
+                skipMessages: resumeFrom
+            });
+
+            return {
+                success: report.success,
+                deliveredParts: report.deliveredMessages,
+                totalParts: report.totalMessages,
+                error: report.error
+            };
+        }
+    };
+}
+
+export { createDiscordChannel };
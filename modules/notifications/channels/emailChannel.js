@@ -0,0 +1,93 @@
+import nodemailer from 'nodemailer';
+import { log } from '../../logger/logger.js';
+import { getNotificationTimeout } from './postJson.js';
+import { renderText, escapeHtml, getCardColor } from '../notificationModel.js';
+
+/**
+ * Setzt eine Benachrichtigung in eine E-Mail mit Text- und HTML-Teil um
+ *
+ * @param {import('../notificationModel.js').Notification} notification Die Benachrichtigung
+ * @returns {{subject: string, text: string, html: string}} Inhalt der E-Mail
+ */
+function renderEmail(notification) {
+    const html = [`<h2>${escapeHtml(notification.title)}</h2>`];
+
+    for (const section of notification.sections) {
+        if (section.heading) {
+            html.push(`<h3>${escapeHtml(section.heading)}</h3>`);
+        }
+
+        for (const card of section.cards) {
+            const color = `#${getCardColor(card).toString(16).padStart(6, '0')}`;
+            const title = escapeHtml(card.title.trim());
+            html.push(`<div style="border-left: 4px solid ${color}; padding-left: 8px; margin-bottom: 16px;">`);
+            html.push(card.url ? `<h4><a href="${escapeHtml(card.url)}">${title}</a></h4>` : `<h4>${title}</h4>`);
+            if (card.description) {
+                html.push(`<p>${escapeHtml(card.description)}</p>`);
+            }
+            if (card.fields.length > 0) {
+                html.push('<table>');
+                card.fields.forEach(field => {
+                    html.push(`<tr><th align="left">${escapeHtml(field.label)}</th><td>${escapeHtml(field.value)}</td></tr>`);
+                });
+                html.push('</table>');
+            }
+            html.push('</div>');
+        }
+    }
+
+    return {
+        subject: notification.title,
+        text: `${notification.title}\n\n${renderText(notification)}`.trim(),
+        html: html.join('\n')
+    };
+}
+
+/**
+ * Kanal für E-Mails über SMTP
+ *
+ * @param {Object} options
+ * @param {string} [options.name='email'] Name des Kanals
+ * @param {string} options.host SMTP-Server
+ * @param {number} [options.port=587] SMTP-Port
+ * @param {boolean} [options.secure=false] TLS von Beginn an (Port 465), sonst STARTTLS falls angeboten
+ * @param {string} [options.user] Benutzername, ohne Benutzername wird nicht angemeldet
+ * @param {string} [options.password] Passwort
+ * @param {string} options.from Absender
+ * @param {string|string[]} options.to Empfänger, mehrere durch Kommas getrennt
+ * @param {number} [options.timeout] Zeitlimit für Verbindung, Begrüßung und jede Antwort des
+ *   Servers in ms, standardmäßig NOTIFICATION_TIMEOUT
+ * @returns {import('../notifier.js').NotificationChannel} Kanal
+ */
+function createEmailChannel({ name = 'email', host, port = 587, secure = false, user, password, from, to, timeout = getNotificationTimeout() }) {
+    if (!host || !from || !to) {
+        throw new Error('E-Mail braucht SMTP-Server, Absender und Empfänger (SMTP_HOST, MAIL_FROM, MAIL_TO)');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined,
+        connectionTimeout: timeout,
+        greetingTimeout: timeout,
+        socketTimeout: timeout
+    });
+
+    return {
+        name,
+        type: 'email',
+        render: renderEmail,
+        async send(notification, target) {
+            try {
+                await transporter.sendMail({ from, to: target || to, ...renderEmail(notification) });
+                return true;
+            } catch (error) {
+                log(`❌ Fehler beim Senden der E-Mail: ${error.message}`);
+                return false;
+            }
+        }
+    };
+}
+
+export { createEmailChannel, renderEmail };
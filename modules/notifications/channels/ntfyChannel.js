@@ -0,0 +1,65 @@
+import { postJson } from './postJson.js';
+import { renderText } from '../notificationModel.js';
+
+// ntfy-Priorität (1 = min bis 5 = max) je Dringlichkeit
+const NTFY_PRIORITIES = {
+    error: 5,
+    success: 4,
+    warning: 4,
+    reminder: 4,
+    info: 3,
+    default: 2
+};
+
+/**
+ * Setzt eine Benachrichtigung in eine ntfy-Nachricht (JSON-Veröffentlichung) um
+ *
+ * @param {import('../notificationModel.js').Notification} notification Die Benachrichtigung
+ * @param {string} topic Thema, an das veröffentlicht wird
+ * @returns {Object} JSON-Body für ntfy
+ */
+function renderNtfyMessage(notification, topic) {
+    const cards = notification.sections.flatMap(section => section.cards);
+    const message = {
+        topic,
+        title: notification.title,
+        message: renderText(notification) || notification.title,
+        priority: NTFY_PRIORITIES[notification.level] || NTFY_PRIORITIES.info
+    };
+
+    // Ein einzelner Termin öffnet beim Antippen direkt seine Seite
+    if (cards.length === 1 && cards[0].url) {
+        message.click = cards[0].url;
+    }
+
+    return message;
+}
+
+/**
+ * Kanal für ntfy (ntfy.sh oder eigener Server)
+ *
+ * @param {Object} options
+ * @param {string} [options.name='ntfy'] Name des Kanals
+ * @param {string} [options.url='https://ntfy.sh'] Basis-URL des Servers
+ * @param {string} options.topic Thema, an das veröffentlicht wird
+ * @param {string} [options.token] Zugriffstoken für geschützte Themen
+ * @returns {import('../notifier.js').NotificationChannel} Kanal
+ */
+function createNtfyChannel({ name = 'ntfy', url = 'https://ntfy.sh', topic, token }) {
+    if (!topic) {
+        throw new Error('ntfy braucht ein Thema (NTFY_TOPIC)');
+    }
+
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+    return {
+        name,
+        type: 'ntfy',
+        render: notification => renderNtfyMessage(notification, topic),
+        send(notification, target) {
+            return postJson('ntfy', url, renderNtfyMessage(notification, target || topic), headers);
+        }
+    };
+}
+
+export { createNtfyChannel, renderNtfyMessage };
@@ -0,0 +1,52 @@
+import fetch from 'node-fetch';
+import { log } from '../../logger/logger.js';
+
+/**
+ * Zeitlimit einer Anfrage an einen Benachrichtigungsdienst (NOTIFICATION_TIMEOUT in ms)
+ * Ein Dienst, der nie antwortet, würde sonst die Zustellung des Postausgangs blockieren.
+ *
+ * @returns {number} Zeitlimit in Millisekunden, standardmäßig 15000
+ */
+function getNotificationTimeout() {
+    return parseInt(process.env.NOTIFICATION_TIMEOUT, 10) || 15000;
+}
+
+/**
+ * Sendet einen JSON-Body per POST und wertet die Antwort aus
+ * Gemeinsame Grundlage der HTTP-Kanäle (Slack, Telegram, ntfy, Webhook).
+ *
+ * @param {string} channelName Name des Kanals für die Protokollierung
+ * @param {string} url Ziel-URL
+ * @param {Object} body JSON-Body
+ * @param {Object} [headers] Zusätzliche Header, z. B. Authorization
+ * @returns {Promise<boolean>} true bei einer 2xx-Antwort, false bei einem Fehler oder
+ *   wenn der Dienst nicht innerhalb von getNotificationTimeout() antwortet
+ */
+async function postJson(channelName, url, body, headers = {}) {
+    const timeout = getNotificationTimeout();
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        if (!response.ok) {
+            const errorDetails = await response.text().catch(() => 'Could not read error details');
+            throw new Error(`responded with status: ${response.status}, details: ${errorDetails}`);
+        }
+
+        return true;
+    } catch (error) {
+        const reason = error.name === 'AbortError' ? `keine Antwort nach ${timeout} ms` : error.message;
+        log(`❌ Fehler beim Senden an ${channelName}: ${reason}`);
+        return false;
+    }
+}
+
+export { postJson, getNotificationTimeout };
@@ -0,0 +1,66 @@
+import { postJson } from './postJson.js';
+import { getCardColor } from '../notificationModel.js';
+
+/**
+ * Setzt eine Benachrichtigung in eine Slack-Nachricht um
+ * Überschriften stehen im Text, jede Karte wird ein farbiger Anhang.
+ *
+ * @param {import('../notificationModel.js').Notification} notification Die Benachrichtigung
+ * @returns {Object} Payload für einen Slack Incoming Webhook
+ */
+function renderSlackMessage(notification) {
+    const lines = [`*${notification.title}*`];
+    const attachments = [];
+
+    for (const section of notification.sections) {
+        if (section.heading) {
+            lines.push(`*${section.heading}*`);
+        }
+
+        for (const card of section.cards) {
+            attachments.push({
+                color: `#${getCardColor(card).toString(16).padStart(6, '0')}`,
+                title: card.title.trim(),
+                title_link: card.url || undefined,
+                text: card.description || undefined,
+                fields: card.fields.map(field => ({
+                    title: field.label,
+                    value: toSlackLinks(field.value),
+                    short: field.inline
+                }))
+            });
+        }
+    }
+
+    return { text: lines.join('\n'), attachments };
+}
+
+// Markdown-Links [Text](URL) in Slacks <URL|Text> umwandeln
+function toSlackLinks(text) {
+    return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>');
+}
+
+/**
+ * Kanal für Slack Incoming Webhooks
+ *
+ * @param {Object} options
+ * @param {string} [options.name='slack'] Name des Kanals
+ * @param {string} options.webhookUrl Incoming-Webhook-URL
+ * @returns {import('../notifier.js').NotificationChannel} Kanal
+ */
+function createSlackChannel({ name = 'slack', webhookUrl }) {
+    if (!webhookUrl) {
+        throw new Error('Slack braucht eine Webhook-URL (SLACK_WEBHOOK_URL)');
+    }
+
+    return {
+        name,
+        type: 'slack',
+        render: renderSlackMessage,
+        send(notification, target) {
+            return postJson('Slack', target || webhookUrl, renderSlackMessage(notification));
+        }
+    };
+}
+
+export { createSlackChannel, renderSlackMessage };
@@ -0,0 +1,131 @@
+import { postJson } from './postJson.js';
+import { escapeHtml } from '../notificationModel.js';
+
+// Längste Nachricht, die die Bot API annimmt
+const TELEGRAM_MAX_LENGTH = 4096;
+
+/**
+ * Maskiert einen Text für Telegram und kürzt ihn, falls nötig, auf maxLength Zeichen
+ * Gekürzt wird vor dem Maskieren, damit kein Entity wie &amp; zerschnitten wird.
+ *
+ * @param {string} text Der Text
+ * @param {number} maxLength Höchstlänge des maskierten Texts
+ * @returns {string} Maskierter Text
+ */
+function escapeWithin(text, maxLength) {
+    const escaped = escapeHtml(text);
+    if (escaped.length <= maxLength) {
+        return escaped;
+    }
+
+    let shortened = '';
+    for (const character of String(text)) {
+        const next = escapeHtml(character);
+        if (shortened.length + next.length + 1 > maxLength) {
+            break;
+        }
+        shortened += next;
+    }
+    return `${shortened}…`;
+}
+
+/**
+ * Setzt eine Benachrichtigung in Telegram-Nachrichten (HTML) um
+ * Lange Benachrichtigungen werden zwischen den Karten auf mehrere Nachrichten verteilt,
+ * eine Karte, die allein zu lang ist, zwischen ihren Zeilen. Keine Zeile wird länger als
+ * eine Nachricht, Tags und Entities bleiben daher immer vollständig.
+ *
+ * @param {import('../notificationModel.js').Notification} notification Die Benachrichtigung
+ * @returns {string[]} Nachrichtentexte
+ */
+function renderTelegramMessages(notification) {
+    const bold = text => `<b>${escapeWithin(text, TELEGRAM_MAX_LENGTH - '<b></b>'.length)}</b>`;
+    const blocks = [[bold(notification.title)]];
+
+    for (const section of notification.sections) {
+        if (section.heading) {
+            blocks.push([bold(section.heading)]);
+        }
+
+        for (const card of section.cards) {
+            const link = card.url ? `<a href="${escapeHtml(card.url)}">` : '';
+            const lines = [link && link.length + '</a>'.length < TELEGRAM_MAX_LENGTH
+                ? `${link}${escapeWithin(card.title.trim(), TELEGRAM_MAX_LENGTH - link.length - '</a>'.length)}</a>`
+                : bold(card.title.trim())];
+            if (card.description) {
+                lines.push(escapeWithin(card.description, TELEGRAM_MAX_LENGTH));
+            }
+            card.fields.forEach(field => lines.push(escapeWithin(`${field.label}: ${field.value}`, TELEGRAM_MAX_LENGTH)));
+            blocks.push(lines);
+        }
+    }
+
+    const messages = [];
+    const append = (text, separator) => {
+        const last = messages.length - 1;
+
+        if (last >= 0 && messages[last].length + separator.length + text.length <= TELEGRAM_MAX_LENGTH) {
+            messages[last] += `${separator}${text}`;
+        } else {
+            messages.push(text);
+        }
+    };
+
+    for (const lines of blocks) {
+        const block = lines.join('\n');
+        if (block.length <= TELEGRAM_MAX_LENGTH) {
+            append(block, '\n\n');
+        } else {
+            lines.forEach((line, index) => append(line, index === 0 ? '\n\n' : '\n'));
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * Kanal für die Telegram Bot API
+ * Lange Benachrichtigungen gehen als mehrere Nachrichten raus, send meldet daher, wie
+ * viele davon zugestellt wurden, und setzt mit resumeFrom nach ihnen fort.
+ *
+ * @param {Object} options
+ * @param {string} [options.name='telegram'] Name des Kanals
+ * @param {string} options.botToken Token des Bots
+ * @param {string} options.chatId Chat, in den der Bot schreibt
+ * @param {string} [options.apiUrl='https://api.telegram.org'] Basis-URL der Bot API
+ * @returns {import('../notifier.js').NotificationChannel} Kanal
+ */
+function createTelegramChannel({ name = 'telegram', botToken, chatId, apiUrl = 'https://api.telegram.org' }) {
+    if (!botToken || !chatId) {
+        throw new Error('Telegram braucht Bot-Token und Chat-ID (TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID)');
+    }
+
+    const url = `${apiUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`;
+
+    return {
+        name,
+        type: 'telegram',
+        render: renderTelegramMessages,
+        async send(notification, target, { resumeFrom = 0 } = {}) {
+            const messages = renderTelegramMessages(notification);
+            const report = { success: true, deliveredParts: Math.min(resumeFrom, messages.length), totalParts: messages.length, error: null };
+
+            for (const text of messages.slice(report.deliveredParts)) {
+                const sent = await postJson('Telegram', url, {
+                    chat_id: target || chatId,
+                    text,
+                    parse_mode: 'HTML',
+                    disable_web_page_preview: true
+                });
+
+                if (!sent) {
+                    return { ...report, success: false, error: `Teil ${report.deliveredParts + 1} von ${messages.length} nicht zugestellt` };
+                }
+                report.deliveredParts++;
+            }
+            return report;
+        }
+    };
+}
+
+export { createTelegramChannel, renderTelegramMessages };
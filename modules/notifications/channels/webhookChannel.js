@@ -0,0 +1,31 @@
+import { postJson } from './postJson.js';
+
+/**
+ * Kanal für eigene Empfänger, die das Nachrichtenmodell als JSON erhalten
+ *
+ * @param {Object} options
+ * @param {string} [options.name='webhook'] Name des Kanals
+ * @param {string} options.url Ziel-URL
+ * @param {string} [options.secret] Wird als Bearer-Token mitgesendet, nur an die eigene
+ *        URL, nie an die Ziele einzelner Abos
+ * @returns {import('../notifier.js').NotificationChannel} Kanal
+ */
+function createWebhookChannel({ name = 'webhook', url, secret }) {
+    if (!url) {
+        throw new Error('Der Webhook-Kanal braucht eine URL (NOTIFICATION_WEBHOOK_URL)');
+    }
+
+    const headers = secret ? { Authorization: `Bearer ${secret}` } : {};
+
+    return {
+        name,
+        type: 'webhook',
+        render: notification => notification,
+        send(notification, target) {
+            const endpoint = target || url;
+            return postJson('Webhook', endpoint, notification, endpoint === url ? headers : {});
+        }
+    };
+}
+
+export { createWebhookChannel };
@@ -0,0 +1,189 @@
+import { log } from '../logger/logger.js';
+import { createNotification, createDigestCards } from './notificationModel.js';
+import { getChannels } from './notifier.js';
+import { queueNotification } from './notificationOutbox.js';
+import { getDefaultDigestStore } from '../data/nedbDigestStorage.js';
+import { DELIVERY_MODES } from '../config/delivery.js';
+
+// Überschrift der Zusammenfassung je Modus
+const DIGEST_TITLES = {
+    [DELIVERY_MODES.DAILY]: 'Tägliche Zusammenfassung',
+    [DELIVERY_MODES.WEEKLY]: 'Wöchentliche Zusammenfassung'
+};
+
+/**
+ * Merkt einen Fund für die nächste Zusammenfassung eines Ziels vor
+ *
+ * @param {Object} destination Ziel ({ key, label, delivery, channels, targets, quietHours }),
+ *   channels sind Kanalnamen oder null für alle Kanäle
+ * @param {string} kind 'new', 'changed' oder 'cancelled'
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {Object[]} [changes] Änderungen eines geänderten Termins
+ * @param {Object} [options]
+ * @param {Object} [options.store] Sammelstelle, standardmäßig notification-digest.db in DATA_DIR
+ * @returns {Promise<Object|null>} Vorgemerkter Eintrag
+ */
+async function collectForDigest(destination, kind, appointment, changes = [], { store = getDefaultDigestStore() } = {}) {
+    const { key, label, channels, targets, quietHours } = destination;
+
+    return store.addDigestItem({
+        mode: destination.delivery,
+        destination: { key, label, channels, targets, quietHours },
+        kind,
+        appointment,
+        changes
+    });
+}
+
+/**
+ * Fasst die Änderungen eines Termins zusammen: je Feld der älteste alte und der neueste
+ * neue Wert; Felder, die wieder ihren alten Wert haben, entfallen
+ *
+ * @param {Object[]} changes Änderungen in zeitlicher Reihenfolge
+ * @returns {Object[]} Zusammengefasste Änderungen
+ */
+function mergeChanges(changes) {
+    const byField = new Map();
+
+    for (const change of changes) {
+        const merged = byField.get(change.field);
+        byField.set(change.field, merged ? { ...merged, newValue: change.newValue } : { ...change });
+    }
+
+    return [...byField.values()].filter(change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue));
+}
+
+/**
+ * Führt die vorgemerkten Funde eines Ziels je Termin zusammen
+ * Ein neuer und wieder abgesagter Termin entfällt, ein neuer und danach geänderter
+ * Termin erscheint als neu mit dem letzten Stand, mehrere Änderungen werden zu einer.
+ *
+ * @param {Object[]} items Vorgemerkte Einträge in zeitlicher Reihenfolge
+ * @returns {{new: Object[], changed: Object[], cancelled: Object[]}} Termine je Art
+ *   ({ appointment, changes }), nach Prüfungsdatum sortiert
+ */
+function mergeDigestItems(items) {
+    const byAppointment = new Map();
+
+    for (const item of items) {
+        const id = item.appointment.id;
+        byAppointment.set(id, [...(byAppointment.get(id) || []), item]);
+    }
+
+    const merged = { new: [], changed: [], cancelled: [] };
+
+    for (const appointmentItems of byAppointment.values()) {
+        const kinds = new Set(appointmentItems.map(item => item.kind));
+        const appointment = appointmentItems[appointmentItems.length - 1].appointment;
+
+        if (kinds.has('new') && kinds.has('cancelled')) {
+            continue;
+        }
+
+        if (kinds.has('new')) {
+            merged.new.push({ appointment });
+        } else if (kinds.has('cancelled')) {
+            merged.cancelled.push({ appointment });
+        } else {
+            const changes = mergeChanges(appointmentItems.flatMap(item => item.changes || []));
+            if (changes.length > 0) {
+                merged.changed.push({ appointment, changes });
+            }
+        }
+    }
+
+    const byDate = (a, b) => String(a.appointment.date || '').localeCompare(String(b.appointment.date || ''));
+    Object.values(merged).forEach(entries => entries.sort(byDate));
+
+    return merged;
+}
+
+/**
+ * Erstellt die Nachricht einer Zusammenfassung
+ *
+ * @param {string} mode DELIVERY_MODES.DAILY oder DELIVERY_MODES.WEEKLY
+ * @param {string} label Bezeichnung des Ziels, z. B. Prüfungstyp oder Abo
+ * @param {Object} merged Ergebnis von mergeDigestItems
+ * @returns {import('./notificationModel.js').Notification|null} Nachricht, null ohne Funde
+ */
+function buildDigestNotification(mode, label, merged) {
+    const groups = [
+        { entries: merged.new, heading: '🆕 Neue Termine', count: 'neu', level: 'success' },
+        { entries: merged.changed, heading: '✏️ Geänderte Termine', count: 'geändert', level: 'warning' },
+        { entries: merged.cancelled, heading: '🚫 Abgesagte Termine', count: 'abgesagt', level: 'error' }
+    ].filter(group => group.entries.length > 0);
+
+    if (groups.length === 0) {
+        return null;
+    }
+
+    const counts = groups.map(group => `${group.entries.length} ${group.count}`).join(', ');
+
+    return createNotification(
+        `📰 ${DIGEST_TITLES[mode] || 'Zusammenfassung'} (${label}): ${counts}`,
+        groups.map(group => ({
+            cards: createDigestCards(`${group.heading} (${group.entries.length})`, group.entries, group.level)
+        })),
+        merged.new.length > 0 ? 'success' : 'info'
+    );
+}
+
+/**
+ * Versendet die Zusammenfassungen eines Modus an alle Ziele mit vorgemerkten Funden
+ * Die Nachrichten gehen über den Postausgang (mit den Ruhezeiten des Ziels), neue
+ * Termine gelten nach der Zustellung als gemeldet. Die Funde werden danach entfernt.
+ *
+ * @param {string} mode DELIVERY_MODES.DAILY oder DELIVERY_MODES.WEEKLY
+ * @param {Object} [options]
+ * @param {Object} [options.store] Sammelstelle, standardmäßig notification-digest.db in DATA_DIR
+ * @param {Object[]} [options.channels] Kanäle, standardmäßig alle konfigurierten
+ * @param {Object} [options.outbox] Postausgang für queueNotification
+ * @returns {Promise<number>} Anzahl der vorgemerkten Zusammenfassungen
+ */
+async function flushDigests(mode, { store = getDefaultDigestStore(), channels = getChannels(), outbox } = {}) {
+    const items = await store.getDigestItems(mode);
+    const byDestination = new Map();
+
+    for (const item of items) {
+        const key = item.destination.key;
+        byDestination.set(key, [...(byDestination.get(key) || []), item]);
+    }
+
+    let queued = 0;
+
+    for (const destinationItems of byDestination.values()) {
+        const { label, channels: channelNames, targets, quietHours } = destinationItems[0].destination;
+        const merged = mergeDigestItems(destinationItems);
+        const notification = buildDigestNotification(mode, label, merged);
+
+        if (notification) {
+            const destinationChannels = channelNames
+                ? channels.filter(channel => channelNames.includes(channel.name))
+                : channels;
+
+            await queueNotification(notification, {
+                appointmentIds: merged.new.map(({ appointment }) => appointment.id),
+                targets,
+                channels: destinationChannels,
+                quietHours,
+                outbox
+            });
+            queued++;
+        }
+
+        await store.removeDigestItems(destinationItems.map(item => item._id));
+    }
+
+    if (items.length > 0) {
+        log(`📰 ${DIGEST_TITLES[mode] || 'Zusammenfassung'}: ${items.length} Funde in ${queued} Nachrichten zusammengefasst.`);
+    }
+
+    return queued;
+}
+
+export {
+    collectForDigest,
+    mergeDigestItems,
+    buildDigestNotification,
+    flushDigests
+};
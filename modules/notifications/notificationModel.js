@@ -0,0 +1,424 @@
+import { formatExamDate } from '../model/appointment.js';
+
+/**
+ * Kanalneutrales Nachrichtenmodell
+ * Der Crawler beschreibt jede Benachrichtigung mit diesem Modell, die Kanäle in
+ * ./channels setzen es in ihr eigenes Format um (Discord-Embeds, Slack-Anhänge,
+ * Telegram-HTML, E-Mail, ntfy, JSON).
+ *
+ * @typedef {Object} NotificationField
+ * @property {string} label Bezeichnung des Feldes
+ * @property {string} value Anzeigewert
+ * @property {boolean} inline Ob das Feld neben anderen Feldern stehen darf
+ *
+ * @typedef {Object} NotificationCard Ein Termin oder eine Statusmeldung
+ * @property {string} title Titel der Karte
+ * @property {string} [description] Freitext unter dem Titel
+ * @property {string} [url] Verweis, z. B. auf die Terminseite
+ * @property {string} level Einer der NOTIFICATION_LEVELS
+ * @property {number} [color] Eigene Farbe (z. B. des Prüfungstyps), hat Vorrang vor level
+ * @property {NotificationField[]} fields Felder der Karte
+ * @property {number} [columns] Felder je Zeile, falls die Felder paarweise zusammengehören
+ *
+ * @typedef {Object} NotificationSection
+ * @property {string} [heading] Zwischenüberschrift
+ * @property {NotificationCard[]} cards Karten des Abschnitts
+ *
+ * @typedef {Object} Notification
+ * @property {string} title Überschrift, dient auch als Betreff
+ * @property {string} level Einer der NOTIFICATION_LEVELS
+ * @property {NotificationSection[]} sections Abschnitte der Nachricht
+ * @property {string} createdAt Erstellungszeitpunkt als ISO-Zeitstempel
+ */
+
+// Farben je Dringlichkeit, Kanäle ohne Farben leiten daraus z. B. die Priorität ab
+const LEVEL_COLORS = {
+    success: 0x57F287, // Grün
+    error: 0xED4245,   // Rot
+    warning: 0xFEE75C, // Gelb
+    info: 0x5865F2,    // Blau
+    reminder: 0x9B59B6, // Violett, Erinnerungen vor der Prüfung
+    default: 0x808080  // Grau
+};
+
+const NOTIFICATION_LEVELS = Object.keys(LEVEL_COLORS);
+
+// Höchstzahl der Termine auf einer Karte einer Zusammenfassung (Discord erlaubt 25 Felder)
+const DIGEST_CARD_SIZE = 20;
+
+// Emoji vor dem Titel einer Statusmeldung
+const STATUS_EMOJIS = {
+    success: '✅',
+    error: '❌',
+    warning: '⚠️',
+    info: 'ℹ️'
+};
+
+/**
+ * Erstellt eine Benachrichtigung
+ *
+ * @param {string} title Überschrift der Nachricht
+ * @param {NotificationSection[]} [sections] Abschnitte mit Karten
+ * @param {string} [level='info'] Dringlichkeit der Nachricht
+ * @returns {Notification} Benachrichtigung
+ */
+function createNotification(title, sections = [], level = 'info') {
+    return {
+        title,
+        level: NOTIFICATION_LEVELS.includes(level) ? level : 'info',
+        sections,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Erstellt eine Karte für einen Fischerprüfungstermin
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {Object} [options]
+ * @param {boolean} [options.isNew=false] Ob es sich um einen neuen Termin handelt (immer 'success')
+ * @param {string} [options.level='info'] Dringlichkeit der Karte
+ * @param {number} [options.color] Eigene Farbe, z. B. des Prüfungstyps
+ * @param {Object} [options.distance] Entfernung vom Bezugsort eines Abos ({ km, from, approximate })
+ * @returns {NotificationCard} Karte des Termins
+ */
+function createAppointmentCard(appointment, { isNew = false, level = 'info', color, distance } = {}) {
+    const emoji = isNew ? '🆕' : '🎣';
+    const typeLabel = appointment.examTypeLabel ? `Termin ${appointment.examTypeLabel}` : 'Fischerprüfungstermin';
+
+    const examDate = formatExamDate(appointment.date);
+    const fields = [
+        {
+            label: '📅 Termin',
+            value: examDate ? `${examDate.date} um ${examDate.time} Uhr` : 'Kein Datum',
+            inline: true
+        },
+        {
+            label: '🧾 Prüfungstyp',
+            value: appointment.examTypeName || 'Keine Angabe',
+            inline: true
+        },
+        {
+            label: '🏢 Prüfungsstelle',
+            value: appointment.pruefungsstelle || 'Keine Angabe',
+            inline: true
+        },
+        {
+            label: '📍 Ort',
+            value: formatLocation(appointment),
+            inline: true
+        }
+    ];
+
+    if (distance) {
+        fields.push({
+            label: '📏 Entfernung',
+            value: formatDistance(distance),
+            inline: true
+        });
+    }
+
+    // Mehrzeilige Adresse kompakt in einer Zeile darstellen
+    if (appointment.address) {
+        fields.push({
+            label: '🗺️ Adresse',
+            value: appointment.address.replace(/\n/g, ', ').replace(/,\s*,/g, ','),
+            inline: true
+        });
+    }
+
+    const contact = appointment.contact || {};
+    const contactParts = [];
+
+    if (contact.phone) {
+        contactParts.push(`📞 ${contact.phone}`);
+    }
+
+    if (contact.email) {
+        contactParts.push(`📧 ${contact.email}`);
+    }
+
+    if (contact.website) {
+        contactParts.push(`🌐 [Website](${contact.website})`);
+    }
+
+    if (contactParts.length > 0) {
+        fields.push({
+            label: '📬 Kontakt',
+            value: contactParts.join(' | '),
+            inline: true
+        });
+    }
+
+    if (appointment.additionalInfo) {
+        fields.push({
+            label: 'ℹ️ Hinweise',
+            value: truncate(appointment.additionalInfo, 250),
+            inline: false
+        });
+    }
+
+    return {
+        title: `${emoji} ${typeLabel} ${isNew ? '(NEU)' : ''}`,
+        url: appointment.url,
+        level: isNew ? 'success' : level,
+        color: typeof color === 'number' ? color : undefined,
+        fields
+    };
+}
+
+/**
+ * Formatiert einen geänderten Feldwert für die Anzeige
+ *
+ * @param {string} field Name des geänderten Feldes
+ * @param {*} value Der Feldwert
+ * @returns {string} Anzeigewert
+ */
+function formatChangeValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return 'Keine Angabe';
+    }
+
+    if (field === 'date') {
+        const examDate = formatExamDate(value);
+        if (examDate) {
+            return `${examDate.date} um ${examDate.time} Uhr`;
+        }
+    }
+
+    return truncate(String(value).replace(/\n/g, ', '), 250);
+}
+
+/**
+ * Erstellt eine Karte für einen geänderten Fischerprüfungstermin
+ * Alte und neue Werte stehen als Feldpaare nebeneinander.
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin mit den aktuellen Daten
+ * @param {Object[]} changes Liste der Änderungen ({ field, label, oldValue, newValue })
+ * @returns {NotificationCard} Karte des Termins
+ */
+function createChangedAppointmentCard(appointment, changes = []) {
+    const fields = [];
+
+    changes.forEach(change => {
+        fields.push(
+            {
+                label: `${change.label} (alt)`,
+                value: formatChangeValue(change.field, change.oldValue),
+                inline: true
+            },
+            {
+                label: `${change.label} (neu)`,
+                value: formatChangeValue(change.field, change.newValue),
+                inline: true
+            }
+        );
+    });
+
+    const examDate = formatExamDate(appointment.date);
+
+    return {
+        title: '✏️ Termin geändert',
+        description: `${examDate ? examDate.date : 'Kein Datum'} – ${formatLocation(appointment)}`,
+        url: appointment.url,
+        level: 'warning',
+        fields,
+        columns: 2
+    };
+}
+
+/**
+ * Erstellt eine Karte für einen abgesagten Fischerprüfungstermin
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der abgesagte Termin
+ * @param {Object} [options]
+ * @param {Object} [options.distance] Entfernung vom Bezugsort eines Abos ({ km, from, approximate })
+ * @returns {NotificationCard} Karte des Termins
+ */
+function createCancelledAppointmentCard(appointment, { distance } = {}) {
+    const card = createAppointmentCard(appointment, { level: 'error', distance });
+
+    if (appointment.missingSince) {
+        card.fields.push({
+            label: '🕒 Nicht mehr gelistet seit',
+            value: new Date(appointment.missingSince).toLocaleDateString('de-DE'),
+            inline: true
+        });
+    }
+
+    return {
+        ...card,
+        title: '🚫 Termin abgesagt'
+    };
+}
+
+/**
+ * Erstellt eine Karte, die an einen bevorstehenden Fischerprüfungstermin erinnert
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {number} daysUntil Tage bis zur Prüfung
+ * @param {Object} [options]
+ * @param {Object} [options.distance] Entfernung vom Bezugsort eines Abos ({ km, from, approximate })
+ * @returns {NotificationCard} Karte des Termins mit dem Level 'reminder'
+ */
+function createReminderCard(appointment, daysUntil, { distance } = {}) {
+    const card = createAppointmentCard(appointment, { level: 'reminder', distance });
+    const examDate = formatExamDate(appointment.date);
+
+    return {
+        ...card,
+        title: `⏰ Prüfung ${formatDaysUntil(daysUntil)}`,
+        description: `${examDate ? `${examDate.date} um ${examDate.time} Uhr` : 'Kein Datum'} – ${formatLocation(appointment)}`
+    };
+}
+
+/**
+ * Erstellt kompakte Karten für eine Zusammenfassung mit einer Zeile je Termin
+ * Lange Listen werden auf mehrere Karten verteilt.
+ *
+ * @param {string} title Titel der Karten
+ * @param {Object[]} entries Termine ({ appointment, changes }), changes nur bei geänderten Terminen
+ * @param {string} [level='info'] Dringlichkeit der Karten
+ * @returns {NotificationCard[]} Karten mit höchstens DIGEST_CARD_SIZE Terminen
+ */
+function createDigestCards(title, entries, level = 'info') {
+    const fields = entries.map(({ appointment, changes = [] }) => {
+        const examDate = formatExamDate(appointment.date);
+        const details = changes.length > 0
+            ? changes.map(change => `${change.label}: ${formatChangeValue(change.field, change.oldValue)} → ${formatChangeValue(change.field, change.newValue)}`)
+            : [[appointment.pruefungsstelle, appointment.examTypeLabel || appointment.examTypeName].filter(Boolean).join(' · ') || 'Keine Angabe'];
+
+        if (appointment.url) {
+            details.push(`[Details](${appointment.url})`);
+        }
+
+        return {
+            label: `${examDate ? `${examDate.date} ${examDate.time} Uhr` : 'Kein Datum'} – ${formatLocation(appointment)}`,
+            value: details.join('\n'),
+            inline: false
+        };
+    });
+
+    const cards = [];
+    for (let start = 0; start < fields.length; start += DIGEST_CARD_SIZE) {
+        cards.push({
+            title: start === 0 ? title : `${title} (Fortsetzung)`,
+            level,
+            fields: fields.slice(start, start + DIGEST_CARD_SIZE)
+        });
+    }
+    return cards;
+}
+
+/**
+ * Erstellt eine Karte für eine Erfolgs-, Fehler- oder Infomeldung
+ *
+ * @param {string} title Titel der Meldung
+ * @param {string} message Text der Meldung
+ * @param {string} [level='info'] Dringlichkeit: 'success', 'error', 'warning' oder 'info'
+ * @returns {NotificationCard} Karte der Meldung
+ */
+function createStatusCard(title, message, level = 'info') {
+    const normalizedLevel = level.toLowerCase();
+
+    return {
+        title: `${STATUS_EMOJIS[normalizedLevel] || STATUS_EMOJIS.info} ${title}`,
+        description: message,
+        level: LEVEL_COLORS[normalizedLevel] !== undefined ? normalizedLevel : 'info',
+        fields: []
+    };
+}
+
+/**
+ * Ermittelt die Farbe einer Karte
+ *
+ * @param {NotificationCard} card Die Karte
+ * @returns {number} Farbwert
+ */
+function getCardColor(card) {
+    return card.color ?? LEVEL_COLORS[card.level] ?? LEVEL_COLORS.info;
+}
+
+/**
+ * Setzt den Inhalt einer Benachrichtigung als reinen Text um (ohne Überschrift)
+ * Für Kanäle ohne eigene Formatierung, etwa ntfy oder den Textteil einer E-Mail.
+ *
+ * @param {Notification} notification Die Benachrichtigung
+ * @returns {string} Text mit einer Zeile je Feld
+ */
+function renderText(notification) {
+    const blocks = [];
+
+    for (const section of notification.sections) {
+        if (section.heading) {
+            blocks.push(section.heading);
+        }
+
+        for (const card of section.cards) {
+            const lines = [card.title.trim()];
+            if (card.description) {
+                lines.push(card.description);
+            }
+            card.fields.forEach(field => lines.push(`${field.label}: ${field.value}`));
+            if (card.url) {
+                lines.push(card.url);
+            }
+            blocks.push(lines.join('\n'));
+        }
+    }
+
+    return blocks.join('\n\n');
+}
+
+/**
+ * Maskiert Text für Kanäle mit HTML-Ausgabe
+ *
+ * @param {string} text Der Text
+ * @returns {string} HTML-sicherer Text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Ort mit Landkreis, z. B. "Wernigerode (Harz)"
+function formatLocation(appointment) {
+    return appointment.pruefungsort
+        ? `${appointment.pruefungsort}${appointment.landkreis ? ` (${appointment.landkreis})` : ''}`
+        : 'Keine Ortsangabe';
+}
+
+// Entfernung, z. B. "12 km von Halle (Saale)"; nur die Landkreismitte bekannt: "ca. 25 km ..."
+function formatDistance({ km, from, approximate }) {
+    const rounded = km < 10 ? km.toFixed(1).replace('.', ',') : String(Math.round(km));
+    return `${approximate ? 'ca. ' : ''}${rounded} km von ${from}${approximate ? ' (Landkreismitte)' : ''}`;
+}
+
+// Abstand zur Prüfung, z. B. "morgen" oder "in 14 Tagen"
+function formatDaysUntil(days) {
+    return days === 1 ? 'morgen' : `in ${days} Tagen`;
+}
+
+// Kürzt lange Texte auf maxLength Zeichen
+function truncate(text, maxLength) {
+    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+}
+
+export {
+    LEVEL_COLORS,
+    NOTIFICATION_LEVELS,
+    createNotification,
+    createAppointmentCard,
+    createChangedAppointmentCard,
+    createCancelledAppointmentCard,
+    createReminderCard,
+    createDigestCards,
+    createStatusCard,
+    getCardColor,
+    renderText,
+    escapeHtml,
+    formatDaysUntil
+};
@@ -0,0 +1,174 @@
+import { log } from '../logger/logger.js';
+import { getChannels, toDeliveryReport } from './notifier.js';
+import { markAsNotified } from '../data/storage.js';
+import { getDefaultOutbox } from '../data/nedbOutboxStorage.js';
+import { isQuietTime, getQuietHoursEnd } from '../config/delivery.js';
+
+// Wartezeit vor dem ersten erneuten Versuch, verdoppelt sich mit jedem Fehlschlag
+const RETRY_BASE_DELAY_MS = (parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS, 10) || 60) * 1000;
+// Obergrenze der Wartezeit zwischen zwei Versuchen
+const RETRY_MAX_DELAY_MS = (parseInt(process.env.OUTBOX_RETRY_MAX_MINUTES, 10) || 60) * 60 * 1000;
+
+// Laufende Zustellung, damit Crawler-Lauf und Wiederholungsjob nicht doppelt senden
+let activeDelivery = null;
+
+/**
+ * Berechnet die Wartezeit bis zum nächsten Versuch (exponentiell, mit Obergrenze)
+ *
+ * @param {number} attempts Anzahl der bisher fehlgeschlagenen Versuche
+ * @returns {number} Wartezeit in Millisekunden
+ */
+function getRetryDelay(attempts) {
+    const delay = RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(delay, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Legt eine Benachrichtigung für jeden Kanal im Postausgang ab
+ * Jeder Kanal erhält einen eigenen Eintrag, der bis zur Bestätigung durch den
+ * Dienst erhalten bleibt. Fällt ein Kanal aus, wird nur dieser erneut versucht.
+ *
+ * @param {import('./notificationModel.js').Notification} notification Die Benachrichtigung
+ * @param {Object} [options]
+ * @param {string[]} [options.appointmentIds] Termine, die nach der Zustellung als gemeldet gelten
+ * @param {Object} [options.targets] Abweichende Ziele je Kanalname, z. B. { discord: webhookUrl }
+ * @param {Object[]} [options.channels] Kanäle, standardmäßig alle konfigurierten
+ * @param {Object} [options.quietHours] Ruhezeiten des Ziels (parseQuietHours), in denen die Nachricht wartet
+ * @param {Object} [options.outbox] Postausgang, standardmäßig notification-outbox.db in DATA_DIR
+ * @returns {Promise<Object[]>} Einträge im Postausgang (ohne fehlgeschlagene)
+ */
+async function queueNotification(notification, {
+    appointmentIds = [],
+    targets = {},
+    channels = getChannels(),
+    quietHours = null,
+    outbox = getDefaultOutbox()
+} = {}) {
+    const entries = [];
+
+    for (const channel of channels) {
+        const entry = await outbox.enqueueNotification({
+            channel: channel.name,
+            target: targets[channel.name],
+            notification,
+            appointmentIds,
+            quietHours
+        });
+
+        if (entry) {
+            entries.push(entry);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Sendet einen Eintrag des Postausgangs über seinen Kanal
+ * Bereits zugestellte Teilnachrichten (deliveredParts) werden nicht erneut gesendet.
+ *
+ * @param {Object} entry Eintrag im Postausgang
+ * @param {Object[]} channels Konfigurierte Kanäle
+ * @returns {Promise<import('./notifier.js').DeliveryReport>} Ergebnis mit dem Grund eines Fehlschlags
+ */
+async function sendEntry(entry, channels) {
+    const resumeFrom = entry.deliveredParts || 0;
+    const channel = channels.find(candidate => candidate.name === entry.channel);
+    if (!channel) {
+        return { success: false, deliveredParts: resumeFrom, totalParts: 0, error: `Kanal ${entry.channel} ist nicht konfiguriert` };
+    }
+
+    const report = toDeliveryReport(await channel.send(entry.notification, entry.target || undefined, { resumeFrom }));
+    return {
+        ...report,
+        error: report.success ? null : `${entry.channel} hat die Zustellung nicht bestätigt`
+    };
+}
+
+/**
+ * Stellt alle fälligen Nachrichten aus dem Postausgang zu
+ * Erst wenn der Kanal die Zustellung bestätigt hat (z. B. mit einer 2xx-Antwort),
+ * wird die Nachricht entfernt und ihre Termine werden als gemeldet markiert.
+ * Fehlgeschlagene Nachrichten werden mit wachsendem Abstand erneut versucht; wurde
+ * eine Nachricht nur teilweise zugestellt, setzt der nächste Versuch nach den
+ * bereits zugestellten Teilen fort. Nachrichten, deren Ziel gerade Ruhezeit hat,
+ * warten ohne Fehlversuch bis zu deren Ende.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.outbox] Postausgang, standardmäßig notification-outbox.db in DATA_DIR
+ * @param {Object[]} [options.channels] Kanäle, standardmäßig alle konfigurierten
+ * @param {Function} [options.markNotified] Markiert einen Termin als gemeldet
+ * @param {Date} [options.now] Bezugszeitpunkt für fällige Nachrichten
+ * @returns {Promise<Object>} { delivered, failed, partial, held, pending }, partial zählt die
+ *   fehlgeschlagenen Nachrichten, von denen ein Teil zugestellt wurde, held die wegen
+ *   Ruhezeit zurückgehaltenen
+ */
+async function deliverPendingNotifications(options = {}) {
+    if (activeDelivery) {
+        return activeDelivery;
+    }
+
+    activeDelivery = deliver(options).finally(() => {
+        activeDelivery = null;
+    });
+    return activeDelivery;
+}
+
+// Eigentliche Zustellung, siehe deliverPendingNotifications
+async function deliver({
+    outbox = getDefaultOutbox(),
+    channels = getChannels(),
+    markNotified = markAsNotified,
+    now = new Date()
+} = {}) {
+    const dueNotifications = await outbox.getDueNotifications(now);
+    const result = { delivered: 0, failed: 0, partial: 0, held: 0, pending: 0 };
+
+    for (const entry of dueNotifications) {
+        if (isQuietTime(entry.quietHours, now)) {
+            const quietHoursEnd = getQuietHoursEnd(entry.quietHours, now);
+            await outbox.postponeNotification(entry._id, quietHoursEnd);
+            log(`🌙 Nachricht ${entry._id} wartet bis zum Ende der Ruhezeit (${quietHoursEnd.toISOString()})`);
+            result.held++;
+            continue;
+        }
+
+        const report = await sendEntry(entry, channels);
+
+        if (report.success) {
+            for (const appointmentId of entry.appointmentIds) {
+                await markNotified(appointmentId);
+            }
+            await outbox.markDelivered(entry._id);
+            result.delivered++;
+        } else {
+            const attempts = entry.attempts + 1;
+            const nextAttemptAt = new Date(now.getTime() + getRetryDelay(attempts));
+            await outbox.markFailed(entry._id, report.error, nextAttemptAt, report.deliveredParts);
+
+            if (report.deliveredParts > 0) {
+                log(`⏳ Nachricht ${entry._id} teilweise zugestellt (${report.deliveredParts}${report.totalParts ? ` von ${report.totalParts}` : ''} Teile, Versuch ${attempts}), Rest folgt ${nextAttemptAt.toISOString()}`);
+                result.partial++;
+            } else {
+                log(`⏳ Nachricht ${entry._id} nicht zugestellt (Versuch ${attempts}), nächster Versuch ${nextAttemptAt.toISOString()}`);
+            }
+            result.failed++;
+        }
+    }
+
+    result.pending = await outbox.countPendingNotifications();
+
+    if (dueNotifications.length > 0) {
+        const partialNote = result.partial > 0 ? ` (davon ${result.partial} teilweise zugestellt)` : '';
+        const heldNote = result.held > 0 ? `, ${result.held} wegen Ruhezeit zurückgehalten` : '';
+        log(`📬 Postausgang: ${result.delivered} zugestellt, ${result.failed} fehlgeschlagen${partialNote}${heldNote}, ${result.pending} ausstehend.`);
+    }
+
+    return result;
+}
+
+export {
+    queueNotification,
+    deliverPendingNotifications,
+    getRetryDelay
+};
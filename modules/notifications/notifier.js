@@ -0,0 +1,156 @@
+import { log } from '../logger/logger.js';
+import { createDiscordChannel } from './channels/discordChannel.js';
+import { createSlackChannel } from './channels/slackChannel.js';
+import { createTelegramChannel } from './channels/telegramChannel.js';
+import { createEmailChannel } from './channels/emailChannel.js';
+import { createNtfyChannel } from './channels/ntfyChannel.js';
+import { createWebhookChannel } from './channels/webhookChannel.js';
+
+/**
+ * Ein Kanal stellt Benachrichtigungen des Nachrichtenmodells auf einem Weg zu.
+ *
+ * @typedef {Object} NotificationChannel
+ * @property {string} name Eindeutiger Name, unter dem Nachrichten im Postausgang abgelegt werden
+ * @property {string} type Kanaltyp (discord, slack, telegram, email, ntfy, webhook)
+ * @property {function(Object): *} render Setzt eine Benachrichtigung in das Format des Kanals um
+ * @property {function(Object, string=, Object=): Promise<boolean|DeliveryReport>} send Sendet eine
+ *   Benachrichtigung, optional an ein abweichendes Ziel (Webhook-URL, Chat-ID, Empfänger, Thema).
+ *   true, sobald der Dienst die Zustellung bestätigt hat. Kanäle, die eine Benachrichtigung
+ *   auf mehrere Nachrichten aufteilen, liefern einen DeliveryReport und setzen mit der Option
+ *   resumeFrom nach den bereits zugestellten Teilen fort.
+ *
+ * @typedef {Object} DeliveryReport
+ * @property {boolean} success Die Benachrichtigung wurde vollständig zugestellt
+ * @property {number} deliveredParts Zugestellte Teilnachrichten
+ * @property {number} totalParts Anzahl der Teilnachrichten
+ * @property {string|null} [error] Grund des Fehlschlags
+ */
+
+// Kanaltypen mit ihrer Konfiguration aus den Umgebungsvariablen
+const CHANNEL_TYPES = {
+    discord: () => createDiscordChannel({
+        webhookUrl: process.env.DISCORD_WEBHOOK_URL
+    }),
+    slack: () => createSlackChannel({
+        webhookUrl: process.env.SLACK_WEBHOOK_URL
+    }),
+    telegram: () => createTelegramChannel({
+        botToken: process.env.TELEGRAM_BOT_TOKEN,
+        chatId: process.env.TELEGRAM_CHAT_ID,
+        apiUrl: process.env.TELEGRAM_API_URL || undefined
+    }),
+    email: () => createEmailChannel({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        from: process.env.MAIL_FROM,
+        to: process.env.MAIL_TO
+    }),
+    ntfy: () => createNtfyChannel({
+        url: process.env.NTFY_URL || undefined,
+        topic: process.env.NTFY_TOPIC,
+        token: process.env.NTFY_TOKEN
+    }),
+    webhook: () => createWebhookChannel({
+        url: process.env.NOTIFICATION_WEBHOOK_URL,
+        secret: process.env.NOTIFICATION_WEBHOOK_SECRET
+    })
+};
+
+// Verwendet, wenn NOTIFICATION_CHANNELS nicht gesetzt ist
+const DEFAULT_CHANNELS = 'discord';
+
+let configuredChannels = null;
+
+/**
+ * Lädt die in NOTIFICATION_CHANNELS aufgeführten Kanäle
+ * (kommagetrennte Kanaltypen, standardmäßig DEFAULT_CHANNELS)
+ * Unbekannte oder unvollständig konfigurierte Kanäle werden protokolliert und übersprungen.
+ *
+ * @returns {NotificationChannel[]} Konfigurierte Kanäle
+ */
+function loadChannels() {
+    const channelTypes = (process.env.NOTIFICATION_CHANNELS || DEFAULT_CHANNELS)
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean);
+
+    const channels = [];
+
+    for (const type of new Set(channelTypes)) {
+        if (!CHANNEL_TYPES[type]) {
+            log(`⚠️ Unbekannter Benachrichtigungskanal "${type}" ignoriert. Verfügbar: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+            continue;
+        }
+
+        try {
+            channels.push(CHANNEL_TYPES[type]());
+        } catch (error) {
+            log(`⚠️ Benachrichtigungskanal "${type}" übersprungen: ${error.message}`);
+        }
+    }
+
+    return channels;
+}
+
+/**
+ * Gibt die konfigurierten Kanäle zurück und lädt sie beim ersten Aufruf
+ *
+ * @returns {NotificationChannel[]} Konfigurierte Kanäle
+ */
+function getChannels() {
+    if (!configuredChannels) {
+        configuredChannels = loadChannels();
+    }
+    return configuredChannels;
+}
+
+/**
+ * Vereinheitlicht das Ergebnis von channel.send
+ *
+ * @param {boolean|DeliveryReport} result Rückgabe des Kanals
+ * @returns {DeliveryReport} Ergebnis der Zustellung
+ */
+function toDeliveryReport(result) {
+    if (typeof result === 'boolean') {
+        return { success: result, deliveredParts: result ? 1 : 0, totalParts: 1, error: null };
+    }
+    return { error: null, ...result };
+}
+
+/**
+ * Sendet eine Benachrichtigung sofort über alle Kanäle, ohne Postausgang
+ * Für Informationen, deren Wiederholung sich nicht lohnt (Status- und Fehlermeldungen).
+ *
+ * @param {import('./notificationModel.js').Notification} notification Die Benachrichtigung
+ * @param {Object} [options]
+ * @param {NotificationChannel[]} [options.channels] Kanäle, standardmäßig getChannels()
+ * @param {Object} [options.targets] Abweichende Ziele je Kanalname, z. B. { discord: webhookUrl }
+ * @returns {Promise<{delivered: string[], partial: string[], failed: string[]}>} Namen der Kanäle
+ *   je Ergebnis; partial enthält Kanäle, die nur einen Teil der Nachrichten zustellen konnten
+ */
+async function sendNotification(notification, { channels = getChannels(), targets = {} } = {}) {
+    const result = { delivered: [], partial: [], failed: [] };
+
+    for (const channel of channels) {
+        const report = toDeliveryReport(await channel.send(notification, targets[channel.name] || undefined));
+
+        if (report.success) {
+            result.delivered.push(channel.name);
+        } else {
+            result[report.deliveredParts > 0 ? 'partial' : 'failed'].push(channel.name);
+        }
+    }
+
+    return result;
+}
+
+export {
+    CHANNEL_TYPES,
+    loadChannels,
+    getChannels,
+    toDeliveryReport,
+    sendNotification
+};
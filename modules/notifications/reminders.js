@@ -0,0 +1,163 @@
+import schedule from 'node-schedule';
+import { log } from '../logger/logger.js';
+import {
+    queryAppointments,
+    getAppointmentTimeline,
+    recordAppointmentEvent,
+    APPOINTMENT_EVENTS
+} from '../data/storage.js';
+import { getReminderDays } from '../config/delivery.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Geplante Erinnerungen je `${appointmentId}:${days}`
+const reminderJobs = new Map();
+
+// Speicherfunktionen, die Tests durch eigene ersetzen können
+const defaultStorage = { queryAppointments, getAppointmentTimeline, recordAppointmentEvent };
+
+/**
+ * Berechnet den Zeitpunkt einer Erinnerung: die Uhrzeit der Prüfung, days Tage vorher
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {number} days Tage vor der Prüfung
+ * @returns {Date|null} Zeitpunkt der Erinnerung, null ohne gültiges Prüfungsdatum
+ */
+function getReminderTime(appointment, days) {
+    const examDate = new Date(appointment.date);
+    if (!appointment.date || Number.isNaN(examDate.getTime())) {
+        return null;
+    }
+    return new Date(examDate.getTime() - days * DAY_MS);
+}
+
+/**
+ * Prüft, ob für den aktuellen Prüfungstermin schon so kurz vorher erinnert wurde
+ * Wird ein Termin verlegt, gelten die Erinnerungen an das alte Datum nicht mehr.
+ *
+ * @param {Object[]} timeline Ereignisverlauf des Termins
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {number} days Tage vor der Prüfung
+ * @returns {boolean} true, wenn die Erinnerung entfallen kann
+ */
+function wasReminded(timeline, appointment, days) {
+    return timeline.some(event => event.type === APPOINTMENT_EVENTS.REMINDED
+        && event.details?.date === appointment.date
+        && event.details?.days <= days);
+}
+
+/**
+ * Sendet eine Erinnerung, sofern der Termin sie noch braucht
+ * Der Termin wird dazu neu aus dem Speicher gelesen: Abgesagte, vergangene und vom Team
+ * als nicht relevant markierte Termine erhalten keine Erinnerung, ebenso Termine, an
+ * die für dieses Datum schon so kurz vorher erinnert wurde.
+ *
+ * @param {string} appointmentId ID des Termins
+ * @param {number} days Tage vor der Prüfung
+ * @param {Object} options
+ * @param {function(Object, number): Promise<boolean>} options.notify Meldet die Erinnerung,
+ *   liefert false, wenn niemand sie erhalten soll
+ * @param {Object} [options.storage] Speicherfunktionen, standardmäßig die des konfigurierten Backends
+ * @param {Date} [options.now] Bezugszeitpunkt
+ * @returns {Promise<boolean>} true, wenn die Erinnerung gemeldet wurde
+ */
+async function sendReminder(appointmentId, days, { notify, storage = defaultStorage, now = new Date() }) {
+    const [appointment] = (await storage.queryAppointments({ cancelled: false, from: now }))
+        .filter(candidate => candidate.id === appointmentId);
+
+    if (!appointment || appointment.notRelevant) {
+        log(`Erinnerung an Termin ${appointmentId} entfällt (abgesagt, vergangen oder nicht relevant).`);
+        return false;
+    }
+
+    if (wasReminded(await storage.getAppointmentTimeline(appointmentId), appointment, days)) {
+        return false;
+    }
+
+    if (!(await notify(appointment, days))) {
+        return false;
+    }
+
+    await storage.recordAppointmentEvent(appointmentId, APPOINTMENT_EVENTS.REMINDED, { days, date: appointment.date });
+    log(`⏰ Erinnerung an Termin ${appointmentId} (${days} Tage vorher) vorgemerkt.`);
+    return true;
+}
+
+/**
+ * Hebt alle geplanten Erinnerungen auf
+ */
+function cancelReminders() {
+    for (const job of reminderJobs.values()) {
+        job.cancel();
+    }
+    reminderJobs.clear();
+}
+
+/**
+ * Plant die Erinnerungen aller kommenden Termine neu
+ * Die Jobs werden aus dem Speicher aufgebaut, etwa nach einem Neustart oder nach einem
+ * Lauf, der Termine gefunden, verlegt oder abgesagt hat. Eine verpasste Erinnerung (z. B.
+ * während der Crawler nicht lief) wird sofort nachgeholt, aber nur die jüngste und nur,
+ * wenn der Termin zu ihrem Zeitpunkt schon bekannt war.
+ *
+ * @param {Object} options
+ * @param {function(Object, number): Promise<boolean>} options.notify Meldet eine Erinnerung
+ * @param {number[]} [options.reminderDays] Tage vor der Prüfung, standardmäßig REMINDER_DAYS
+ * @param {Object} [options.storage] Speicherfunktionen, standardmäßig die des konfigurierten Backends
+ * @param {Object} [options.scheduler] Planer mit scheduleJob(date, job), standardmäßig node-schedule
+ * @param {Date} [options.now] Bezugszeitpunkt
+ * @returns {Promise<{scheduled: number, sent: number}>} Geplante und nachgeholte Erinnerungen
+ */
+async function scheduleReminders({
+    notify,
+    reminderDays = getReminderDays(),
+    storage = defaultStorage,
+    scheduler = schedule,
+    now = new Date()
+}) {
+    cancelReminders();
+    const result = { scheduled: 0, sent: 0 };
+
+    if (reminderDays.length === 0) {
+        return result;
+    }
+
+    const appointments = (await storage.queryAppointments({ cancelled: false, from: now }))
+        .filter(appointment => !appointment.notRelevant);
+
+    for (const appointment of appointments) {
+        const reminders = reminderDays
+            .map(days => ({ days, at: getReminderTime(appointment, days) }))
+            .filter(reminder => reminder.at)
+            .sort((a, b) => a.at - b.at);
+
+        for (const { days, at } of reminders.filter(reminder => reminder.at > now)) {
+            const job = scheduler.scheduleJob(at, () => sendReminder(appointment.id, days, { notify, storage })
+                .catch(error => log(`Fehler beim Senden der Erinnerung an Termin ${appointment.id}: ${error.message}`)));
+
+            if (job) {
+                reminderJobs.set(`${appointment.id}:${days}`, job);
+                result.scheduled++;
+            }
+        }
+
+        // Nur die jüngste verpasste Erinnerung nachholen, frühere sind überholt
+        const missed = reminders.filter(reminder => reminder.at <= now).pop();
+        const knownSince = appointment.dateAdded ? new Date(appointment.dateAdded) : null;
+
+        if (missed && (!knownSince || knownSince <= missed.at)
+            && await sendReminder(appointment.id, missed.days, { notify, storage, now })) {
+            result.sent++;
+        }
+    }
+
+    log(`⏰ ${result.scheduled} Erinnerungen geplant${result.sent > 0 ? `, ${result.sent} nachgeholt` : ''}.`);
+    return result;
+}
+
+export {
+    getReminderTime,
+    sendReminder,
+    scheduleReminders,
+    cancelReminders
+};
@@ -0,0 +1,130 @@
+import { locateAppointment, distanceKm } from '../geo/geocoder.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ermittelt die Entfernung eines Termins vom Bezugsort eines Abos (within)
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {Object} [subscription] Abo aus loadSubscriptions()
+ * @returns {{km: number, from: string, approximate: boolean}|null} Entfernung in km und
+ *   Bezugsort; approximate, wenn nur die Mitte des Landkreises bekannt ist. null ohne
+ *   Umkreis-Regel oder wenn sich der Termin nicht verorten lässt.
+ */
+function getSubscriptionDistance(appointment, subscription) {
+    if (!subscription?.within) {
+        return null;
+    }
+
+    const location = locateAppointment(appointment);
+    if (!location) {
+        return null;
+    }
+
+    return {
+        km: distanceKm(subscription.within.point, location),
+        from: subscription.within.point.name,
+        approximate: location.precision === 'landkreis'
+    };
+}
+
+/**
+ * Prüft, ob ein Termin die Regeln eines Abos erfüllt
+ * Nicht gesetzte Kriterien gelten als erfüllt. Termine ohne gültiges Datum erfüllen
+ * keine Datumsregel (Wochentage, from/to, withinDays), Termine, die sich nicht
+ * verorten lassen, keine Umkreis-Regel (within).
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin
+ * @param {Object} subscription Abo aus loadSubscriptions()
+ * @param {Date} [now] Bezugszeitpunkt für withinDays
+ * @returns {boolean} true, wenn der Termin an das Abo geht
+ */
+function matchesSubscription(appointment, subscription, now = new Date()) {
+    const { examTypeIds, landkreise, locations, offices, weekdays, from, to, withinDays, within } = subscription;
+    const matchesText = (accepted, value) => !accepted || accepted.includes(String(value ?? '').trim().toLowerCase());
+
+    if (examTypeIds && !examTypeIds.includes(appointment.examTypeId)) {
+        return false;
+    }
+
+    if (!matchesText(landkreise, appointment.landkreis)
+        || !matchesText(locations, appointment.pruefungsort)
+        || !matchesText(offices, appointment.pruefungsstelle)) {
+        return false;
+    }
+
+    if (within) {
+        const distance = getSubscriptionDistance(appointment, subscription);
+        if (!distance || distance.km > within.km) {
+            return false;
+        }
+    }
+
+    if (!weekdays && !from && !to && !withinDays) {
+        return true;
+    }
+
+    const examDate = new Date(appointment.date);
+    if (!appointment.date || Number.isNaN(examDate.getTime())) {
+        return false;
+    }
+
+    return (!weekdays || weekdays.includes(examDate.getDay()))
+        && (!from || examDate >= from)
+        && (!to || examDate <= to)
+        && (!withinDays || (examDate >= now && examDate.getTime() <= now.getTime() + withinDays * DAY_MS));
+}
+
+/**
+ * Stellt den Stand eines geänderten Termins vor der Änderung wieder her
+ * Ein Abo soll auch erfahren, dass ein Termin aus seinen Regeln herausgefallen ist.
+ *
+ * @param {import('../model/appointment.js').Appointment} appointment Der Termin mit den aktuellen Daten
+ * @param {Object[]} changes Liste der Änderungen ({ field, oldValue, newValue })
+ * @returns {Object} Termin mit den alten Werten
+ */
+function getPreviousVersion(appointment, changes = []) {
+    return {
+        ...appointment,
+        ...Object.fromEntries(changes.map(({ field, oldValue }) => [field, oldValue]))
+    };
+}
+
+/**
+ * Verteilt Termine auf die Abos, deren Regeln sie erfüllen
+ * Ein Termin kann an mehrere Abos gehen. Bei geänderten Terminen liefert getVersions
+ * den alten und den neuen Stand; es genügt, wenn einer davon die Regeln erfüllt.
+ *
+ * @param {Object[]} items Termine oder Einträge, aus denen getVersions die Termine liest
+ * @param {Object[]} subscriptions Abos aus loadSubscriptions()
+ * @param {Object} [options]
+ * @param {function(Object): Object[]} [options.getVersions] Zu prüfende Termine eines Eintrags
+ * @param {Date} [options.now] Bezugszeitpunkt für withinDays
+ * @returns {{routes: {subscription: Object, items: Object[]}[], unmatched: Object[]}} Einträge
+ *   je Abo (nur Abos mit Treffern) und Einträge, die an kein Abo gehen
+ */
+function routeToSubscribers(items, subscriptions, { getVersions = item => [item], now = new Date() } = {}) {
+    const matched = new Set();
+
+    const routes = subscriptions
+        .map(subscription => {
+            const subscriptionItems = items.filter(item =>
+                getVersions(item).some(appointment => matchesSubscription(appointment, subscription, now))
+            );
+            subscriptionItems.forEach(item => matched.add(item));
+            return { subscription, items: subscriptionItems };
+        })
+        .filter(route => route.items.length > 0);
+
+    return {
+        routes,
+        unmatched: items.filter(item => !matched.has(item))
+    };
+}
+
+export {
+    getSubscriptionDistance,
+    matchesSubscription,
+    getPreviousVersion,
+    routeToSubscribers
+};
@@ -0,0 +1,69 @@
+import { log } from '../logger/logger.js';
+import sachsenAnhaltSource from './sachsenAnhaltSource.js';
+import { getAppointmentId } from '../model/appointment.js';
+
+/**
+ * A source adapter connects one exam portal to the crawler pipeline.
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - Unique source name, stored as `source` on every appointment
+ * @property {string} label - Human readable name of the portal
+ * @property {Array} schema - Schema rules every raw record is validated against
+ *   before normalize() (see modules/validation/schemaValidator.js)
+ * @property {function(Object=): Promise<Array|null>} fetch - Fetch raw records, null on error.
+ *   Accepts optional { signal } to abort the request.
+ * @property {function(Array): Array} normalize - Map raw records to canonical appointments
+ *   built with createAppointment (see modules/model/appointment.js). Every appointment
+ *   carries `source`, the portal's own `sourceId` and an `id` of the form
+ *   `<source>:<sourceId>` so IDs from different portals never collide.
+ */
+
+// Registered source adapters by name
+const SOURCE_ADAPTERS = {
+  [sachsenAnhaltSource.name]: sachsenAnhaltSource
+};
+
+// Watched when SOURCES is not configured
+const DEFAULT_SOURCE = sachsenAnhaltSource.name;
+
+/**
+ * Load the source adapters listed in the SOURCES environment variable
+ * (comma separated source names, defaults to DEFAULT_SOURCE)
+ * @returns {SourceAdapter[]} Array of source adapters
+ */
+function loadSources() {
+  const sourceNames = (process.env.SOURCES || DEFAULT_SOURCE)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const sources = [];
+
+  for (const name of sourceNames) {
+    if (!SOURCE_ADAPTERS[name]) {
+      log(`Unknown source "${name}" ignored. Available sources: ${Object.keys(SOURCE_ADAPTERS).join(', ')}`);
+      continue;
+    }
+    sources.push(SOURCE_ADAPTERS[name]);
+  }
+
+  return sources;
+}
+
+/**
+ * Get the appointment IDs of records that failed schema validation
+ * The source still lists these appointments, so they must not count as missing.
+ * @param {SourceAdapter} source - Source the records came from
+ * @param {Array} rejected - Rejected records from validateRecords ({ record, errors })
+ * @returns {string[]|null} Appointment IDs, null if a record has no usable ID and
+ *   could therefore be any known appointment
+ */
+function getRejectedIds(source, rejected) {
+  const ids = rejected.map(({ record }) => record?.id);
+  if (!ids.every(id => typeof id === 'number' || (typeof id === 'string' && id !== ''))) {
+    return null;
+  }
+  return ids.map(id => getAppointmentId(source.name, id));
+}
+
+export { loadSources, getRejectedIds, SOURCE_ADAPTERS, DEFAULT_SOURCE };
@@ -0,0 +1,65 @@
+import { fetchExamData } from '../api/cachedApiClient.js';
+import { createAppointment } from '../model/appointment.js';
+
+const SOURCE_NAME = 'sachsen-anhalt';
+const LINK_URL = process.env.LINK_URL;
+
+/**
+ * Source adapter for the LAV Sachsen-Anhalt exam portal
+ * (fischerpruefung.sachsen-anhalt.de)
+ */
+const sachsenAnhaltSource = {
+  name: SOURCE_NAME,
+  label: 'Sachsen-Anhalt',
+
+  // Fields normalize() relies on; records that don't match are quarantined
+  schema: [
+    { path: 'id', type: ['number', 'string'], required: true, nonEmpty: true },
+    { path: 'date', type: 'date', required: true },
+    { path: 'examType', type: 'object', required: true },
+    { path: 'examType.id', type: ['number', 'string'], required: true, nonEmpty: true },
+    { path: 'examType.name', type: 'string' },
+    { path: 'examinationOffice', type: 'object', required: true },
+    { path: 'examinationOffice.name', type: 'string', required: true },
+    { path: 'contactInfo', type: 'object', required: true },
+    { path: 'contactInfo.area', type: 'object', required: true },
+    { path: 'contactInfo.area.name', type: 'string', required: true },
+    { path: 'contactInfo.area.districtName', type: 'string' },
+    { path: 'contactInfo.address', type: 'string' },
+    { path: 'contactInfo.contact', type: 'object' },
+    { path: 'additionalInformation', type: 'string' }
+  ],
+
+  /**
+   * Fetch raw exam data from the LAV API (with caching)
+   * @param {object} [options] - Optional { signal } to abort the request
+   * @returns {Promise<Array|null>} Raw API records or null on error
+   */
+  fetch(options = {}) {
+    return fetchExamData(process.env.API_URL, options);
+  },
+
+  /**
+   * Map raw LAV API records to canonical appointments
+   * @param {Array} rawData - Raw API records
+   * @returns {import('../model/appointment.js').Appointment[]} Canonical appointments
+   */
+  normalize(rawData) {
+    return rawData.map(item => createAppointment({
+      source: SOURCE_NAME,
+      sourceId: item.id,
+      url: LINK_URL + `${item.id}`,
+      examTypeId: item.examType.id,
+      examTypeName: item.examType.name,
+      date: item.date,
+      pruefungsstelle: item.examinationOffice.name,
+      pruefungsort: item.contactInfo.area.name,
+      landkreis: item.contactInfo.area.districtName,
+      address: item.contactInfo.address,
+      contact: item.contactInfo.contact,
+      additionalInfo: item.additionalInformation
+    }));
+  }
+};
+
+export default sachsenAnhaltSource;
@@ -0,0 +1,106 @@
+/**
+ * Minimal declarative schema validation for raw API records.
+ *
+ * A schema is an array of rules:
+ *   { path: 'contactInfo.area.name', type: 'string', required: true }
+ * - path: dot separated path into the record
+ * - type: 'string', 'number', 'boolean', 'object', 'array' or 'date'
+ *   (a string that parses to a valid date), or an array of these
+ * - required: whether the value must be present (not undefined/null)
+ * - nonEmpty: whether a string value must contain more than whitespace
+ */
+
+/**
+ * Resolve a dot separated path in an object
+ * @param {Object} record - Object to read from
+ * @param {string} fieldPath - Dot separated path
+ * @returns {*} Value at the path or undefined
+ */
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    record
+  );
+}
+
+/**
+ * Check a value against a single type name
+ * @param {*} value - Value to check
+ * @param {string} type - Type name
+ * @returns {boolean} True if the value matches the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a record against a schema
+ * @param {Object} record - Raw record
+ * @param {Array} schema - Array of schema rules
+ * @returns {Array<string>} Reasons the record is invalid (empty if valid)
+ */
+function validateRecord(record, schema) {
+  if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+    return ['record: expected object'];
+  }
+
+  const errors = [];
+
+  for (const rule of schema) {
+    const value = getPath(record, rule.path);
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(`${rule.path}: required value is missing`);
+      }
+      continue;
+    }
+
+    if (rule.type) {
+      const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push(`${rule.path}: expected ${types.join(' or ')}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+        continue;
+      }
+    }
+
+    if (rule.nonEmpty && typeof value === 'string' && value.trim() === '') {
+      errors.push(`${rule.path}: must not be empty`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Split raw records into valid and rejected ones
+ * @param {Array} records - Raw records
+ * @param {Array} schema - Array of schema rules
+ * @returns {{ valid: Array, rejected: Array<{ record: Object, errors: Array<string> }> }}
+ */
+function validateRecords(records, schema) {
+  const valid = [];
+  const rejected = [];
+
+  for (const record of records) {
+    const errors = validateRecord(record, schema);
+    if (errors.length === 0) {
+      valid.push(record);
+    } else {
+      rejected.push({ record, errors });
+    }
+  }
+
+  return { valid, rejected };
+}
+
+export { validateRecord, validateRecords };
@@ -0,0 +1,140 @@
+import 'dotenv/config';
+import path from 'path';
+import {
+    listSnapshots,
+    getSnapshotTime,
+    loadSnapshot,
+    diffSnapshots
+} from './modules/api/snapshotArchive.js';
+
+/**
+ * Kommandozeilenwerkzeug für das Snapshot-Archiv der API-Antworten
+ *
+ *   node snapshot-diff.js list                  Alle Snapshots auflisten
+ *   node snapshot-diff.js diff <alt> <neu>      Zwei Snapshots vergleichen
+ *   node snapshot-diff.js history <id>          Zeigen, wann ein Termin erschien, sich änderte oder verschwand
+ *
+ * Snapshots können als Pfad, Dateiname oder Index aus `list` angegeben werden.
+ */
+
+/**
+ * Resolve a snapshot argument (index from `list`, file name or path)
+ */
+function resolveSnapshot(argument, snapshots) {
+    if (/^\d+$/.test(argument) && snapshots[Number(argument)]) {
+        return snapshots[Number(argument)];
+    }
+    return argument;
+}
+
+/**
+ * Format a record for a single output line
+ */
+function describeRecord(record) {
+    const date = record.date ? new Date(record.date).toLocaleString('de-DE') : 'ohne Datum';
+    const place = record.contactInfo?.area?.name || 'ohne Ort';
+    return `${record.id} – ${date}, ${place}`;
+}
+
+function listCommand(snapshots) {
+    if (snapshots.length === 0) {
+        console.log('Keine Snapshots vorhanden.');
+        return;
+    }
+
+    snapshots.forEach((snapshotPath, index) => {
+        const snapshot = loadSnapshot(snapshotPath);
+        console.log(`[${index}] ${getSnapshotTime(snapshotPath).toISOString()}  ${snapshot.data.length} Termine  ${path.basename(snapshotPath)}`);
+    });
+}
+
+function diffCommand(snapshots, oldArgument, newArgument) {
+    if (!oldArgument || !newArgument) {
+        console.error('Verwendung: node snapshot-diff.js diff <alt> <neu>');
+        process.exitCode = 1;
+        return;
+    }
+
+    const oldSnapshot = loadSnapshot(resolveSnapshot(oldArgument, snapshots));
+    const newSnapshot = loadSnapshot(resolveSnapshot(newArgument, snapshots));
+    const { added, removed, modified } = diffSnapshots(oldSnapshot.data, newSnapshot.data);
+
+    console.log(`Vergleich ${oldSnapshot.fetchedAt} → ${newSnapshot.fetchedAt}\n`);
+
+    console.log(`Hinzugefügt (${added.length}):`);
+    added.forEach(record => console.log(`  + ${describeRecord(record)}`));
+
+    console.log(`\nEntfernt (${removed.length}):`);
+    removed.forEach(record => console.log(`  - ${describeRecord(record)}`));
+
+    console.log(`\nGeändert (${modified.length}):`);
+    modified.forEach(({ after, changes }) => {
+        console.log(`  ~ ${describeRecord(after)}`);
+        changes.forEach(change => {
+            console.log(`      ${change.field}: ${JSON.stringify(change.oldValue)} → ${JSON.stringify(change.newValue)}`);
+        });
+    });
+}
+
+function historyCommand(snapshots, id) {
+    if (!id) {
+        console.error('Verwendung: node snapshot-diff.js history <id>');
+        process.exitCode = 1;
+        return;
+    }
+
+    let previous = null;
+    let events = 0;
+
+    for (const snapshotPath of snapshots) {
+        const snapshot = loadSnapshot(snapshotPath);
+        const current = snapshot.data.find(record => String(record.id) === String(id)) || null;
+
+        if (!previous && current) {
+            console.log(`${snapshot.fetchedAt}  erschienen: ${describeRecord(current)}`);
+            events++;
+        } else if (previous && !current) {
+            console.log(`${snapshot.fetchedAt}  verschwunden`);
+            events++;
+        } else if (previous && current) {
+            const [change] = diffSnapshots([previous], [current]).modified;
+            if (change) {
+                console.log(`${snapshot.fetchedAt}  geändert: ${change.changes.map(({ field }) => field).join(', ')}`);
+                events++;
+            }
+        }
+
+        previous = current;
+    }
+
+    if (events === 0) {
+        console.log(`Termin ${id} kommt in keinem Snapshot vor.`);
+    }
+}
+
+function run() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        const snapshots = listSnapshots();
+
+        switch (command) {
+            case 'list':
+                listCommand(snapshots);
+                break;
+            case 'diff':
+                diffCommand(snapshots, args[0], args[1]);
+                break;
+            case 'history':
+                historyCommand(snapshots, args[0]);
+                break;
+            default:
+                console.log('Verwendung: node snapshot-diff.js <list | diff <alt> <neu> | history <id>>');
+        }
+    } catch (error) {
+        console.error(`Fehler: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+run();
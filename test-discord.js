@@ -5,6 +5,7 @@ import {
     createStatusEmbed, 
     DISCORD_COLORS 
 } from './modules/discord/discordNotifier.js';
+import { createAppointment } from './modules/model/appointment.js';
 import { log } from './modules/logger/logger.js';
 
 /**
@@ -29,14 +30,15 @@ async function testDiscordNotifier() {
         
         // Test 2: Create an example appointment (success - green)
         log('Test 2: Senden eines Discord Embeds mit einem Beispiel-Termin...');
-        const testAppointment = {
-            id: 12345,
-            termin: '01.06.2023',
+        const testAppointment = createAppointment({
+            source: 'sachsen-anhalt',
+            sourceId: 12345,
+            date: '2023-06-01T09:00:00Z',
             pruefungsstelle: 'Testprüfstelle',
             pruefungsort: 'Musterstadt',
             landkreis: 'Landkreis Test',
             url: 'https://example.com/12345'
-        };
+        });
         
         // Create the embed - new appointments are always success/green
         const testEmbed = createAppointmentEmbed(testAppointment, true);
@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Isolated data directory with absolute path
+const TEST_DIR = path.resolve('./tests/data/cancellation');
+const ORIGINAL_DATA_DIR = process.env.DATA_DIR;
+
+const DAY_MS = 86400000;
+const inDays = days => new Date(Date.now() + days * DAY_MS).toISOString();
+
+/**
+ * Generate a fetched appointment
+ */
+function generateAppointment(id, date) {
+    return {
+        id,
+        date,
+        termin: new Date(date).toLocaleDateString('de-DE'),
+        pruefungsstelle: `Testprüfstelle ${id}`,
+        pruefungsort: `Testort ${id}`,
+        landkreis: `Landkreis ${id}`,
+        url: `https://example.com/${id}`
+    };
+}
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.DATA_DIR = TEST_DIR;
+        console.log(`Using test directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        if (ORIGINAL_DATA_DIR === undefined) {
+            delete process.env.DATA_DIR;
+        } else {
+            process.env.DATA_DIR = ORIGINAL_DATA_DIR;
+        }
+
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run cancellation tests
+ */
+async function runTests() {
+    console.log('=== Starting Appointment Cancellation Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // The storage opens its datastore in DATA_DIR on import
+        const {
+            saveAppointments,
+            loadKnownAppointments,
+            findCancelledAppointments,
+            markAsCancelled,
+            markAsNotified,
+            getNotifiedAppointments
+        } = await import('../modules/data/nedbAppointmentStorage.js');
+        const stored = async id => (await loadKnownAppointments()).find(appointment => appointment.id === id);
+        const ids = appointments => appointments.map(appointment => appointment.id).join(',');
+
+        const upcoming = generateAppointment(1, inDays(10));
+        const dropped = generateAppointment(2, inDays(20));
+        const past = generateAppointment(3, inDays(-5));
+        await saveAppointments([upcoming, dropped, past]);
+
+        // Test 1: Missing appointments wait for the grace runs
+        console.log('Test 1: Grace Period');
+        const firstMiss = await findCancelledAppointments([upcoming], 2);
+        console.log(`- Not cancelled after one missing run: ${firstMiss.length === 0}`);
+        const missingOnce = await stored(2);
+        console.log(`- Missing run counted: ${missingOnce.missingCount === 1 && Boolean(missingOnce.missingSince)}`);
+        console.log(`- Past appointments are not expected in the feed: ${!((await stored(3)).missingCount > 0)}`);
+        const secondMiss = await findCancelledAppointments([upcoming], 2);
+        console.log(`- Cancelled after the grace runs: ${ids(secondMiss) === '2' && secondMiss[0].missingCount === 2}`);
+        console.log(`- Missing since the first run: ${new Date(secondMiss[0].missingSince).getTime() === new Date(missingOnce.missingSince).getTime()}`);
+        const immediate = await findCancelledAppointments([], 1);
+        console.log(`- One grace run cancels right away: ${ids(immediate) === '1,2' || ids(immediate) === '2,1'}`);
+
+        // Test 2: Marking as cancelled
+        console.log('\nTest 2: Mark as Cancelled');
+        await markAsNotified(1);
+        await markAsNotified(2);
+        const marked = await markAsCancelled(2);
+        const cancelled = await stored(2);
+        console.log(`- Marked with timestamp: ${marked && cancelled.cancelled === true && Boolean(cancelled.cancelledAt)}`);
+        console.log(`- Unknown ids are reported: ${(await markAsCancelled(999)) === false}`);
+        console.log(`- Cancelled appointments not listed as notified: ${ids(await getNotifiedAppointments()) === '1'}`);
+        const again = await findCancelledAppointments([upcoming], 2);
+        console.log(`- Not reported as cancelled twice: ${again.length === 0}`);
+
+        // Test 3: Appointments listed again
+        console.log('\nTest 3: Reappearing Appointments');
+        await findCancelledAppointments([upcoming, dropped], 2);
+        const reinstated = await stored(2);
+        console.log(`- Cancelled appointment reinstated: ${reinstated.cancelled === false && !reinstated.cancelledAt}`);
+        console.log(`- Missing count reset: ${reinstated.missingCount === 0 && !reinstated.missingSince}`);
+        await findCancelledAppointments([upcoming], 2);
+        await findCancelledAppointments([upcoming, dropped], 2);
+        const flickering = await findCancelledAppointments([upcoming], 2);
+        console.log(`- Gaps between listed runs don't add up: ${flickering.length === 0 && (await stored(2)).missingCount === 1}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,58 @@
+import { diffAppointments } from '../modules/data/appointmentDiff.js';
+
+/**
+ * Run appointment diff tests
+ */
+function runTests() {
+    console.log('=== Starting Appointment Diff Tests ===\n');
+
+    const stored = {
+        id: 1,
+        date: '2023-01-01T09:00:00.000Z',
+        pruefungsstelle: 'Testprüfstelle 1',
+        pruefungsort: 'Testort 1',
+        landkreis: 'Landkreis 1',
+        address: 'Teststraße 1\n06108 Halle',
+        additionalInfo: ''
+    };
+
+    try {
+        // Test 1: Unchanged appointment
+        console.log('Test 1: Unchanged Appointment');
+        const unchanged = diffAppointments(stored, { ...stored });
+        console.log(`- No changes detected: ${unchanged.length === 0}`);
+
+        // Test 2: Same date in a different representation
+        console.log('\nTest 2: Equivalent Date Formats');
+        const sameDate = diffAppointments(stored, { ...stored, date: '2023-01-01T10:00:00+01:00' });
+        console.log(`- Equivalent dates are equal: ${sameDate.length === 0}`);
+
+        // Test 3: Moved appointment
+        console.log('\nTest 3: Changed Date and Location');
+        const moved = diffAppointments(stored, {
+            ...stored,
+            date: '2023-01-08T09:00:00.000Z',
+            pruefungsort: 'Testort 2'
+        });
+        console.log(`- Two changes detected: ${moved.length === 2}`);
+        console.log(`- Date change has old and new value: ${
+            moved[0]?.field === 'date' &&
+            moved[0]?.oldValue === stored.date &&
+            moved[0]?.newValue === '2023-01-08T09:00:00.000Z'
+        }`);
+        console.log(`- Location change detected: ${moved[1]?.field === 'pruefungsort'}`);
+
+        // Test 4: Fields missing on older records are ignored
+        console.log('\nTest 4: Fields Missing in Stored Record');
+        const { address, additionalInfo, ...legacy } = stored;
+        const legacyDiff = diffAppointments(legacy, { ...stored, additionalInfo: 'Neu' });
+        console.log(`- Missing fields are skipped: ${legacyDiff.length === 0}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,100 @@
+import { APPOINTMENT_SCHEMA_VERSION, createAppointment, upgradeAppointment, formatExamDate } from '../modules/model/appointment.js';
+import sachsenAnhaltSource from '../modules/sources/sachsenAnhaltSource.js';
+import { createAppointmentEmbed } from '../modules/discord/discordNotifier.js';
+
+// Raw record as delivered by the LAV API
+const rawRecord = {
+    id: 101,
+    date: '2030-05-01T08:00:00Z',
+    examType: { id: 1, name: 'Fischerprüfung' },
+    examinationOffice: { name: 'Stadt Halle' },
+    contactInfo: {
+        address: 'Marktplatz 1\n06108 Halle',
+        area: { name: 'Halle', districtName: 'Halle (Saale)' },
+        contact: { phone: '0345 123', email: ' fischerei@halle.de ' }
+    },
+    additionalInformation: 'Bitte Ausweis mitbringen'
+};
+
+/**
+ * Run appointment model tests
+ */
+function runTests() {
+    console.log('=== Starting Appointment Model Tests ===\n');
+
+    try {
+        // Test 1: The source adapter builds canonical appointments
+        console.log('Test 1: Normalize Raw Record');
+        const [appointment] = sachsenAnhaltSource.normalize([rawRecord]);
+        console.log(`- Versioned: ${appointment.schemaVersion === APPOINTMENT_SCHEMA_VERSION}`);
+        console.log(`- Namespaced id: ${appointment.id === 'sachsen-anhalt:101' && appointment.sourceId === 101}`);
+        console.log(`- Date as ISO string: ${appointment.date === '2030-05-01T08:00:00.000Z'}`);
+        console.log(`- Office, location and district mapped: ${
+            appointment.pruefungsstelle === 'Stadt Halle' &&
+            appointment.pruefungsort === 'Halle' &&
+            appointment.landkreis === 'Halle (Saale)'
+        }`);
+        console.log(`- Contact details kept: ${appointment.contact.phone === '0345 123' && appointment.contact.email === 'fischerei@halle.de' && appointment.contact.website === null}`);
+        console.log(`- No raw API objects: ${['termin', 'examType', 'examinationOffice', 'contactInfo', 'additionalInformation'].every(field => !(field in appointment))}`);
+
+        // Test 2: Missing values get the documented defaults
+        console.log('\nTest 2: Defaults');
+        const sparse = createAppointment({ source: 'test', sourceId: 1, date: 'kein Datum' });
+        console.log(`- Invalid date becomes null: ${sparse.date === null}`);
+        console.log(`- Unknown office and exam type: ${sparse.pruefungsstelle === 'Unbekannt' && sparse.examTypeName === 'Unbekannt'}`);
+        console.log(`- Empty texts and contact: ${sparse.address === '' && sparse.additionalInfo === '' && sparse.landkreis === null && sparse.contact.phone === null}`);
+        let missingSourceRejected = false;
+        try {
+            createAppointment({ sourceId: 1 });
+        } catch {
+            missingSourceRejected = true;
+        }
+        console.log(`- Source is required: ${missingSourceRejected}`);
+
+        // Test 3: Stored appointments of older versions are upgraded
+        console.log('\nTest 3: Upgrade Stored Appointment');
+        const enriched = {
+            id: 'sachsen-anhalt:101',
+            source: 'sachsen-anhalt',
+            sourceId: 101,
+            examTypeId: 1,
+            termin: '1.5.2030',
+            date: rawRecord.date,
+            pruefungsstelle: 'Stadt Halle',
+            officeName: 'Stadt Halle',
+            formattedDate: '1.5.2030',
+            isoDate: '2030-05-01T08:00:00.000Z',
+            examType: rawRecord.examType,
+            contactInfo: { phone: '0345 123' },
+            address: 'Marktplatz 1\n06108 Halle',
+            additionalInformation: 'Bitte Ausweis mitbringen',
+            additionalInfo: 'Bitte Ausweis mitbringen',
+            notified: true,
+            notifiedAt: new Date('2030-01-01T00:00:00Z')
+        };
+        const upgraded = upgradeAppointment(enriched);
+        console.log(`- Flattened contact moved: ${upgraded.contact.phone === '0345 123'}`);
+        console.log(`- Exam type name taken from raw object: ${upgraded.examTypeName === 'Fischerprüfung'}`);
+        console.log(`- State fields kept: ${upgraded.notified === true && upgraded.notifiedAt === enriched.notifiedAt}`);
+        console.log(`- Redundant fields dropped: ${['termin', 'formattedDate', 'isoDate', 'officeName', 'contactInfo', 'examType'].every(field => !(field in upgraded))}`);
+        const termOnly = upgradeAppointment({ id: 'sachsen-anhalt:7', source: 'sachsen-anhalt', sourceId: 7, termin: '06.01.2030' });
+        console.log(`- Termin-only record gets a date: ${termOnly.date === '2030-01-06T00:00:00.000Z'}`);
+        console.log(`- Never stored fields stay unset: ${!('address' in termOnly) && !('additionalInfo' in termOnly)}`);
+
+        // Test 4: The notifier reads the canonical fields
+        console.log('\nTest 4: Appointment Embed');
+        const embed = createAppointmentEmbed(appointment, true);
+        const fieldValue = name => embed.fields.find(field => field.name === name)?.value;
+        console.log(`- Date and time shown: ${fieldValue('📅 Termin') === `${formatExamDate(appointment.date).date} um ${formatExamDate(appointment.date).time} Uhr`}`);
+        console.log(`- Contact shown: ${fieldValue('📬 Kontakt')?.includes('📞 0345 123') === true}`);
+        console.log(`- Address on one line: ${fieldValue('🗺️ Adresse') === 'Marktplatz 1, 06108 Halle'}`);
+        console.log(`- Missing date shown as such: ${createAppointmentEmbed(sparse).fields[0].value === 'Kein Datum'}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    }
+}
+
+// Run tests
+runTests();
@@ -43,8 +43,9 @@ async function cleanup() {
             delete process.env.DATA_FILE_PATH;
         }
         
-        // Remove test file
+        // Remove test file and its event log
         await fs.unlink(TEST_FILE);
+        await fs.rm(TEST_FILE.replace(/\.json$/, '-events.jsonl'), { force: true });
         console.log('Test environment cleaned up');
     } catch (error) {
         console.error('Cleanup error:', error);
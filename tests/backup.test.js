@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    BACKUP_KINDS,
+    getBackupDir,
+    listBackups,
+    createBackup,
+    verifyBackup,
+    rotateBackups,
+    restoreBackup,
+    runScheduledBackup
+} from '../modules/data/backupManager.js';
+import { createAppointmentStore } from '../modules/data/nedbAppointmentStorage.js';
+import { getLockFilePath } from '../modules/data/crawlerLock.js';
+
+// Create isolated data directory with absolute path
+const TEST_DIR = path.resolve('./tests/data/backup');
+const ORIGINAL_DATA_DIR = process.env.DATA_DIR;
+const ORIGINAL_BACKUP_DIR = process.env.BACKUP_DIR;
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.DATA_DIR = TEST_DIR;
+        delete process.env.BACKUP_DIR;
+        console.log(`Using data directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Restore an environment variable
+function restoreEnv(name, value) {
+    if (value) {
+        process.env[name] = value;
+    } else {
+        delete process.env[name];
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        restoreEnv('DATA_DIR', ORIGINAL_DATA_DIR);
+        restoreEnv('BACKUP_DIR', ORIGINAL_BACKUP_DIR);
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+// Backup names have millisecond timestamps, so keep consecutive backups apart
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Run backup tests
+ */
+async function runTests() {
+    console.log('=== Starting Backup Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        const dbPath = path.join(TEST_DIR, 'appointments.db');
+        const store = createAppointmentStore({ filename: dbPath });
+        await store.saveAppointments([
+            { id: 'sachsen-anhalt:1', source: 'sachsen-anhalt', termin: '01.01.2030' },
+            { id: 'sachsen-anhalt:2', source: 'sachsen-anhalt', termin: '02.01.2030' }
+        ]);
+        await fs.writeFile(path.join(TEST_DIR, 'circuit-breaker.json'), JSON.stringify({}));
+
+        // Test 1: Create and verify a backup
+        console.log('Test 1: Create Backup');
+        const backup = await createBackup(BACKUP_KINDS.MANUAL);
+        const fileNames = backup?.manifest.files.map(file => file.name) || [];
+        console.log(`- Backup created and verified: ${backup?.ok === true}`);
+        console.log(`- Data files included: ${fileNames.includes('appointments.db') && fileNames.includes('circuit-breaker.json')}`);
+        console.log(`- Backups are not backed up: ${!fileNames.some(name => name.includes('backups'))}`);
+
+        // Test 2: Verification detects damaged files
+        console.log('\nTest 2: Verify Backup');
+        const backupDbPath = path.join(backup.path, 'appointments.db');
+        const original = await fs.readFile(backupDbPath);
+        await fs.writeFile(backupDbPath, `${original}{"broken":`);
+        const damaged = await verifyBackup(backup.name);
+        await fs.writeFile(backupDbPath, original);
+        const repaired = await verifyBackup(backup.name);
+        console.log(`- Damaged backup detected: ${damaged.ok === false && damaged.errors[0]?.startsWith('appointments.db')}`);
+        console.log(`- Intact backup verified: ${repaired.ok === true}`);
+
+        // Test 3: Rotation keeps the newest daily backups only
+        console.log('\nTest 3: Rotate Backups');
+        for (let i = 0; i < 3; i++) {
+            await tick();
+            await createBackup(BACKUP_KINDS.DAILY);
+        }
+        const deleted = rotateBackups({ keepDaily: 2, keepWeekly: 2 });
+        const remaining = listBackups();
+        console.log(`- Oldest daily backup deleted: ${deleted.length === 1}`);
+        console.log(`- Manual backup kept: ${remaining.some(entry => entry.name === backup.name)}`);
+        console.log(`- Two daily backups kept: ${remaining.filter(entry => entry.kind === BACKUP_KINDS.DAILY).length === 2}`);
+
+        // Test 4: Restore refuses while a crawler is running
+        console.log('\nTest 4: Restore While Running');
+        await fs.writeFile(getLockFilePath(), JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+        let refused = false;
+        try {
+            await restoreBackup(backup.name);
+        } catch (error) {
+            refused = error.message.includes('Crawler is running');
+        }
+        await fs.unlink(getLockFilePath());
+        console.log(`- Restore refused: ${refused}`);
+
+        // Test 5: Restore replaces the live data
+        console.log('\nTest 5: Restore Backup');
+        await fs.unlink(dbPath);
+        await fs.writeFile(path.join(TEST_DIR, 'newer.json'), JSON.stringify([]));
+        const result = await restoreBackup(backup.name);
+        const restoredStore = createAppointmentStore({ filename: dbPath });
+        const restoredAppointments = await restoredStore.loadKnownAppointments();
+        console.log(`- Appointments restored: ${restoredAppointments.length === 2}`);
+        console.log(`- Newer files removed: ${result.removed.includes('newer.json')}`);
+        console.log(`- Previous state backed up: ${listBackups().some(entry => entry.name === result.preRestoreBackup)}`);
+
+        // Test 6: A failing rotation doesn't fail the scheduled backup
+        console.log('\nTest 6: Scheduled Backup');
+        const brokenBackup = path.join(getBackupDir(), 'broken-daily');
+        await fs.mkdir(brokenBackup, { recursive: true });
+        await fs.writeFile(path.join(brokenBackup, 'manifest.json'), 'kein json');
+        await tick();
+        const withBrokenRotation = await runScheduledBackup();
+        console.log(`- Backup created and rotation error reported: ${withBrokenRotation?.ok === true && withBrokenRotation.rotationError !== null && withBrokenRotation.rotated.length === 0}`);
+        await fs.rm(brokenBackup, { recursive: true, force: true });
+        await tick();
+        const scheduled = await runScheduledBackup();
+        console.log(`- Rotated without error otherwise: ${scheduled?.ok === true && scheduled.rotationError === null && Array.isArray(scheduled.rotated)}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
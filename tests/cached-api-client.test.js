@@ -0,0 +1,160 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+
+// Isolated cache and data directories with absolute paths
+const TEST_DIR = path.resolve('./tests/data/cached-api-client');
+const TEST_ENV = {
+    CACHE_DIR: path.join(TEST_DIR, 'cache'),
+    DATA_DIR: TEST_DIR,
+    CACHE_TTL: '0',
+    REQUEST_TIMEOUT: '300',
+    FETCH_DEADLINE: '1500',
+    CIRCUIT_BREAKER_THRESHOLD: '100',
+    FIXTURE_MODE: ''
+};
+const ORIGINAL_ENV = Object.fromEntries(Object.keys(TEST_ENV).map(name => [name, process.env[name]]));
+
+// Local stand-in for the exam portal
+const requests = [];
+const EXAM_ETAG = '"exams-v1"';
+const EXAM_LAST_MODIFIED = 'Wed, 01 May 2030 08:00:00 GMT';
+const examRecords = [{ id: 101, date: '2030-05-01T08:00:00Z' }];
+let server;
+let baseUrl;
+
+function handleRequest(request, response) {
+    requests.push({ url: request.url, headers: request.headers });
+
+    // Sends the headers, then stalls in the middle of the body
+    if (request.url === '/slow-body') {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.write('{"data": [');
+        return;
+    }
+
+    // Never answers at all
+    if (request.url === '/slow-header') {
+        return;
+    }
+
+    // Answers 304 when the client already has the current version
+    if (request.url === '/exams') {
+        if (request.headers['if-none-match'] === EXAM_ETAG) {
+            response.writeHead(304, { ETag: EXAM_ETAG });
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json', ETag: EXAM_ETAG, 'Last-Modified': EXAM_LAST_MODIFIED });
+        response.end(JSON.stringify({ data: examRecords }));
+        return;
+    }
+
+    response.writeHead(404);
+    response.end();
+}
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        Object.assign(process.env, TEST_ENV);
+
+        server = http.createServer(handleRequest);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        console.log(`Using test directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        server?.closeAllConnections();
+        server?.close();
+
+        for (const [name, value] of Object.entries(ORIGINAL_ENV)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+// Fetch a path of the stand-in and measure how long it took
+async function timedFetch(fetchExamData, urlPath) {
+    const startedAt = Date.now();
+    const data = await fetchExamData(`${baseUrl}${urlPath}`);
+    return { data, duration: Date.now() - startedAt };
+}
+
+/**
+ * Run cached API client tests
+ */
+async function runTests() {
+    console.log('=== Starting Cached API Client Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // The client reads its settings on import
+        const { fetchExamData } = await import('../modules/api/cachedApiClient.js');
+
+        // Test 1: Request timeout and overall deadline
+        console.log('Test 1: Timeouts');
+        const slowHeader = await timedFetch(fetchExamData, '/slow-header');
+        console.log(`- Stalled response given up within the deadline: ${slowHeader.data === null && slowHeader.duration < 2500}`);
+        console.log(`- Retried before giving up: ${requests.filter(request => request.url === '/slow-header').length === 2}`);
+        const slowBody = await timedFetch(fetchExamData, '/slow-body');
+        console.log(`- Stalled body given up within the deadline: ${slowBody.data === null && slowBody.duration < 2500}`);
+        console.log(`- Body read retried as well: ${requests.filter(request => request.url === '/slow-body').length === 2}`);
+
+        // Test 2: Conditional requests
+        console.log('\nTest 2: Conditional Requests');
+        const examRequests = () => requests.filter(request => request.url === '/exams');
+        const first = await fetchExamData(`${baseUrl}/exams`);
+        console.log(`- Full payload fetched without conditional headers: ${first?.[0]?.id === 101 && !examRequests()[0].headers['if-none-match'] && !examRequests()[0].headers['if-modified-since']}`);
+        const cacheFiles = await fs.readdir(TEST_ENV.CACHE_DIR);
+        const metaFile = cacheFiles.find(file => file.endsWith('.meta.json'));
+        const metaBefore = JSON.parse(await fs.readFile(path.join(TEST_ENV.CACHE_DIR, metaFile), 'utf8'));
+        console.log(`- ETag and Last-Modified stored: ${metaBefore.etag === EXAM_ETAG && metaBefore.lastModified === EXAM_LAST_MODIFIED}`);
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const second = await fetchExamData(`${baseUrl}/exams`);
+        const { headers } = examRequests()[1];
+        console.log(`- ETag and Last-Modified sent on the next request: ${headers['if-none-match'] === EXAM_ETAG && headers['if-modified-since'] === EXAM_LAST_MODIFIED}`);
+        const metaAfter = JSON.parse(await fs.readFile(path.join(TEST_ENV.CACHE_DIR, metaFile), 'utf8'));
+        console.log(`- 304 reuses the cached body: ${JSON.stringify(second) === JSON.stringify(first)}`);
+        console.log(`- 304 refreshes the cache time: ${new Date(metaAfter.fetchedAt) > new Date(metaBefore.fetchedAt) && metaAfter.etag === EXAM_ETAG}`);
+
+        // An unreadable cached copy is replaced by the full payload
+        const cacheFile = cacheFiles.find(file => !file.endsWith('.meta.json'));
+        await fs.writeFile(path.join(TEST_ENV.CACHE_DIR, cacheFile), 'kein json');
+        const third = await fetchExamData(`${baseUrl}/exams`);
+        console.log(`- Full payload fetched again when the cache is unreadable: ${third?.[0]?.id === 101 && examRequests().length === 4 && !examRequests()[3].headers['if-none-match']}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
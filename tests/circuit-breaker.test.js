@@ -0,0 +1,152 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+
+// Isolated cache and data directories with absolute paths
+const TEST_DIR = path.resolve('./tests/data/circuit-breaker');
+const TEST_ENV = {
+    CACHE_DIR: path.join(TEST_DIR, 'cache'),
+    DATA_DIR: TEST_DIR,
+    CACHE_TTL: '0',
+    REQUEST_TIMEOUT: '300',
+    FETCH_DEADLINE: '1500',
+    CIRCUIT_BREAKER_THRESHOLD: '2',
+    CIRCUIT_BREAKER_COOLDOWN: '300',
+    FIXTURE_MODE: ''
+};
+const ORIGINAL_ENV = Object.fromEntries(Object.keys(TEST_ENV).map(name => [name, process.env[name]]));
+
+// Local stand-in for the exam portal, switched between up and down by the tests
+const requests = [];
+let portalUp = true;
+let examRecords = [{ id: 101, date: '2030-05-01T08:00:00Z' }];
+let server;
+let url;
+
+function handleRequest(request, response) {
+    requests.push(request.url);
+
+    // Retry-After: 0 lets the client retry without waiting
+    if (!portalUp) {
+        response.writeHead(503, { 'Retry-After': '0' });
+        response.end();
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ data: examRecords }));
+}
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        Object.assign(process.env, TEST_ENV);
+
+        server = http.createServer(handleRequest);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/exams`;
+        console.log(`Using test directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        server?.closeAllConnections();
+        server?.close();
+
+        for (const [name, value] of Object.entries(ORIGINAL_ENV)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+// Wait until the cool-down of an open circuit has passed
+const waitForCooldown = () => new Promise(resolve => setTimeout(resolve, parseInt(TEST_ENV.CIRCUIT_BREAKER_COOLDOWN, 10) + 50));
+
+/**
+ * Run circuit breaker tests
+ */
+async function runTests() {
+    console.log('=== Starting Circuit Breaker Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // Client and circuit breaker read their settings on import
+        const { fetchExamData } = await import('../modules/api/cachedApiClient.js');
+        const { CIRCUIT_STATES, canRequest, getCircuitStates } = await import('../modules/api/circuitBreaker.js');
+        const circuit = () => getCircuitStates()[url];
+
+        // Test 1: Failures open the circuit
+        console.log('Test 1: Opening');
+        const first = await fetchExamData(url);
+        console.log(`- Closed after a successful call: ${first?.[0]?.id === 101 && circuit().state === CIRCUIT_STATES.CLOSED && circuit().failures === 0}`);
+        portalUp = false;
+        const afterOneFailure = await fetchExamData(url);
+        console.log(`- Still closed below the threshold: ${circuit().state === CIRCUIT_STATES.CLOSED && circuit().failures === 1 && circuit().lastError.includes('503')}`);
+        console.log(`- Expired cache used as fallback: ${afterOneFailure?.[0]?.id === 101}`);
+        await fetchExamData(url);
+        console.log(`- Open once the threshold is reached: ${circuit().state === CIRCUIT_STATES.OPEN && circuit().failures === 2 && Boolean(circuit().openedAt)}`);
+
+        // Test 2: Cached data while open
+        console.log('\nTest 2: Open Circuit');
+        const requestsBefore = requests.length;
+        const whileOpen = await fetchExamData(url);
+        console.log(`- No live request while open: ${requests.length === requestsBefore && !canRequest(url)}`);
+        console.log(`- Cached data used instead: ${whileOpen?.[0]?.id === 101 && circuit().state === CIRCUIT_STATES.OPEN && circuit().failures === 2}`);
+
+        // Test 3: State persisted in the data directory
+        console.log('\nTest 3: Persisted State');
+        const stateFile = JSON.parse(await fs.readFile(path.join(TEST_DIR, 'circuit-breaker.json'), 'utf8'));
+        console.log(`- Written to the state file: ${stateFile[url]?.state === CIRCUIT_STATES.OPEN}`);
+        const reloaded = await import('../modules/api/circuitBreaker.js?reload');
+        console.log(`- Reloaded from disk after a restart: ${reloaded.getCircuitStates()[url]?.openedAt === circuit().openedAt && !reloaded.canRequest(url)}`);
+
+        // Test 4: Half-open probes after the cool-down
+        console.log('\nTest 4: Half-Open');
+        await waitForCooldown();
+        const openedAt = circuit().openedAt;
+        const probeRequests = requests.length;
+        await fetchExamData(url);
+        console.log(`- Probe let through after the cool-down: ${requests.length > probeRequests}`);
+        console.log(`- Failed probe opens the circuit again: ${circuit().state === CIRCUIT_STATES.OPEN && new Date(circuit().openedAt) > new Date(openedAt)}`);
+        await waitForCooldown();
+        console.log(`- Half-open once the cool-down has passed: ${canRequest(url) && circuit().state === CIRCUIT_STATES.HALF_OPEN}`);
+
+        // Test 5: A successful probe closes the circuit
+        console.log('\nTest 5: Closing');
+        portalUp = true;
+        examRecords = [{ id: 102, date: '2030-06-01T08:00:00Z' }];
+        const recovered = await fetchExamData(url);
+        console.log(`- Closed after a successful probe: ${circuit().state === CIRCUIT_STATES.CLOSED && circuit().failures === 0}`);
+        console.log(`- Live data fetched again: ${recovered?.[0]?.id === 102}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
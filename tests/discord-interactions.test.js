@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import {
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    SLASH_COMMANDS,
+    verifyDiscordSignature,
+    signInteraction,
+    handleInteraction,
+    createInteractionServer
+} from '../modules/discord/interactions.js';
+import { DISCORD_COLORS } from '../modules/discord/discordNotifier.js';
+import { createAppointment } from '../modules/model/appointment.js';
+
+const FIXTURES_DIR = path.resolve('./tests/fixtures/discord-interactions');
+
+// Reference time of the tests
+const now = new Date('2030-05-01T10:00:00');
+
+// Key pair standing in for the one of the Discord application
+const { privateKey: keyObject } = crypto.generateKeyPairSync('ed25519');
+const { d, x } = keyObject.export({ format: 'jwk' });
+const privateKey = Buffer.from(d, 'base64url').toString('hex');
+const publicKey = Buffer.from(x, 'base64url').toString('hex');
+
+// Build a stored appointment of the Sachsen-Anhalt source
+const makeAppointment = (sourceId, date, landkreis, fields = {}) => ({
+    ...createAppointment({
+        source: 'sachsen-anhalt',
+        sourceId,
+        examTypeId: 1,
+        examTypeName: 'Fischerprüfung',
+        date,
+        pruefungsstelle: `Landkreis ${landkreis}`,
+        pruefungsort: 'Prüfungsort',
+        landkreis
+    }),
+    ...fields
+});
+
+// In-memory stand-in for queryAppointments, sorted by date
+const appointments = [
+    makeAppointment(1, '2030-05-20T09:00:00', 'Harz'),
+    makeAppointment(2, '2030-05-10T09:00:00', 'Harz'),
+    makeAppointment(3, '2030-05-05T09:00:00', 'Salzlandkreis'),
+    makeAppointment(4, '2030-05-06T09:00:00', 'Harz', { cancelled: true }),
+    makeAppointment(5, '2030-04-20T09:00:00', 'Harz')
+];
+const storage = {
+    async queryAppointments({ from, cancelled }, { limit } = {}) {
+        const matching = appointments
+            .filter(appointment => Boolean(appointment.cancelled) === cancelled && new Date(appointment.date) >= from)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        return limit ? matching.slice(0, limit) : matching;
+    }
+};
+
+// Read an interaction fixture as sent by Discord
+const readFixture = name => fs.readFile(path.join(FIXTURES_DIR, `${name}.json`), 'utf8');
+
+/**
+ * Run Discord interaction tests
+ */
+async function runTests() {
+    console.log('=== Starting Discord Interaction Tests ===\n');
+    let server;
+
+    try {
+        // Test 1: Ed25519 request signatures
+        console.log('Test 1: Signatures');
+        const pingBody = await readFixture('ping');
+        const headers = signInteraction(pingBody, privateKey, '1893456000');
+        const signature = headers['X-Signature-Ed25519'];
+        console.log(`- Signed request verified: ${verifyDiscordSignature(pingBody, signature, '1893456000', publicKey)}`);
+        console.log(`- Changed body rejected: ${!verifyDiscordSignature(pingBody.replace('"type": 1', '"type": 2'), signature, '1893456000', publicKey)}`);
+        console.log(`- Changed timestamp rejected: ${!verifyDiscordSignature(pingBody, signature, '1893456001', publicKey)}`);
+        const otherKey = crypto.generateKeyPairSync('ed25519').publicKey.export({ format: 'jwk' }).x;
+        console.log(`- Other key rejected: ${!verifyDiscordSignature(pingBody, signature, '1893456000', Buffer.from(otherKey, 'base64url').toString('hex'))}`);
+        console.log(`- Missing or malformed headers rejected: ${!verifyDiscordSignature(pingBody, undefined, '1893456000', publicKey) && !verifyDiscordSignature(pingBody, 'zz', '1893456000', publicKey)}`);
+
+        // Test 2: Commands answered from storage
+        console.log('\nTest 2: Appointment Commands');
+        const options = { storage, now };
+        const ping = await handleInteraction(JSON.parse(pingBody), options);
+        console.log(`- Ping answered with pong: ${ping.type === RESPONSE_TYPES.PONG}`);
+        const harz = await handleInteraction(JSON.parse(await readFixture('termine')), options);
+        console.log(`- Upcoming appointments of a landkreis: ${harz.type === RESPONSE_TYPES.CHANNEL_MESSAGE && harz.data.embeds.length === 2 && harz.data.content.includes('Landkreis Harz')}`);
+        console.log(`- Sorted by date, using the appointment embeds: ${harz.data.embeds[0].url === appointments[1].url && harz.data.embeds[0].color === DISCORD_COLORS.INFO}`);
+        const unknown = await handleInteraction({ type: INTERACTION_TYPES.APPLICATION_COMMAND, data: { name: 'termine', options: [{ name: 'landkreis', value: 'Börde' }] } }, options);
+        console.log(`- Landkreis without appointments: ${unknown.data.embeds.length === 0 && unknown.data.content.includes('Börde')}`);
+        const next = await handleInteraction(JSON.parse(await readFixture('naechste')), options);
+        console.log(`- Next appointments: ${next.data.embeds.length === 2 && next.data.embeds[0].url === appointments[2].url}`);
+        const tooMany = await handleInteraction({ type: INTERACTION_TYPES.APPLICATION_COMMAND, data: { name: 'naechste', options: [{ name: 'anzahl', value: 50 }] } }, options);
+        console.log(`- At most one message of embeds: ${tooMany.data.embeds.length === 3}`);
+
+        // Test 3: Status and manual runs
+        console.log('\nTest 3: Status and Check');
+        const lastRun = { finishedAt: new Date('2030-05-01T08:00:00'), summary: { new: 2, changed: 1, cancelled: 0 }, pending: 1, error: null };
+        const status = await handleInteraction(JSON.parse(await readFixture('status')), { ...options, getStatus: () => ({ running: false, lastRun }) });
+        const statusText = status.data.embeds[0].description;
+        console.log(`- Last run and upcoming appointments reported: ${statusText.includes('2 neue, 1 geänderte, 0 abgesagte') && statusText.includes('Postausgang: 1') && statusText.includes('Kommende Termine: 3')}`);
+        const failed = await handleInteraction(JSON.parse(await readFixture('status')), { ...options, getStatus: () => ({ lastRun: { finishedAt: now, error: 'API nicht erreichbar' } }) });
+        console.log(`- Failed run shown as error: ${failed.data.embeds[0].color === DISCORD_COLORS.ERROR && failed.data.embeds[0].description.includes('API nicht erreichbar')}`);
+        let started = 0;
+        const startCheck = () => started++ === 0;
+        const check = await handleInteraction(JSON.parse(await readFixture('check')), { ...options, startCheck });
+        const again = await handleInteraction(JSON.parse(await readFixture('check')), { ...options, startCheck });
+        console.log(`- Run started once: ${started === 2 && !check.data.flags && again.data.flags === 64}`);
+        const unknownCommand = await handleInteraction({ type: INTERACTION_TYPES.APPLICATION_COMMAND, data: { name: 'angeln' } }, options);
+        console.log(`- Unknown command answered privately: ${unknownCommand.data.flags === 64}`);
+        console.log(`- Every command registered: ${SLASH_COMMANDS.map(command => command.name).join(',') === 'termine,naechste,status,check'}`);
+
+        // Test 4: HTTP endpoint with signed fixture requests
+        console.log('\nTest 4: HTTP Endpoint');
+        server = createInteractionServer({ publicKey, handlers: options });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${server.address().port}/interactions`;
+        const post = (body, requestHeaders) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...requestHeaders }, body });
+
+        const pong = await post(pingBody, signInteraction(pingBody, privateKey));
+        console.log(`- Signed ping answered: ${pong.status === 200 && (await pong.json()).type === RESPONSE_TYPES.PONG}`);
+        const termineBody = await readFixture('termine');
+        const answer = await post(termineBody, signInteraction(termineBody, privateKey));
+        console.log(`- Signed command answered: ${answer.status === 200 && (await answer.json()).data.embeds.length === 2}`);
+        const unsigned = await post(pingBody, {});
+        const forged = await post(termineBody, signInteraction(pingBody, privateKey));
+        console.log(`- Unsigned and forged requests rejected: ${unsigned.status === 401 && forged.status === 401}`);
+        const wrongMethod = await fetch(url);
+        const wrongPath = await fetch(url.replace('/interactions', '/other'), { method: 'POST', body: pingBody });
+        console.log(`- Other methods and paths refused: ${wrongMethod.status === 405 && wrongPath.status === 404}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        server?.close();
+    }
+}
+
+// Run tests
+runTests();
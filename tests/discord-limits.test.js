@@ -0,0 +1,198 @@
+import http from 'http';
+import {
+    sendDiscordMessage,
+    splitDiscordMessage,
+    fitEmbedToLimits,
+    getEmbedLength,
+    DISCORD_LIMITS
+} from '../modules/discord/discordNotifier.js';
+import { createOutboxStore } from '../modules/data/nedbOutboxStorage.js';
+import { queueNotification, deliverPendingNotifications } from '../modules/notifications/notificationOutbox.js';
+import { createNotification } from '../modules/notifications/notificationModel.js';
+import { createDiscordChannel } from '../modules/notifications/channels/discordChannel.js';
+
+// Local stand-in for the Discord webhook, answers with the queued responses
+const queuedResponses = [];
+const receivedRequests = [];
+// Settings for short waits, restored after the tests
+const TEST_ENV = { NOTIFICATION_TIMEOUT: '200', DISCORD_MAX_RATE_LIMIT_WAIT_SECONDS: '1' };
+const ORIGINAL_ENV = Object.fromEntries(Object.keys(TEST_ENV).map(name => [name, process.env[name]]));
+let server;
+let webhookUrl;
+
+// Queue a response of the stand-in: { status, headers, body }, { hang: true } never answers
+const respondWith = (...responses) => queuedResponses.push(...responses);
+
+// Embed with the given number of fields and a description of descriptionLength characters
+const makeEmbed = (title, { fields = 4, descriptionLength = 0, valueLength = 20 } = {}) => ({
+    title,
+    description: descriptionLength > 0 ? 'd'.repeat(descriptionLength) : undefined,
+    color: 0x57F287,
+    footer: { text: 'Fischerprüfungs-Crawler' },
+    fields: Array.from({ length: fields }, (_, index) => ({ name: `Feld ${index}`, value: 'v'.repeat(valueLength), inline: true }))
+});
+
+const makeEmbeds = (count, options) => Array.from({ length: count }, (_, index) => makeEmbed(`Termin ${index + 1}`, options));
+
+// Setup test environment
+async function setup() {
+    try {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                receivedRequests.push({ at: Date.now(), payload: JSON.parse(body) });
+                const { status = 204, headers = {}, body: responseBody, hang = false } = queuedResponses.shift() || {};
+                if (hang) {
+                    return;
+                }
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(responseBody ? JSON.stringify(responseBody) : undefined);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+        Object.assign(process.env, TEST_ENV);
+        console.log(`Webhook stand-in listening at ${webhookUrl}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        for (const [name, value] of Object.entries(ORIGINAL_ENV)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run Discord limit tests
+ */
+async function runTests() {
+    console.log('=== Starting Discord Limit Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // Test 1: Embeds are split into messages of at most 10 embeds and 6000 characters
+        console.log('Test 1: Split Into Messages');
+        const manyEmbeds = splitDiscordMessage('Überschrift', makeEmbeds(25));
+        console.log(`- 25 embeds in 3 messages: ${manyEmbeds.length === 3 && manyEmbeds.map(message => message.embeds.length).join(',') === '10,10,5'}`);
+        console.log(`- Content only in the first message: ${manyEmbeds[0].content === 'Überschrift' && manyEmbeds.slice(1).every(message => message.content === undefined)}`);
+        const largeEmbeds = splitDiscordMessage('Überschrift', makeEmbeds(6, { descriptionLength: 2500 }));
+        const messageLength = message => message.embeds.reduce((sum, embed) => sum + getEmbedLength(embed), 0);
+        console.log(`- Split by characters: ${largeEmbeds.length === 3 && largeEmbeds.every(message => messageLength(message) <= DISCORD_LIMITS.charactersPerMessage)}`);
+        console.log(`- Content without embeds stays one message: ${splitDiscordMessage('Nur Text').length === 1}`);
+
+        // Test 2: Oversized embeds are truncated to Discord's limits
+        console.log('\nTest 2: Truncate Embeds');
+        const fitted = fitEmbedToLimits({
+            ...makeEmbed('T'.repeat(300), { fields: 30, valueLength: 2000 }),
+            description: 'd'.repeat(5000)
+        });
+        console.log(`- Title and field values truncated: ${fitted.title.length === DISCORD_LIMITS.title && fitted.fields.every(field => field.value.length <= DISCORD_LIMITS.fieldValue && field.value.endsWith('…'))}`);
+        console.log(`- At most 25 fields: ${fitted.fields.length <= DISCORD_LIMITS.fields}`);
+        console.log(`- Whole embed fits into one message: ${getEmbedLength(fitted) <= DISCORD_LIMITS.charactersPerMessage}`);
+        console.log(`- Empty field values replaced: ${fitEmbedToLimits(makeEmbed('Leer', { fields: 1, valueLength: 0 })).fields[0].value === '\u200b'}`);
+
+        // Test 3: A 429 answer is retried after retry_after
+        console.log('\nTest 3: Rate Limit Response');
+        receivedRequests.length = 0;
+        respondWith({ status: 429, body: { message: 'You are being rate limited.', retry_after: 0.2, global: false } });
+        const rateLimited = await sendDiscordMessage('Test', makeEmbeds(1), webhookUrl);
+        console.log(`- Delivered after retry: ${rateLimited.success && receivedRequests.length === 2}`);
+        console.log(`- Waited retry_after: ${receivedRequests[1].at - receivedRequests[0].at >= 190}`);
+
+        // Test 4: An exhausted bucket delays the next message until it resets
+        console.log('\nTest 4: Rate Limit Bucket');
+        receivedRequests.length = 0;
+        respondWith({ status: 204, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '0.2' } });
+        const bucket = await sendDiscordMessage('Test', makeEmbeds(15), webhookUrl);
+        console.log(`- Both messages delivered: ${bucket.success && bucket.deliveredMessages === 2 && bucket.deliveredEmbeds === 15}`);
+        console.log(`- Waited for the bucket reset: ${receivedRequests[1].at - receivedRequests[0].at >= 190}`);
+
+        // Test 5: Waits longer than allowed are not sat out
+        console.log('\nTest 5: Long Rate Limit');
+        respondWith({ status: 429, headers: { 'Retry-After': '120' }, body: {} });
+        const started = Date.now();
+        const longLimit = await sendDiscordMessage('Test', makeEmbeds(1), webhookUrl);
+        console.log(`- Reported as failed without waiting: ${!longLimit.success && !longLimit.partial && Date.now() - started < 5000}`);
+        receivedRequests.length = 0;
+        const retryAfter = { status: 429, body: { message: 'You are being rate limited.', retry_after: 0.4, global: false } };
+        respondWith(retryAfter, retryAfter, retryAfter);
+        const repeatedStart = Date.now();
+        const repeated = await sendDiscordMessage('Test', makeEmbeds(1), webhookUrl);
+        console.log(`- Waits of one message capped together: ${!repeated.success && receivedRequests.length === 3 && Date.now() - repeatedStart < 1000}`);
+        queuedResponses.length = 0;
+        respondWith({ hang: true });
+        const hangingStart = Date.now();
+        const hanging = await sendDiscordMessage('Test', makeEmbeds(1), webhookUrl);
+        console.log(`- Given up after NOTIFICATION_TIMEOUT: ${!hanging.success && hanging.error.includes('200 ms') && Date.now() - hangingStart < 1000}`);
+
+        // Test 6: A failure after the first message is reported as partial delivery
+        console.log('\nTest 6: Partial Delivery');
+        receivedRequests.length = 0;
+        respondWith({ status: 204 }, { status: 500, body: { message: 'Internal error' } });
+        const partial = await sendDiscordMessage('Test', makeEmbeds(25), webhookUrl);
+        console.log(`- Partial delivery reported: ${!partial.success && partial.partial && partial.deliveredMessages === 1 && partial.totalMessages === 3 && partial.deliveredEmbeds === 10}`);
+        receivedRequests.length = 0;
+        const resumed = await sendDiscordMessage('Test', makeEmbeds(25), webhookUrl, { skipMessages: partial.deliveredMessages });
+        console.log(`- Resumed without repeating delivered messages: ${resumed.success && receivedRequests.length === 2 && receivedRequests[0].payload.embeds[0].title === 'Termin 11'}`);
+
+        // Test 7: The outbox continues a partially delivered notification
+        console.log('\nTest 7: Outbox Resumes Partial Delivery');
+        const outbox = createOutboxStore({ inMemory: true });
+        const notifiedIds = [];
+        const deliveryOptions = {
+            outbox,
+            channels: [createDiscordChannel({ webhookUrl })],
+            markNotified: async id => notifiedIds.push(id)
+        };
+        const cards = Array.from({ length: 12 }, (_, index) => ({ title: `Termin ${index + 1}`, level: 'success', fields: [] }));
+        await queueNotification(createNotification('🎣 12 neue Termine', [{ cards }], 'success'), {
+            appointmentIds: ['sachsen-anhalt:1'],
+            channels: deliveryOptions.channels,
+            outbox
+        });
+
+        receivedRequests.length = 0;
+        respondWith({ status: 204 }, { status: 500 });
+        const start = new Date();
+        const firstRun = await deliverPendingNotifications({ ...deliveryOptions, now: start });
+        const [pending] = await outbox.getPendingNotifications();
+        console.log(`- Counted as partial: ${firstRun.partial === 1 && firstRun.failed === 1 && pending.deliveredParts === 1}`);
+        console.log(`- Not yet marked as notified: ${notifiedIds.length === 0}`);
+
+        receivedRequests.length = 0;
+        const secondRun = await deliverPendingNotifications({ ...deliveryOptions, now: pending.nextAttemptAt });
+        console.log(`- Only the missing message sent: ${secondRun.delivered === 1 && receivedRequests.length === 1 && receivedRequests[0].payload.embeds.length === 2}`);
+        console.log(`- Marked as notified after full delivery: ${notifiedIds.join(',') === 'sachsen-anhalt:1'}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,148 @@
+import { getReminderTime, sendReminder, scheduleReminders, cancelReminders } from '../modules/notifications/reminders.js';
+import { createReminderEmbed, createAppointmentEmbed, DISCORD_COLORS } from '../modules/discord/discordNotifier.js';
+import { renderText, createReminderCard } from '../modules/notifications/notificationModel.js';
+import { parseReminderDays } from '../modules/config/delivery.js';
+import { APPOINTMENT_EVENTS } from '../modules/data/storage.js';
+import { createAppointment } from '../modules/model/appointment.js';
+
+// Reference time of the tests
+const now = new Date('2030-05-01T10:00:00');
+
+// Build a stored appointment of the Sachsen-Anhalt source
+const makeAppointment = (sourceId, date, fields = {}) => ({
+    ...createAppointment({
+        source: 'sachsen-anhalt',
+        sourceId,
+        examTypeId: 1,
+        examTypeName: 'Fischerprüfung',
+        date,
+        pruefungsstelle: 'Landkreis Harz',
+        pruefungsort: 'Wernigerode',
+        landkreis: 'Harz'
+    }),
+    dateAdded: new Date('2030-04-01T08:00:00'),
+    ...fields
+});
+
+/**
+ * In-memory stand-in for the storage functions the reminders use
+ * @param {Object[]} appointments - Stored appointments
+ */
+function createFakeStorage(appointments) {
+    const events = [];
+
+    return {
+        appointments,
+        events,
+        async queryAppointments({ cancelled, from }) {
+            return appointments.filter(appointment =>
+                (cancelled === undefined || Boolean(appointment.cancelled) === cancelled)
+                && (!from || new Date(appointment.date) >= from));
+        },
+        async getAppointmentTimeline(appointmentId) {
+            return events.filter(event => event.appointmentId === appointmentId);
+        },
+        async recordAppointmentEvent(appointmentId, type, details = {}) {
+            events.push({ appointmentId, type, details, at: new Date() });
+            return true;
+        }
+    };
+}
+
+// Stand-in for node-schedule that records the planned jobs
+function createFakeScheduler() {
+    const jobs = [];
+    return {
+        jobs,
+        scheduleJob(date, job) {
+            const entry = { date, job, cancelled: false, cancel() { this.cancelled = true; } };
+            jobs.push(entry);
+            return entry;
+        }
+    };
+}
+
+/**
+ * Run exam reminder tests
+ */
+async function runTests() {
+    console.log('=== Starting Exam Reminder Tests ===\n');
+
+    try {
+        // Test 1: Reminder days and times
+        console.log('Test 1: Reminder Times');
+        console.log(`- Days parsed furthest first: ${parseReminderDays('3, 14,3').join(',') === '14,3' && parseReminderDays('off').length === 0}`);
+        console.log(`- Invalid days rejected: ${(() => { try { parseReminderDays('14,morgen'); return false; } catch { return true; } })()}`);
+        const examIn20Days = makeAppointment(1, '2030-05-21T09:00:00');
+        console.log(`- Reminder at the exam time days before: ${getReminderTime(examIn20Days, 14).getTime() === new Date('2030-05-07T09:00:00').getTime()}`);
+        console.log(`- No reminder without exam date: ${getReminderTime(makeAppointment(2, undefined), 3) === null}`);
+
+        // Test 2: Jobs are built from storage, skipping cancelled and not relevant appointments
+        console.log('\nTest 2: Schedule From Storage');
+        const storage = createFakeStorage([
+            examIn20Days,
+            makeAppointment(3, '2030-05-25T09:00:00', { cancelled: true }),
+            makeAppointment(4, '2030-05-25T09:00:00', { notRelevant: true }),
+            makeAppointment(5, '2030-04-20T09:00:00')
+        ]);
+        const scheduler = createFakeScheduler();
+        const reminded = [];
+        const notify = async (appointment, days) => {
+            reminded.push(`${appointment.sourceId}:${days}`);
+            return true;
+        };
+        const firstBuild = await scheduleReminders({ notify, reminderDays: [14, 3], storage, scheduler, now });
+        console.log(`- Two reminders for the upcoming exam: ${firstBuild.scheduled === 2 && scheduler.jobs.map(job => job.date.toISOString()).join(',') === [new Date('2030-05-07T09:00:00'), new Date('2030-05-18T09:00:00')].map(date => date.toISOString()).join(',')}`);
+        console.log(`- Cancelled, not relevant and past exams skipped: ${reminded.length === 0}`);
+
+        // Test 3: Rebuilding after a restart replaces the old jobs
+        console.log('\nTest 3: Rebuild');
+        const secondScheduler = createFakeScheduler();
+        await scheduleReminders({ notify, reminderDays: [14, 3], storage, scheduler: secondScheduler, now });
+        console.log(`- Previous jobs cancelled: ${scheduler.jobs.every(job => job.cancelled) && secondScheduler.jobs.length === 2}`);
+
+        // Test 4: Due jobs check the appointment again before sending
+        console.log('\nTest 4: Send Reminder');
+        const fireTime = new Date('2030-05-07T09:00:00');
+        console.log(`- Sent when due: ${await sendReminder(examIn20Days.id, 14, { notify, storage, now: fireTime }) && reminded.join(',') === '1:14'}`);
+        const reminderEvent = storage.events.find(event => event.type === APPOINTMENT_EVENTS.REMINDED);
+        console.log(`- Recorded in the event log: ${reminderEvent?.details.days === 14 && reminderEvent.details.date === examIn20Days.date}`);
+        console.log(`- Not sent twice: ${!(await sendReminder(examIn20Days.id, 14, { notify, storage, now: fireTime })) && reminded.length === 1}`);
+        examIn20Days.notRelevant = true;
+        console.log(`- Skipped once marked as not relevant: ${!(await sendReminder(examIn20Days.id, 3, { notify, storage, now: fireTime })) && reminded.length === 1}`);
+        examIn20Days.notRelevant = false;
+        examIn20Days.cancelled = true;
+        console.log(`- Skipped once cancelled: ${!(await sendReminder(examIn20Days.id, 3, { notify, storage, now: fireTime })) && reminded.length === 1}`);
+        examIn20Days.cancelled = false;
+
+        // Test 5: Missed reminders are caught up once, newly found appointments get no late reminder
+        console.log('\nTest 5: Missed Reminders');
+        const missedStorage = createFakeStorage([
+            makeAppointment(6, '2030-05-03T09:00:00'),
+            makeAppointment(7, '2030-05-03T09:00:00', { dateAdded: new Date('2030-04-30T12:00:00') })
+        ]);
+        const caughtUp = [];
+        const catchUp = async appointment => caughtUp.push(appointment.sourceId) > 0;
+        const missed = await scheduleReminders({ notify: catchUp, reminderDays: [14, 3], storage: missedStorage, scheduler: createFakeScheduler(), now });
+        console.log(`- Only the latest missed reminder of a known appointment: ${missed.sent === 1 && caughtUp.join(',') === '6' && missedStorage.events.length === 1 && missedStorage.events[0].details.days === 3}`);
+        await scheduleReminders({ notify: catchUp, reminderDays: [14, 3], storage: missedStorage, scheduler: createFakeScheduler(), now });
+        console.log(`- Not repeated by the next rebuild: ${caughtUp.length === 1}`);
+        cancelReminders();
+
+        // Test 6: Reminders have a style of their own
+        console.log('\nTest 6: Reminder Style');
+        const embed = createReminderEmbed(examIn20Days, 3);
+        const newEmbed = createAppointmentEmbed(examIn20Days, true);
+        console.log(`- Own colour and author line: ${embed.color === DISCORD_COLORS.REMINDER && embed.color !== newEmbed.color && Boolean(embed.author?.name) && !newEmbed.author}`);
+        console.log(`- Countdown in the title: ${embed.title === '⏰ Prüfung in 3 Tagen' && createReminderEmbed(examIn20Days, 1).title === '⏰ Prüfung morgen'}`);
+        const text = renderText({ sections: [{ cards: [createReminderCard(examIn20Days, 14)] }] });
+        console.log(`- Readable on text channels: ${text.startsWith('⏰ Prüfung in 14 Tagen\n21.5.2030 um 09:00 Uhr – Wernigerode (Harz)')}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { loadExamTypes, parseColor } from '../modules/config/examTypes.js';
+import { DISCORD_COLORS } from '../modules/discord/discordNotifier.js';
+import { DEFAULT_SOURCE } from '../modules/sources/index.js';
+
+// Isolated directory for configuration files with absolute path
+const TEST_DIR = path.resolve('./tests/data/exam-types');
+const CONFIG_FILE = path.join(TEST_DIR, 'exam-types.json');
+const ENV_NAMES = ['EXAM_TYPES', 'EXAM_TYPES_FILE', 'DISCORD_WEBHOOK_URL', 'NOTIFICATION_DELIVERY', 'QUIET_HOURS'];
+const ORIGINAL_ENV = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+
+const DEFAULT_WEBHOOK = 'https://discord.com/api/webhooks/1/default';
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        ENV_NAMES.forEach(name => delete process.env[name]);
+        process.env.DISCORD_WEBHOOK_URL = DEFAULT_WEBHOOK;
+        console.log(`Using test directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        for (const [name, value] of Object.entries(ORIGINAL_ENV)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+// Load the exam types from an inline EXAM_TYPES value
+function loadInline(value) {
+    process.env.EXAM_TYPES = value;
+    try {
+        return loadExamTypes();
+    } finally {
+        delete process.env.EXAM_TYPES;
+    }
+}
+
+// Whether the exam types are just the default Fischerprüfung
+const isDefault = examTypes => examTypes.length === 1
+    && examTypes[0].id === 1
+    && examTypes[0].label === 'Fischerprüfung'
+    && examTypes[0].source === DEFAULT_SOURCE
+    && examTypes[0].webhookUrl === DEFAULT_WEBHOOK;
+
+/**
+ * Run exam type configuration tests
+ */
+async function runTests() {
+    console.log('=== Starting Exam Type Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // Test 1: Colours
+        console.log('Test 1: Colours');
+        console.log(`- Hex with # or 0x: ${parseColor('#57F287') === 0x57F287 && parseColor('0x57f287') === 0x57F287}`);
+        console.log(`- Decimal numbers kept: ${parseColor(5763719) === 5763719 && parseColor(0) === 0}`);
+        console.log(`- Named colours: ${parseColor('success') === DISCORD_COLORS.SUCCESS && parseColor(' Reminder ') === DISCORD_COLORS.REMINDER}`);
+        console.log(`- Missing and invalid colours unset: ${[undefined, '', '  ', 'grün', {}].every(color => parseColor(color) === undefined)}`);
+
+        // Test 2: Invalid or empty configurations fall back to the default exam type
+        console.log('\nTest 2: Default Exam Type');
+        console.log(`- Used without configuration: ${isDefault(loadExamTypes())}`);
+        console.log(`- Used for invalid JSON: ${isDefault(loadInline('[{"id": 1,'))}`);
+        console.log(`- Used for an empty list or a non-list: ${isDefault(loadInline('[]')) && isDefault(loadInline('{"id": 7}'))}`);
+        process.env.EXAM_TYPES_FILE = path.join(TEST_DIR, 'missing.json');
+        console.log(`- Used for a missing file: ${isDefault(loadExamTypes())}`);
+
+        // Test 3: Configured exam types with their own webhooks and colours
+        console.log('\nTest 3: Configured Exam Types');
+        await fs.writeFile(CONFIG_FILE, JSON.stringify([
+            { id: 1, label: 'Fischerprüfung', webhookUrl: 'https://discord.com/api/webhooks/2/fisch', color: '#57F287' },
+            { id: 2, source: 'other-source', color: 15548997 },
+            { label: 'Ohne ID' }
+        ]));
+        process.env.EXAM_TYPES_FILE = CONFIG_FILE;
+        const [fischer, other, ...rest] = loadExamTypes();
+        console.log(`- Read from EXAM_TYPES_FILE, types without id ignored: ${fischer?.id === 1 && other?.id === 2 && rest.length === 0}`);
+        console.log(`- Own webhook per exam type: ${fischer.webhookUrl === 'https://discord.com/api/webhooks/2/fisch'}`);
+        console.log(`- DISCORD_WEBHOOK_URL used otherwise: ${other.webhookUrl === DEFAULT_WEBHOOK}`);
+        console.log(`- Hex and decimal colours parsed: ${fischer.color === 0x57F287 && other.color === 15548997}`);
+        console.log(`- Source and label defaults: ${fischer.source === DEFAULT_SOURCE && other.source === 'other-source' && other.label === 'Prüfungstyp 2'}`);
+
+        process.env.EXAM_TYPES = JSON.stringify([{ id: 3 }]);
+        console.log(`- EXAM_TYPES_FILE takes precedence over EXAM_TYPES: ${loadExamTypes().length === 2}`);
+        delete process.env.EXAM_TYPES_FILE;
+        console.log(`- Inline EXAM_TYPES read otherwise: ${loadExamTypes()[0]?.id === 3}`);
+        delete process.env.EXAM_TYPES;
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
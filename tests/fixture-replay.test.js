@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+    recordResponse,
+    replayNextResponse,
+    resetReplay
+} from '../modules/api/fixtureRecorder.js';
+
+// Create isolated fixtures directory with absolute path
+const TEST_DIR = path.resolve('./tests/data/fixtures');
+const TEST_URL = 'https://example.com/api/exam/examination?future=true';
+const ORIGINAL_ENV = process.env.FIXTURES_DIR;
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.FIXTURES_DIR = TEST_DIR;
+        console.log(`Using fixtures directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        if (ORIGINAL_ENV) {
+            process.env.FIXTURES_DIR = ORIGINAL_ENV;
+        } else {
+            delete process.env.FIXTURES_DIR;
+        }
+
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run fixture record/replay tests
+ */
+async function runTests() {
+    console.log('=== Starting Fixture Replay Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // Test 1: Record a sequence of responses
+        console.log('Test 1: Record Responses');
+        recordResponse(TEST_URL, [{ id: 1 }]);
+        // Make sure the second recording gets a later timestamp
+        await new Promise(resolve => setTimeout(resolve, 5));
+        recordResponse(TEST_URL, [{ id: 1 }, { id: 2 }]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        recordResponse(TEST_URL, [{ id: 2 }]);
+
+        const files = (await fs.readdir(TEST_DIR)).filter(file => file.endsWith('.json'));
+        console.log(`- Three recordings written: ${files.length === 3}`);
+
+        // Test 2: Replay in recording order
+        console.log('\nTest 2: Replay in Order');
+        const first = replayNextResponse(TEST_URL);
+        const second = replayNextResponse(TEST_URL);
+        const third = replayNextResponse(TEST_URL);
+        console.log(`- First run sees one appointment: ${first?.length === 1 && first[0].id === 1}`);
+        console.log(`- Second run sees a new appointment: ${second?.length === 2}`);
+        console.log(`- Third run sees a removed appointment: ${third?.length === 1 && third[0].id === 2}`);
+
+        // Test 3: End of the recordings
+        console.log('\nTest 3: No Recordings Left');
+        console.log(`- Returns null after the last recording: ${replayNextResponse(TEST_URL) === null}`);
+
+        // Test 4: Other URLs have their own recordings
+        console.log('\nTest 4: Recordings per URL');
+        console.log(`- Unknown URL has nothing to replay: ${replayNextResponse('https://example.com/other') === null}`);
+
+        // Test 5: Reset
+        console.log('\nTest 5: Reset Replay');
+        resetReplay();
+        const afterReset = replayNextResponse(TEST_URL);
+        console.log(`- Replay starts over after reset: ${afterReset?.length === 1 && afterReset[0].id === 1}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
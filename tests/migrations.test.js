@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { loadKnownAppointments } from '../modules/data/storage.js';
+import { getSchemaVersion, getPendingMigrations, runMigrations, MIGRATIONS } from '../modules/migrations/index.js';
+
+// Create isolated data directory with absolute path
+const TEST_DIR = path.resolve('./tests/data/migrations');
+const LEGACY_FILE = path.join(TEST_DIR, 'known-appointments.json');
+const ORIGINAL_DATA_DIR = process.env.DATA_DIR;
+const ORIGINAL_DATA_FILE_PATH = process.env.DATA_FILE_PATH;
+const ORIGINAL_STORAGE_BACKEND = process.env.STORAGE_BACKEND;
+
+// Appointments as written by the JSON storage before NeDB
+const LEGACY_APPOINTMENTS = [
+    {
+        id: '101',
+        termin: '15.03.2030',
+        date: '2030-03-15T09:00:00.000Z',
+        pruefungsstelle: 'Landkreis Harz',
+        additionalInformation: 'Bitte Ausweis mitbringen',
+        contactInfo: {
+            contact: { email: 'fischerei@kreis-hz.de' },
+            address: { city: 'Halberstadt' }
+        }
+    },
+    {
+        id: '102',
+        termin: '20.04.2030',
+        date: '2030-04-20T10:00:00.000Z',
+        examinationOffice: { name: 'Stadt Magdeburg' }
+    }
+];
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        await fs.writeFile(LEGACY_FILE, JSON.stringify(LEGACY_APPOINTMENTS, null, 2));
+        process.env.DATA_DIR = TEST_DIR;
+        process.env.DATA_FILE_PATH = LEGACY_FILE;
+        process.env.STORAGE_BACKEND = 'nedb';
+        console.log(`Using data directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Restore an environment variable
+function restoreEnv(name, value) {
+    if (value) {
+        process.env[name] = value;
+    } else {
+        delete process.env[name];
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        restoreEnv('DATA_DIR', ORIGINAL_DATA_DIR);
+        restoreEnv('DATA_FILE_PATH', ORIGINAL_DATA_FILE_PATH);
+        restoreEnv('STORAGE_BACKEND', ORIGINAL_STORAGE_BACKEND);
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run migration tests
+ */
+async function runTests() {
+    console.log('=== Starting Migration Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+        // Test 1: A fresh store has every migration pending
+        console.log('Test 1: Pending Migrations');
+        console.log(`- Schema version is 0: ${getSchemaVersion() === 0}`);
+        console.log(`- All migrations pending: ${getPendingMigrations().length === MIGRATIONS.length}`);
+
+        // Test 2: A dry run reports changes without writing them
+        console.log('\nTest 2: Dry Run');
+        const dryRun = await runMigrations({ dryRun: true });
+        const importStep = dryRun.steps.find(step => step.name === 'import-legacy-json');
+        console.log(`- Import reported: ${importStep?.changedIds.length === 2}`);
+        console.log(`- Nothing stored: ${(await loadKnownAppointments()).length === 0}`);
+        console.log(`- Schema version unchanged: ${getSchemaVersion() === 0}`);
+
+        // Test 3: Migrating imports the legacy appointments into the canonical model
+        console.log('\nTest 3: Run Migrations');
+        const result = await runMigrations();
+        const appointments = await loadKnownAppointments();
+        const harz = appointments.find(appointment => appointment.id === 'sachsen-anhalt:101');
+        const magdeburg = appointments.find(appointment => appointment.id === 'sachsen-anhalt:102');
+        console.log(`- Migrated to latest version: ${result.toVersion === latestVersion && getSchemaVersion() === latestVersion}`);
+        console.log(`- Legacy appointments imported with tags: ${harz?.source === 'sachsen-anhalt' && magdeburg?.sourceId === '102'}`);
+        console.log(`- Canonical schema version set: ${harz?.schemaVersion === 1 && magdeburg?.schemaVersion === 1}`);
+        console.log(`- Office names filled: ${harz?.pruefungsstelle === 'Landkreis Harz' && magdeburg?.pruefungsstelle === 'Stadt Magdeburg'}`);
+        console.log(`- Contact details and address moved: ${harz?.contact?.email === 'fischerei@kreis-hz.de' && harz?.address === 'Halberstadt'}`);
+        console.log(`- Additional info copied: ${harz?.additionalInfo === 'Bitte Ausweis mitbringen' && magdeburg?.additionalInfo === undefined}`);
+        console.log(`- Exam date kept as ISO string: ${harz?.date === '2030-03-15T09:00:00.000Z'}`);
+        console.log(`- Redundant fields dropped: ${['termin', 'formattedDate', 'isoDate', 'officeName', 'contactInfo'].every(field => harz?.[field] === undefined)}`);
+
+        // Test 4: Running again changes nothing
+        console.log('\nTest 4: Idempotent Rerun');
+        const rerun = await runMigrations();
+        console.log(`- No steps pending: ${rerun.steps.length === 0}`);
+        console.log(`- Appointments unchanged: ${(await loadKnownAppointments()).length === 2}`);
+
+        // Test 5: Running the steps again leaves migrated data as it is
+        console.log('\nTest 5: Idempotent Steps');
+        const migrated = new Map(appointments.map(appointment => [appointment.id, appointment]));
+        const latestStep = MIGRATIONS[MIGRATIONS.length - 1];
+        console.log(`- Latest step changes nothing on migrated data: ${latestStep.up(migrated, { backend: 'nedb' }).length === 0}`);
+        MIGRATIONS.forEach(migration => migration.up(migrated, { backend: 'nedb' }));
+        console.log(`- All steps again leave the appointments as they are: ${JSON.stringify([...migrated.values()]) === JSON.stringify(appointments)}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
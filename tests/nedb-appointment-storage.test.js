@@ -1,187 +1,30 @@
 import 'dotenv/config';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import Datastore from 'nedb';
-
-// Mock our nedbAppointmentStorage module with in-memory database
-import * as originalModule from '../modules/data/nedbAppointmentStorage.js';
-import { log } from '../modules/logger/logger.js';
-
-// Get current directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create in-memory database for testing
-const inMemoryDb = new Datastore();
-
-// Create indexes
-inMemoryDb.ensureIndex({ fieldName: 'id', unique: true });
-inMemoryDb.ensureIndex({ fieldName: 'notified' });
-inMemoryDb.ensureIndex({ fieldName: 'termin' });
-
-// Promisify NeDB functions for testing
-const promisify = (fn, context) => (...args) => {
-  return new Promise((resolve, reject) => {
-    fn.call(context, ...args, (err, result) => {
-      if (err) reject(err);
-      else resolve(result);
-    });
-  });
-};
-
-// Promisified NeDB methods for tests
-const findAsync = promisify(inMemoryDb.find, inMemoryDb);
-const insertAsync = promisify(inMemoryDb.insert, inMemoryDb);
-const updateAsync = promisify(inMemoryDb.update, inMemoryDb);
-const countAsync = promisify(inMemoryDb.count, inMemoryDb);
-const removeAsync = promisify(inMemoryDb.remove, inMemoryDb);
-
-// Override the original module's functions with our in-memory implementations
-const initializeAppointmentsCollection = async () => {
-  try {
-    log('Appointments collection initialized');
-    return true;
-  } catch (error) {
-    log(`Error initializing appointments collection: ${error.message}`);
-    return false;
-  }
-};
-
-const loadKnownAppointments = async () => {
-  try {
-    const appointments = await findAsync({});
-    log(`Loaded ${appointments.length} appointments from database`);
-    return appointments;
-  } catch (error) {
-    log(`Error loading appointments: ${error.message}`);
-    return [];
-  }
-};
-
-const saveAppointments = async (newAppointments) => {
-  try {
-    if (!Array.isArray(newAppointments) || newAppointments.length === 0) {
-      log('No valid appointments to save');
-      return false;
-    }
-
-    let successCount = 0;
-
-    // Process each appointment
-    for (const appointment of newAppointments) {
-      await updateAsync(
-        { id: appointment.id },
-        appointment,
-        { upsert: true }
-      );
-      successCount++;
-    }
-
-    log(`Saved ${successCount} appointments to database`);
-    return true;
-  } catch (error) {
-    log(`Error saving appointments: ${error.message}`);
-    return false;
-  }
-};
-
-const findNewAppointments = async (fetchedAppointments) => {
-  try {
-    if (!Array.isArray(fetchedAppointments) || fetchedAppointments.length === 0) {
-      log('No valid appointments to check');
-      return [];
-    }
-
-    // Get all IDs of fetched appointments
-    const fetchedIds = fetchedAppointments.map(appointment => appointment.id);
-    
-    // Find existing appointments with these IDs
-    const existingAppointments = await findAsync({ 
-      id: { $in: fetchedIds } 
-    });
-    
-    // Get IDs of existing appointments
-    const existingIds = existingAppointments.map(app => app.id);
-    
-    // Filter out appointments that already exist
-    const newAppointments = fetchedAppointments.filter(
-      appointment => !existingIds.includes(appointment.id)
-    ).map(appointment => ({
-      ...appointment,
-      notified: false,
-      dateAdded: new Date()
-    }));
-
-    log(`Found ${newAppointments.length} new appointments`);
-    return newAppointments;
-  } catch (error) {
-    log(`Error finding new appointments: ${error.message}`);
-    return [];
-  }
-};
-
-const markAsNotified = async (appointmentId) => {
-  try {
-    const result = await updateAsync(
-      { id: appointmentId },
-      { 
-        $set: { 
-          notified: true,
-          notifiedAt: new Date()
-        } 
-      }
-    );
-
-    log(`Marked appointment ${appointmentId} as notified`);
-    return true;
-  } catch (error) {
-    log(`Error marking appointment as notified: ${error.message}`);
-    return false;
-  }
-};
-
-const getNotifiedAppointments = async () => {
-  try {
-    const appointments = await findAsync({ notified: true });
-    return appointments;
-  } catch (error) {
-    log(`Error getting notified appointments: ${error.message}`);
-    return [];
-  }
-};
-
-const getMostRecentAppointments = async (limit = 2) => {
-  try {
-    // Sort by date field (note: NeDB doesn't have the same sort and limit API)
-    const allAppointments = await findAsync({});
-    
-    // Sort manually by termin field
-    allAppointments.sort((a, b) => {
-      // Assuming termin is in format dd.mm.yyyy
-      const [dayA, monthA, yearA] = a.termin.split('.');
-      const [dayB, monthB, yearB] = b.termin.split('.');
-      
-      const dateA = new Date(`${yearA}-${monthA}-${dayA}`);
-      const dateB = new Date(`${yearB}-${monthB}-${dayB}`);
-      
-      return dateB - dateA; // Descending order (most recent first)
-    });
-    
-    // Return limited results
-    return allAppointments.slice(0, limit);
-  } catch (error) {
-    log(`Error getting recent appointments: ${error.message}`);
-    return [];
-  }
-};
+import { createAppointmentStore } from '../modules/data/nedbAppointmentStorage.js';
+
+// Run the real storage code against an in-memory database
+const store = createAppointmentStore({ inMemory: true });
+
+const {
+  initializeAppointmentsCollection,
+  loadKnownAppointments,
+  saveAppointments,
+  findNewAppointments,
+  findChangedAppointments,
+  saveAppointmentChanges,
+  findCancelledAppointments,
+  markAsCancelled,
+  markAsNotified,
+  getNotifiedAppointments,
+  getMostRecentAppointments,
+  getAppointmentTimeline
+} = store;
 
 /**
  * Set up the test environment
  */
 async function setup() {
   try {
-    // Clear database to ensure we start fresh
-    await removeAsync({}, { multi: true });
+    // Every run starts with a fresh in-memory database
     console.log('Test environment set up successfully');
     return true;
   } catch (error) {
@@ -195,8 +38,7 @@ async function setup() {
  */
 async function cleanup() {
   try {
-    // Clear database
-    await removeAsync({}, { multi: true });
+    // Nothing is written to disk
     console.log('Test environment cleaned up');
   } catch (error) {
     console.error('Cleanup error:', error);
@@ -309,6 +151,51 @@ async function runTests() {
         console.log(`- Recent appointments count: ${recentAppointments.length}`);
         console.log(`- Most recent appointment is correct: ${recentAppointments[0]?.id === 5}`);
         
+        // Test 6: Find and save changed appointments
+        console.log('\nTest 6: Changed Appointments');
+        
+        const changedAppointments = await findChangedAppointments([
+            { ...testAppointments[1], pruefungsort: 'Neuer Testort 2' }
+        ]);
+        await saveAppointmentChanges(changedAppointments);
+        const [changedAppointment] = (await loadKnownAppointments()).filter(a => a.id === 2);
+        
+        console.log(`- Changed appointment found: ${changedAppointments.length === 1 && changedAppointments[0].changes[0]?.field === 'pruefungsort'}`);
+        console.log(`- Change saved with history: ${changedAppointment?.pruefungsort === 'Neuer Testort 2' && changedAppointment?.changeHistory?.length === 1}`);
+        
+        // Test 7: Cancelled appointments
+        console.log('\nTest 7: Cancelled Appointments');
+        
+        const futureAppointment = {
+            id: 6,
+            date: new Date(Date.now() + 30 * 86400000).toISOString(),
+            termin: '06.01.2099',
+            pruefungsstelle: 'Testprüfstelle 6',
+            pruefungsort: 'Testort 6',
+            landkreis: 'Landkreis 6',
+            url: 'https://example.com/6',
+            notified: true
+        };
+        await saveAppointments([futureAppointment]);
+        
+        // Appointment 6 is missing from two consecutive runs
+        await findCancelledAppointments(testAppointments, 2);
+        const cancelledAppointments = await findCancelledAppointments(testAppointments, 2);
+        await markAsCancelled(6);
+        const notifiedAfterCancel = await getNotifiedAppointments();
+        
+        console.log(`- Cancelled appointment found after grace runs: ${cancelledAppointments.length === 1 && cancelledAppointments[0].id === 6}`);
+        console.log(`- Cancelled appointment no longer listed: ${!notifiedAfterCancel.some(a => a.id === 6)}`);
+        
+        // Test 8: Appointment timeline
+        console.log('\nTest 8: Appointment Timeline');
+        
+        const timeline = await getAppointmentTimeline(2);
+        const cancelledTimeline = await getAppointmentTimeline(6);
+        
+        console.log(`- Change recorded in timeline: ${timeline.length === 1 && timeline[0].type === 'changed'}`);
+        console.log(`- Cancellation recorded in timeline: ${cancelledTimeline.map(event => event.type).join(',') === 'cancelled'}`);
+        
         console.log('\n=== All Tests Completed ===');
     } catch (error) {
         console.error('Test error:', error);
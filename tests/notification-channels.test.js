@@ -0,0 +1,306 @@
+import http from 'http';
+import net from 'net';
+import { createNotification, createAppointmentCard, createStatusCard } from '../modules/notifications/notificationModel.js';
+import { loadChannels, sendNotification } from '../modules/notifications/notifier.js';
+import { renderSlackMessage } from '../modules/notifications/channels/slackChannel.js';
+import { createTelegramChannel, renderTelegramMessages } from '../modules/notifications/channels/telegramChannel.js';
+import { queueNotification, deliverPendingNotifications } from '../modules/notifications/notificationOutbox.js';
+import { createOutboxStore } from '../modules/data/nedbOutboxStorage.js';
+import { renderNtfyMessage } from '../modules/notifications/channels/ntfyChannel.js';
+import { createEmailChannel, renderEmail } from '../modules/notifications/channels/emailChannel.js';
+import { createWebhookChannel } from '../modules/notifications/channels/webhookChannel.js';
+import { createAppointment } from '../modules/model/appointment.js';
+
+// Environment variables the channels are configured with
+const CHANNEL_ENV = [
+    'NOTIFICATION_CHANNELS', 'DISCORD_WEBHOOK_URL', 'SLACK_WEBHOOK_URL',
+    'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID', 'TELEGRAM_API_URL',
+    'SMTP_HOST', 'SMTP_PORT', 'MAIL_FROM', 'MAIL_TO',
+    'NTFY_URL', 'NTFY_TOPIC', 'NOTIFICATION_WEBHOOK_URL', 'NOTIFICATION_WEBHOOK_SECRET', 'NOTIFICATION_TIMEOUT'
+];
+const ORIGINAL_ENV = Object.fromEntries(CHANNEL_ENV.map(name => [name, process.env[name]]));
+
+// Local stand-ins for the HTTP services and the SMTP server
+const httpRequests = [];
+const failingPaths = new Set();
+// Path and number of the request (counted from 1) that fails once
+const failingRequests = new Map();
+const smtpCommands = [];
+const receivedMails = [];
+// Paths the HTTP stand-in never answers
+const hangingPaths = new Set(['/hanging']);
+let httpServer;
+let smtpServer;
+// SMTP server that accepts connections but never greets
+let silentSmtpServer;
+const silentSockets = [];
+let baseUrl;
+
+const appointment = {
+    ...createAppointment({
+        source: 'sachsen-anhalt',
+        sourceId: 101,
+        url: 'https://example.com/exam/101',
+        examTypeName: 'Fischerprüfung',
+        date: '2030-05-01T08:00:00Z',
+        pruefungsstelle: 'Stadt Halle',
+        pruefungsort: 'Halle',
+        landkreis: 'Halle (Saale)',
+        contact: { website: 'https://halle.de' },
+        additionalInfo: 'Bitte <Ausweis> mitbringen'
+    }),
+    examTypeLabel: 'Fischerprüfung'
+};
+
+// Minimal SMTP dialogue: greets, accepts every command and stores the DATA part
+function handleSmtpConnection(socket) {
+    let buffer = '';
+    let message = null;
+
+    socket.write('220 localhost ESMTP stand-in\r\n');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let lineEnd;
+        while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, lineEnd);
+            buffer = buffer.slice(lineEnd + 2);
+
+            if (message !== null) {
+                if (line === '.') {
+                    receivedMails.push(message);
+                    message = null;
+                    socket.write('250 OK queued\r\n');
+                } else {
+                    message += `${line}\n`;
+                }
+                continue;
+            }
+
+            smtpCommands.push(line);
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                socket.write('250 localhost\r\n');
+            } else if (command === 'DATA') {
+                message = '';
+                socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+            } else if (command === 'QUIT') {
+                socket.end('221 Bye\r\n');
+            } else {
+                socket.write('250 OK\r\n');
+            }
+        }
+    });
+}
+
+// Setup test environment
+async function setup() {
+    try {
+        httpServer = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                httpRequests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+                if (hangingPaths.has(req.url)) {
+                    return;
+                }
+                const count = httpRequests.filter(candidate => candidate.path === req.url).length;
+                const failOnce = failingRequests.get(req.url) === count;
+                if (failOnce) {
+                    failingRequests.delete(req.url);
+                }
+                res.writeHead(failingPaths.has(req.url) || failOnce ? 500 : 200, { 'Content-Type': 'application/json' });
+                res.end('{"ok":true}');
+            });
+        });
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+        smtpServer = net.createServer(handleSmtpConnection);
+        await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+        silentSmtpServer = net.createServer(socket => silentSockets.push(socket));
+        await new Promise(resolve => silentSmtpServer.listen(0, '127.0.0.1', resolve));
+
+        Object.assign(process.env, {
+            NOTIFICATION_CHANNELS: 'discord, slack, telegram, email, ntfy, webhook',
+            DISCORD_WEBHOOK_URL: `${baseUrl}/discord`,
+            SLACK_WEBHOOK_URL: `${baseUrl}/slack`,
+            TELEGRAM_BOT_TOKEN: '123:abc',
+            TELEGRAM_CHAT_ID: '-100',
+            TELEGRAM_API_URL: `${baseUrl}/telegram`,
+            SMTP_HOST: '127.0.0.1',
+            SMTP_PORT: String(smtpServer.address().port),
+            MAIL_FROM: 'crawler@example.com',
+            MAIL_TO: 'team@example.com',
+            NTFY_URL: `${baseUrl}/ntfy`,
+            NTFY_TOPIC: 'fischerpruefung',
+            NOTIFICATION_WEBHOOK_URL: `${baseUrl}/webhook`,
+            NOTIFICATION_WEBHOOK_SECRET: 'geheim',
+            NOTIFICATION_TIMEOUT: '200'
+        });
+        console.log(`Stand-ins listening at ${baseUrl} (HTTP) and port ${process.env.SMTP_PORT} (SMTP)`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        for (const name of CHANNEL_ENV) {
+            if (ORIGINAL_ENV[name]) {
+                process.env[name] = ORIGINAL_ENV[name];
+            } else {
+                delete process.env[name];
+            }
+        }
+        httpServer.closeAllConnections();
+        await new Promise(resolve => httpServer.close(resolve));
+        await new Promise(resolve => smtpServer.close(resolve));
+        silentSockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => silentSmtpServer.close(resolve));
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run notification channel tests
+ */
+async function runTests() {
+    console.log('=== Starting Notification Channel Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        const notification = createNotification('🎣 1 neue Termine gefunden! (Fischerprüfung)', [
+            { cards: [createAppointmentCard(appointment, { isNew: true })] }
+        ], 'success');
+
+        // Test 1: Every channel renders the same notification in its own format
+        console.log('Test 1: Rendering');
+        const slack = renderSlackMessage(notification);
+        const slackFields = slack.attachments[0].fields;
+        console.log(`- Slack card as green attachment: ${slack.attachments.length === 1 && slack.attachments[0].color === '#57f287'}`);
+        console.log(`- Slack links converted: ${slackFields.some(field => field.value === '🌐 <https://halle.de|Website>')}`);
+        const [telegramText] = renderTelegramMessages(notification);
+        console.log(`- Telegram HTML escaped: ${telegramText.includes('&lt;Ausweis&gt;') && telegramText.includes('<a href="https://example.com/exam/101">')}`);
+        const ntfy = renderNtfyMessage(notification, 'fischerpruefung');
+        console.log(`- ntfy priority and click target: ${ntfy.priority === 4 && ntfy.click === 'https://example.com/exam/101'}`);
+        const email = renderEmail(notification);
+        console.log(`- Email subject, text and HTML: ${email.subject === notification.title && email.text.includes('📍 Ort: Halle (Halle (Saale))') && email.html.includes('&lt;Ausweis&gt;')}`);
+
+        // Test 2: Long notifications are split into several Telegram messages
+        console.log('\nTest 2: Telegram Message Length');
+        const longNotification = createNotification('Viele Termine', [
+            { cards: Array.from({ length: 40 }, () => createAppointmentCard(appointment)) }
+        ]);
+        const telegramMessages = renderTelegramMessages(longNotification);
+        console.log(`- Split into several messages: ${telegramMessages.length > 1}`);
+        console.log(`- Every message within the limit: ${telegramMessages.every(text => text.length <= 4096)}`);
+        const manyFields = { ...createStatusCard('Viele Felder', ''), fields: Array.from({ length: 12 }, (_, index) => ({ label: `Feld ${index}`, value: '<&>'.repeat(200) })) };
+        const oversized = renderTelegramMessages(createNotification('Lange Karten', [
+            { cards: [createStatusCard('Lang', 'Fisch & <Angel> '.repeat(1000)), manyFields] }
+        ]));
+        const brokenEntity = /&(?!amp;|lt;|gt;|quot;)/;
+        const balanced = text => ['b', 'a'].every(tag => (text.match(new RegExp(`<${tag}[ >]`, 'g')) || []).length === (text.match(new RegExp(`</${tag}>`, 'g')) || []).length);
+        console.log(`- Oversized cards within the limit: ${oversized.length > 2 && oversized.every(text => text.length <= 4096)}`);
+        console.log(`- No entity or tag cut apart: ${oversized.every(text => !brokenEntity.test(text) && balanced(text))}`);
+        console.log(`- Long card split between its lines: ${oversized.join('\n').split('\n').filter(line => line.startsWith('Feld ')).length === 12}`);
+        console.log(`- Over-long line shortened: ${oversized.some(text => text.includes('Fisch &amp; &lt;Angel&gt;') && text.includes('…'))}`);
+
+        // Test 3: All configured channels receive the notification
+        console.log('\nTest 3: Deliver to Several Channels');
+        const channels = loadChannels();
+        console.log(`- All channels loaded: ${channels.map(channel => channel.name).join(',') === 'discord,slack,telegram,email,ntfy,webhook'}`);
+        const result = await sendNotification(notification, { channels });
+        const request = path => httpRequests.find(candidate => candidate.path === path);
+        console.log(`- Delivered everywhere: ${result.delivered.length === 6 && result.failed.length === 0}`);
+        console.log(`- Discord got content and embed: ${request('/discord')?.body.content.includes('neue Termine') && request('/discord')?.body.embeds.length === 1}`);
+        console.log(`- Telegram bot API called: ${request('/telegram/bot123:abc/sendMessage')?.body.chat_id === '-100'}`);
+        console.log(`- ntfy topic published: ${request('/ntfy')?.body.topic === 'fischerpruefung'}`);
+        console.log(`- Webhook got the notification model: ${request('/webhook')?.body.sections[0].cards.length === 1}`);
+        console.log(`- Email sent over SMTP: ${receivedMails.length === 1 && smtpCommands.some(command => command.includes('team@example.com'))}`);
+
+        // Test 4: A failing channel is reported without affecting the others
+        console.log('\nTest 4: Failing Channel');
+        failingPaths.add('/slack');
+        const partial = await sendNotification(createNotification('Status', [{ cards: [createStatusCard('Test', 'Nachricht')] }]), { channels });
+        console.log(`- Failure reported per channel: ${partial.failed.join(',') === 'slack' && partial.delivered.length === 5}`);
+
+        // Test 5: Targets override a channel's own destination
+        console.log('\nTest 5: Targets');
+        await sendNotification(notification, { channels: [channels[0]], targets: { discord: `${baseUrl}/discord-exam-type` } });
+        console.log(`- Exam type webhook used: ${request('/discord-exam-type') !== undefined}`);
+        const webhook = channels.find(channel => channel.name === 'webhook');
+        await sendNotification(notification, { channels: [webhook], targets: { webhook: `${baseUrl}/webhook-subscriber` } });
+        console.log(`- Secret sent to the configured webhook: ${request('/webhook')?.headers.authorization === 'Bearer geheim'}`);
+        console.log(`- Secret not sent to other targets: ${request('/webhook-subscriber') !== undefined && request('/webhook-subscriber').headers.authorization === undefined}`);
+
+        // Test 6: Split Telegram messages resume after the delivered parts
+        console.log('\nTest 6: Partial Telegram Delivery');
+        const telegram = createTelegramChannel({ name: 'telegram', botToken: '456:def', chatId: '-200', apiUrl: `${baseUrl}/telegram-parts` });
+        const partsPath = '/telegram-parts/bot456:def/sendMessage';
+        // Texts the stand-in accepted, leaving out the failed request
+        const acceptedTexts = (from, failedIndex) => httpRequests
+            .filter(candidate => candidate.path === partsPath)
+            .slice(from)
+            .filter((candidate, index) => index !== failedIndex)
+            .map(candidate => candidate.body.text);
+
+        failingRequests.set(partsPath, 2);
+        const firstTry = await telegram.send(longNotification);
+        console.log(`- Delivered parts reported: ${!firstTry.success && firstTry.deliveredParts === 1 && firstTry.totalParts === telegramMessages.length}`);
+        const resumed = await telegram.send(longNotification, undefined, { resumeFrom: firstTry.deliveredParts });
+        console.log(`- Resumed after the delivered parts: ${resumed.success && resumed.deliveredParts === telegramMessages.length && acceptedTexts(0, 1).join('|') === telegramMessages.join('|')}`);
+
+        const outbox = createOutboxStore({ inMemory: true });
+        const sentBefore = httpRequests.filter(candidate => candidate.path === partsPath).length;
+        failingRequests.set(partsPath, sentBefore + 2);
+        await queueNotification(longNotification, { channels: [telegram], outbox });
+        const deliveryOptions = { outbox, channels: [telegram], markNotified: async () => true };
+        const failedRun = await deliverPendingNotifications(deliveryOptions);
+        const retryRun = await deliverPendingNotifications({ ...deliveryOptions, now: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+        console.log(`- Outbox retry sends no part twice: ${failedRun.partial === 1 && retryRun.delivered === 1 && acceptedTexts(sentBefore, 1).join('|') === telegramMessages.join('|')}`);
+
+        // Test 7: Services that never answer don't hold up the delivery
+        console.log('\nTest 7: Unresponsive Services');
+        const hangingWebhook = createWebhookChannel({ name: 'webhook', url: `${baseUrl}/hanging` });
+        let startedAt = Date.now();
+        const hangingResult = await hangingWebhook.send(notification);
+        console.log(`- HTTP request given up after NOTIFICATION_TIMEOUT: ${hangingResult === false && Date.now() - startedAt < 1000}`);
+        const silentEmail = createEmailChannel({ host: '127.0.0.1', port: silentSmtpServer.address().port, from: 'crawler@example.com', to: 'team@example.com' });
+        startedAt = Date.now();
+        const silentResult = await silentEmail.send(notification);
+        console.log(`- SMTP server without greeting given up: ${silentResult === false && Date.now() - startedAt < 1500}`);
+
+        const stuckOutbox = createOutboxStore({ inMemory: true });
+        await queueNotification(notification, { channels: [hangingWebhook], outbox: stuckOutbox });
+        const stuckOptions = { outbox: stuckOutbox, channels: [hangingWebhook], markNotified: async () => true };
+        const timedOutRun = await deliverPendingNotifications(stuckOptions);
+        const [retryEntry] = await stuckOutbox.getPendingNotifications();
+        console.log(`- Counted as a failed attempt and kept for a retry: ${timedOutRun.failed === 1 && retryEntry?.attempts === 1}`);
+        const nextRun = await deliverPendingNotifications({ ...stuckOptions, now: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+        console.log(`- Later runs deliver again: ${nextRun.failed === 1 && httpRequests.filter(candidate => candidate.path === '/hanging').length === 3}`);
+
+        // Test 8: Unknown and incomplete channels are skipped
+        console.log('\nTest 8: Configuration');
+        process.env.NOTIFICATION_CHANNELS = 'discord,pager,slack';
+        delete process.env.SLACK_WEBHOOK_URL;
+        console.log(`- Only usable channels loaded: ${loadChannels().map(channel => channel.name).join(',') === 'discord'}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,161 @@
+import { createOutboxStore } from '../modules/data/nedbOutboxStorage.js';
+import { createDigestStore } from '../modules/data/nedbDigestStorage.js';
+import { queueNotification, deliverPendingNotifications } from '../modules/notifications/notificationOutbox.js';
+import { collectForDigest, mergeDigestItems, buildDigestNotification, flushDigests } from '../modules/notifications/digest.js';
+import { createNotification, createDigestCards } from '../modules/notifications/notificationModel.js';
+import {
+    DELIVERY_MODES,
+    parseDeliveryMode,
+    parseQuietHours,
+    isQuietTime,
+    getQuietHoursEnd
+} from '../modules/config/delivery.js';
+import { normalizeSubscription } from '../modules/config/subscriptions.js';
+import { createAppointment } from '../modules/model/appointment.js';
+
+// Channel stand-in that records what it was asked to send
+const sent = [];
+const channels = ['discord', 'telegram'].map(name => ({
+    name,
+    type: name,
+    send: async (notification, target) => {
+        sent.push({ channel: name, target, notification });
+        return true;
+    }
+}));
+
+// Build an appointment of the Sachsen-Anhalt source
+const makeAppointment = (sourceId, fields = {}) => createAppointment({
+    source: 'sachsen-anhalt',
+    sourceId,
+    examTypeId: 1,
+    examTypeName: 'Fischerprüfung',
+    date: `2030-06-${String(10 + sourceId).padStart(2, '0')}T09:00:00`,
+    pruefungsstelle: 'Landkreis Harz',
+    pruefungsort: 'Wernigerode',
+    landkreis: 'Harz',
+    ...fields
+});
+
+// Returns whether a function throws
+const throws = fn => {
+    try {
+        fn();
+        return false;
+    } catch {
+        return true;
+    }
+};
+
+/**
+ * Run digest and quiet hours tests
+ */
+async function runTests() {
+    console.log('=== Starting Digest and Quiet Hours Tests ===\n');
+
+    try {
+        // Test 1: Delivery modes and quiet hours are parsed and validated
+        console.log('Test 1: Delivery Settings');
+        console.log(`- Delivery modes parsed: ${parseDeliveryMode(' Daily ') === 'daily' && parseDeliveryMode(undefined) === 'instant' && throws(() => parseDeliveryMode('hourly'))}`);
+        const night = parseQuietHours('22:00-07:00');
+        console.log(`- Quiet hours parsed: ${night.start === 22 * 60 && night.end === 7 * 60 && parseQuietHours('') === null}`);
+        console.log(`- Invalid quiet hours rejected: ${throws(() => parseQuietHours('22-7')) && throws(() => parseQuietHours('25:00-07:00')) && throws(() => parseQuietHours('08:00-08:00'))}`);
+        const subscription = normalizeSubscription({ delivery: 'weekly', quietHours: '21:30-06:00' }, 0);
+        const inherited = normalizeSubscription({}, 0, { delivery: DELIVERY_MODES.ONLY_WHEN_NEW, quietHours: night });
+        console.log(`- Subscription settings and defaults: ${subscription.delivery === 'weekly' && subscription.quietHours.start === 21 * 60 + 30 && inherited.delivery === 'only-when-new' && inherited.quietHours === night}`);
+        console.log(`- Invalid subscription delivery rejected: ${throws(() => normalizeSubscription({ delivery: 'sofort' }, 0))}`);
+
+        // Test 2: Quiet hours spanning midnight
+        console.log('\nTest 2: Quiet Time');
+        console.log(`- Quiet before and after midnight: ${isQuietTime(night, new Date('2030-05-06T23:30:00')) && isQuietTime(night, new Date('2030-05-07T06:59:00'))}`);
+        console.log(`- Not quiet during the day: ${!isQuietTime(night, new Date('2030-05-06T07:00:00')) && !isQuietTime(night, new Date('2030-05-06T21:59:00')) && !isQuietTime(null)}`);
+        const lunch = parseQuietHours('12:00-13:00');
+        console.log(`- Range within one day: ${isQuietTime(lunch, new Date('2030-05-06T12:30:00')) && !isQuietTime(lunch, new Date('2030-05-06T13:00:00'))}`);
+        console.log(`- End of quiet hours: ${getQuietHoursEnd(night, new Date('2030-05-06T23:30:00')).getTime() === new Date('2030-05-07T07:00:00').getTime() && getQuietHoursEnd(night, new Date('2030-05-07T02:00:00')).getTime() === new Date('2030-05-07T07:00:00').getTime()}`);
+
+        // Test 3: The outbox holds notifications during quiet hours and releases them afterwards
+        console.log('\nTest 3: Outbox During Quiet Hours');
+        const outbox = createOutboxStore({ inMemory: true });
+        const notified = [];
+        const deliveryOptions = { outbox, channels: [channels[0]], markNotified: async id => notified.push(id) };
+        await queueNotification(createNotification('🎣 1 neuer Termin'), {
+            appointmentIds: ['sachsen-anhalt:1'],
+            channels: [channels[0]],
+            quietHours: night,
+            outbox
+        });
+        await queueNotification(createNotification('⚠️ Ohne Ruhezeit'), { channels: [channels[0]], outbox });
+        sent.length = 0;
+        const atNight = await deliverPendingNotifications({ ...deliveryOptions, now: new Date('2030-05-06T23:30:00') });
+        console.log(`- Held without counting a failure: ${atNight.held === 1 && atNight.delivered === 1 && atNight.failed === 0 && sent.length === 1}`);
+        const [held] = await outbox.getPendingNotifications();
+        console.log(`- Postponed to the end of the quiet hours: ${held.attempts === 0 && held.nextAttemptAt.getTime() === new Date('2030-05-07T07:00:00').getTime()}`);
+        const early = await deliverPendingNotifications({ ...deliveryOptions, now: new Date('2030-05-07T06:30:00') });
+        console.log(`- Not due before the end: ${early.delivered === 0 && early.held === 0 && early.pending === 1}`);
+        const morning = await deliverPendingNotifications({ ...deliveryOptions, now: new Date('2030-05-07T07:00:00') });
+        console.log(`- Released afterwards: ${morning.delivered === 1 && morning.pending === 0 && notified.join(',') === 'sachsen-anhalt:1'}`);
+
+        // Test 4: Findings of one appointment are merged
+        console.log('\nTest 4: Merge Digest Items');
+        const first = makeAppointment(1);
+        const firstMoved = { ...first, pruefungsort: 'Blankenburg' };
+        const second = makeAppointment(2);
+        const third = makeAppointment(3);
+        const fourth = makeAppointment(4);
+        const dateChange = (oldValue, newValue) => ({ field: 'date', label: '📅 Termin', oldValue, newValue });
+        const merged = mergeDigestItems([
+            { kind: 'new', appointment: first },
+            { kind: 'changed', appointment: firstMoved, changes: [{ field: 'pruefungsort', label: '📍 Ort', oldValue: 'Wernigerode', newValue: 'Blankenburg' }] },
+            { kind: 'new', appointment: second },
+            { kind: 'changed', appointment: third, changes: [dateChange('2030-06-13T09:00:00', '2030-06-20T09:00:00')] },
+            { kind: 'changed', appointment: third, changes: [dateChange('2030-06-20T09:00:00', '2030-06-27T09:00:00')] },
+            { kind: 'cancelled', appointment: second },
+            { kind: 'changed', appointment: fourth, changes: [dateChange('2030-06-14T09:00:00', '2030-06-15T09:00:00')] },
+            { kind: 'changed', appointment: fourth, changes: [dateChange('2030-06-15T09:00:00', '2030-06-14T09:00:00')] },
+            { kind: 'cancelled', appointment: makeAppointment(5) }
+        ]);
+        console.log(`- New and changed shown as new with the latest details: ${merged.new.length === 1 && merged.new[0].appointment.pruefungsort === 'Blankenburg'}`);
+        console.log(`- New and cancelled left out: ${![...merged.new, ...merged.cancelled].some(({ appointment }) => appointment.id === second.id)}`);
+        const [thirdChange] = merged.changed;
+        console.log(`- Changes combined: ${merged.changed.length === 1 && thirdChange.changes.length === 1 && thirdChange.changes[0].oldValue === '2030-06-13T09:00:00' && thirdChange.changes[0].newValue === '2030-06-27T09:00:00'}`);
+        console.log(`- Reverted change left out: ${!merged.changed.some(({ appointment }) => appointment.id === fourth.id)}`);
+        console.log(`- Cancelled kept: ${merged.cancelled.length === 1}`);
+
+        // Test 5: One compact, grouped message per digest
+        console.log('\nTest 5: Digest Message');
+        const digest = buildDigestNotification(DELIVERY_MODES.DAILY, 'Fischerprüfung', merged);
+        console.log(`- Title with counts: ${digest.title === '📰 Tägliche Zusammenfassung (Fischerprüfung): 1 neu, 1 geändert, 1 abgesagt'}`);
+        console.log(`- Grouped by kind: ${digest.sections.map(section => section.cards[0].title).join('|') === '🆕 Neue Termine (1)|✏️ Geänderte Termine (1)|🚫 Abgesagte Termine (1)'}`);
+        const changeLine = digest.sections[1].cards[0].fields[0].value;
+        console.log(`- One line per appointment: ${digest.sections.every(section => section.cards[0].fields.length === 1) && changeLine.startsWith('📅 Termin: 13.6.2030 um 09:00 Uhr → 27.6.2030 um 09:00 Uhr')}`);
+        const manyCards = createDigestCards('🆕 Neue Termine', Array.from({ length: 45 }, (_, index) => ({ appointment: makeAppointment(index + 1) })));
+        console.log(`- Long lists split across cards: ${manyCards.length === 3 && manyCards.every(card => card.fields.length <= 20)}`);
+        console.log(`- Nothing left means no message: ${buildDigestNotification(DELIVERY_MODES.WEEKLY, 'Leer', { new: [], changed: [], cancelled: [] }) === null}`);
+
+        // Test 6: Collected findings go out per destination and mode
+        console.log('\nTest 6: Flush Digests');
+        const store = createDigestStore({ inMemory: true });
+        const digestOutbox = createOutboxStore({ inMemory: true });
+        const everyone = { key: 'examType:sachsen-anhalt:1', label: 'Fischerprüfung', delivery: DELIVERY_MODES.DAILY, channels: null, targets: { discord: 'https://discord.example/1' }, quietHours: null };
+        const harz = { key: 'subscription:Harz', label: 'Harz', delivery: DELIVERY_MODES.DAILY, channels: ['telegram'], targets: { telegram: '-100' }, quietHours: night };
+        const weekly = { ...harz, key: 'subscription:Woche', label: 'Woche', delivery: DELIVERY_MODES.WEEKLY };
+        await collectForDigest(everyone, 'new', first, [], { store });
+        await collectForDigest(everyone, 'cancelled', fourth, [], { store });
+        await collectForDigest(harz, 'new', first, [], { store });
+        await collectForDigest(weekly, 'new', second, [], { store });
+        const queued = await flushDigests(DELIVERY_MODES.DAILY, { store, channels, outbox: digestOutbox });
+        const entries = await digestOutbox.getPendingNotifications();
+        console.log(`- One message per destination: ${queued === 2 && entries.length === 3}`);
+        const harzEntry = entries.find(entry => entry.channel === 'telegram' && entry.target === '-100' && entry.notification.title.includes('(Harz)'));
+        console.log(`- Channel, target and quiet hours of the destination kept: ${harzEntry?.quietHours?.label === '22:00-07:00'}`);
+        console.log(`- New appointments notified once delivered: ${entries.every(entry => entry.appointmentIds.join(',') === first.id)}`);
+        console.log(`- Daily items removed, weekly ones kept: ${(await store.getDigestItems(DELIVERY_MODES.DAILY)).length === 0 && (await store.getDigestItems(DELIVERY_MODES.WEEKLY)).length === 1}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    }
+}
+
+// Run tests
+runTests();
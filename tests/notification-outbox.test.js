@@ -0,0 +1,140 @@
+import http from 'http';
+import { createOutboxStore } from '../modules/data/nedbOutboxStorage.js';
+import { queueNotification, deliverPendingNotifications, getRetryDelay } from '../modules/notifications/notificationOutbox.js';
+import { createNotification } from '../modules/notifications/notificationModel.js';
+import { createDiscordChannel } from '../modules/notifications/channels/discordChannel.js';
+
+// Run the real outbox code against an in-memory database
+const outbox = createOutboxStore({ inMemory: true });
+
+// Local stand-in for the Discord webhook, answers with the queued status codes
+const responseStatuses = [];
+const receivedPayloads = [];
+let server;
+let webhookUrl;
+
+// Setup test environment
+async function setup() {
+    try {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                receivedPayloads.push(JSON.parse(body));
+                res.writeHead(responseStatuses.shift() || 204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+        console.log(`Webhook stand-in listening at ${webhookUrl}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        await new Promise(resolve => server.close(resolve));
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run notification outbox tests
+ */
+async function runTests() {
+    console.log('=== Starting Notification Outbox Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        const notifiedIds = [];
+        const channels = [createDiscordChannel({ webhookUrl })];
+        const deliveryOptions = {
+            outbox,
+            channels,
+            markNotified: async id => notifiedIds.push(id)
+        };
+        const card = { title: 'Termin', level: 'success', fields: [] };
+
+        // Test 1: Queued notifications are pending until delivered
+        console.log('Test 1: Queue Notification');
+        const [queued] = await queueNotification(createNotification('🎣 2 neue Termine', [{ cards: [card] }]), {
+            appointmentIds: ['sachsen-anhalt:1', 'sachsen-anhalt:2'],
+            channels,
+            outbox
+        });
+        await queueNotification(createNotification('✏️ 1 Termin geändert'), { channels, outbox });
+        const pending = await outbox.getPendingNotifications();
+        console.log(`- Notifications queued: ${queued !== undefined && pending.length === 2}`);
+        console.log(`- Queue order kept: ${pending[0]._id === queued._id}`);
+
+        // Test 2: A failed delivery keeps the notification and backs off
+        console.log('\nTest 2: Failed Delivery');
+        responseStatuses.push(500, 503);
+        const start = new Date();
+        const failed = await deliverPendingNotifications({ ...deliveryOptions, now: start });
+        const [retried] = await outbox.getPendingNotifications();
+        console.log(`- Both deliveries failed: ${failed.failed === 2 && failed.pending === 2}`);
+        console.log(`- Appointments not marked as notified: ${notifiedIds.length === 0}`);
+        console.log(`- Attempt recorded: ${retried.attempts === 1 && retried.lastError !== null}`);
+        console.log(`- Next attempt backed off: ${retried.nextAttemptAt.getTime() === start.getTime() + getRetryDelay(1)}`);
+
+        // Test 3: Notifications are not retried before their backoff passed
+        console.log('\nTest 3: Backoff');
+        const early = await deliverPendingNotifications({ ...deliveryOptions, now: new Date(start.getTime() + getRetryDelay(1) - 1) });
+        console.log(`- Nothing sent before the backoff passed: ${early.delivered === 0 && early.failed === 0 && receivedPayloads.length === 2}`);
+        console.log(`- Backoff grows: ${getRetryDelay(2) === 2 * getRetryDelay(1)}`);
+        console.log(`- Backoff is capped: ${getRetryDelay(50) === getRetryDelay(60)}`);
+
+        // Test 4: A confirmed delivery removes the notification and marks its appointments
+        console.log('\nTest 4: Confirmed Delivery');
+        const delivered = await deliverPendingNotifications({ ...deliveryOptions, now: new Date(start.getTime() + getRetryDelay(1)) });
+        console.log(`- Both notifications delivered: ${delivered.delivered === 2 && delivered.pending === 0}`);
+        console.log(`- Appointments marked after 2xx: ${notifiedIds.join(',') === 'sachsen-anhalt:1,sachsen-anhalt:2'}`);
+        console.log(`- Notification rendered for Discord: ${receivedPayloads[2].content.includes('🎣 2 neue Termine') && receivedPayloads[2].embeds.length === 1}`);
+
+        // Test 5: Concurrent deliveries send every notification once
+        console.log('\nTest 5: Concurrent Delivery');
+        await queueNotification(createNotification('🚫 1 Termin abgesagt'), { channels, outbox });
+        const payloadsBefore = receivedPayloads.length;
+        await Promise.all([
+            deliverPendingNotifications(deliveryOptions),
+            deliverPendingNotifications(deliveryOptions)
+        ]);
+        console.log(`- Sent once: ${receivedPayloads.length === payloadsBefore + 1}`);
+
+        // Test 6: Every channel is retried on its own
+        console.log('\nTest 6: Several Channels');
+        const twoChannels = [...channels, createDiscordChannel({ name: 'discord-backup', webhookUrl })];
+        await queueNotification(createNotification('🎣 1 neuer Termin', [{ cards: [card] }]), {
+            appointmentIds: ['sachsen-anhalt:3'],
+            channels: twoChannels,
+            outbox
+        });
+        responseStatuses.push(204, 500);
+        const partial = await deliverPendingNotifications({ ...deliveryOptions, channels: twoChannels });
+        const [remaining] = await outbox.getPendingNotifications();
+        console.log(`- One entry per channel: ${partial.delivered === 1 && partial.failed === 1}`);
+        console.log(`- Only the failed channel is retried: ${remaining?.channel === 'discord-backup'}`);
+        console.log(`- Appointment marked after the first confirmation: ${notifiedIds.includes('sachsen-anhalt:3')}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
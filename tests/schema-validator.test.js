@@ -0,0 +1,96 @@
+import { validateRecord, validateRecords } from '../modules/validation/schemaValidator.js';
+import sachsenAnhaltSource from '../modules/sources/sachsenAnhaltSource.js';
+import { getRejectedIds } from '../modules/sources/index.js';
+import { createQuarantineStore } from '../modules/data/nedbQuarantineStorage.js';
+
+/**
+ * Generate a raw API record as returned by the LAV API
+ */
+function generateRawRecord(id = 1) {
+    return {
+        id,
+        date: '2030-05-01T08:00:00Z',
+        examType: { id: 1, name: 'Fischerprüfung' },
+        examinationOffice: { name: `Testprüfstelle ${id}` },
+        contactInfo: {
+            address: 'Teststraße 1',
+            area: { name: `Testort ${id}`, districtName: `Landkreis ${id}` },
+            contact: {}
+        },
+        additionalInformation: ''
+    };
+}
+
+/**
+ * Run schema validator tests
+ */
+async function runTests() {
+    console.log('=== Starting Schema Validator Tests ===\n');
+
+    const schema = sachsenAnhaltSource.schema;
+
+    try {
+        // Test 1: Valid record
+        console.log('Test 1: Valid Record');
+        const validErrors = validateRecord(generateRawRecord(), schema);
+        console.log(`- No errors for valid record: ${validErrors.length === 0}`);
+
+        // Test 2: Missing nested object
+        console.log('\nTest 2: Missing contactInfo');
+        const missingContact = validateRecord({ ...generateRawRecord(), contactInfo: null }, schema);
+        console.log(`- Record rejected: ${missingContact.length > 0}`);
+        console.log(`- Reason names the missing field: ${missingContact.some(error => error.startsWith('contactInfo:'))}`);
+
+        // Test 3: Wrong types
+        console.log('\nTest 3: Wrong Types');
+        const wrongTypes = validateRecord({ ...generateRawRecord(), date: 'kein Datum', additionalInformation: 42 }, schema);
+        console.log(`- Invalid date rejected: ${wrongTypes.some(error => error.startsWith('date:'))}`);
+        console.log(`- Invalid type rejected: ${wrongTypes.some(error => error.startsWith('additionalInformation:'))}`);
+
+        // Test 4: Optional fields may be null
+        console.log('\nTest 4: Optional Fields');
+        const optionalNull = generateRawRecord();
+        optionalNull.contactInfo.area.districtName = null;
+        optionalNull.additionalInformation = null;
+        console.log(`- Null optional fields accepted: ${validateRecord(optionalNull, schema).length === 0}`);
+
+        // Test 5: Splitting records
+        console.log('\nTest 5: Split Valid and Rejected Records');
+        const { valid, rejected } = validateRecords([
+            generateRawRecord(1),
+            { ...generateRawRecord(2), examinationOffice: {} },
+            generateRawRecord(3)
+        ], schema);
+        console.log(`- Valid records kept: ${valid.length === 2}`);
+        console.log(`- Invalid record rejected with reasons: ${rejected.length === 1 && rejected[0].errors.length > 0}`);
+        console.log(`- Valid records can be normalized: ${sachsenAnhaltSource.normalize(valid).length === 2}`);
+
+        // Test 6: Rejected records are still listed by the source
+        console.log('\nTest 6: IDs of Rejected Records');
+        console.log(`- Rejected records keep their appointment ID: ${getRejectedIds(sachsenAnhaltSource, rejected).join(',') === 'sachsen-anhalt:2'}`);
+        const withoutId = validateRecords([{ ...generateRawRecord(4), id: null }], schema).rejected;
+        console.log(`- Records without ID can't be identified: ${getRejectedIds(sachsenAnhaltSource, [...rejected, ...withoutId]) === null}`);
+
+        // Test 7: Empty IDs are rejected instead of breaking normalize()
+        console.log('\nTest 7: Empty IDs');
+        const emptyIds = validateRecords([
+            { ...generateRawRecord(5), id: '' },
+            { ...generateRawRecord(6), id: '  ' },
+            generateRawRecord(7)
+        ], schema);
+        console.log(`- Empty IDs rejected: ${emptyIds.rejected.length === 2 && emptyIds.rejected.every(({ errors }) => errors.includes('id: must not be empty'))}`);
+        console.log(`- Remaining records normalized: ${sachsenAnhaltSource.normalize(emptyIds.valid).length === 1}`);
+        const quarantine = createQuarantineStore({ inMemory: true });
+        await quarantine.quarantineRecords(sachsenAnhaltSource.name, emptyIds.rejected);
+        const quarantined = await quarantine.getQuarantinedRecords(sachsenAnhaltSource.name);
+        console.log(`- Quarantined with the reason: ${quarantined.length === 2 && quarantined.every(entry => entry.errors.includes('id: must not be empty'))}`);
+        console.log(`- Empty examType.id rejected: ${validateRecord({ ...generateRawRecord(8), examType: { id: '' } }, schema).includes('examType.id: must not be empty')}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+    saveSnapshot,
+    listSnapshots,
+    loadSnapshot,
+    diffSnapshots
+} from '../modules/api/snapshotArchive.js';
+
+// Create isolated snapshot directory with absolute path
+const TEST_DIR = path.resolve('./tests/data/snapshots');
+const TEST_URL = 'https://example.com/api/exam/examination?future=true';
+const ORIGINAL_DIR = process.env.SNAPSHOT_DIR;
+const ORIGINAL_MAX_COUNT = process.env.SNAPSHOT_MAX_COUNT;
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        process.env.SNAPSHOT_DIR = TEST_DIR;
+        process.env.SNAPSHOT_MAX_COUNT = '2';
+        console.log(`Using snapshot directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Restore an environment variable
+function restoreEnv(name, value) {
+    if (value) {
+        process.env[name] = value;
+    } else {
+        delete process.env[name];
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        restoreEnv('SNAPSHOT_DIR', ORIGINAL_DIR);
+        restoreEnv('SNAPSHOT_MAX_COUNT', ORIGINAL_MAX_COUNT);
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run snapshot archive tests
+ */
+async function runTests() {
+    console.log('=== Starting Snapshot Archive Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // Test 1: Save and load a compressed snapshot
+        console.log('Test 1: Save and Load Snapshot');
+        const snapshotPath = saveSnapshot(TEST_URL, [{ id: 1, date: '2030-01-01T08:00:00Z' }]);
+        const snapshot = loadSnapshot(snapshotPath);
+        console.log(`- Snapshot is compressed: ${snapshotPath?.endsWith('.json.gz')}`);
+        console.log(`- Snapshot data loaded correctly: ${snapshot.data.length === 1 && snapshot.url === TEST_URL}`);
+
+        // Test 2: Retention keeps only the newest snapshots
+        console.log('\nTest 2: Retention Policy');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        saveSnapshot(TEST_URL, [{ id: 1 }]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const newestPath = saveSnapshot(TEST_URL, [{ id: 2 }]);
+        const snapshots = listSnapshots(TEST_URL);
+        console.log(`- Only two snapshots kept: ${snapshots.length === 2}`);
+        console.log(`- Newest snapshot kept: ${snapshots[snapshots.length - 1] === newestPath}`);
+
+        // Test 3: Diff two payloads
+        console.log('\nTest 3: Diff Snapshots');
+        const { added, removed, modified } = diffSnapshots(
+            [
+                { id: 1, date: '2030-01-01T08:00:00Z', contactInfo: { area: { name: 'Halle' } } },
+                { id: 2, date: '2030-02-01T08:00:00Z' }
+            ],
+            [
+                { id: 1, date: '2030-01-08T08:00:00Z', contactInfo: { area: { name: 'Halle' } } },
+                { id: 3, date: '2030-03-01T08:00:00Z' }
+            ]
+        );
+        console.log(`- Added appointment found: ${added.length === 1 && added[0].id === 3}`);
+        console.log(`- Removed appointment found: ${removed.length === 1 && removed[0].id === 2}`);
+        console.log(`- Modified appointment found: ${
+            modified.length === 1 &&
+            modified[0].changes.length === 1 &&
+            modified[0].changes[0].field === 'date'
+        }`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
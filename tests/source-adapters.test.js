@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { validateRecords } from '../modules/validation/schemaValidator.js';
+
+// Isolated cache and data directories with absolute paths
+const TEST_DIR = path.resolve('./tests/data/source-adapters');
+const TEST_ENV = {
+    CACHE_DIR: path.join(TEST_DIR, 'cache'),
+    DATA_DIR: TEST_DIR
+};
+const ENV_NAMES = [...Object.keys(TEST_ENV), 'SOURCES'];
+const ORIGINAL_ENV = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+
+/**
+ * Generate a raw record as returned by the LAV API
+ */
+function generateRawRecord(id) {
+    return {
+        id,
+        date: '2030-05-01T08:00:00Z',
+        examType: { id: 1, name: 'Fischerprüfung' },
+        examinationOffice: { name: 'Landkreis Harz' },
+        contactInfo: {
+            address: 'Friedrich-Ebert-Straße 42',
+            area: { name: 'Wernigerode', districtName: 'Harz' },
+            contact: {}
+        },
+        additionalInformation: ''
+    };
+}
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        Object.assign(process.env, TEST_ENV);
+        delete process.env.SOURCES;
+        console.log(`Using test directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        for (const [name, value] of Object.entries(ORIGINAL_ENV)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Run source adapter tests
+ */
+async function runTests() {
+    console.log('=== Starting Source Adapter Tests ===\n');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        // The API client creates its cache directory on import
+        const { loadSources, SOURCE_ADAPTERS, DEFAULT_SOURCE } = await import('../modules/sources/index.js');
+        const names = sources => sources.map(source => source.name).join(',');
+
+        // Test 1: Every registered adapter fulfils the adapter contract
+        console.log('Test 1: Adapter Contract');
+        const adapters = Object.entries(SOURCE_ADAPTERS);
+        console.log(`- Registered under their own name: ${adapters.length > 0 && adapters.every(([name, adapter]) => adapter.name === name)}`);
+        console.log(`- Label, fetch and normalize present: ${adapters.every(([, adapter]) =>
+            typeof adapter.label === 'string' && typeof adapter.fetch === 'function' && typeof adapter.normalize === 'function')}`);
+        console.log(`- Schema rules present: ${adapters.every(([, adapter]) => Array.isArray(adapter.schema) && adapter.schema.every(rule => typeof rule.path === 'string'))}`);
+        console.log(`- Default source registered: ${SOURCE_ADAPTERS[DEFAULT_SOURCE] !== undefined}`);
+
+        // Test 2: SOURCES selects the watched adapters
+        console.log('\nTest 2: Loading Sources');
+        console.log(`- Default source without SOURCES: ${names(loadSources()) === DEFAULT_SOURCE}`);
+        process.env.SOURCES = ` ${DEFAULT_SOURCE} , unbekannt,`;
+        console.log(`- Names trimmed, unknown ones skipped: ${names(loadSources()) === DEFAULT_SOURCE}`);
+        process.env.SOURCES = 'unbekannt';
+        console.log(`- Nothing watched for unknown names only: ${loadSources().length === 0}`);
+        delete process.env.SOURCES;
+
+        // Test 3: The Sachsen-Anhalt adapter maps the LAV records to appointments
+        console.log('\nTest 3: Sachsen-Anhalt Records');
+        const sachsenAnhalt = SOURCE_ADAPTERS['sachsen-anhalt'];
+        const [appointment, other] = sachsenAnhalt.normalize([generateRawRecord(101), generateRawRecord(102)]);
+        console.log(`- Source and portal id kept: ${appointment.source === 'sachsen-anhalt' && appointment.sourceId === 101}`);
+        console.log(`- Id prefixed with the source: ${appointment.id === 'sachsen-anhalt:101' && other.id === 'sachsen-anhalt:102'}`);
+        console.log(`- Exam type, office and place mapped: ${
+            appointment.examTypeId === 1 &&
+            appointment.pruefungsstelle === 'Landkreis Harz' &&
+            appointment.pruefungsort === 'Wernigerode' &&
+            appointment.landkreis === 'Harz'
+        }`);
+        console.log(`- Sample records pass the schema: ${validateRecords([generateRawRecord(101)], sachsenAnhalt.schema).rejected.length === 0}`);
+        console.log(`- Empty list mapped to no appointments: ${sachsenAnhalt.normalize([]).length === 0}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
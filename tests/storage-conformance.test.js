@@ -0,0 +1,291 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { STORAGE_BACKENDS, STORAGE_CONTRACT, APPOINTMENT_EVENTS } from '../modules/data/storage.js';
+
+// Every backend gets its own isolated data directory with absolute paths
+const TEST_DIR = path.resolve('./tests/data/storage-conformance');
+const ORIGINAL_DATA_DIR = process.env.DATA_DIR;
+const ORIGINAL_DATA_FILE_PATH = process.env.DATA_FILE_PATH;
+
+// Appointment dates relative to the test start so the cancellation check sees them as future
+const NOW = Date.now();
+const inDays = days => new Date(NOW + days * 86400000).toISOString();
+
+const fetchedAppointment = (sourceId, overrides = {}) => ({
+    id: `sachsen-anhalt:${sourceId}`,
+    source: 'sachsen-anhalt',
+    sourceId,
+    examTypeId: 1,
+    date: inDays(30 + sourceId),
+    termin: `0${sourceId}.01.2030`,
+    pruefungsstelle: `Prüfstelle ${sourceId}`,
+    pruefungsort: `Ort ${sourceId}`,
+    landkreis: 'Harz',
+    url: `https://example.com/${sourceId}`,
+    ...overrides
+});
+
+// Restore an environment variable
+function restoreEnv(name, value) {
+    if (value) {
+        process.env[name] = value;
+    } else {
+        delete process.env[name];
+    }
+}
+
+/**
+ * Check whether node:sqlite is available (Node.js 22.5 and newer)
+ * @returns {Boolean} True if the SQLite backend can be loaded
+ */
+async function hasSqlite() {
+    try {
+        await import('node:sqlite');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Setup test environment
+async function setup() {
+    try {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        console.log(`Using test directory: ${TEST_DIR}`);
+        return true;
+    } catch (error) {
+        console.error('Setup failed:', error);
+        return false;
+    }
+}
+
+// Clean up test environment
+async function cleanup() {
+    try {
+        restoreEnv('DATA_DIR', ORIGINAL_DATA_DIR);
+        restoreEnv('DATA_FILE_PATH', ORIGINAL_DATA_FILE_PATH);
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+        console.log('Test environment cleaned up');
+    } catch (error) {
+        console.error('Cleanup error:', error);
+    }
+}
+
+/**
+ * Load a backend with its own data directory
+ * The backends read DATA_DIR / DATA_FILE_PATH when they are imported.
+ * @param {String} name - Backend name
+ * @returns {Object} Backend module
+ */
+async function loadBackend(name) {
+    const dataDir = path.join(TEST_DIR, name);
+    await fs.mkdir(dataDir, { recursive: true });
+    process.env.DATA_DIR = dataDir;
+    process.env.DATA_FILE_PATH = path.join(dataDir, 'known-appointments.json');
+    return STORAGE_BACKENDS[name]();
+}
+
+/**
+ * Run the shared scenarios against one backend
+ * @param {String} name - Backend name
+ * @param {Object} storage - Backend module
+ */
+async function runScenarios(name, storage) {
+    console.log(`\n--- Backend: ${name} ---`);
+
+    const missing = STORAGE_CONTRACT.filter(functionName => typeof storage[functionName] !== 'function');
+    console.log(`- Implements the storage contract: ${missing.length === 0}`);
+
+    await storage.initializeAppointmentsCollection();
+
+    // New appointments
+    const firstRun = [fetchedAppointment(1), fetchedAppointment(2)];
+    const newAppointments = await storage.findNewAppointments(firstRun);
+    console.log(`- Finds new appointments: ${newAppointments.length === 2}`);
+    console.log(`- New appointments are not notified: ${newAppointments.every(a => a.notified === false)}`);
+
+    await storage.saveAppointments(newAppointments);
+    const known = await storage.loadKnownAppointments();
+    console.log(`- Saves and loads appointments: ${known.length === 2}`);
+    console.log(`- Known appointments are not new again: ${(await storage.findNewAppointments(firstRun)).length === 0}`);
+
+    // Scoped queries
+    await storage.saveAppointments([{
+        ...fetchedAppointment(3, { examTypeId: 2 }),
+        notified: false,
+        dateAdded: new Date()
+    }]);
+    const scoped = await storage.loadKnownAppointments({ source: 'sachsen-anhalt', examTypeId: 2 });
+    console.log(`- Filters by scope: ${scoped.length === 1 && scoped[0].sourceId === 3}`);
+
+    // Notification state
+    const marked = await storage.markAsNotified('sachsen-anhalt:1');
+    const notified = await storage.getNotifiedAppointments({ examTypeId: 1 });
+    console.log(`- Marks appointments as notified: ${marked && notified.length === 1 && notified[0].id === 'sachsen-anhalt:1'}`);
+    console.log(`- Unknown ids are reported: ${(await storage.markAsNotified('sachsen-anhalt:999')) === false}`);
+
+    // Relevance set by the team
+    const dismissed = await storage.markAsNotRelevant('sachsen-anhalt:1');
+    const isNotRelevant = async id => (await storage.loadKnownAppointments()).find(a => a.id === id)?.notRelevant === true;
+    console.log(`- Marks appointments as not relevant: ${dismissed && await isNotRelevant('sachsen-anhalt:1') && !(await isNotRelevant('sachsen-anhalt:2'))}`);
+
+    // Changed appointments
+    const changedRun = [fetchedAppointment(1, { pruefungsort: 'Neuer Ort' }), fetchedAppointment(2)];
+    const changed = await storage.findChangedAppointments(changedRun);
+    console.log(`- Finds changed appointments: ${changed.length === 1 && changed[0].changes[0].field === 'pruefungsort'}`);
+
+    await storage.saveAppointmentChanges(changed);
+    const [updated] = await storage.loadKnownAppointments().then(all => all.filter(a => a.id === 'sachsen-anhalt:1'));
+    console.log(`- Saves changes with history: ${updated.pruefungsort === 'Neuer Ort' && updated.changeHistory?.length === 1}`);
+    console.log(`- Keeps notification state on change: ${updated.notified === true}`);
+    console.log(`- Keeps relevance on change: ${updated.notRelevant === true}`);
+
+    await storage.markAsNotRelevant('sachsen-anhalt:1', false);
+    const relevanceEvents = (await storage.getAppointmentTimeline('sachsen-anhalt:1'))
+        .map(event => event.type)
+        .filter(type => type === 'not-relevant' || type === 'relevant');
+    console.log(`- Marks appointments as relevant again: ${!(await isNotRelevant('sachsen-anhalt:1')) && relevanceEvents.join(',') === 'not-relevant,relevant'}`);
+
+    // Cancelled appointments (appointment 2 is missing from two consecutive runs)
+    const withoutSecond = [fetchedAppointment(1, { pruefungsort: 'Neuer Ort' })];
+    const afterFirstMiss = await storage.findCancelledAppointments(withoutSecond, 2, { examTypeId: 1 });
+    const afterSecondMiss = await storage.findCancelledAppointments(withoutSecond, 2, { examTypeId: 1 });
+    console.log(`- Waits for the grace runs: ${afterFirstMiss.length === 0}`);
+    console.log(`- Finds cancelled appointments: ${afterSecondMiss.length === 1 && afterSecondMiss[0].id === 'sachsen-anhalt:2'}`);
+
+    await storage.markAsCancelled('sachsen-anhalt:2');
+    const recent = await storage.getMostRecentAppointments(5, { examTypeId: 1 });
+    console.log(`- Cancelled appointments are not listed: ${recent.length === 1 && recent[0].id === 'sachsen-anhalt:1'}`);
+
+    await storage.findCancelledAppointments(firstRun, 2, { examTypeId: 1 });
+    const reinstated = await storage.getMostRecentAppointments(5, { examTypeId: 1 });
+    console.log(`- Reappearing appointments are reinstated: ${reinstated.length === 2}`);
+    console.log(`- Most recent appointment first: ${reinstated[0].id === 'sachsen-anhalt:2'}`);
+
+    // Archiving by exam date (4 took place recently, 5 long ago; 3 was added long ago but lies ahead)
+    await storage.saveAppointments([
+        { ...fetchedAppointment(3, { examTypeId: 2 }), notified: true, dateAdded: new Date(NOW - 200 * 86400000) },
+        { ...fetchedAppointment(4, { date: inDays(-10) }), notified: true, dateAdded: new Date(NOW - 100 * 86400000) },
+        { ...fetchedAppointment(5, { date: inDays(-200) }), notified: true, dateAdded: new Date(NOW - 300 * 86400000) }
+    ]);
+    const pruneResult = await storage.pruneOldAppointments(90);
+    const remaining = await storage.loadKnownAppointments();
+    const archived = await storage.loadArchivedAppointments();
+    console.log(`- Reports archived and purged counts: ${pruneResult?.archived === 2 && pruneResult?.purged === 1}`);
+    console.log(`- Keeps future appointments: ${remaining.length === 3 && remaining.some(a => a.id === 'sachsen-anhalt:3')}`);
+    console.log(`- Archives past appointments: ${archived.length === 1 && archived[0].id === 'sachsen-anhalt:4' && Boolean(archived[0].archivedAt)}`);
+    console.log(`- Archived appointments keep their data: ${archived[0]?.notified === true && archived[0]?.pruefungsort === 'Ort 4'}`);
+
+    // Archived appointments are kept daysToKeep days after their exam (7 took place 50 days ago)
+    await storage.saveAppointments([{ ...fetchedAppointment(7, { date: inDays(-50), examTypeId: 4 }), notified: true }]);
+    const keptPrune = await storage.pruneOldAppointments(90);
+    const shorterPrune = await storage.pruneOldAppointments(20);
+    const archivedIds = (await storage.loadArchivedAppointments()).map(a => a.id).join(',');
+    console.log(`- Kept in the archive within daysToKeep: ${keptPrune?.archived === 1 && keptPrune?.purged === 0}`);
+    console.log(`- Purged once the exam is longer ago: ${shorterPrune?.archived === 0 && shorterPrune?.purged === 1 && archivedIds === 'sachsen-anhalt:4'}`);
+
+    // Event log
+    await storage.recordAppointmentEvent('sachsen-anhalt:2', APPOINTMENT_EVENTS.DISCOVERED);
+    const timeline = await storage.getAppointmentTimeline('sachsen-anhalt:2');
+    const types = timeline.map(event => event.type);
+    console.log(`- Records lifecycle events in order: ${
+        types.join(',') === ['cancelled', 'reinstated', 'discovered'].join(',')
+    }`);
+    console.log(`- Records changes with details: ${
+        (await storage.getAppointmentTimeline('sachsen-anhalt:1'))
+            .some(event => event.type === 'changed' && event.details.changes[0].field === 'pruefungsort')
+    }`);
+    console.log(`- Records archived and pruned appointments: ${
+        (await storage.getAppointmentTimeline('sachsen-anhalt:5')).map(event => event.type).join(',') === 'archived,pruned'
+    }`);
+
+    // Appointments whose records are rejected for longer than the grace runs stay listed
+    const rejectedId = 'sachsen-anhalt:6';
+    await storage.saveAppointments([fetchedAppointment(6, { examTypeId: 3 })]);
+    let cancelledWhileRejected = 0;
+    for (let run = 0; run < 3; run++) {
+        cancelledWhileRejected += (await storage.findCancelledAppointments([], 2, { examTypeId: 3 }, [rejectedId]))
+            .filter(appointment => appointment.id === rejectedId).length;
+    }
+    const stillListed = (await storage.loadKnownAppointments()).find(a => a.id === rejectedId);
+    console.log(`- Rejected records don't count as missing: ${cancelledWhileRejected === 0 && !stillListed.cancelled && !(stillListed.missingCount > 0)}`);
+
+    const cancelledOnceGone = [];
+    for (let run = 0; run < 2; run++) {
+        cancelledOnceGone.push(...await storage.findCancelledAppointments([], 2, { examTypeId: 3 }));
+    }
+    console.log(`- Cancelled once no longer listed: ${cancelledOnceGone.map(a => a.id).join(',') === rejectedId}`);
+
+    // Queries (a source of their own keeps them apart from the appointments above)
+    const queryAppointment = (number, overrides) => ({
+        id: `query-test:${number}`,
+        source: 'query-test',
+        examTypeId: 1,
+        date: inDays(number * 10),
+        landkreis: 'Harz',
+        pruefungsort: 'Wernigerode',
+        pruefungsstelle: 'Landkreis Harz',
+        additionalInfo: '',
+        ...overrides
+    });
+    await storage.saveAppointments([
+        queryAppointment(1, { additionalInfo: 'Bitte Angelschein mitbringen', notified: true, notifiedAt: new Date(NOW - 2 * 86400000) }),
+        queryAppointment(2, { examTypeId: 2, pruefungsort: 'Halberstadt', additionalInfo: 'Prüfung in der AULA', notified: true, notifiedAt: new Date(NOW - 86400000) }),
+        queryAppointment(3, { landkreis: 'Salzlandkreis', pruefungsort: 'Bernburg', pruefungsstelle: 'Salzlandkreis', notified: false }),
+        queryAppointment(4, { cancelled: true })
+    ]);
+    const queryIds = async (criteria, options) =>
+        (await storage.queryAppointments({ source: 'query-test', ...criteria }, options))
+            .map(appointment => appointment.id.replace('query-test:', ''))
+            .join(',');
+
+    console.log(`- Queries by district, sorted by exam date: ${await queryIds({ landkreis: 'Harz' }) === '1,2,4'}`);
+    console.log(`- Queries by location and cancelled state: ${await queryIds({ location: 'Wernigerode', cancelled: false }) === '1'}`);
+    console.log(`- Queries by office list: ${await queryIds({ office: ['Salzlandkreis', 'Stadt Halle'] }) === '3'}`);
+    console.log(`- Queries by exam date range: ${await queryIds({ from: inDays(15), to: new Date(NOW + 30 * 86400000) }) === '2,3'}`);
+    console.log(`- Queries by exam type: ${await queryIds({ examTypeId: 2 }) === '2'}`);
+    console.log(`- Queries by notified state: ${await queryIds({ notified: false }) === '3,4' && await queryIds({ notified: true }) === '1,2'}`);
+    console.log(`- Queries free text case-insensitively: ${await queryIds({ text: 'aula' }) === '2' && await queryIds({ text: 'ANGELSCHEIN' }) === '1'}`);
+    console.log(`- Sorts descending with pagination: ${await queryIds({}, { sortOrder: 'desc', limit: 2, offset: 1 }) === '3,2'}`);
+    console.log(`- Sorts by notification time: ${await queryIds({ notified: true }, { sortBy: 'notifiedAt', sortOrder: 'desc', limit: 1 }) === '2'}`);
+    console.log(`- Combines criteria and value lists: ${await queryIds({ examTypeId: [1, 2], landkreis: 'Harz', cancelled: false }) === '1,2'}`);
+    console.log(`- Date bounds include the exam itself: ${await queryIds({ from: inDays(20), to: inDays(30) }) === '2,3'}`);
+    console.log(`- Sorts by location: ${await queryIds({ cancelled: false }, { sortBy: 'location' }) === '3,2,1'}`);
+    console.log(`- Sorts by district descending: ${await queryIds({ notified: false }, { sortBy: 'landkreis', sortOrder: 'desc' }) === '3,4'}`);
+    console.log(`- Offset past the end returns nothing: ${await queryIds({}, { offset: 10 }) === ''}`);
+    console.log(`- Unknown sort keys return nothing: ${(await storage.queryAppointments({}, { sortBy: 'preis' })).length === 0}`);
+}
+
+/**
+ * Run the storage conformance tests against every backend
+ */
+async function runTests() {
+    console.log('=== Starting Storage Conformance Tests ===');
+
+    if (!(await setup())) {
+        console.log('Tests aborted due to setup failure');
+        return;
+    }
+
+    try {
+        for (const name of Object.keys(STORAGE_BACKENDS)) {
+            if (name === 'sqlite' && !(await hasSqlite())) {
+                console.log(`\n--- Backend: ${name} ---`);
+                console.log(`- Skipped: node:sqlite is not available in Node.js ${process.versions.node}`);
+                continue;
+            }
+
+            await runScenarios(name, await loadBackend(name));
+        }
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        await cleanup();
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,150 @@
+import { loadSubscriptions, normalizeSubscription } from '../modules/config/subscriptions.js';
+import {
+    matchesSubscription,
+    getPreviousVersion,
+    routeToSubscribers,
+    getSubscriptionDistance
+} from '../modules/notifications/subscriptionRouter.js';
+import { findPlace, locateAppointment, resolveLocation, distanceKm } from '../modules/geo/geocoder.js';
+import { createAppointmentEmbed } from '../modules/discord/discordNotifier.js';
+import { createAppointment } from '../modules/model/appointment.js';
+
+const ORIGINAL_SUBSCRIPTIONS = process.env.SUBSCRIPTIONS;
+const ORIGINAL_SUBSCRIPTIONS_FILE = process.env.SUBSCRIPTIONS_FILE;
+
+// Reference time of the tests, a Monday
+const now = new Date('2030-05-06T10:00:00');
+
+// Build an appointment of the Sachsen-Anhalt source
+const makeAppointment = (sourceId, fields) => createAppointment({
+    source: 'sachsen-anhalt',
+    sourceId,
+    examTypeId: 1,
+    examTypeName: 'Fischerprüfung',
+    ...fields
+});
+
+// Saturday in Wernigerode (Harz), Tuesday in Halle, Saturday in Halle three months later
+const harzSaturday = makeAppointment(1, {
+    date: '2030-05-11T09:00:00', pruefungsstelle: 'Landkreis Harz', pruefungsort: 'Wernigerode', landkreis: 'Harz'
+});
+const halleTuesday = makeAppointment(2, {
+    date: '2030-05-14T17:00:00', pruefungsstelle: 'Stadt Halle', pruefungsort: 'Halle', landkreis: 'Halle (Saale)'
+});
+const halleLater = makeAppointment(3, {
+    date: '2030-08-10T09:00:00', pruefungsstelle: 'Stadt Halle', pruefungsort: 'Halle', landkreis: 'Halle (Saale)'
+});
+const withoutDate = makeAppointment(4, { pruefungsort: 'Halle', landkreis: 'Halle (Saale)' });
+
+/**
+ * Run subscription tests
+ */
+async function runTests() {
+    console.log('=== Starting Subscription Tests ===\n');
+
+    try {
+        // Test 1: Subscriptions are read from SUBSCRIPTIONS and normalized
+        console.log('Test 1: Load Subscriptions');
+        delete process.env.SUBSCRIPTIONS_FILE;
+        process.env.SUBSCRIPTIONS = JSON.stringify([
+            { name: 'Harz', landkreis: 'Harz', webhookUrl: 'https://discord.example/harz' },
+            { landkreis: ['Halle (Saale)'], weekdays: ['Sa', 'sonntag'], channel: 'telegram', target: '-100' },
+            { name: 'Kaputt', weekdays: ['Feiertag'] },
+            { name: 'Ungültiges Datum', from: 'bald' }
+        ]);
+        const subscriptions = loadSubscriptions();
+        console.log(`- Invalid subscriptions skipped: ${subscriptions.length === 2}`);
+        console.log(`- Webhook becomes a Discord target: ${subscriptions[0].channel === 'discord' && subscriptions[0].target === 'https://discord.example/harz'}`);
+        console.log(`- Default name, channel and target kept: ${subscriptions[1].name === 'Abo 2' && subscriptions[1].channel === 'telegram' && subscriptions[1].target === '-100'}`);
+        console.log(`- Weekdays converted: ${subscriptions[1].weekdays.join(',') === '6,0'}`);
+        process.env.SUBSCRIPTIONS = 'not json';
+        console.log(`- Unreadable configuration means no subscriptions: ${loadSubscriptions().length === 0}`);
+
+        // Test 2: Location criteria match case-insensitively
+        console.log('\nTest 2: Location Criteria');
+        const harz = normalizeSubscription({ landkreis: 'harz' }, 0);
+        console.log(`- Landkreis matches: ${matchesSubscription(harzSaturday, harz, now) && !matchesSubscription(halleTuesday, harz, now)}`);
+        const offices = normalizeSubscription({ office: ['Stadt Halle', 'Stadt Magdeburg'], pruefungsort: 'HALLE' }, 0);
+        console.log(`- Office and location match: ${matchesSubscription(halleTuesday, offices, now) && !matchesSubscription(harzSaturday, offices, now)}`);
+        const otherType = normalizeSubscription({ examTypes: [2] }, 0);
+        console.log(`- Exam types filtered: ${!matchesSubscription(harzSaturday, otherType, now)}`);
+
+        // Test 3: Weekday and exam-date window
+        console.log('\nTest 3: Date Criteria');
+        const weekend = normalizeSubscription({ weekdays: ['Samstag', 0] }, 0);
+        console.log(`- Weekdays: ${matchesSubscription(harzSaturday, weekend, now) && matchesSubscription(halleLater, weekend, now) && !matchesSubscription(halleTuesday, weekend, now)}`);
+        const may = normalizeSubscription({ from: '2030-05-12', to: '2030-05-14' }, 0);
+        console.log(`- From/to includes the whole last day: ${matchesSubscription(halleTuesday, may, now) && !matchesSubscription(harzSaturday, may, now)}`);
+        const soon = normalizeSubscription({ withinDays: 30 }, 0);
+        console.log(`- Within days from now: ${matchesSubscription(halleTuesday, soon, now) && !matchesSubscription(halleLater, soon, now)}`);
+        console.log(`- No date never matches a date rule: ${!matchesSubscription(withoutDate, soon, now) && matchesSubscription(withoutDate, normalizeSubscription({}, 0), now)}`);
+
+        // Test 4: Every subscriber gets only the matching appointments
+        console.log('\nTest 4: Routing');
+        const routed = routeToSubscribers([harzSaturday, halleTuesday, halleLater, withoutDate], [
+            normalizeSubscription({ name: 'Harz', landkreis: 'Harz' }, 0),
+            normalizeSubscription({ name: 'Wochenende', weekdays: ['Sa', 'So'] }, 1),
+            normalizeSubscription({ name: 'Magdeburg', landkreis: 'Magdeburg' }, 2)
+        ], { now });
+        const itemsOf = name => routed.routes.find(route => route.subscription.name === name)?.items.map(item => item.sourceId).join(',');
+        console.log(`- Matches per subscriber: ${itemsOf('Harz') === '1' && itemsOf('Wochenende') === '1,3'}`);
+        console.log(`- Subscribers without matches left out: ${routed.routes.length === 2}`);
+        console.log(`- Unmatched appointments reported: ${routed.unmatched.map(item => item.sourceId).join(',') === '2,4'}`);
+
+        // Test 5: Changed appointments reach subscribers of the old and the new version
+        console.log('\nTest 5: Changed Appointments');
+        const moved = {
+            appointment: { ...harzSaturday, landkreis: 'Mansfeld-Südharz', pruefungsort: 'Sangerhausen' },
+            changes: [
+                { field: 'landkreis', oldValue: 'Harz', newValue: 'Mansfeld-Südharz' },
+                { field: 'pruefungsort', oldValue: 'Wernigerode', newValue: 'Sangerhausen' }
+            ]
+        };
+        console.log(`- Previous version restored: ${getPreviousVersion(moved.appointment, moved.changes).landkreis === 'Harz'}`);
+        const changedRoutes = routeToSubscribers([moved], [
+            normalizeSubscription({ name: 'Harz', landkreis: 'Harz' }, 0),
+            normalizeSubscription({ name: 'Südharz', landkreis: 'Mansfeld-Südharz' }, 1)
+        ], { now, getVersions: ({ appointment, changes }) => [appointment, getPreviousVersion(appointment, changes)] });
+        console.log(`- Both subscribers informed: ${changedRoutes.routes.length === 2 && changedRoutes.unmatched.length === 0}`);
+
+        // Test 6: Places, addresses and districts are located with the bundled gazetteer
+        console.log('\nTest 6: Gazetteer');
+        console.log(`- Name variants found: ${['Halle', 'Stadt Halle (Saale)', 'Halle-Neustadt'].every(name => findPlace(name)?.name === 'Halle (Saale)') && findPlace('Eisleben')?.name === 'Lutherstadt Eisleben'}`);
+        console.log(`- Districts of a town found: ${findPlace('Sangerhausen OT Oberröblingen')?.name === 'Sangerhausen'}`);
+        const byAddress = locateAppointment({ pruefungsort: 'Vereinsheim am See', address: 'Seestraße 1\n38855 Wernigerode', landkreis: 'Harz' });
+        console.log(`- Address used for unknown locations: ${byAddress?.name === 'Wernigerode' && byAddress.precision === 'place'}`);
+        console.log(`- Landkreis centre as last resort: ${locateAppointment({ pruefungsort: 'Vereinsheim', landkreis: 'Harz' })?.precision === 'landkreis'}`);
+        console.log(`- Coordinates accepted: ${resolveLocation('51.5, 11.9')?.precision === 'coordinates' && resolveLocation({ lat: 51.5, lon: 11.9 })?.lat === 51.5}`);
+        const halleToMagdeburg = distanceKm(findPlace('Halle'), findPlace('Magdeburg'));
+        console.log(`- Distance Halle to Magdeburg about 76 km: ${halleToMagdeburg > 70 && halleToMagdeburg < 80}`);
+
+        // Test 7: Subscriptions within a radius and the distance in the embed
+        console.log('\nTest 7: Within a Radius');
+        const nearHalle = normalizeSubscription({ name: 'Umkreis Halle', within: { km: 30, of: 'Halle (Saale)' } }, 0);
+        const merseburg = makeAppointment(5, { date: '2030-05-11T09:00:00', pruefungsort: 'Merseburg', landkreis: 'Saalekreis' });
+        console.log(`- Nearby district matches, far one does not: ${matchesSubscription(merseburg, nearHalle, now) && matchesSubscription(halleTuesday, nearHalle, now) && !matchesSubscription(harzSaturday, nearHalle, now)}`);
+        const nearCoordinates = normalizeSubscription({ within: { km: 15, of: '51.83, 10.79' } }, 0);
+        console.log(`- Radius around coordinates: ${matchesSubscription(harzSaturday, nearCoordinates, now) && !matchesSubscription(merseburg, nearCoordinates, now)}`);
+        console.log(`- Unknown place rejected: ${(() => { try { normalizeSubscription({ within: { km: 10, of: 'Atlantis' } }, 0); return false; } catch { return true; } })()}`);
+        const distance = getSubscriptionDistance(merseburg, nearHalle);
+        const embed = createAppointmentEmbed(merseburg, true, 'success', { distance });
+        const distanceField = embed.fields.find(field => field.name === '📏 Entfernung');
+        console.log(`- Distance shown in the embed: ${distanceField?.value === '14 km von Halle (Saale)'}`);
+        console.log(`- No distance field without radius: ${!createAppointmentEmbed(merseburg, true).fields.some(field => field.name === '📏 Entfernung')}`);
+
+        console.log('\n=== All Tests Completed ===');
+    } catch (error) {
+        console.error('Test error:', error);
+    } finally {
+        for (const [name, value] of [['SUBSCRIPTIONS', ORIGINAL_SUBSCRIPTIONS], ['SUBSCRIPTIONS_FILE', ORIGINAL_SUBSCRIPTIONS_FILE]]) {
+            if (value) {
+                process.env[name] = value;
+            } else {
+                delete process.env[name];
+            }
+        }
+    }
+}
+
+// Run tests
+runTests();